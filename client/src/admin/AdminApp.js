@@ -6,6 +6,7 @@
  */
 
 import { API_BASE, authAPI, adminAPI } from '../api.js';
+import { SessionPlayer } from './SessionPlayer.js';
 
 class AdminApp {
     constructor() {
@@ -26,6 +27,10 @@ class AdminApp {
         this.eventTypes = [];
         this.scenarioCodes = [];
 
+        // User shown in the stats modal, and the terminal session player
+        this.statsUser = null;
+        this.player = null;
+
         this.init();
     }
 
@@ -163,6 +168,39 @@ class AdminApp {
         document.getElementById('userStatsModalBackdrop')?.addEventListener('click', () => {
             this.closeUserStatsModal();
         });
+
+        // Terminal session play / download buttons in the user stats modal
+        document.getElementById('userStatsBody')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-session-action]');
+            if (!button) return;
+            const sessionId = parseInt(button.dataset.sessionId);
+            if (button.dataset.sessionAction === 'play') {
+                this.playSession(sessionId);
+            } else {
+                this.downloadSession(sessionId);
+            }
+        });
+
+        // Session player
+        document.getElementById('closeSessionPlayerModal')?.addEventListener('click', () => {
+            this.closeSessionPlayer();
+        });
+        document.getElementById('sessionPlayerModalBackdrop')?.addEventListener('click', () => {
+            this.closeSessionPlayer();
+        });
+        document.getElementById('playerPlayBtn')?.addEventListener('click', () => {
+            if (this.player?.playing) {
+                this.player.pause();
+            } else {
+                this.player?.play();
+            }
+        });
+        document.getElementById('playerRestartBtn')?.addEventListener('click', () => {
+            this.player?.restart();
+        });
+        document.getElementById('playerSpeed')?.addEventListener('change', (e) => {
+            this.player?.setSpeed(parseFloat(e.target.value));
+        });
     }
 
     /**
@@ -590,10 +628,17 @@ class AdminApp {
         modal.classList.add('active');
         modalName.textContent = `${userName}'s Stats`;
         modalBody.innerHTML = '<div class="loading-row"><i class="fas fa-spinner fa-spin"></i> Loading user stats...</div>';
+        this.statsUser = { id: userId, name: userName };
 
         try {
-            const data = await adminAPI.getUserStats(userId);
-            this.renderUserStatsModal(data);
+            const [data, { sessions }] = await Promise.all([
+                adminAPI.getUserStats(userId),
+                adminAPI.getUserSessions(userId).catch(error => {
+                    console.error('[AdminApp] Failed to load terminal sessions:', error);
+                    return { sessions: [] };
+                })
+            ]);
+            this.renderUserStatsModal(data, sessions);
         } catch (error) {
             console.error('[AdminApp] Failed to load user stats:', error);
             modalBody.innerHTML = '<div class="loading-row">Failed to load user stats</div>';
@@ -603,7 +648,7 @@ class AdminApp {
     /**
      * Render user stats in modal
      */
-    renderUserStatsModal(data) {
+    renderUserStatsModal(data, sessions = []) {
         const modalBody = document.getElementById('userStatsBody');
         if (!modalBody) return;
 
@@ -711,6 +756,26 @@ class AdminApp {
                 </div>
             </div>
             ` : ''}
+            
+            <!-- Terminal Sessions -->
+            ${sessions.length > 0 ? `
+            <div class="user-info-section">
+                <h4><i class="fas fa-terminal"></i> Terminal Sessions (${sessions.length})</h4>
+                ${sessions.map(session => `
+                    <div class="session-row">
+                        <span class="session-time">${this.formatDateTime(session.startedAt)}</span>
+                        ${session.scenarioCode ? `<span class="scenario-tag">${this.escapeHtml(session.scenarioCode)}</span>` : ''}
+                        <span class="session-duration">${this.formatDuration(session.duration)}</span>
+                        <button class="btn btn-secondary btn-small" data-session-action="play" data-session-id="${session.id}">
+                            <i class="fas fa-play"></i> Play
+                        </button>
+                        <button class="btn btn-secondary btn-small" data-session-action="download" data-session-id="${session.id}">
+                            <i class="fas fa-download"></i> .cast
+                        </button>
+                    </div>
+                `).join('')}
+            </div>
+            ` : ''}
         `;
     }
 
@@ -724,6 +789,78 @@ class AdminApp {
         }
     }
 
+    /**
+     * Open the player on one of the stats user's terminal sessions
+     */
+    async playSession(sessionId) {
+        const modal = document.getElementById('sessionPlayerModal');
+        const container = document.getElementById('sessionPlayerTerminal');
+        if (!modal || !container || !this.statsUser) return;
+
+        document.getElementById('sessionPlayerTitle').textContent =
+            `${this.statsUser.name} - Session #${sessionId}`;
+        modal.classList.add('active');
+
+        try {
+            const cast = await adminAPI.getSessionCast(this.statsUser.id, sessionId);
+            if (!this.player) {
+                this.player = new SessionPlayer(container, {
+                    onProgress: (position, duration) => {
+                        const time = document.getElementById('playerTime');
+                        if (time) {
+                            time.textContent = `${this.formatDuration(position)} / ${this.formatDuration(duration)}`;
+                        }
+                    },
+                    onStateChange: (playing) => {
+                        const btn = document.getElementById('playerPlayBtn');
+                        if (btn) {
+                            btn.innerHTML = playing
+                                ? '<i class="fas fa-pause"></i> Pause'
+                                : '<i class="fas fa-play"></i> Play';
+                        }
+                    }
+                });
+            }
+            this.player.pause();
+            this.player.load(cast);
+            this.player.setSpeed(parseFloat(document.getElementById('playerSpeed')?.value) || 1);
+            this.player.play();
+        } catch (error) {
+            console.error('[AdminApp] Failed to load terminal session:', error);
+            alert('Failed to load session: ' + error.message);
+            this.closeSessionPlayer();
+        }
+    }
+
+    /**
+     * Download one of the stats user's terminal sessions as an asciicast file
+     */
+    async downloadSession(sessionId) {
+        if (!this.statsUser) return;
+        try {
+            const cast = await adminAPI.getSessionCast(this.statsUser.id, sessionId);
+            const objectUrl = URL.createObjectURL(new Blob([cast], { type: 'application/x-asciicast' }));
+            const a = document.createElement('a');
+            a.href = objectUrl;
+            a.download = `session-${this.statsUser.id}-${sessionId}.cast`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(objectUrl);
+        } catch (error) {
+            console.error('[AdminApp] Session download failed:', error);
+            alert('Download failed: ' + error.message);
+        }
+    }
+
+    /**
+     * Close the session player, stopping playback
+     */
+    closeSessionPlayer() {
+        this.player?.pause();
+        document.getElementById('sessionPlayerModal')?.classList.remove('active');
+    }
+
     /**
      * Update users pagination UI
      */
@@ -755,6 +892,14 @@ class AdminApp {
         ).join(' ');
     }
 
+    /**
+     * Format a duration in seconds as m:ss
+     */
+    formatDuration(seconds) {
+        const total = Math.floor(seconds || 0);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
     /**
      * Format date for display
      */
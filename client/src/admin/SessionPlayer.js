@@ -0,0 +1,175 @@
+/**
+ * SessionPlayer.js
+ * Replays a recorded console session (asciicast v2) in an embedded xterm.
+ *
+ * Only output ('o') and resize ('r') events change the screen; keystrokes
+ * ('i') are shown through the output they echoed. Pauses longer than
+ * MAX_IDLE_SECONDS are shortened so long breaks don't stall the replay.
+ */
+
+import 'xterm/css/xterm.css';
+import { Terminal } from 'xterm';
+
+const MAX_IDLE_SECONDS = 2;
+
+/**
+ * Parse an asciicast v2 file into its header and events
+ * @param {string} text
+ * @returns {{ header: Object, events: Array }}
+ */
+export function parseAsciicast(text) {
+    const [headerLine, ...lines] = text.split('\n').filter(line => line.trim());
+    const header = JSON.parse(headerLine || '{}');
+    if (header.version !== 2) {
+        throw new Error('Not an asciicast v2 recording');
+    }
+    return { header, events: lines.map(line => JSON.parse(line)) };
+}
+
+export class SessionPlayer {
+    /**
+     * @param {HTMLElement} container - Element the terminal is rendered in
+     * @param {Object} [callbacks]
+     * @param {Function} [callbacks.onProgress] - (position, duration) in seconds
+     * @param {Function} [callbacks.onStateChange] - (playing) when playback starts or stops
+     */
+    constructor(container, { onProgress, onStateChange } = {}) {
+        this.container = container;
+        this.onProgress = onProgress || (() => {});
+        this.onStateChange = onStateChange || (() => {});
+
+        this.term = null;
+        this.header = null;
+        this.events = [];
+        this.duration = 0;
+
+        this.index = 0;        // next event to apply
+        this.position = 0;     // seconds into the (idle-capped) timeline
+        this.speed = 1;
+        this.playing = false;
+        this.resumedAt = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Load a recording and show its first frame
+     * @param {string} castText - asciicast v2 file contents
+     */
+    load(castText) {
+        const { header, events } = parseAsciicast(castText);
+        this.header = header;
+
+        // Replay on a timeline with long pauses cut down
+        let time = 0;
+        let previous = 0;
+        this.events = events.map(([at, type, data]) => {
+            time += Math.min(at - previous, MAX_IDLE_SECONDS);
+            previous = at;
+            return { time, type, data };
+        });
+        this.duration = time;
+
+        if (!this.term) {
+            this.term = new Terminal({
+                cols: header.width,
+                rows: header.height,
+                disableStdin: true,
+                cursorBlink: false,
+                fontFamily: "ui-monospace, SFMono-Regular, Menlo, Consolas, 'Liberation Mono', monospace",
+                theme: { background: '#0a0a0a' }
+            });
+            this.term.open(this.container);
+        }
+        this.rewind();
+    }
+
+    play() {
+        if (this.playing || !this.term) return;
+        if (this.index >= this.events.length) this.rewind();
+        this.playing = true;
+        this.resumedAt = performance.now();
+        this.onStateChange(true);
+        this.tick();
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.position = this.elapsed();
+        this.playing = false;
+        clearTimeout(this.timer);
+        this.onStateChange(false);
+    }
+
+    restart() {
+        this.pause();
+        this.rewind();
+        this.play();
+    }
+
+    /**
+     * @param {number} speed - Playback rate (1 = as recorded)
+     */
+    setSpeed(speed) {
+        this.position = this.elapsed();
+        this.resumedAt = performance.now();
+        this.speed = speed;
+        if (this.playing) {
+            clearTimeout(this.timer);
+            this.tick();
+        }
+    }
+
+    dispose() {
+        this.pause();
+        this.term?.dispose();
+        this.term = null;
+    }
+
+    /**
+     * Back to the start with a blank screen of the recorded size
+     */
+    rewind() {
+        this.index = 0;
+        this.position = 0;
+        this.term.reset();
+        this.term.resize(this.header.width, this.header.height);
+        this.onProgress(0, this.duration);
+    }
+
+    elapsed() {
+        if (!this.playing) return this.position;
+        return this.position + (performance.now() - this.resumedAt) / 1000 * this.speed;
+    }
+
+    /**
+     * Apply every event that is due, then wait for the next one
+     */
+    tick() {
+        const now = this.elapsed();
+        while (this.index < this.events.length && this.events[this.index].time <= now) {
+            this.apply(this.events[this.index++]);
+        }
+
+        if (this.index >= this.events.length) {
+            this.position = this.duration;
+            this.playing = false;
+            this.onProgress(this.duration, this.duration);
+            this.onStateChange(false);
+            return;
+        }
+
+        this.onProgress(now, this.duration);
+        const wait = (this.events[this.index].time - now) * 1000 / this.speed;
+        // Wake up at least every 250ms to keep the progress display moving
+        this.timer = setTimeout(() => this.tick(), Math.min(Math.max(wait, 0), 250));
+    }
+
+    apply({ type, data }) {
+        if (type === 'o') {
+            this.term.write(data);
+        } else if (type === 'r') {
+            const [cols, rows] = data.split('x').map(Number);
+            if (cols > 0 && rows > 0) this.term.resize(cols, rows);
+        }
+    }
+}
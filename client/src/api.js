@@ -134,14 +134,143 @@ export const authAPI = {
  * Executes a command in the console
  * @param {string} scenarioCode - The code of the scenario
  * @param {string} command - The command to execute
+ * @param {Object} [options]
+ * @param {string} [options.historyLine] - The line to record in the history, if not the command
+ * @param {number|null} [options.shellId] - Extra terminal to run it in (null: the main one)
  * @returns {Object} - The API object (the output of the command execution)
  * 
  */
 export const consoleAPI = {
-  async execute(scenarioCode, command) {
+  async execute(scenarioCode, command, { historyLine, shellId = null } = {}) {
     return apiRequest('/console/execute', {
       method: 'POST',
-      body: { scenarioCode, command }
+      body: { scenarioCode, command, historyLine, shellId }
+    });
+  },
+
+  /**
+   * Start the shell session of a terminal: runs its ~/.bashrc
+   * @param {number|null} [shellId] - Extra terminal (null: the main one)
+   * @returns {Object} - { output, error, promptPath, promptHost }
+   */
+  async login(scenarioCode, shellId = null) {
+    return apiRequest('/console/login', {
+      method: 'POST',
+      body: { scenarioCode, shellId }
+    });
+  },
+
+  /**
+   * Shell history of a terminal in a scenario, oldest first
+   * @param {number|null} [shellId] - Extra terminal (null: the main one)
+   * @returns {Object} - { history }
+   */
+  async history(scenarioCode, shellId = null) {
+    const shell = shellId !== null ? `&shellId=${shellId}` : '';
+    return apiRequest(`/console/history?scenarioCode=${encodeURIComponent(scenarioCode)}${shell}`, {
+      method: 'GET'
+    });
+  },
+
+  /**
+   * Record a command line the client runs itself in the shell history
+   */
+  async addHistory(scenarioCode, command, shellId = null) {
+    return apiRequest('/console/history', {
+      method: 'POST',
+      body: { scenarioCode, command, shellId }
+    });
+  },
+
+  /**
+   * Complete the word before the cursor against the server-side VFS
+   * @param {string} line - The input up to the cursor
+   * @param {number|null} [shellId] - Terminal whose cwd and host count
+   * @returns {Object} - { word, candidates }
+   */
+  async complete(scenarioCode, line, shellId = null) {
+    return apiRequest('/console/complete', {
+      method: 'POST',
+      body: { scenarioCode, line, shellId }
+    });
+  },
+
+  /**
+   * The extra terminals open in a scenario (the main one is implicit)
+   * @returns {Object} - { shells: [{ id, name, promptPath, promptHost }] }
+   */
+  async shells(scenarioCode) {
+    return apiRequest(`/console/shells?scenarioCode=${encodeURIComponent(scenarioCode)}`, {
+      method: 'GET'
+    });
+  },
+
+  /**
+   * Open an extra terminal (its own cwd, ssh sessions and history)
+   * @param {string} [name] - Defaults to "shell N"
+   * @returns {Object} - { shell }
+   */
+  async createShell(scenarioCode, name) {
+    return apiRequest('/console/shells', {
+      method: 'POST',
+      body: { scenarioCode, name }
+    });
+  },
+
+  /**
+   * @returns {Object} - { shell }
+   */
+  async renameShell(shellId, name) {
+    return apiRequest(`/console/shells/${shellId}`, {
+      method: 'PATCH',
+      body: { name }
+    });
+  },
+
+  /**
+   * Close an extra terminal, forgetting its history
+   */
+  async deleteShell(shellId) {
+    return apiRequest(`/console/shells/${shellId}`, {
+      method: 'DELETE'
+    });
+  },
+
+  /**
+   * Describe the console commands (usage, options, examples)
+   * @param {string} [scenarioCode] - Include this scenario's custom commands
+   * @returns {Object} - { commands }
+   */
+  async commands(scenarioCode) {
+    const query = scenarioCode ? `?scenarioCode=${encodeURIComponent(scenarioCode)}` : '';
+    return apiRequest(`/console/commands${query}`, {
+      method: 'GET'
+    });
+  },
+
+  /**
+   * Start recording a console session
+   * @param {number} width - Terminal columns
+   * @param {number} height - Terminal rows
+   * @returns {Object} - { id }
+   */
+  async startSession(scenarioCode, width, height) {
+    return apiRequest('/console/sessions', {
+      method: 'POST',
+      body: { scenarioCode, width, height }
+    });
+  },
+
+  /**
+   * Append events ([time, type, data], asciicast v2) to a recording
+   * @param {Object} [options] - { keepalive } to send while the page unloads
+   * @returns {Object} - { stored }
+   */
+  async recordEvents(sessionId, events, { keepalive = false } = {}) {
+    return apiRequest(`/console/sessions/${sessionId}/events`, {
+      method: 'POST',
+      body: { events },
+      keepalive
     });
   }
 };
@@ -150,16 +279,19 @@ export const consoleAPI = {
  * Tasks API
  * Handles tasks related endpoints
  * @param {string} taskId - The id of the task
- * @param {string} answer - The answer to the task
- * @param {number} timeMs - The time in milliseconds to complete the task
+ * @param {string|null} answer - The answer to the task (null when submitting commands)
+ * @param {Object} [options]
+ * @param {number} [options.timeMs] - The time in milliseconds to complete the task
+ * @param {Array<{argv: string[], cwd: string}>} [options.commands] - Runs of the
+ *   task's command, as they ran and where (for command matchers)
  * @returns {Object} - The API object
  * 
  */
 export const tasksAPI = {
-  async submitTask(taskId, answer, timeMs) {
+  async submitTask(taskId, answer, { timeMs, commands } = {}) {
     return apiRequest(`/tasks/${taskId}/submit`, {
       method: 'POST',
-      body: { answer, timeMs }
+      body: { answer, timeMs, commands }
     });
   },
 
@@ -276,10 +408,10 @@ export const devicesAPI = {
     });
   },
 
-  async mountDevice(scenarioCode, device, mountPoint) {
+  async mountDevice(scenarioCode, device, mountPoint, readOnly = false) {
     return apiRequest('/devices/mount', {
       method: 'POST',
-      body: { scenarioCode, device, mountPoint }
+      body: { scenarioCode, device, mountPoint, readOnly }
     });
   },
 
@@ -421,6 +553,42 @@ export const adminAPI = {
     }
 
     return response.blob();
+  },
+
+  /**
+   * Get a user's recorded console sessions
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { sessions }
+   */
+  async getUserSessions(userId) {
+    return apiRequest(`/admin/users/${userId}/sessions`, {
+      method: 'GET'
+    });
+  },
+
+  /**
+   * Download a recorded console session
+   * @param {number} userId - User ID
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<string>} The recording in asciicast v2 format
+   */
+  async getSessionCast(userId, sessionId) {
+    const token = getToken();
+    const response = await fetch(`${API_BASE}/admin/users/${userId}/sessions/${sessionId}.cast`, {
+      method: 'GET',
+      credentials: 'include',
+      headers: {
+        'X-Participant-Id': getParticipantId(),
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+      }
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    return response.text();
   }
 };
 
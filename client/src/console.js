@@ -33,8 +33,12 @@ import './miniGames/miniGames.css'; // Import styles for minigames
 
 // Configuration constants
 const CONFIG = {
-  STORAGE_KEY: 'forensic_shell_history',
-  HISTORY_LIMIT: 200,
+  HISTORY_LIMIT: 200,  // the server keeps as many lines per scenario
+  RECORDING: {
+    FLUSH_INTERVAL_MS: 2000,  // how often recorded events are sent
+    MAX_EVENT_LENGTH: 8000,   // longer output is split over several events
+    MAX_BATCH_LENGTH: 48000   // JSON size per request (the server takes 100kb)
+  },
   TERMINAL_CONFIG: {
     fontFamily: "ui-monospace, SFMono-Regular, Menlo, Consolas, 'Liberation Mono', monospace",
     cursorBlink: true,
@@ -46,42 +50,50 @@ const CONFIG = {
     USER: '\x1b[32m',
     PATH: '\x1b[34m',
     RESET: '\x1b[0m'
-  },
-  ENV: {
-    USER: 'forensic',
-    HOME: '/home/user',
-    PATH: '/bin:/usr/bin'
   }
 };
 
 // Track terminal state: buffer, history, cursor position, etc.
-const TerminalState = {
-  term: null,
-  fitAddon: null,
-  buffer: '',
-  cursorPos: 0,  // Track cursor position in buffer
-  history: [],
-  historyIdx: 0,
-  cwd: '/home/user',
-  env: { ...CONFIG.ENV }
-};
+// Each terminal of the console has its own; TerminalState is the active one's
+// (switched by TerminalTabs)
+function createTerminalState(props = {}) {
+  return {
+    term: null,
+    fitAddon: null,
+    buffer: '',
+    cursorPos: 0,  // Track cursor position in buffer
+    history: [],
+    historyIdx: 0,
+    cwd: '/home/user',
+    host: null,  // { host, user } while logged in to a scenario host with ssh
+    shellId: null,  // server-side shell of an extra terminal (null: the main one)
+    recording: null,  // see SessionRecorder
+    busy: false,  // running a command (or completing); output is still due
+    ...props
+  };
+}
+
+let TerminalState = createTerminalState();
 
 // Virtual File System - utility functions for path resolution and autocomplete
 // Note: The actual VFS structure is managed server-side. This local VFS is only used for:
-// - Path resolution utilities (for autocomplete and redirection)
+// - Path resolution utilities (for autocomplete)
 // - Mounted device content (via mountDeviceContent)
-// - Files created via redirection (> and >>)
 const VFSManager = {
   root: null,
 
   initialize() {
-    // Initialize with empty root - structure is populated by mountDeviceContent
-    // and files created via redirection. Server manages the real VFS.
+    // Initialize with empty root - structure is populated by mountDeviceContent.
+    // Server manages the real VFS (including files created via redirection).
     this.root = { type: 'dir', children: {} };
   },
 
-  makeFile(content) {
-    return { type: 'file', content };
+  // Device content values are either the file content or an entry object
+  // ({ content, deleted, ... }); deleted entries are never mounted. An entry
+  // without content (e.g. a capture's packet model) is stored as JSON.
+  makeFile(data) {
+    if (typeof data === 'string') return { type: 'file', content: data };
+    return { type: 'file', content: typeof data?.content === 'string' ? data.content : JSON.stringify(data) };
   },
 
   resolvePath(path, base) {
@@ -117,112 +129,17 @@ const VFSManager = {
     return node;
   },
 
-  ensureDirAndLeaf(path) {
-    const p = this.normalizePath(path);
-    const parts = p.split('/').filter(Boolean);
-    if (parts.length === 0) return null;
-    let node = this.root;
-    for (let i = 0; i < parts.length - 1; i++) {
-      if (!node.children[parts[i]]) return null;
-      node = node.children[parts[i]];
-      if (node.type !== 'dir') return null;
-    }
-    return { dirNode: node, leaf: parts[parts.length - 1] };
-  },
-
-  // Cache for last directory listing (to avoid double API calls during autocomplete)
-  _lastDirCache: { path: null, entries: new Set(), scenarioCode: null },
-
-  async listCandidates(partial, base, scenarioCode) {
-    // First check local VFS (for mounted devices and files created via redirection)
+  // Local path completions: full words, directories ending with '/'
+  listCandidates(partial, base) {
     const slash = partial.lastIndexOf('/');
-    let dirPath = base;
-    let prefix = partial;
-    if (slash >= 0) {
-      dirPath = this.resolvePath(partial.slice(0, slash + 1), base);
-      prefix = partial.slice(slash + 1);
-    }
-
-    const localNode = this.getNode(dirPath);
-    let localChoices = [];
-    if (localNode && localNode.type === 'dir' && localNode.children) {
-      localChoices = Object.keys(localNode.children).filter(name => name.startsWith(prefix));
-    }
-
-    // Query server for directory listing if we have a scenario
-    if (scenarioCode) {
-      try {
-        // Use 'ls' command to get directory contents from server
-        const target = dirPath === base ? '.' : dirPath;
-        const result = await consoleAPI.execute(scenarioCode, `ls "${target}"`);
-
-        if (result.output && !result.error) {
-          const serverEntries = result.output.split('\n').filter(Boolean);
-          const serverChoices = serverEntries.filter(name => name.startsWith(prefix));
-
-          // Cache the directory listing for getNodeType to use
-          this._lastDirCache = {
-            path: dirPath,
-            entries: new Set(serverEntries),
-            scenarioCode
-          };
-
-          // Merge local and server choices, removing duplicates
-          const allChoices = [...new Set([...localChoices, ...serverChoices])];
-          return allChoices;
-        }
-      } catch (error) {
-        console.warn('[Autocomplete] Failed to query server for directory listing:', error);
-      }
-    }
-
-    // Fallback to local choices only
-    return localChoices;
-  },
-
-  async getNodeType(path, scenarioCode) {
-    // Check local VFS first
-    const localNode = this.getNode(path);
-    if (localNode) {
-      return localNode.type;
-    }
-
-    // Check cache from recent listCandidates call (avoids second API request)
-    // If the path's parent directory was just listed, we know if this entry exists
-    const parentPath = path.substring(0, path.lastIndexOf('/')) || '/';
-    const basename = path.split('/').pop();
-    if (this._lastDirCache.path === parentPath &&
-      this._lastDirCache.scenarioCode === scenarioCode &&
-      this._lastDirCache.entries.has(basename)) {
-      // Entry exists in cached directory listing - assume it's a directory
-      // (files would typically have extensions, and this is for autocomplete trailing slash)
-      return 'dir';
-    }
-
-    // Query server if we have a scenario (fallback if cache miss)
-    if (scenarioCode) {
-      try {
-        const result = await consoleAPI.execute(scenarioCode, `ls "${path}"`);
-        if (result.error) {
-          return null; // Path doesn't exist
-        }
-        if (result.output) {
-          const entries = result.output.split('\n').filter(Boolean);
-          // If ls returns a single entry that matches the basename, it's a file
-          // Otherwise it's a directory (or empty directory)
-          if (entries.length === 1 && entries[0] === basename) {
-            return 'file';
-          }
-          // Multiple entries or empty string means it's a directory
-          return 'dir';
-        }
-      } catch (error) {
-        // Ignore errors, return null
-        console.warn('[VFSManager] Error checking node type:', error);
-      }
-    }
-
-    return null;
+    const dirPart = partial.slice(0, slash + 1);
+    const prefix = partial.slice(slash + 1);
+    const node = this.getNode(this.resolvePath(dirPart || '.', base));
+    if (!node || node.type !== 'dir') return [];
+    return Object.entries(node.children || {})
+      .filter(([name]) => name.startsWith(prefix))
+      .map(([name, child]) => dirPart + name + (child.type === 'dir' ? '/' : ''))
+      .sort();
   },
 
   /**
@@ -250,6 +167,7 @@ const VFSManager = {
     // Add device content as files
     if (content && current.children) {
       for (const [name, data] of Object.entries(content)) {
+        if (data?.deleted) continue;
         current.children[name] = this.makeFile(data);
         console.log('[VFSManager] Added file:', name);
       }
@@ -271,8 +189,27 @@ function getCommand(name) {
   return CommandRegistry.get(name);
 }
 
+// Command descriptions from the server's command registry (usage, options,
+// examples): they name every command for completion, local or server-run
+const CommandCatalog = {
+  entries: [],
+
+  async load(scenarioCode) {
+    try {
+      const { commands } = await consoleAPI.commands(scenarioCode);
+      this.entries = commands || [];
+    } catch (error) {
+      console.warn('[Console] Failed to load command descriptions:', error);
+    }
+  },
+
+  names() {
+    return this.entries.flatMap(c => [c.name, ...(c.aliases || [])]);
+  }
+};
+
 function getAllCommands() {
-  return Array.from(CommandRegistry.keys());
+  return [...new Set([...CommandRegistry.keys(), ...CommandCatalog.names()])];
 }
 
 /**
@@ -385,48 +322,123 @@ function unregisterCustomCommands() {
   CustomCommandsRegistry.clear();
 }
 
-// Parses command input and handles redirection (>, >>)
+// Parses command input. Lines using shell operators (|, >, >>, ;, &&) are
+// flagged as compound: pipelines and redirection are executed by the server.
+// Quotes and backslash escapes are honoured; variables and globs are only
+// expanded by the server (see result.stages).
 const Parser = {
   parse(line) {
-    if (!line) return { cmd: '', args: [] };
+    if (!line) return { cmd: '', args: [], compound: false };
 
     const tokens = [];
     let cur = '';
-    let inQ = false;
+    let quote = null;
+    let hasWord = false;
+    let compound = false;
 
     for (let i = 0; i < line.length; i++) {
       const ch = line[i];
-      if (ch === '"') {
-        inQ = !inQ;
-      } else if (ch === ' ' && !inQ) {
-        if (cur) tokens.push(cur);
+      if (quote) {
+        if (ch === quote) quote = null;
+        else if (quote === '"' && ch === '\\' && '"\\$`'.includes(line[i + 1] ?? '')) cur += line[++i];
+        else cur += ch;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+        hasWord = true;
+      } else if (ch === '\\' && i + 1 < line.length) {
+        cur += line[++i];
+        hasWord = true;
+      } else if (ch === '|' || ch === '>' || ch === ';' || (ch === '&' && line[i + 1] === '&')) {
+        // Only the first simple command is needed locally (for task checks)
+        compound = true;
+        break;
+      } else if (ch === ' ' || ch === '\t') {
+        if (hasWord) tokens.push(cur);
         cur = '';
+        hasWord = false;
       } else {
         cur += ch;
+        hasWord = true;
       }
     }
-    if (cur) tokens.push(cur);
+    if (hasWord) tokens.push(cur);
 
-    let redir = null;
-    let cmdArgs = tokens;
+    const cmd = tokens[0] || '';
+    const args = tokens.slice(1);
 
-    for (let i = 0; i < tokens.length; i++) {
-      if (tokens[i] === '>') {
-        redir = { append: false, path: tokens[i + 1] || '' };
-        cmdArgs = tokens.slice(0, i);
-        break;
-      }
-      if (tokens[i] === '>>') {
-        redir = { append: true, path: tokens[i + 1] || '' };
-        cmdArgs = tokens.slice(0, i);
-        break;
-      }
+    return { cmd, args, compound };
+  }
+};
+
+// Records console sessions for replay in the admin dashboard: output,
+// keystrokes and resizes with their timing, as asciicast v2 events
+// ([seconds, 'o' | 'i' | 'r', data]) sent to the server in batches.
+// Each terminal is recorded separately, in its state's `recording`:
+// { id, startedAt, pending } - id is null until the server replies
+const SessionRecorder = {
+  timer: null,
+
+  // Start a new recording of a terminal (when it is first shown and
+  // whenever the scenario changes)
+  start(state, scenarioCode) {
+    this.flush(state);
+    const recording = { id: null, startedAt: performance.now(), pending: [] };
+    state.recording = recording;
+
+    const { cols, rows } = state.term;
+    consoleAPI.startSession(scenarioCode, cols, rows).then(({ id }) => {
+      recording.id = id;
+      if (state.recording === recording) this.flush(state);
+    }).catch(err => {
+      console.warn('[Console] Session recording unavailable:', err);
+      if (state.recording === recording) state.recording = null;
+    });
+
+    if (!this.timer) {
+      const flushAll = (options) => TerminalTabs.terminals.forEach(t => this.flush(t.state, options));
+      this.timer = setInterval(flushAll, CONFIG.RECORDING.FLUSH_INTERVAL_MS);
+      addEventListener('pagehide', () => flushAll({ keepalive: true }));
     }
+  },
 
-    const cmd = cmdArgs[0] || '';
-    const args = cmdArgs.slice(1);
+  record(type, data, state = TerminalState) {
+    const { recording } = state;
+    if (!recording || !data) return;
+    const time = Math.round(performance.now() - recording.startedAt) / 1000;
+    const max = CONFIG.RECORDING.MAX_EVENT_LENGTH;
+    for (let i = 0; i < data.length; i += max) {
+      recording.pending.push([time, type, data.slice(i, i + max)]);
+    }
+  },
 
-    return { cmd, args, redir };
+  // Output as a standalone terminal shows it (xterm here converts \n itself)
+  recordOutput(text) {
+    this.record('o', String(text).replace(/\r?\n/g, '\r\n'));
+  },
+
+  // Send what was recorded in a terminal, split to keep each request small
+  flush(state, { keepalive = false } = {}) {
+    const { recording } = state;
+    if (!recording?.id || recording.pending.length === 0) return;
+    const events = recording.pending;
+    recording.pending = [];
+
+    const batches = [[]];
+    let size = 0;
+    for (const event of events) {
+      const length = JSON.stringify(event).length;
+      if (size + length > CONFIG.RECORDING.MAX_BATCH_LENGTH && batches[batches.length - 1].length) {
+        batches.push([]);
+        size = 0;
+      }
+      batches[batches.length - 1].push(event);
+      size += length;
+    }
+    for (const batch of batches) {
+      consoleAPI.recordEvents(recording.id, batch, { keepalive }).catch(err =>
+        console.warn('[Console] Failed to record session events:', err)
+      );
+    }
   }
 };
 
@@ -434,24 +446,36 @@ const Parser = {
 const TerminalUI = {
   getPrompt() {
     const { USER, RESET, PATH } = CONFIG.COLORS;
-    return `${USER}forensic${RESET}:${PATH}${TerminalState.cwd}${RESET}$ `;
+    return `${USER}${this.getPromptUser()}${RESET}:${PATH}${TerminalState.cwd}${RESET}$ `;
+  },
+
+  // "forensic" on the workstation, "user@host" inside an ssh session
+  getPromptUser() {
+    const { host } = TerminalState;
+    return host ? `${host.user}@${host.host}` : 'forensic';
   },
 
   getPromptVisualLength() {
     // Visual length of prompt: "forensic:/home/user$ " = typically 21 characters
     const cwd = TerminalState.cwd || '/home/user';
-    return 8 + 1 + cwd.length + 2; // "forensic" + ":" + cwd + "$ "
+    return this.getPromptUser().length + 1 + cwd.length + 2; // user + ":" + cwd + "$ "
   },
 
   write(text) {
+    SessionRecorder.recordOutput(text);
     TerminalState.term.write(text);
   },
 
   writeLine(text = '') {
+    SessionRecorder.recordOutput(`${text}\n`);
     TerminalState.term.writeln(text);
   },
 
+  // Clears all but the cursor line, which xterm keeps at the top
   clear() {
+    const { buffer } = TerminalState.term;
+    const line = buffer.active.getLine(buffer.active.cursorY)?.translateToString(true) ?? '';
+    SessionRecorder.recordOutput(`\x1b[H\x1b[2J\x1b[3J${line}`);
     TerminalState.term.clear();
   },
 
@@ -460,36 +484,79 @@ const TerminalUI = {
   }
 };
 
-// Manages command history - persistence, navigation (arrow keys)
+// Manages command history - kept per scenario on the server; arrow-key
+// navigation, bash history expansion (!!, !n) and Ctrl+R reverse search
 const HistoryManager = {
+  scenarioCode: null,
+  search: null,  // { query, index, failed, original } during Ctrl+R
+
+  // Replace a terminal's history with the one stored on the server
+  async load(scenarioCode, state = TerminalState) {
+    this.scenarioCode = scenarioCode || null;
+    state.history = [];
+    state.historyIdx = 0;
+    if (!scenarioCode) return;
+    try {
+      const { history } = await consoleAPI.history(scenarioCode, state.shellId);
+      if (this.scenarioCode === scenarioCode) {
+        state.history = (history || []).slice(-CONFIG.HISTORY_LIMIT);
+        state.historyIdx = state.history.length;
+      }
+    } catch (err) {
+      console.error('Failed to load history:', err);
+    }
+  },
+
+  // Keep a line locally, the way the server stores it (repeats skipped)
   save(cmd) {
     if (!cmd) return;
     const { history } = TerminalState;
     if (history.length === 0 || history[history.length - 1] !== cmd) {
       history.push(cmd);
       TerminalState.history = history.slice(-CONFIG.HISTORY_LIMIT);
-      this.persistToStorage();
     }
-    TerminalState.historyIdx = history.length;
+    TerminalState.historyIdx = TerminalState.history.length;
   },
 
-  loadFromStorage() {
-    try {
-      const saved = JSON.parse(sessionStorage.getItem(CONFIG.STORAGE_KEY) || '[]');
-      if (Array.isArray(saved)) {
-        TerminalState.history = saved.slice(-CONFIG.HISTORY_LIMIT);
-      }
-    } catch (err) {
-      console.error('Failed to load history:', err);
-    }
+  // Store a line the client runs itself (the server records the lines it runs)
+  record(scenarioCode, line) {
+    if (!scenarioCode) return;
+    consoleAPI.addHistory(scenarioCode, line, TerminalState.shellId).catch(err =>
+      console.warn('[Console] Failed to record history:', err)
+    );
   },
 
-  persistToStorage() {
-    try {
-      sessionStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(TerminalState.history));
-    } catch (err) {
-      console.error('Failed to save history:', err);
+  // Bash history expansion: !! (previous line), !n, !-n and !prefix,
+  // not inside single quotes. Returns { line } or { error }
+  expand(line) {
+    const { history } = TerminalState;
+    let out = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === "'") quoted = !quoted;
+      if (ch === '\\' && !quoted && i + 1 < line.length) {
+        out += ch + line[++i];
+        continue;
+      }
+      const event = ch === '!' && !quoted ? line.slice(i + 1).match(/^(!|-?\d+|[^\s!=();|&<>"'][^\s;|&<>()"']*)/) : null;
+      if (!event) {
+        out += ch;
+        continue;
+      }
+
+      const designator = event[1];
+      let found;
+      if (designator === '!') found = history[history.length - 1];
+      else if (/^\d+$/.test(designator)) found = history[Number(designator) - 1];
+      else if (/^-\d+$/.test(designator)) found = history[history.length + Number(designator)];
+      else found = [...history].reverse().find(entry => entry.startsWith(designator));
+      if (found === undefined) return { error: `bash: !${designator}: event not found` };
+
+      out += found;
+      i += designator.length;
     }
+    return { line: out };
   },
 
   up() {
@@ -512,95 +579,127 @@ const HistoryManager = {
     TerminalState.buffer = text;
     TerminalState.cursorPos = text.length;
     TerminalUI.write(text);
+  },
+
+  startSearch() {
+    this.search = { query: '', index: TerminalState.history.length, failed: false, original: TerminalState.buffer };
+    this.renderSearch();
+  },
+
+  // Newest entry containing `query`, at or before index `from`
+  findMatch(query, from) {
+    const { history } = TerminalState;
+    for (let i = Math.min(from, history.length - 1); i >= 0; i--) {
+      if (history[i].includes(query)) return i;
+    }
+    return -1;
+  },
+
+  // Key handling during Ctrl+R. Returns false when the search ends with a
+  // key that should then act on the found line (Enter runs it, arrows edit it)
+  onSearchKey(ev) {
+    const { search } = this;
+    const { history } = TerminalState;
+    const key = ev.key.toLowerCase();
+    let next;
+
+    if (ev.ctrlKey && key === 'r') {
+      next = search.query ? this.findMatch(search.query, search.index - 1) : search.index;
+    } else if (ev.key === 'Escape' || (ev.ctrlKey && (key === 'g' || key === 'c'))) {
+      this.endSearch(search.original);
+      return true;
+    } else if (ev.key === 'Backspace') {
+      search.query = search.query.slice(0, -1);
+      next = search.query ? this.findMatch(search.query, history.length - 1) : history.length;
+    } else if (!ev.altKey && !ev.ctrlKey && !ev.metaKey && ev.key.length === 1) {
+      search.query += ev.key;
+      next = this.findMatch(search.query, search.index);
+    } else if (['Shift', 'Control', 'Alt', 'Meta'].includes(ev.key)) {
+      return true;
+    } else {
+      this.endSearch(history[search.index] ?? search.original);
+      return false;
+    }
+
+    search.failed = next < 0;
+    if (next >= 0) search.index = next;
+    this.renderSearch();
+    return true;
+  },
+
+  renderSearch() {
+    const { query, index, failed } = this.search;
+    const match = TerminalState.history[index] ?? '';
+    TerminalUI.write(`\r\x1b[K(${failed ? 'failed ' : ''}reverse-i-search)\`${query}': ${match}`);
+  },
+
+  endSearch(line) {
+    this.search = null;
+    TerminalState.buffer = line;
+    TerminalState.cursorPos = line.length;
+    TerminalState.historyIdx = TerminalState.history.length;
+    InputHandler.redrawBuffer();
   }
 };
 
-// Tab autocomplete - completes commands and file paths
+// Tab autocomplete - completes commands and file paths.
+// The local VFS only holds mounted device content, so when it has no
+// candidates the server completes against the real (persisted) VFS.
 const Autocomplete = {
   async execute() {
     // Only use text UP TO cursor position
-    const textUpToCursor = TerminalState.buffer.slice(0, TerminalState.cursorPos);
-    const pieces = textUpToCursor.trim().split(/\s+/);
-    const isFirst = pieces.length <= 1;
-    const current = pieces[pieces.length - 1] || '';
-
-    let choices = [];
-    let prefix = current; // For filtering matches
-
-    if (isFirst) {
-      // Command autocomplete - synchronous
-      choices = getAllCommands();
-    } else {
-      // Path autocomplete - async, queries server
-      const slash = current.lastIndexOf('/');
-      prefix = slash >= 0 ? current.slice(slash + 1) : current;
-
-      // Get current scenario for server query
-      const currentScenario = getCurrentScenario();
-      const scenarioCode = currentScenario?.id;
+    const line = TerminalState.buffer.slice(0, TerminalState.cursorPos);
+    let { word, candidates } = this.localCandidates(line);
 
-      choices = await VFSManager.listCandidates(current || '', TerminalState.cwd, scenarioCode);
+    const scenarioCode = getCurrentScenario()?.id;
+    if (candidates.length === 0 && scenarioCode) {
+      try {
+        ({ word, candidates } = await consoleAPI.complete(scenarioCode, line, TerminalState.shellId));
+      } catch (error) {
+        console.warn('[Autocomplete] Server completion failed:', error);
+      }
     }
+    if (!candidates || candidates.length === 0) return;
 
-    const matches = choices.filter(c => c.startsWith(prefix));
-
-    if (matches.length === 1) {
-      await this.fillMatch(matches[0], current, isFirst, pieces);
-    } else if (matches.length > 1) {
+    // Fill in what all candidates share, list them when that doesn't decide
+    const common = candidates.reduce((a, b) => {
+      let i = 0;
+      while (i < a.length && a[i] === b[i]) i++;
+      return a.slice(0, i);
+    });
+    if (common !== word && (candidates.length === 1 || common.length > word.length)) {
+      this.replaceWord(word, common);
+    } else if (candidates.length > 1) {
       TerminalUI.write('\r\n');
-      matches.forEach(m => TerminalUI.writeLine(m));
+      candidates.forEach(c => TerminalUI.writeLine(c.endsWith('/') ? `${c.slice(0, -1).split('/').pop()}/` : c.split('/').pop()));
       TerminalUI.prompt();
       TerminalUI.write(TerminalState.buffer);
       TerminalState.cursorPos = TerminalState.buffer.length;
     }
   },
 
-  async fillMatch(match, current, isFirst, pieces) {
-    // For commands, slice normally. For paths, only slice the basename prefix
-    let fill;
-    if (isFirst) {
-      fill = match.slice(current.length);
-    } else {
-      // Extract just the typed prefix (after the last / in current)
-      const slash = current.lastIndexOf('/');
-      const typedPrefix = slash >= 0 ? current.slice(slash + 1) : current;
-      fill = match.slice(typedPrefix.length);
-    }
-    const wasAtEnd = TerminalState.cursorPos === TerminalState.buffer.length;
+  // Command names for the first word, local paths for the others
+  localCandidates(line) {
+    const word = line.match(/\S*$/)[0];
+    const isFirst = line.slice(0, line.length - word.length).trim() === '';
+    const candidates = isFirst && !word.includes('/')
+      ? getAllCommands().filter(c => c.startsWith(word)).sort()
+      : VFSManager.listCandidates(word, TerminalState.cwd);
+    return { word, candidates };
+  },
 
-    // Insert fill at cursor position
-    TerminalState.buffer = TerminalState.buffer.slice(0, TerminalState.cursorPos) +
-      fill +
-      TerminalState.buffer.slice(TerminalState.cursorPos);
-    TerminalState.cursorPos += fill.length;
+  // Replace the word before the cursor with its completion
+  replaceWord(word, completion) {
+    const start = TerminalState.cursorPos - word.length;
+    const wasAtEnd = TerminalState.cursorPos === TerminalState.buffer.length;
+    TerminalState.buffer = TerminalState.buffer.slice(0, start) + completion + TerminalState.buffer.slice(TerminalState.cursorPos);
+    TerminalState.cursorPos = start + completion.length;
 
-    if (wasAtEnd) {
-      TerminalUI.write(fill);
+    if (wasAtEnd && completion.startsWith(word)) {
+      TerminalUI.write(completion.slice(word.length));
     } else {
       InputHandler.redrawBuffer();
     }
-
-    if (!isFirst) {
-      // Check if the completed path is a directory (query server if needed)
-      const full = VFSManager.resolvePath(pieces[pieces.length - 1] + fill, TerminalState.cwd);
-      const currentScenario = getCurrentScenario();
-      const scenarioCode = currentScenario?.id;
-      const nodeType = await VFSManager.getNodeType(full, scenarioCode);
-
-      if (nodeType === 'dir' && !TerminalState.buffer.endsWith('/')) {
-        const slash = '/';
-        TerminalState.buffer = TerminalState.buffer.slice(0, TerminalState.cursorPos) +
-          slash +
-          TerminalState.buffer.slice(TerminalState.cursorPos);
-        TerminalState.cursorPos++;
-
-        if (TerminalState.cursorPos === TerminalState.buffer.length) {
-          TerminalUI.write(slash);
-        } else {
-          InputHandler.redrawBuffer();
-        }
-      }
-    }
   }
 };
 
@@ -608,8 +707,31 @@ const Autocomplete = {
 const InputHandler = {
   onTermKey({ key, domEvent }) {
     const ev = domEvent;
+    SessionRecorder.record('i', key);
     const canvas = document.getElementById('renderCanvas');
 
+    // An open pager gets every key
+    if (Pager.active) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      Pager.onKey(ev);
+      return;
+    }
+
+    // Ctrl+R search in progress: keys edit the query, others end it
+    if (HistoryManager.search) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      if (HistoryManager.onSearchKey(ev)) return;
+    }
+
+    // Alt shortcuts: open, close, switch and split terminals
+    if (ev.altKey && TerminalTabs.onShortcut(ev)) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      return;
+    }
+
     // ESC: close console
     if (ev.key === 'Escape') {
       ev.preventDefault();
@@ -629,6 +751,13 @@ const InputHandler = {
       return;
     }
 
+    // Ctrl+R: reverse search through the history
+    if (ev.ctrlKey && ev.key.toLowerCase() === 'r') {
+      ev.preventDefault();
+      HistoryManager.startSearch();
+      return;
+    }
+
     // Ctrl+C: copy to clipboard
     if (ev.ctrlKey && ev.key.toLowerCase() === 'c') {
       ev.preventDefault();
@@ -657,6 +786,7 @@ const InputHandler = {
     if (ev.ctrlKey && ev.key.toLowerCase() === 'v') {
       ev.preventDefault();
       navigator.clipboard.readText().then(text => {
+        SessionRecorder.record('i', text);
         TerminalState.buffer = TerminalState.buffer.slice(0, TerminalState.cursorPos) +
           text +
           TerminalState.buffer.slice(TerminalState.cursorPos);
@@ -729,8 +859,12 @@ const InputHandler = {
     // Tab: autocomplete
     if (ev.key === 'Tab') {
       ev.preventDefault();
+      const state = TerminalState;
+      state.busy = true;
       Autocomplete.execute().catch(err => {
         console.error('[Autocomplete] Error:', err);
+      }).finally(() => {
+        state.busy = false;
       });
       setTimeout(() => TerminalState.term.focus(), 0);
       return;
@@ -739,17 +873,22 @@ const InputHandler = {
     // Enter: execute
     if (ev.key === 'Enter') {
       ev.preventDefault();
-      TerminalState.term.write('\r\n');
+      TerminalUI.write('\r\n');
       const line = TerminalState.buffer.trim();
       TerminalState.buffer = '';
       TerminalState.cursorPos = 0;
 
-      // Execute async - prompt is shown inside CommandExecutor after completion
+      // Execute async - prompt is shown inside CommandExecutor after completion.
+      // The terminal stays active until then (see TerminalTabs.activate)
+      const state = TerminalState;
+      state.busy = true;
       CommandExecutor.execute(line).catch(err => {
         console.error('[Console] Command execution error:', err);
         TerminalUI.writeLine(`Error: ${err.message || 'Command execution failed'}`);
         TerminalUI.prompt();
         setTimeout(() => TerminalState.term.focus(), 0);
+      }).finally(() => {
+        state.busy = false;
       });
 
       return;
@@ -851,6 +990,248 @@ const InputHandler = {
   }
 };
 
+// Full-screen pager for less/more - takes over the terminal (alternate
+// screen) until q, with paging, /pattern and ?pattern search, n/N
+const Pager = {
+  active: false,
+  name: 'less',
+  title: '',
+  lines: [],
+  numbers: false,
+  ignoreCase: false,
+  top: 0,
+  layoutCache: null,
+  pattern: null,
+  backward: false,
+  input: null,      // text typed after / or ? while entering a search
+  message: '',
+  resolveClose: null,
+
+  // `less [-N] [-i] file...` pages the server's cat of the files,
+  // `cmd | less` the output of the pipeline in front of it
+  parse(line) {
+    const piped = line.match(/^(.*?\S)\s*\|\s*(less|more)((?:\s+-[A-Za-z]+)*)\s*$/);
+    if (piped && !piped[1].endsWith('|')) {
+      return { name: piped[2], flags: piped[3], command: piped[1], title: '' };
+    }
+    const direct = line.match(/^(less|more)((?:\s+-[A-Za-z]+)*)(?:\s+(.+))?$/);
+    if (direct) {
+      const files = direct[3] || '';
+      return { name: direct[1], flags: direct[2], command: files ? `cat ${files}` : null, title: files.split(/\s+/)[0] };
+    }
+    return null;
+  },
+
+  // Show `text`; resolves once the user quits
+  show(text, { name, title = '', flags = '' }) {
+    this.name = name;
+    this.title = title;
+    this.lines = text.replace(/\n$/, '').split('\n');
+    this.numbers = /N/.test(flags);
+    this.ignoreCase = /[iI]/.test(flags);
+    this.top = 0;
+    this.layoutCache = null;
+    this.input = null;
+    this.message = '';
+
+    // more prints short output directly, like more(1)
+    const height = TerminalState.term.rows - 1;
+    if (name === 'more' && this.layout().length <= height) {
+      TerminalUI.writeLine(this.lines.join('\n'));
+      return Promise.resolve();
+    }
+
+    this.active = true;
+    TerminalUI.write('\x1b[?1049h');
+    this.render();
+    return new Promise(resolve => { this.resolveClose = resolve; });
+  },
+
+  close() {
+    this.active = false;
+    TerminalUI.write('\x1b[?1049l');
+    this.resolveClose?.();
+    this.resolveClose = null;
+  },
+
+  // Screen rows: lines wrapped to the terminal width, tabs expanded
+  layout() {
+    const { cols } = TerminalState.term;
+    if (this.layoutCache?.cols === cols) return this.layoutCache.rows;
+
+    const gutter = this.numbers ? 8 : 0;
+    const width = Math.max(1, cols - gutter);
+    const rows = [];
+    this.lines.forEach((raw, n) => {
+      const line = raw.replace(/\t/g, '        ');
+      for (let start = 0; start === 0 || start < line.length; start += width) {
+        const prefix = !this.numbers ? '' : start === 0 ? `${String(n + 1).padStart(7)} ` : ' '.repeat(gutter);
+        rows.push({ prefix, text: line.slice(start, start + width) });
+      }
+    });
+    this.layoutCache = { cols, rows };
+    return rows;
+  },
+
+  render() {
+    const rows = this.layout();
+    const height = TerminalState.term.rows - 1;
+    this.top = Math.max(0, Math.min(this.top, rows.length - height));
+
+    let out = '\x1b[H';
+    for (let i = 0; i < height; i++) {
+      const row = rows[this.top + i];
+      out += `\x1b[${i + 1};1H\x1b[K${row ? row.prefix + this.highlight(row.text) : '~'}`;
+    }
+    out += `\x1b[${height + 1};1H\x1b[K${this.statusLine(rows.length, height)}`;
+    TerminalUI.write(out);
+  },
+
+  statusLine(total, height) {
+    if (this.input !== null) return `${this.backward ? '?' : '/'}${this.input}`;
+    if (this.message) return `\x1b[7m${this.message}\x1b[27m`;
+    const atEnd = this.top + height >= total;
+    if (this.name === 'more') {
+      const percent = Math.floor(Math.min(total, this.top + height) / total * 100);
+      return `\x1b[7m--More--(${percent}%)\x1b[27m`;
+    }
+    if (atEnd) return '\x1b[7m(END)\x1b[27m';
+    return this.top === 0 && this.title ? `\x1b[7m${this.title}\x1b[27m` : ':';
+  },
+
+  highlight(text) {
+    if (!this.pattern) return text;
+    return text.replace(this.pattern, match => (match ? `\x1b[7m${match}\x1b[27m` : match));
+  },
+
+  // Key handling while the pager owns the terminal
+  onKey(ev) {
+    const height = TerminalState.term.rows - 1;
+    const atEnd = this.top + height >= this.layout().length;
+
+    if (this.input !== null) {
+      this.onSearchKey(ev);
+      return;
+    }
+    this.message = '';
+
+    switch (ev.key) {
+      case 'q':
+      case 'Q':
+        this.close();
+        return;
+      case ' ':
+      case 'f':
+      case 'PageDown':
+        if (this.name === 'more' && atEnd) {
+          this.close();
+          return;
+        }
+        this.top += height;
+        break;
+      case 'b':
+      case 'PageUp':
+        this.top -= height;
+        break;
+      case 'Enter':
+      case 'j':
+      case 'e':
+      case 'ArrowDown':
+        if (this.name === 'more' && atEnd) {
+          this.close();
+          return;
+        }
+        this.top += 1;
+        break;
+      case 'k':
+      case 'y':
+      case 'ArrowUp':
+        this.top -= 1;
+        break;
+      case 'd':
+        this.top += Math.ceil(height / 2);
+        break;
+      case 'u':
+        this.top -= Math.ceil(height / 2);
+        break;
+      case 'g':
+      case '<':
+      case 'Home':
+        this.top = 0;
+        break;
+      case 'G':
+      case '>':
+      case 'End':
+        this.top = this.layout().length;
+        break;
+      case '/':
+      case '?':
+        this.backward = ev.key === '?';
+        this.input = '';
+        break;
+      case 'n':
+        this.findNext(this.backward);
+        break;
+      case 'N':
+        this.findNext(!this.backward);
+        break;
+      default:
+        return;
+    }
+    this.render();
+  },
+
+  onSearchKey(ev) {
+    if (ev.key === 'Escape' || (ev.key === 'Backspace' && this.input === '')) {
+      this.input = null;
+    } else if (ev.key === 'Backspace') {
+      this.input = this.input.slice(0, -1);
+    } else if (ev.key === 'Enter') {
+      // An empty pattern repeats the previous search
+      const source = this.input;
+      this.input = null;
+      if (source) this.setPattern(source);
+      if (this.pattern) this.find(this.backward ? this.top - 1 : this.top, this.backward);
+    } else if (ev.key.length === 1 && !ev.ctrlKey && !ev.metaKey) {
+      this.input += ev.key;
+    } else {
+      return;
+    }
+    this.render();
+  },
+
+  setPattern(source) {
+    const flags = this.ignoreCase ? 'gi' : 'g';
+    try {
+      this.pattern = new RegExp(source, flags);
+    } catch {
+      this.pattern = new RegExp(source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+    }
+  },
+
+  findNext(backward) {
+    if (!this.pattern) {
+      this.message = 'No previous regular expression';
+      return;
+    }
+    this.find(backward ? this.top - 1 : this.top + 1, backward);
+  },
+
+  // Scroll the first matching row at or past `from` to the top
+  find(from, backward) {
+    const rows = this.layout();
+    const step = backward ? -1 : 1;
+    for (let i = from; i >= 0 && i < rows.length; i += step) {
+      this.pattern.lastIndex = 0;
+      if (this.pattern.test(rows[i].text)) {
+        this.top = i;
+        return;
+      }
+    }
+    this.message = 'Pattern not found';
+  }
+};
+
 // Executes commands - calls backend API or local handlers for non-VFS commands
 const CommandExecutor = {
   async execute(line) {
@@ -863,7 +1244,19 @@ const CommandExecutor = {
       }
     };
 
-    const { cmd, args, redir } = Parser.parse(line);
+    // History expansion (!!, !n, !prefix) comes first, the result is echoed
+    const expansion = HistoryManager.expand(line);
+    if (expansion.error) {
+      TerminalUI.writeLine(expansion.error);
+      safePrompt();
+      return;
+    }
+    if (expansion.line !== line) {
+      line = expansion.line;
+      TerminalUI.writeLine(line);
+    }
+
+    const { cmd, args, compound } = Parser.parse(line);
     if (!cmd) {
       safePrompt();
       return;
@@ -877,35 +1270,53 @@ const CommandExecutor = {
     const currentScenario = getCurrentScenario();
     const scenarioCode = currentScenario?.id;
 
-    // Commands that need backend VFS access (including forensic commands)
-    const vfsCommands = ['ls', 'cd', 'pwd', 'cat', 'grep', 'mkdir', 'touch', 'rm', 'sha256sum', 'dd', 'cp', 'fsstat', 'blkcat', 'foremost', 'xxd', 'stat', 'fls'];
+    // Tasks judge relative paths against the directory the line was run in,
+    // not the one a `cd` in it leaves behind
+    const cwd = TerminalState.cwd;
 
-    // Check if this is a VFS command and we have a scenario
-    if (vfsCommands.includes(cmd) && scenarioCode) {
+    // less/more page the output of the server's cat (or of a pipeline)
+    const pagerRequest = Pager.parse(line);
+    if (pagerRequest && scenarioCode) {
+      await this.page(pagerRequest, scenarioCode, line);
+      safePrompt();
+      return;
+    }
+
+    // Commands that need backend VFS access (including forensic commands)
+    const vfsCommands = [
+      'ls', 'cd', 'pwd', 'cat', 'grep', 'mkdir', 'touch', 'rm', 'mv', 'ln', 'chmod', 'chown', 'tree', 'sha256sum', 'md5sum', 'sha1sum', 'dd', 'cp', 'fsstat', 'blkcat', 'foremost', 'xxd', 'hexdump', 'strings', 'file', 'tar', 'gunzip', 'zcat', 'unzip', 'base64', 'base32', 'openssl', 'decode', 'stat', 'fls', 'icat', 'mactime', 'mac-robber', 'vol', 'volatility', 'tcpdump', 'tshark', 'ssh', 'scp', 'exit', 'logout', 'hostname', 'help', 'man', 'history',
+      'head', 'tail', 'wc', 'sort', 'uniq', 'cut', 'tr', 'find', 'echo',
+      'env', 'printenv', 'export', 'unset', 'alias', 'unalias', 'source', '.'
+    ];
+
+    // Check if this is a VFS command (or a pipeline/redirection) and we have a scenario
+    // Variable assignments (NAME=value) also live in the server-side session, and
+    // so do aliases: any other name the console doesn't know may be one
+    const isAssignment = /^[A-Za-z_][A-Za-z0-9_]*=/.test(cmd);
+    if ((vfsCommands.includes(cmd) || compound || isAssignment || !getCommand(cmd)) && scenarioCode) {
       try {
         // Execute on backend
-        const result = await consoleAPI.execute(scenarioCode, line);
+        const result = await consoleAPI.execute(scenarioCode, line, { shellId: TerminalState.shellId });
 
         // Update local cwd to match backend
         if (result.promptPath) {
           TerminalState.cwd = result.promptPath;
         }
+        TerminalState.host = result.promptHost || null;
 
-        // Display output or error
+        // Display output or error (command lists like `a; b` can produce both)
         if (result.error) {
+          if (result.output) TerminalUI.writeLine(result.output);
           TerminalUI.writeLine(result.error);
         } else if (result.output !== undefined) {
-          if (redir) {
-            // Handle redirection (still local for now, could be moved to backend)
-            this.handleRedirection(result.output, redir);
-          } else {
-            TerminalUI.writeLine(result.output);
-          }
+          TerminalUI.writeLine(result.output);
         }
 
-        // Check task completion after command ONLY if successful
-        if (!result.error) {
-          await TaskManager.checkCompletion(cmd, args);
+        // Check task completion after command ONLY if successful (by its exit
+        // status: stderr may carry diagnostics such as dd's summary), against
+        // every command the line ran as expanded by the server (globs, $VARS)
+        if (result.status === 0) {
+          await TaskManager.checkCompletion(result.stages || []);
         }
 
         // Show prompt after command completes
@@ -926,6 +1337,7 @@ const CommandExecutor = {
     const handler = getCommand(cmd);
     if (!handler) {
       TerminalUI.writeLine(`Unknown command: ${cmd}`);
+      HistoryManager.record(scenarioCode, line);
       // Show prompt after error
       TerminalUI.prompt();
       setTimeout(() => TerminalState.term.focus(), 0);
@@ -940,15 +1352,17 @@ const CommandExecutor = {
         out = await out;
       }
       if (typeof out === 'string') {
-        this.handleRedirection(out, redir);
+        TerminalUI.writeLine(out);
       }
       // Check task completion for local commands too
-      await TaskManager.checkCompletion(cmd, args);
+      await TaskManager.checkCompletion([{ argv: [cmd, ...args], cwd }]);
     } catch (err) {
       hasError = true;
       TerminalUI.writeLine(`Errore: ${err.message || err}`);
     }
 
+    HistoryManager.record(scenarioCode, line);
+
     // Log local command execution to server for tracking
     // This ensures commands like lsblk, mount, etc. are tracked
     if (scenarioCode) {
@@ -965,22 +1379,32 @@ const CommandExecutor = {
     setTimeout(() => TerminalState.term.focus(), 0);
   },
 
-  handleRedirection(output, redir) {
-    if (redir) {
-      const abs = VFSManager.resolvePath(redir.path, TerminalState.cwd);
-      const slot = VFSManager.ensureDirAndLeaf(abs);
-      if (!slot) {
-        TerminalUI.writeLine('Error: destination directory does not exist.');
-      } else {
-        const { dirNode, leaf } = slot;
-        const prev = dirNode.children[leaf]?.type === 'file'
-          ? dirNode.children[leaf].content
-          : '';
-        const content = redir.append ? (prev + output + '\n') : (output + '\n');
-        dirNode.children[leaf] = VFSManager.makeFile(content);
+  // Fetch the text for less/more from the server and open the pager on it
+  async page({ name, flags, command, title }, scenarioCode, line) {
+    if (!command) {
+      TerminalUI.writeLine(`${name}: missing filename`);
+      HistoryManager.record(scenarioCode, line);
+      return;
+    }
+    try {
+      const result = await consoleAPI.execute(scenarioCode, command, { historyLine: line, shellId: TerminalState.shellId });
+      if (result.promptPath) {
+        TerminalState.cwd = result.promptPath;
       }
-    } else {
-      TerminalUI.writeLine(output);
+      TerminalState.host = result.promptHost || null;
+
+      if (result.error) {
+        TerminalUI.writeLine(result.error.replace(/^cat:/gm, `${name}:`));
+      }
+      if (result.output) {
+        await Pager.show(result.output, { name, title, flags });
+      }
+      if (result.status === 0) {
+        await TaskManager.checkCompletion(result.stages || []);
+      }
+    } catch (error) {
+      console.error('[Console] Backend execution failed:', error);
+      TerminalUI.writeLine(`Error: ${error.message || 'Command execution failed'}`);
     }
   }
 };
@@ -991,56 +1415,61 @@ const TaskManager = {
     return path.replace(/\/$/, '');
   },
 
-  async checkCompletion(cmd, args) {
+  // `stages` are the commands a line ran, as { argv, cwd } with cwd the
+  // working directory each was run in; any run of the task's command may pass it
+  async checkCompletion(stages) {
     const task = currentTask?.();
-    if (!task) return;
+    if (!task?.checkCommand) return;
 
-    if (task.checkCommand && task.checkCommand === cmd) {
-      if (task.checkArgs?.length > 0) {
-        // Check for exact match first
-        if (this.arraysMatch(args, task.checkArgs)) {
-          await this.notifyCompletion(task);
-          return;
-        }
+    const runs = stages.filter(({ argv }) => argv[0] === task.checkCommand);
+    if (runs.length === 0) return;
 
-        // Check if command has no args but expected args are a single path
-        // and that path matches current working directory
-        if (args.length === 0 && task.checkArgs.length === 1) {
-          const expectedPath = task.checkArgs[0];
-          const normalizedCwd = this.normalizePath(TerminalState.cwd);
-          const normalizedExpected = this.normalizePath(expectedPath);
+    // The task's matcher is kept on the server, which judges every run of the command
+    if (task.hasMatcher) {
+      await this.notifyCompletion(task, { commands: runs });
+      return;
+    }
 
-          if (normalizedCwd === normalizedExpected) {
-            await this.notifyCompletion(task);
-            return;
-          }
-        }
+    if (runs.some(({ argv: [, ...args], cwd }) => this.argsMatch(task, args, cwd))) {
+      await this.notifyCompletion(task);
+    }
+  },
 
-        // Check if arguments match after resolving relative paths
-        if (args.length === task.checkArgs.length) {
-          const resolvedArgs = args.map((arg, i) => {
-            // Treat last argument as potential path if it contains '/' or looks like a file
-            if (i === args.length - 1 && (arg.includes('/') || arg.includes('.'))) {
-              return this.normalizePath(VFSManager.resolvePath(arg, TerminalState.cwd));
-            }
-            return arg;
-          });
+  // Whether `args`, run in `cwd`, are the task's checkArgs
+  argsMatch(task, args, cwd) {
+    // No args expected
+    if (!(task.checkArgs?.length > 0)) return true;
 
-          const normalizedExpected = task.checkArgs.map(arg => this.normalizePath(arg));
+    // Check for exact match first
+    if (this.arraysMatch(args, task.checkArgs)) return true;
 
-          if (this.arraysMatch(resolvedArgs, normalizedExpected)) {
-            await this.notifyCompletion(task);
-            return;
-          }
+    // Check if command has no args but expected args are a single path
+    // and that path matches current working directory
+    if (args.length === 0 && task.checkArgs.length === 1) {
+      return this.normalizePath(cwd) === this.normalizePath(task.checkArgs[0]);
+    }
+
+    // Check if arguments match after resolving relative paths
+    if (args.length === task.checkArgs.length) {
+      const resolvedArgs = args.map((arg, i) => {
+        // Treat last argument as potential path if it contains '/' or looks like a file
+        if (i === args.length - 1 && (arg.includes('/') || arg.includes('.'))) {
+          return this.normalizePath(VFSManager.resolvePath(arg, cwd));
         }
-      } else {
-        // No args expected
-        await this.notifyCompletion(task);
-      }
+        return arg;
+      });
+
+      const normalizedExpected = task.checkArgs.map(arg => this.normalizePath(arg));
+      return this.arraysMatch(resolvedArgs, normalizedExpected);
     }
+
+    return false;
   },
 
-  async notifyCompletion(task) {
+  // `commands` are the runs of the task's command (for tasks with a matcher),
+  // submitted as they ran; otherwise the expected command, which matched
+  // locally, is submitted
+  async notifyCompletion(task, { commands } = {}) {
     const prevTitle = task.title;
     let shouldAdvance = false;
 
@@ -1048,8 +1477,8 @@ const TaskManager = {
     if (task.id) {
       try {
         // Build answer from task checkCommand and checkArgs
-        let answer = task.checkCommand;
-        if (task.checkArgs && task.checkArgs.length > 0) {
+        let answer = commands ? null : task.checkCommand;
+        if (!commands && task.checkArgs && task.checkArgs.length > 0) {
           // Quote arguments that contain spaces so server can parse them correctly
           const quotedArgs = task.checkArgs.map(arg =>
             arg.includes(' ') ? `"${arg}"` : arg
@@ -1061,8 +1490,8 @@ const TaskManager = {
         fetch('http://127.0.0.1:7242/ingest/d7f2affb-5189-4352-bd9b-6f1d6c1e402f', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ location: 'console.js:notifyCompletion', message: 'Submitting task to backend', data: { taskId: task.id, checkCommand: task.checkCommand, checkArgs: task.checkArgs, builtAnswer: answer, checkType: task.checkType }, timestamp: Date.now(), sessionId: 'debug-session', hypothesisId: 'H2-H5' }) }).catch(() => { });
         // #endregion
 
-        console.log('[Console] Submitting task', task.id, 'with answer:', answer);
-        const result = await tasksAPI.submitTask(task.id, answer);
+        console.log('[Console] Submitting task', task.id, 'with answer:', answer ?? commands);
+        const result = await tasksAPI.submitTask(task.id, answer, { commands });
         console.log('[Console] Task submission result:', result);
 
         // #region agent log
@@ -1125,7 +1554,7 @@ const TaskManager = {
           if (task.id) {
             eventBus.emit(Events.TERMINAL_COMMAND_VALIDATED, { taskId: task.id });
           }
-        } else {
+        } else if (!task.hasMatcher) {
           console.warn('[Console] Task submission marked as incorrect');
           TerminalUI.writeLine('Server validation failed. Please check your command.');
         }
@@ -1162,25 +1591,12 @@ const TaskManager = {
 
 // Shell commands: ls, cd, cat, grep, mount, scenario, etc.
 function registerBuiltinCommands() {
-  // help
+  // help - answered by the server from its command registry (with `help
+  // <command>` and `man`); without a scenario the loaded descriptions are listed
   registerCommand('help', () => {
     return [
       'Available commands:',
-      '  ls [path]       - list directory',
-      '  cd <path>       - change directory',
-      '  pwd             - show current directory',
-      '  cat <file>      - read file',
-      '  grep <pattern> <file> - search pattern in file',
-      '  echo <text>     - print text',
-      '  mkdir <dir>     - create directory',
-      '  touch <file>    - create empty file',
-      '  rm <file/dir>   - remove file or directory',
-      '  clear           - clear screen',
-      '  env             - show environment variables',
-      '  tcpdump [opts]  - analyze packet capture (simulated)',
-      '  volatility [opts] - analyze memory dump (simulated)',
-      '  scenario [id]   - change scenario',
-      '  progress        - show current progress'
+      ...CommandCatalog.entries.map(c => `  ${c.usage.padEnd(16)} - ${c.summary}`)
     ].join('\n');
   });
 
@@ -1193,39 +1609,6 @@ function registerBuiltinCommands() {
     return '';
   });
 
-  // env
-  registerCommand('env', () => {
-    return Object.entries(TerminalState.env)
-      .map(([k, v]) => `${k}=${v}`)
-      .join('\n');
-  });
-
-  // tcpdump
-  registerCommand('tcpdump', () => {
-    return [
-      'Reading from capture file...',
-      '10:23:45.123456 IP 192.168.1.100.54321 > 10.0.0.1.80: Flags [S], seq 123456',
-      '10:23:45.234567 IP 10.0.0.1.80 > 192.168.1.100.54321: Flags [S.], seq 789012',
-      '10:23:45.345678 IP 192.168.1.100.54321 > 10.0.0.1.80: Flags [.], ack 1',
-      '--- Captured 3 packets ---'
-    ].join('\n');
-  });
-
-  // volatility
-  registerCommand('volatility', () => {
-    return [
-      'Volatility Framework 2.6',
-      'PID   PPID  Name',
-      '---   ----  ----',
-      '4     0     System',
-      '500   4     smss.exe',
-      '600   500   csrss.exe',
-      '700   500   winlogon.exe',
-      '800   700   services.exe',
-      '--- Found 5 processes ---'
-    ].join('\n');
-  });
-
   // scenario
   registerCommand('scenario', async (args) => {
     if (!args[0]) {
@@ -1317,16 +1700,16 @@ function registerBuiltinCommands() {
       return 'Usage: mount [-o ro] <device> <mountpoint>\nExample: mount /dev/sdb1 /mnt/evidence\n         mount -o ro /forensic/evidence.img /mnt/evidence';
     }
 
-    // Parse mount options (-o ro for read-only)
+    // Parse mount options (-o ro for read-only, e.g. -o ro or -o ro,loop)
     let device, mountPoint;
     let readOnly = false;
 
-    if (args[0] === '-o' && args[1] === 'ro') {
-      // mount -o ro <device> <mountpoint>
+    if (args[0] === '-o') {
+      // mount -o <options> <device> <mountpoint>
       if (args.length < 4) {
         return 'Usage: mount -o ro <device> <mountpoint>';
       }
-      readOnly = true;
+      readOnly = args[1].split(',').includes('ro');
       device = args[2];
       mountPoint = args[3];
     } else {
@@ -1346,7 +1729,7 @@ function registerBuiltinCommands() {
     // Mount on server
     // Note: We let errors bubble up so CommandExecutor can catch them
     // and prevent task completion if mount fails
-    const result = await devicesAPI.mountDevice(scenarioCode, device, mountPoint);
+    const result = await devicesAPI.mountDevice(scenarioCode, device, mountPoint, readOnly);
 
     // Check if this is a forensic image or regular device
     const isForensicImage = device.startsWith('/forensic/') && device.endsWith('.img');
@@ -1388,6 +1771,7 @@ function registerBuiltinCommands() {
 
     if (serverDevice && serverDevice.content && current.children) {
       for (const [name, data] of Object.entries(serverDevice.content)) {
+        if (data?.deleted) continue;
         current.children[name] = VFSManager.makeFile(data);
       }
     }
@@ -1475,23 +1859,326 @@ export function toggleConsoleVisibility(force) {
   }
 }
 
+// Terminals of the console overlay: the main one plus extra terminals, each
+// with its own cwd, ssh sessions and history (a shell on the server, see
+// consoleAPI.shells) and its own recording. One is shown, or two side by
+// side when split; keys and output go to the active one (TerminalState)
+const TerminalTabs = {
+  main: null,
+  terminals: [],  // { name, state, element }
+  panes: [],      // the terminals shown: one, or two when split
+
+  // Create the main terminal and show it
+  init() {
+    this.main = this.add('main', TerminalState);
+    this.panes = [this.main];
+    this.layout();
+  },
+
+  current() {
+    return this.terminals.find(t => t.state === TerminalState);
+  },
+
+  add(name, state) {
+    const element = document.createElement('div');
+    element.className = 'terminal-pane';
+    document.getElementById('terminal').appendChild(element);
+    const terminal = { name, state, element };
+    this.terminals.push(terminal);
+    return terminal;
+  },
+
+  // An extra terminal for a shell the server returned
+  addShell(shell, scenarioCode) {
+    const state = createTerminalState({ shellId: shell.id, cwd: shell.promptPath, host: shell.promptHost });
+    HistoryManager.load(scenarioCode, state);
+    return this.add(shell.name, state);
+  },
+
+  // The xterm of a terminal is created when it is first shown
+  mount(terminal) {
+    const { state } = terminal;
+    if (state.term) return;
+    state.term = new Terminal(CONFIG.TERMINAL_CONFIG);
+    state.fitAddon = new FitAddon();
+    state.term.loadAddon(state.fitAddon);
+    state.term.open(terminal.element);
+    state.fitAddon.fit();
+    SessionRecorder.start(state, getCurrentScenario()?.id);
+
+    // Typing in (or clicking into) a pane makes it the active terminal
+    state.term.onKey((ev) => {
+      if (this.activate(terminal)) InputHandler.onTermKey(ev);
+    });
+    state.term.textarea?.addEventListener('focus', () => this.activate(terminal));
+    state.term.onResize(({ cols, rows }) => {
+      SessionRecorder.record('r', `${cols}x${rows}`, state);
+      if (Pager.active && state === TerminalState) Pager.render();
+    });
+
+    // Its first prompt (the main terminal's follows the banner)
+    if (terminal !== this.main) {
+      const active = TerminalState;
+      TerminalState = state;
+      TerminalUI.prompt();
+      TerminalState = active;
+    }
+  },
+
+  // A new shell session runs the ~/.bashrc of its host (the scenario's
+  // variables, aliases and greeting); its output goes above the first prompt
+  async login(state, scenarioCode) {
+    if (!scenarioCode) return;
+    try {
+      const result = await consoleAPI.login(scenarioCode, state.shellId);
+      if (getCurrentScenario()?.id !== scenarioCode) return;
+      const { cwd } = state;
+      if (result.promptPath) state.cwd = result.promptPath;
+      state.host = result.promptHost || null;
+
+      // Redraw the prompt below the output (or where the profile cd'ed to)
+      const text = [result.output, result.error].filter(Boolean).join('\n');
+      if (!state.term || state.busy || (!text && state.cwd === cwd)) return;
+      const active = TerminalState;
+      TerminalState = state;
+      TerminalUI.write('\r\x1b[K');
+      if (text) TerminalUI.writeLine(text);
+      TerminalUI.prompt();
+      TerminalUI.write(state.buffer);
+      state.cursorPos = state.buffer.length;
+      TerminalState = active;
+    } catch (err) {
+      console.warn('[Console] Failed to start the shell:', err);
+    }
+  },
+
+  // Make a terminal the one keys and output go to. Refused while the active
+  // one is still running a command: its output would land in the other one
+  activate(terminal) {
+    if (terminal.state === TerminalState) return true;
+    if (TerminalState.busy) return false;
+    if (HistoryManager.search) HistoryManager.endSearch(HistoryManager.search.original);
+    TerminalState = terminal.state;
+    this.render();
+    return true;
+  },
+
+  // Switch to a terminal; if it isn't shown it takes the active pane's place
+  select(terminal) {
+    if (!terminal) return false;
+    const previous = this.current();
+    if (!this.activate(terminal)) return false;
+    if (!this.panes.includes(terminal)) {
+      this.panes[Math.max(0, this.panes.indexOf(previous))] = terminal;
+    }
+    this.layout();
+    return true;
+  },
+
+  // Open a new terminal (beside the active one when `split`)
+  async create({ split = false } = {}) {
+    const scenarioCode = getCurrentScenario()?.id;
+    if (!scenarioCode) {
+      this.notice('Start a scenario to open more terminals');
+      return;
+    }
+    try {
+      const { shell } = await consoleAPI.createShell(scenarioCode);
+      const terminal = this.addShell(shell, scenarioCode);
+      if (split && this.panes.length === 1) this.panes.push(terminal);
+      if (!this.select(terminal)) this.render();
+      await this.login(terminal.state, scenarioCode);
+    } catch (err) {
+      this.notice(`Cannot open a terminal: ${err.message}`);
+    }
+  },
+
+  close(terminal = this.current()) {
+    if (terminal === this.main) {
+      this.notice('The main terminal cannot be closed');
+      return;
+    }
+    if (terminal.state.busy) return;
+    consoleAPI.deleteShell(terminal.state.shellId).catch(err =>
+      console.warn('[Console] Failed to close shell:', err)
+    );
+    this.dispose(terminal);
+  },
+
+  // Remove a terminal from the console (its server-side shell is kept)
+  dispose(terminal) {
+    SessionRecorder.flush(terminal.state);
+    terminal.state.recording = null;
+    terminal.state.term?.dispose();
+    terminal.element.remove();
+    this.terminals = this.terminals.filter(t => t !== terminal);
+
+    // A hidden terminal takes over its pane, if there is one
+    const index = this.panes.indexOf(terminal);
+    if (index >= 0) {
+      const hidden = this.terminals.find(t => !this.panes.includes(t));
+      if (hidden) this.panes[index] = hidden;
+      else this.panes.splice(index, 1);
+    }
+    if (terminal.state === TerminalState) TerminalState = this.panes[0].state;
+    this.layout();
+  },
+
+  toggleSplit() {
+    if (this.panes.length > 1) {
+      this.panes = [this.current()];
+      this.layout();
+      return;
+    }
+    const other = this.terminals.find(t => t !== this.current());
+    if (!other) {
+      this.create({ split: true });
+      return;
+    }
+    if (TerminalState.busy) return;
+    this.panes.push(other);
+    this.select(other);
+  },
+
+  // Move to the previous (-1) or next (1) terminal
+  cycle(step) {
+    const index = this.terminals.indexOf(this.current());
+    const count = this.terminals.length;
+    this.select(this.terminals[(index + step + count) % count]);
+  },
+
+  rename(terminal) {
+    if (terminal === this.main) return;
+    const name = prompt('Terminal name', terminal.name);
+    if (name === null || name.trim() === terminal.name) return;
+    consoleAPI.renameShell(terminal.state.shellId, name).then(({ shell }) => {
+      terminal.name = shell.name;
+      this.render();
+    }).catch(err => this.notice(`Cannot rename the terminal: ${err.message}`));
+  },
+
+  // Replace the extra terminals with those of another scenario (kept on the
+  // server, so they come back with their cwd and history)
+  async restore(scenarioCode) {
+    for (const terminal of this.terminals.filter(t => t !== this.main)) {
+      this.dispose(terminal);
+    }
+    if (!scenarioCode) return;
+    try {
+      const { shells } = await consoleAPI.shells(scenarioCode);
+      if (getCurrentScenario()?.id !== scenarioCode) return;
+      shells.forEach(shell => this.addShell(shell, scenarioCode));
+      this.render();
+    } catch (err) {
+      console.warn('[Console] Failed to load terminals:', err);
+    }
+  },
+
+  // Alt+T new, Alt+W close, Alt+1..9 / Alt+[ and Alt+] switch, Alt+S split.
+  // Codes rather than keys, as Alt changes the character on some layouts
+  onShortcut(ev) {
+    const digit = ev.code.match(/^Digit([1-9])$/);
+    if (digit) {
+      this.select(this.terminals[Number(digit[1]) - 1]);
+    } else if (ev.code === 'KeyT') {
+      this.create();
+    } else if (ev.code === 'KeyW') {
+      this.close();
+    } else if (ev.code === 'KeyS') {
+      this.toggleSplit();
+    } else if (ev.code === 'BracketLeft' || ev.code === 'BracketRight') {
+      this.cycle(ev.code === 'BracketLeft' ? -1 : 1);
+    } else {
+      return false;
+    }
+    return true;
+  },
+
+  // A message under the current line, which is then redrawn
+  notice(text) {
+    TerminalUI.write('\r\n');
+    TerminalUI.writeLine(text);
+    TerminalUI.prompt();
+    TerminalUI.write(TerminalState.buffer);
+    TerminalState.cursorPos = TerminalState.buffer.length;
+  },
+
+  // Show the panes' terminals, sized to their share of the console
+  layout() {
+    const container = document.getElementById('terminal');
+    container?.classList.toggle('split', this.panes.length > 1);
+    this.terminals.forEach(t => t.element.classList.toggle('visible', this.panes.includes(t)));
+    this.panes.forEach(t => this.mount(t));
+    this.fit();
+    this.render();
+    setTimeout(() => TerminalState.term?.focus(), 0);
+  },
+
+  fit() {
+    this.panes.forEach(t => t.state.fitAddon?.fit());
+  },
+
+  // The tab bar in the console header
+  render() {
+    const bar = document.getElementById('consoleTabs');
+    if (!bar) return;
+    bar.innerHTML = '';
+
+    this.terminals.forEach((terminal, i) => {
+      const tab = document.createElement('button');
+      tab.className = 'console-tab';
+      tab.classList.toggle('active', terminal.state === TerminalState);
+      tab.classList.toggle('visible', this.panes.includes(terminal));
+      tab.textContent = terminal.name;
+      tab.title = i < 9 ? `Alt+${i + 1}` : '';
+      tab.addEventListener('click', () => this.select(terminal));
+      if (terminal !== this.main) {
+        tab.title += ' - double-click to rename';
+        tab.addEventListener('dblclick', () => this.rename(terminal));
+        const close = document.createElement('span');
+        close.className = 'console-tab-close';
+        close.textContent = '×';
+        close.title = 'Close (Alt+W)';
+        close.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.close(terminal);
+        });
+        tab.appendChild(close);
+      }
+      bar.appendChild(tab);
+    });
+
+    const addButton = document.createElement('button');
+    addButton.className = 'console-tab console-tab-action';
+    addButton.textContent = '+';
+    addButton.title = 'New terminal (Alt+T)';
+    addButton.addEventListener('click', () => this.create());
+    bar.appendChild(addButton);
+
+    const splitButton = document.createElement('button');
+    splitButton.className = 'console-tab console-tab-action';
+    splitButton.classList.toggle('active', this.panes.length > 1);
+    splitButton.textContent = '∥';
+    splitButton.title = 'Split view (Alt+S)';
+    splitButton.addEventListener('click', () => this.toggleSplit());
+    bar.appendChild(splitButton);
+  }
+};
+
 // Manages terminal instance lifecycle - initialization, focus, resize
 const TerminalManager = {
   open() {
     if (!TerminalState.term) {
-      TerminalState.term = new Terminal(CONFIG.TERMINAL_CONFIG);
-      TerminalState.fitAddon = new FitAddon();
-      TerminalState.term.loadAddon(TerminalState.fitAddon);
-      TerminalState.term.open(document.getElementById('terminal'));
-      TerminalState.fitAddon.fit();
+      TerminalTabs.init();
 
       TerminalUI.writeLine("Forensic Shell v0.3  type 'help' for commands.");
       TerminalUI.prompt();
+      TerminalTabs.login(TerminalState, getCurrentScenario()?.id);
 
-      TerminalState.term.onKey((ev) => InputHandler.onTermKey(ev));
-      addEventListener('resize', () => TerminalState.fitAddon?.fit());
+      TerminalTabs.restore(getCurrentScenario()?.id);
+      addEventListener('resize', () => TerminalTabs.fit());
     } else {
-      TerminalState.fitAddon.fit();
+      TerminalTabs.fit();
     }
     TerminalState.buffer = '';
     TerminalState.cursorPos = 0;
@@ -1503,8 +2190,9 @@ const TerminalManager = {
 export function initConsole() {
   try {
     VFSManager.initialize();
-    HistoryManager.loadFromStorage();
+    HistoryManager.load(getCurrentScenario()?.id);
     registerBuiltinCommands();
+    CommandCatalog.load(getCurrentScenario()?.id);
 
     // Expose VFS mount function to window for task manager to auto-mount devices
     window.updateVFSWithDevice = (mountPath, content) => {
@@ -1547,6 +2235,15 @@ export function initConsole() {
       if (data?.scenario?.customCommands) {
         registerCustomCommands(data.scenario.customCommands);
       }
+      CommandCatalog.load(data?.scenarioId);
+
+      // Each scenario has its own extra terminals and its own recordings
+      if (TerminalTabs.main) {
+        TerminalTabs.restore(data?.scenarioId);
+        SessionRecorder.start(TerminalTabs.main.state, data?.scenarioId);
+        TerminalTabs.login(TerminalTabs.main.state, data?.scenarioId);
+      }
+      HistoryManager.load(data?.scenarioId, TerminalTabs.main?.state);
     });
 
   } catch (err) {
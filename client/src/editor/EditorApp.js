@@ -5,13 +5,14 @@
  * Admin-only page - requires authentication and admin role.
  */
 
-import { API_BASE, authAPI } from '../api.js';
+import { API_BASE, authAPI, consoleAPI } from '../api.js';
 
 class EditorApp {
     constructor() {
         this.scenarios = {};
         this.currentScenarioId = null;
         this.user = null;
+        this.commands = [];
 
         this.init();
     }
@@ -24,6 +25,7 @@ class EditorApp {
         }
         
         await this.loadScenarios();
+        await this.loadCommands();
         this.renderScenarioList();
         this.setupEventListeners();
     }
@@ -96,6 +98,43 @@ class EditorApp {
         }
     }
 
+    /**
+     * Load the console's command registry: its commands are suggested for
+     * a task's Check Command
+     */
+    async loadCommands() {
+        try {
+            const { commands } = await consoleAPI.commands();
+            this.commands = commands || [];
+        } catch (error) {
+            console.error('Failed to load console commands:', error);
+        }
+    }
+
+    /**
+     * Fill the Check Command suggestions: built-in commands and the
+     * scenario's custom commands, each with its summary
+     */
+    renderCommandList(scenario) {
+        let list = document.getElementById('commandList');
+        if (!list) {
+            list = document.createElement('datalist');
+            list.id = 'commandList';
+            document.body.appendChild(list);
+        }
+
+        const custom = (scenario.customCommands || []).map(c => ({ name: c.name, summary: c.description || '' }));
+        list.innerHTML = '';
+        [...this.commands, ...custom].forEach(command => {
+            [command.name, ...(command.aliases || [])].forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.label = command.summary;
+                list.appendChild(option);
+            });
+        });
+    }
+
     renderScenarioList() {
         const list = document.getElementById('scenarioList');
         list.innerHTML = '';
@@ -132,6 +171,7 @@ class EditorApp {
         document.getElementById('scenarioObjects').value = (scenario.interactableObjects || []).join(', ');
         document.getElementById('scenarioCommands').value = JSON.stringify(scenario.customCommands || [], null, 2);
 
+        this.renderCommandList(scenario);
         this.renderTasks(scenario.tasks);
     }
 
@@ -185,12 +225,16 @@ class EditorApp {
                 <!-- Command Fields -->
                 <div class="form-group" style="${(task.checkType === 'interaction' || task.checkType === 'flag') ? 'display:none' : ''}">
                     <label>Check Command</label>
-                    <input type="text" value="${task.checkCommand || ''}" onchange="window.editorApp.updateTask(${index}, 'checkCommand', this.value)">
+                    <input type="text" list="commandList" value="${task.checkCommand || ''}" onchange="window.editorApp.updateTask(${index}, 'checkCommand', this.value)">
                 </div>
                 <div class="form-group" style="${(task.checkType === 'interaction' || task.checkType === 'flag') ? 'display:none' : ''}">
                     <label>Check Args (comma separated)</label>
                     <input type="text" value="${(task.checkArgs || []).join(', ')}" onchange="window.editorApp.updateTask(${index}, 'checkArgs', this.value)">
                 </div>
+                <div class="form-group" style="${(task.checkType === 'interaction' || task.checkType === 'flag') ? 'display:none' : ''}">
+                    <label>Command Matcher (JSON, replaces Check Args)</label>
+                    <textarea class="code-editor" rows="4" placeholder='{ "flags": ["-i"], "optionalFlags": ["-n"], "args": [{ "regex": "^failed$", "ignoreCase": true }, { "path": "/var/log/auth.log" }] }' onchange="window.editorApp.updateTask(${index}, 'checkMatch', this.value)">${task.checkMatch ? JSON.stringify(task.checkMatch, null, 2) : ''}</textarea>
+                </div>
 
                 <!-- Interaction Fields -->
                 <div class="form-group" style="${task.checkType !== 'interaction' ? 'display:none' : ''}">
@@ -219,11 +263,11 @@ class EditorApp {
                 val = parseInt(value) || 0;
             } else if (field === 'checkArgs') {
                 val = value.split(',').map(s => s.trim()).filter(s => s);
-            } else if (field === 'onInteract') {
+            } else if (field === 'onInteract' || field === 'checkMatch') {
                 try {
                     val = value ? JSON.parse(value) : null;
                 } catch (e) {
-                    console.error('Invalid JSON for onInteract');
+                    console.error(`Invalid JSON for ${field}`);
                     // Don't update if invalid JSON to avoid data loss, or maybe alert user
                     return;
                 }
@@ -162,20 +162,97 @@ export async function initSchema(db) {
     )
   `);
 
-  // User VFS state table (per user, per scenario)
+  // User VFS state table (per user, per scenario, per host)
+  // host_chain (workstation row only) is the stack of open ssh sessions
   await db.exec(`
     CREATE TABLE IF NOT EXISTS user_vfs_state (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
       scenario_code TEXT NOT NULL,
+      host TEXT NOT NULL DEFAULT 'localhost',
       cwd TEXT NOT NULL DEFAULT '/home/user',
       vfs_data TEXT NOT NULL DEFAULT '{}',
+      env_data TEXT NOT NULL DEFAULT '{}',
+      alias_data TEXT NOT NULL DEFAULT '{}',
+      host_chain TEXT NOT NULL DEFAULT '[]',
       updated_at TEXT NOT NULL DEFAULT (datetime('now')),
       FOREIGN KEY (user_id) REFERENCES users(id),
-      UNIQUE(user_id, scenario_code)
+      UNIQUE(user_id, scenario_code, host)
     )
   `);
 
+  // Add env_data column (shell variables) to existing user_vfs_state table if it doesn't exist
+  try {
+    const tableInfo = await db.all("PRAGMA table_info(user_vfs_state)");
+    const hasEnvColumn = tableInfo.some(col => col.name === 'env_data');
+
+    if (!hasEnvColumn) {
+      await db.exec(`
+        ALTER TABLE user_vfs_state ADD COLUMN env_data TEXT NOT NULL DEFAULT '{}'
+      `);
+      console.log('Added env_data column to user_vfs_state table');
+    } else {
+      console.log('env_data column already exists');
+    }
+  } catch (error) {
+    console.warn('Error checking/adding env_data column:', error.message);
+  }
+
+  // Add host and host_chain columns to existing user_vfs_state table if they don't exist.
+  // The unique key changes to (user_id, scenario_code, host), so the table is rebuilt;
+  // existing states become the workstation's.
+  try {
+    const tableInfo = await db.all("PRAGMA table_info(user_vfs_state)");
+    const hasHostColumn = tableInfo.some(col => col.name === 'host');
+
+    if (!hasHostColumn) {
+      await db.exec(`
+        BEGIN;
+        CREATE TABLE user_vfs_state_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          scenario_code TEXT NOT NULL,
+          host TEXT NOT NULL DEFAULT 'localhost',
+          cwd TEXT NOT NULL DEFAULT '/home/user',
+          vfs_data TEXT NOT NULL DEFAULT '{}',
+          env_data TEXT NOT NULL DEFAULT '{}',
+          host_chain TEXT NOT NULL DEFAULT '[]',
+          updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+          FOREIGN KEY (user_id) REFERENCES users(id),
+          UNIQUE(user_id, scenario_code, host)
+        );
+        INSERT INTO user_vfs_state_new (id, user_id, scenario_code, cwd, vfs_data, env_data, updated_at)
+          SELECT id, user_id, scenario_code, cwd, vfs_data, env_data, updated_at FROM user_vfs_state;
+        DROP TABLE user_vfs_state;
+        ALTER TABLE user_vfs_state_new RENAME TO user_vfs_state;
+        COMMIT;
+      `);
+      console.log('Added host and host_chain columns to user_vfs_state table');
+    } else {
+      console.log('host column already exists');
+    }
+  } catch (error) {
+    await db.exec('ROLLBACK').catch(() => {});
+    console.warn('Error checking/adding host column:', error.message);
+  }
+
+  // Add alias_data column (shell aliases) to existing user_vfs_state table if it doesn't exist
+  try {
+    const tableInfo = await db.all("PRAGMA table_info(user_vfs_state)");
+    const hasAliasColumn = tableInfo.some(col => col.name === 'alias_data');
+
+    if (!hasAliasColumn) {
+      await db.exec(`
+        ALTER TABLE user_vfs_state ADD COLUMN alias_data TEXT NOT NULL DEFAULT '{}'
+      `);
+      console.log('Added alias_data column to user_vfs_state table');
+    } else {
+      console.log('alias_data column already exists');
+    }
+  } catch (error) {
+    console.warn('Error checking/adding alias_data column:', error.message);
+  }
+
   // User devices table (per user, per scenario)
   await db.exec(`
     CREATE TABLE IF NOT EXISTS user_devices (
@@ -188,6 +265,7 @@ export async function initSchema(db) {
       partition_name TEXT NOT NULL,
       mounted INTEGER NOT NULL DEFAULT 0,
       mount_point TEXT,
+      read_only INTEGER NOT NULL DEFAULT 0,
       device_data TEXT NOT NULL DEFAULT '{}',
       created_at TEXT NOT NULL DEFAULT (datetime('now')),
       FOREIGN KEY (user_id) REFERENCES users(id),
@@ -195,6 +273,23 @@ export async function initSchema(db) {
     )
   `);
 
+  // Add read_only column (mount -o ro) to existing user_devices table if it doesn't exist
+  try {
+    const tableInfo = await db.all("PRAGMA table_info(user_devices)");
+    const hasReadOnlyColumn = tableInfo.some(col => col.name === 'read_only');
+
+    if (!hasReadOnlyColumn) {
+      await db.exec(`
+        ALTER TABLE user_devices ADD COLUMN read_only INTEGER NOT NULL DEFAULT 0
+      `);
+      console.log('Added read_only column to user_devices table');
+    } else {
+      console.log('read_only column already exists');
+    }
+  } catch (error) {
+    console.warn('Error checking/adding read_only column:', error.message);
+  }
+
   // User stats table (for tracking hints, etc.)
   await db.exec(`
     CREATE TABLE IF NOT EXISTS user_stats (
@@ -253,6 +348,109 @@ export async function initSchema(db) {
     console.log('Index on task_attempts already exists or error:', error.message);
   }
 
+  // Extra console terminals (per user, per scenario). The main terminal keeps
+  // its cwd and ssh chain in user_vfs_state; each extra one has its own here:
+  // cwd_data maps host -> cwd, host_chain is its stack of open ssh sessions
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS shell_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      scenario_code TEXT NOT NULL,
+      name TEXT NOT NULL,
+      cwd_data TEXT NOT NULL DEFAULT '{}',
+      host_chain TEXT NOT NULL DEFAULT '[]',
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Shell history (per user, per scenario, per terminal), oldest first by id;
+  // shell_id is NULL for the main terminal
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS shell_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      scenario_code TEXT NOT NULL,
+      shell_id INTEGER,
+      command TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (shell_id) REFERENCES shell_sessions(id)
+    )
+  `);
+
+  // Add shell_id column to existing shell_history table if it doesn't exist
+  try {
+    const tableInfo = await db.all("PRAGMA table_info(shell_history)");
+    const hasShellColumn = tableInfo.some(col => col.name === 'shell_id');
+
+    if (!hasShellColumn) {
+      await db.exec(`
+        ALTER TABLE shell_history ADD COLUMN shell_id INTEGER REFERENCES shell_sessions(id)
+      `);
+      console.log('Added shell_id column to shell_history table');
+    } else {
+      console.log('shell_id column already exists');
+    }
+  } catch (error) {
+    console.warn('Error checking/adding shell_id column:', error.message);
+  }
+
+  try {
+    await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_shell_history_user_scenario
+      ON shell_history(user_id, scenario_code)
+    `);
+  } catch (error) {
+    console.log('Index on shell_history already exists or error:', error.message);
+  }
+
+  try {
+    await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_shell_sessions_user_scenario
+      ON shell_sessions(user_id, scenario_code)
+    `);
+  } catch (error) {
+    console.log('Index on shell_sessions already exists or error:', error.message);
+  }
+
+  // Console session recordings: one row per terminal session, its events
+  // ([time, type, data] as in asciicast v2) stored in chunks as they arrive
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS console_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      scenario_code TEXT,
+      width INTEGER NOT NULL DEFAULT 80,
+      height INTEGER NOT NULL DEFAULT 24,
+      duration REAL NOT NULL DEFAULT 0,
+      started_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS console_session_chunks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL,
+      events TEXT NOT NULL DEFAULT '[]',
+      FOREIGN KEY (session_id) REFERENCES console_sessions(id)
+    )
+  `);
+
+  try {
+    await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_console_sessions_user
+      ON console_sessions(user_id)
+    `);
+    await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_console_session_chunks_session
+      ON console_session_chunks(session_id)
+    `);
+  } catch (error) {
+    console.log('Indexes on console sessions already exist or error:', error.message);
+  }
+
   // Event log table for anonymous evaluation tracking
   await db.exec(`
     CREATE TABLE IF NOT EXISTS event_log (
@@ -7,11 +7,14 @@
  * GET /api/admin/logs - Paginated event logs with filters
  * GET /api/admin/stats - Aggregated statistics
  * GET /api/admin/users - List all users with their stats
+ * GET /api/admin/users/:userId/sessions - A user's console recordings
+ * GET /api/admin/users/:userId/sessions/:id.cast - A recording in asciicast v2
  */
 
 import express from 'express';
 import { getDb } from '../db/db.js';
 import { requireAdmin } from '../middleware/auth.js';
+import { listSessions, getRecording, formatAsciicast } from '../services/sessionRecording.js';
 
 const router = express.Router();
 
@@ -591,5 +594,58 @@ router.get('/scenario-codes', async (req, res) => {
   }
 });
 
+/**
+ * List a user's recorded console sessions, newest first
+ * GET /api/admin/users/:userId/sessions
+ */
+router.get('/users/:userId/sessions', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    if (!userId || isNaN(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    res.json({ sessions: await listSessions(userId) });
+  } catch (error) {
+    console.error('Admin sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+/**
+ * Download a recorded console session as an asciicast v2 file
+ * (playable with asciinema or the dashboard's player)
+ * GET /api/admin/users/:userId/sessions/:id.cast
+ */
+router.get('/users/:userId/sessions/:id.cast', async (req, res) => {
+  try {
+    const db = getDb();
+    const userId = parseInt(req.params.userId);
+    const sessionId = parseInt(req.params.id);
+
+    if (!userId || isNaN(userId) || !sessionId || isNaN(sessionId)) {
+      return res.status(400).json({ error: 'Invalid user or session ID' });
+    }
+
+    const recording = await getRecording(userId, sessionId);
+    if (!recording) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const user = await db.get('SELECT display_name, email FROM users WHERE id = ?', userId);
+    const title = [user?.display_name || user?.email, recording.session.scenario_code]
+      .filter(Boolean)
+      .join(' - ');
+
+    res.setHeader('Content-Type', 'application/x-asciicast');
+    res.setHeader('Content-Disposition', `attachment; filename="session-${userId}-${sessionId}.cast"`);
+    res.send(formatAsciicast(recording.session, recording.events, { title }));
+  } catch (error) {
+    console.error('Admin session cast error:', error);
+    res.status(500).json({ error: 'Failed to export session' });
+  }
+});
+
 export { router as adminRoutes };
 
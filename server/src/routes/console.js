@@ -7,11 +7,26 @@
 import express from 'express';
 import { getDb } from '../db/db.js';
 import { authenticate } from '../middleware/auth.js';
-import { getVFS, updateVFS, resolvePath, normalizePath, getNode } from '../vfs/vfs.js';
+import { getVFS, updateVFS, setHostChain, scenarioHosts, findHost, homeOf, LOCAL_HOST, DEFAULT_ENV, resolvePath, normalizePath, getNode, lookupPath, writeFile, makeDir, createNode, getNodeMeta, parseMode, readContent, nodeBytes, toBytes, fromBytes, isBinaryString, ACCOUNT_NAMES } from '../vfs/vfs.js';
+import { openImage, carveFiles, CARVE_TYPES } from '../vfs/diskImage.js';
+import { toBodyLine, parseBodyFile, buildTimeline, parseDateRange } from '../services/timeline.js';
+import { runPlugin, VOL_PLUGINS } from '../services/volatility.js';
+import { parseCapture, displayField, formatTcpdump, formatTshark, formatFields, protocolHierarchy, ipConversations } from '../services/packetCapture.js';
+import { compileBpf, compileDisplayFilter } from '../services/packetFilter.js';
+import { formatXxd, formatHexdump, reverseXxd, extractStrings, identifyFile } from '../services/binaryAnalysis.js';
+import { isGzip, gunzip, readTar, readZip, extractZipEntry } from '../services/archive.js';
+import { encodeBase64, decodeBase64, encodeBase32, decodeBase32, cipherInfo, opensslCipher, DECODE_OPERATIONS, runDecodeChain } from '../services/codec.js';
 import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { logEvent, EventTypes } from '../services/eventLog.js';
+import { parseCommandLine, expandAliases, expandWord, isAssignment, globToRegExp, escapeRegExp } from '../services/shellParser.js';
+import { completeLine } from '../services/completion.js';
+import { getHistory, appendHistory, clearHistory } from '../services/shellHistory.js';
+import { listCommands, commandNames, findCommand, formatHelp, formatUsage, formatManPage } from '../services/commandRegistry.js';
+import { createSession, appendEvents } from '../services/sessionRecording.js';
+import { listShells, createShell, renameShell, deleteShell, getShell, saveShell } from '../services/shellSessions.js';
 
 const router = express.Router();
 
@@ -27,39 +42,48 @@ try {
   console.error('Error loading scenarios:', error);
 }
 
+// Names a shell variable may have
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Names an alias may have: no blanks, quotes, expansions or shell operators
+const ALIAS_NAME = /^[^\s'"`$\\/|;&<>()=]+$/;
+
+// Files source/. may open inside each other (a file that sources itself)
+const MAX_SOURCE_DEPTH = 32;
+
 /**
  * Execute console command
  * POST /api/console/execute
- * Body: { scenarioCode, command }
+ * Body: { scenarioCode, command, historyLine?, shellId? }
+ * The line is recorded in the shell history first (`historyLine` when the
+ * client runs what the user typed as another command, e.g. less as cat).
+ * `shellId` runs it in one of the extra terminals instead of the main one.
+ * Returns { output, error, status, promptPath, promptHost, stages }: `status`
+ * is the line's exit status, `error` what reached stderr (diagnostics of a
+ * command that succeeded included), `stages` every command that ran as
+ * { argv, cwd } for the client's task checks
  */
 router.post('/execute', authenticate, async (req, res) => {
   try {
-    const { scenarioCode, command } = req.body;
+    const { scenarioCode, command, historyLine } = req.body;
     const userId = req.user.id || req.user.userId;
+    const shellId = parseShellId(req.body.shellId);
 
     if (!scenarioCode || !command) {
       return res.status(400).json({ error: 'scenarioCode and command are required' });
     }
-
-    // Get or initialize VFS
-    const { vfs, cwd } = await getVFS(userId, scenarioCode);
-
-    // Parse command
-    const { cmd, args } = parseCommand(command);
-
-    // Execute command
-    const result = executeCommand(cmd, args, vfs, cwd, scenarioCode);
-
-    // Update VFS if cwd changed
-    if (result.newCwd && result.newCwd !== cwd) {
-      await updateVFS(userId, scenarioCode, { cwd: result.newCwd });
+    if (shellId === undefined) {
+      return res.status(400).json({ error: 'Invalid shellId' });
     }
 
-    // Update VFS structure if modified
-    if (result.vfsModified) {
-      await updateVFS(userId, scenarioCode, { vfs });
+    const shell = await getShell(userId, scenarioCode, shellId);
+    if (!shell) {
+      return res.status(404).json({ error: 'Shell not found' });
     }
 
+    await appendHistory(userId, scenarioCode, typeof historyLine === 'string' ? historyLine : command, shellId);
+    const { result, session, prompt } = await runInShell(userId, scenarioCode, shell, command);
+
     // Log command execution event for evaluation tracking
     await logEvent({
       participantId: req.participantId,
@@ -67,16 +91,20 @@ router.post('/execute', authenticate, async (req, res) => {
       eventType: EventTypes.COMMAND_EXECUTE,
       scenarioCode,
       eventData: {
-        command: cmd,
-        hasError: !!result.error,
+        command: result.commands[0] || '',
+        pipeline: result.commands.length > 1 ? result.commands : undefined,
+        hasError: result.status !== 0,
         errorMessage: result.error || null
       }
     });
+    await logTamperAttempts(req, userId, scenarioCode, session);
 
     res.json({
       output: result.output || '',
       error: result.error || null,
-      promptPath: result.newCwd || cwd
+      status: result.status,
+      ...prompt,
+      stages: result.stages
     });
   } catch (error) {
     console.error('Console execution error:', error);
@@ -85,40 +113,435 @@ router.post('/execute', authenticate, async (req, res) => {
 });
 
 /**
- * Parse command line into command and arguments
+ * Start a shell session: runs ~/.bashrc of the host the terminal is on, like
+ * bash does for a new interactive shell (the scenario's profile sets
+ * variables and aliases, and may greet the user)
+ * POST /api/console/login
+ * Body: { scenarioCode, shellId? }
+ * Returns { output, error, promptPath, promptHost }
  */
-function parseCommand(line) {
-  if (!line) return { cmd: '', args: [] };
+router.post('/login', authenticate, async (req, res) => {
+  try {
+    const { scenarioCode } = req.body;
+    const userId = req.user.id || req.user.userId;
+    const shellId = parseShellId(req.body.shellId);
+
+    if (!scenarioCode) {
+      return res.status(400).json({ error: 'scenarioCode is required' });
+    }
+    if (shellId === undefined) {
+      return res.status(400).json({ error: 'Invalid shellId' });
+    }
 
-  const tokens = [];
-  let cur = '';
-  let inQ = false;
+    const shell = await getShell(userId, scenarioCode, shellId);
+    if (!shell) {
+      return res.status(404).json({ error: 'Shell not found' });
+    }
 
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      inQ = !inQ;
-    } else if (ch === ' ' && !inQ) {
-      if (cur) tokens.push(cur);
-      cur = '';
-    } else {
-      cur += ch;
+    const { result, session, prompt } = await runInShell(userId, scenarioCode, shell, 'source ~/.bashrc', { profile: true });
+    await logTamperAttempts(req, userId, scenarioCode, session);
+
+    res.json({
+      output: result.output || '',
+      error: result.error || null,
+      ...prompt
+    });
+  } catch (error) {
+    console.error('Console login error:', error);
+    res.status(500).json({ error: 'Failed to start the shell' });
+  }
+});
+
+/**
+ * Complete the word before the cursor
+ * POST /api/console/complete
+ * Body: { scenarioCode, line, shellId? } (line: the input up to the cursor)
+ * Returns { word, candidates }: command names, scenario custom commands and
+ * aliases included, for the first word of a command; otherwise paths in the VFS of
+ * the host the console is on
+ */
+router.post('/complete', authenticate, async (req, res) => {
+  try {
+    const { scenarioCode, line } = req.body;
+    const userId = req.user.id || req.user.userId;
+    const shellId = parseShellId(req.body.shellId);
+
+    if (!scenarioCode || typeof line !== 'string' || shellId === undefined) {
+      return res.status(400).json({ error: 'scenarioCode and line are required' });
+    }
+
+    const shell = await getShell(userId, scenarioCode, shellId);
+    if (!shell) {
+      return res.status(404).json({ error: 'Shell not found' });
+    }
+    const { chain } = shell;
+    const host = chain.length > 0 ? chain[chain.length - 1].host : LOCAL_HOST;
+    const state = await getVFS(userId, scenarioCode, host);
+    const { vfs, env, aliases } = state;
+    const cwd = shell.cwds ? shell.cwds[host] || env.HOME || '/' : state.cwd;
+    const commands = [...commandNames(scenariosData?.[scenarioCode]?.customCommands), ...Object.keys(aliases)];
+
+    res.json(completeLine(line, { vfs, cwd, env, commands }));
+  } catch (error) {
+    console.error('Console completion error:', error);
+    res.status(500).json({ error: 'Completion failed' });
+  }
+});
+
+/**
+ * Shell history of the scenario, oldest first
+ * GET /api/console/history?scenarioCode=...&shellId=...
+ * Returns { history } (of the main terminal unless shellId is given)
+ */
+router.get('/history', authenticate, async (req, res) => {
+  try {
+    const { scenarioCode } = req.query;
+    const userId = req.user.id || req.user.userId;
+    const shellId = parseShellId(req.query.shellId);
+
+    if (!scenarioCode || shellId === undefined) {
+      return res.status(400).json({ error: 'scenarioCode is required' });
+    }
+
+    res.json({ history: await getHistory(userId, scenarioCode, shellId) });
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json({ error: 'Failed to get history' });
+  }
+});
+
+/**
+ * Record a command line run by the client itself (lsblk, mount, scenario ...)
+ * POST /api/console/history
+ * Body: { scenarioCode, command, shellId? }
+ */
+router.post('/history', authenticate, async (req, res) => {
+  try {
+    const { scenarioCode, command } = req.body;
+    const userId = req.user.id || req.user.userId;
+    const shellId = parseShellId(req.body.shellId);
+
+    if (!scenarioCode || typeof command !== 'string' || shellId === undefined) {
+      return res.status(400).json({ error: 'scenarioCode and command are required' });
+    }
+    if (!await getShell(userId, scenarioCode, shellId)) {
+      return res.status(404).json({ error: 'Shell not found' });
+    }
+
+    await appendHistory(userId, scenarioCode, command, shellId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Record history error:', error);
+    res.status(500).json({ error: 'Failed to record history' });
+  }
+});
+
+/**
+ * The extra terminals open in a scenario (the main terminal is implicit)
+ * GET /api/console/shells?scenarioCode=...
+ * Returns { shells }: { id, name, promptPath, promptHost } each, oldest first
+ */
+router.get('/shells', authenticate, async (req, res) => {
+  try {
+    const { scenarioCode } = req.query;
+    const userId = req.user.id || req.user.userId;
+
+    if (!scenarioCode) {
+      return res.status(400).json({ error: 'scenarioCode is required' });
+    }
+
+    res.json({ shells: await listShells(userId, scenarioCode) });
+  } catch (error) {
+    console.error('List shells error:', error);
+    res.status(500).json({ error: 'Failed to list terminals' });
+  }
+});
+
+/**
+ * Open an extra terminal
+ * POST /api/console/shells
+ * Body: { scenarioCode, name? }
+ * Returns { shell }
+ */
+router.post('/shells', authenticate, async (req, res) => {
+  try {
+    const { scenarioCode, name } = req.body;
+    const userId = req.user.id || req.user.userId;
+
+    if (!scenarioCode) {
+      return res.status(400).json({ error: 'scenarioCode is required' });
+    }
+
+    const result = await createShell(userId, scenarioCode, name);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Create shell error:', error);
+    res.status(500).json({ error: 'Failed to open terminal' });
+  }
+});
+
+/**
+ * Rename an extra terminal
+ * PATCH /api/console/shells/:id
+ * Body: { name }
+ * Returns { shell }
+ */
+router.patch('/shells/:id', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const shellId = parseShellId(req.params.id);
+
+    if (!shellId) {
+      return res.status(400).json({ error: 'Invalid shell id' });
+    }
+
+    const result = await renameShell(userId, shellId, req.body.name);
+    if (!result) {
+      return res.status(404).json({ error: 'Shell not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Rename shell error:', error);
+    res.status(500).json({ error: 'Failed to rename terminal' });
+  }
+});
+
+/**
+ * Close an extra terminal, forgetting its history
+ * DELETE /api/console/shells/:id
+ */
+router.delete('/shells/:id', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const shellId = parseShellId(req.params.id);
+
+    if (!shellId) {
+      return res.status(400).json({ error: 'Invalid shell id' });
+    }
+
+    if (!await deleteShell(userId, shellId)) {
+      return res.status(404).json({ error: 'Shell not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete shell error:', error);
+    res.status(500).json({ error: 'Failed to close terminal' });
+  }
+});
+
+/**
+ * Describe the console commands (usage, options, examples)
+ * GET /api/console/commands?scenarioCode=...
+ * Returns { commands }: the built-ins and, given a scenario, its custom commands
+ */
+router.get('/commands', authenticate, (req, res) => {
+  const customCommands = scenariosData?.[req.query.scenarioCode]?.customCommands;
+  res.json({ commands: listCommands(customCommands) });
+});
+
+/**
+ * Start recording a console session
+ * POST /api/console/sessions
+ * Body: { scenarioCode?, width, height } (terminal size in columns and rows)
+ * Returns { id } for posting the session's events
+ */
+router.post('/sessions', authenticate, async (req, res) => {
+  try {
+    const { scenarioCode, width, height } = req.body;
+    const userId = req.user.id || req.user.userId;
+
+    const id = await createSession(userId, scenarioCode, { width, height });
+    res.json({ id });
+  } catch (error) {
+    console.error('Start session recording error:', error);
+    res.status(500).json({ error: 'Failed to start session recording' });
+  }
+});
+
+/**
+ * Append events to a recording
+ * POST /api/console/sessions/:id/events
+ * Body: { events } - [time, type, data] in asciicast v2 form, time in
+ * seconds since the session started; type 'o' (output), 'i' (input) or
+ * 'r' (resize, data "COLSxROWS")
+ * Returns { stored }: the number of well-formed events kept
+ */
+router.post('/sessions/:id/events', authenticate, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    const userId = req.user.id || req.user.userId;
+
+    if (!sessionId || !Array.isArray(req.body.events)) {
+      return res.status(400).json({ error: 'A session id and an events array are required' });
+    }
+
+    const stored = await appendEvents(userId, sessionId, req.body.events);
+    if (stored === null) {
+      return res.status(404).json({ error: 'Session not found' });
     }
+    res.json({ stored });
+  } catch (error) {
+    console.error('Record session events error:', error);
+    res.status(500).json({ error: 'Failed to record session events' });
+  }
+});
+
+/**
+ * Execute a full command line against the VFS.
+ * Each pipeline stage receives the previous stage's output as stdin and
+ * redirected output is written straight into the (persisted) VFS.
+ * Words are expanded (variables, globs) right before their command runs.
+ * `session` carries per-user state besides the VFS: `env` (updated in place
+ * by NAME=value commands), `devices` (device name -> device_data),
+ * `readOnlyMounts` (mount points mounted with -o ro) and `tamperAttempts`
+ * (filled with { command, path } for every blocked write to evidence).
+ * `history` holds the shell history (this line included); `history -c`
+ * sets `historyCleared` for the route to clear it.
+ * `aliases` (name -> text) are expanded before the line is parsed; export,
+ * unset, alias and unalias set `envModified`/`aliasesModified` for the route
+ * to save them.
+ * `status` is the exit status of the last pipeline run; `error` holds what
+ * reached stderr, which commands also use for diagnostics (dd's summary).
+ * `stages` lists every command that ran as { argv, cwd }, cwd being the
+ * directory it ran in.
+ */
+function executeLine(line, vfs, cwd, scenarioCode, session = {}) {
+  const { env = {} } = session;
+  const { list, error: syntaxErr } = parseCommandLine(expandAliases(line, session.aliases));
+  const result = { output: '', error: null, status: 0, newCwd: cwd, vfsModified: false, envModified: false, commands: [], stages: [] };
+
+  if (syntaxErr) {
+    result.error = `bash: ${syntaxErr}`;
+    result.status = 2;
+    return result;
   }
-  if (cur) tokens.push(cur);
 
-  const cmd = tokens[0] || '';
-  const args = tokens.slice(1);
+  const outputs = [];
+  const errors = [];
+
+  for (const { connector, stages } of list) {
+    // `a && b` only runs b when a succeeded; `;` always runs the next command
+    if (connector === '&&' && result.status !== 0) continue;
+
+    let stdin = null;
+    // Like bash, a pipeline's status is that of its last command
+    let stageStatus = 0;
+
+    stages.forEach((stage, idx) => {
+      const ctx = { env, vfs, cwd: result.newCwd };
+
+      // NAME=value on its own sets a shell variable for the session
+      if (stage.words.every(isAssignment)) {
+        for (const word of stage.words) {
+          const [assignment] = expandWord(word, ctx, { glob: false });
+          const eq = assignment.indexOf('=');
+          env[assignment.slice(0, eq)] = assignment.slice(eq + 1);
+        }
+        result.envModified = true;
+        stageStatus = 0;
+        stdin = '';
+        return;
+      }
+
+      const argv = stage.words.flatMap(word => expandWord(word, ctx));
+      // A line that expands to no words ($UNSET) runs nothing and succeeds
+      if (argv.length === 0) {
+        stageStatus = 0;
+        stdin = '';
+        return;
+      }
+      const [cmd, ...args] = argv;
+      result.commands.push(cmd);
+
+      // Like bash, redirections are set up left to right before the command
+      // runs: each target is created/truncated and its descriptor points at
+      // it; stdout (1) and stderr (2) otherwise go to the pipe or terminal
+      const fds = { 1: { stream: 1 }, 2: { stream: 2 } };
+      const files = [];
+      const redirectError = (() => {
+        for (const redir of stage.redirects) {
+          if (redir.dup !== undefined) {
+            if (!fds[redir.dup]) return `bash: ${redir.dup}: Bad file descriptor`;
+            fds[redir.fd] = fds[redir.dup];
+            continue;
+          }
+          const targets = expandWord(redir.word, ctx);
+          if (targets.length !== 1) return `bash: ${redir.word.map(part => part.text).join('')}: ambiguous redirect`;
+          const abs = resolvePath(targets[0], result.newCwd);
+          const writeErr = checkWritable(abs, cmd, session, { vfs })
+            || writeFile(vfs, abs, '', redir.append);
+          if (writeErr) return `bash: ${targets[0]}: ${writeErr}`;
+          result.vfsModified = true;
+          fds[redir.fd] = { path: abs, content: '' };
+          files.push(fds[redir.fd]);
+        }
+        return null;
+      })();
+      if (redirectError) {
+        errors.push(redirectError);
+        stageStatus = 1;
+        stdin = '';
+        return;
+      }
+
+      result.stages.push({ argv, cwd: result.newCwd });
+      const res = executeCommand(cmd, args, vfs, result.newCwd, scenarioCode, stdin, session);
+
+      if (res.vfsModified) result.vfsModified = true;
+      // Like bash, cd inside a pipeline runs in a subshell and doesn't stick
+      if (stages.length === 1 && res.newCwd) result.newCwd = res.newCwd;
+      stageStatus = exitStatus(res);
 
-  return { cmd, args };
+      // Text flowing through pipes/redirects is newline-terminated like real stdout;
+      // binary and raw output (cat of an executable, dd) passes through byte for byte
+      const out = res.output || '';
+      const streams = { 1: '', 2: '' };
+      const send = (fd, data) => {
+        if (fds[fd].path) fds[fd].content += data;
+        else streams[fds[fd].stream] += data;
+      };
+      if (out) send(1, !res.raw && !out.endsWith('\n') && !isBinaryString(out) ? out + '\n' : out);
+      if (res.error) send(2, `${res.error}\n`);
+      for (const file of files) {
+        if (file.content) writeFile(vfs, file.path, file.content, true);
+      }
+      if (streams[2]) errors.push(streams[2].replace(/\n$/, ''));
+
+      if (idx === stages.length - 1) {
+        // The terminal adds its own line break after the output
+        if (streams[1]) outputs.push(streams[1].replace(/\n$/, ''));
+      } else {
+        stdin = streams[1];
+      }
+    });
+
+    result.status = stageStatus;
+  }
+
+  result.output = outputs.join('\n');
+  result.error = errors.length > 0 ? errors.join('\n') : null;
+  return result;
 }
 
 /**
- * Execute command against VFS
+ * Execute a single command against VFS
+ * stdin is the previous pipeline stage's output (null when not piped)
+ * `status` is the exit status for commands that can fail without an error
+ * message (grep with no match) or succeed with one (dd's summary); otherwise
+ * it follows from `error`. `raw` marks output that is data to pass on as is,
+ * without the line break text output gets
  */
-function executeCommand(cmd, args, vfs, cwd, scenarioCode) {
+function executeCommand(cmd, args, vfs, cwd, scenarioCode, stdin = null, session = {}) {
   let output = '';
   let error = null;
+  let status = null;
+  let raw = false;
   let newCwd = cwd;
   let vfsModified = false;
 
@@ -129,300 +552,3415 @@ function executeCommand(cmd, args, vfs, cwd, scenarioCode) {
 
     case 'ls':
       {
-        const target = args[0] || '.';
-        const showAll = args.includes('-la') || args.includes('-a');
-        const abs = target === '.' ? cwd : resolvePath(target, cwd);
-        const node = getNode(vfs, abs);
+        const opts = {};
+        const operands = [];
+        for (const arg of args) {
+          if (arg.startsWith('-') && arg.length > 1) {
+            const bad = [...arg.slice(1)].find(f => !'alhtri1d'.includes(f));
+            if (bad) {
+              error = `ls: invalid option -- '${bad}'`;
+              break;
+            }
+            for (const flag of arg.slice(1)) opts[flag] = true;
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
 
-        if (!node) {
-          error = `ls: ${target}: No such file or directory`;
-        } else if (node.type === 'file') {
-          output = abs.split('/').pop();
-        } else {
-          const entries = Object.keys(node.children || {}).filter(name => {
-            if (showAll) return true;
-            return !name.startsWith('.');
-          });
-          output = entries.length > 0 ? entries.join('\n') : '';
+        const targets = operands.length > 0 ? operands : ['.'];
+        const errors = [];
+        const files = [];
+        const dirs = [];
+
+        for (const target of targets) {
+          // A link operand is listed itself with -l or -d, unless named as a directory
+          const found = lookupPath(vfs, resolvePath(target, cwd), { follow: !(opts.l || opts.d) || namesDirectory(target) });
+          const node = found.node;
+          if (!node) {
+            errors.push(`ls: ${target}: ${found.error}`);
+          } else if (node.type !== 'dir' || opts.d) {
+            files.push({ name: target, node, path: found.path });
+          } else {
+            dirs.push({ target, node, path: found.path });
+          }
+        }
+
+        // Name order by default, newest first with -t, reversed with -r
+        const order = (entries) => {
+          const sorted = [...entries].sort((a, b) => (opts.t
+            ? Date.parse(getNodeMeta(b.node).mtime) - Date.parse(getNodeMeta(a.node).mtime) || a.name.localeCompare(b.name)
+            : a.name.localeCompare(b.name)));
+          return opts.r ? sorted.reverse() : sorted;
+        };
+        const render = (entries) => (opts.l ? formatLongListing(entries, opts) : entries.map(e => (opts.i ? `${inodeOf(e.node, e.path)} ${e.name}` : e.name)));
+
+        // Like ls, plain files come first and directories get a header when listing several
+        const blocks = files.length > 0 ? [render(order(files)).join('\n')] : [];
+        for (const { target, node, path } of order(dirs.map(d => ({ ...d, name: d.target })))) {
+          let entries = Object.entries(node.children || {})
+            .filter(([name]) => opts.a || !name.startsWith('.'))
+            .map(([name, child]) => ({ name, node: child, path: path === '/' ? `/${name}` : `${path}/${name}` }));
+          if (opts.a) {
+            const parentPath = resolvePath('..', path);
+            entries = [{ name: '.', node, path }, { name: '..', node: getNode(vfs, parentPath), path: parentPath }, ...entries];
+          }
+
+          const lines = render(order(entries));
+          if (opts.l) {
+            // Allocated size in 1K blocks, as ls prints it
+            const total = entries.reduce((sum, e) => sum + Math.ceil(getNodeMeta(e.node).size / 4096) * 4, 0);
+            lines.unshift(`total ${total}`);
+          }
+          const listing = lines.join('\n');
+          blocks.push(targets.length > 1 ? `${target}:${listing ? '\n' + listing : ''}` : listing);
         }
+
+        output = blocks.join('\n\n');
+        if (errors.length > 0) error = errors.join('\n');
       }
       break;
 
     case 'cd':
       {
-        if (!args[0]) {
-          newCwd = '/home/user';
+        // Without an operand cd goes to $HOME (unset or empty: the default home)
+        const dir = args[0] || session.env?.HOME || '/home/user';
+        const target = resolvePath(dir, cwd);
+        const { node, error: reason } = lookupPath(vfs, target);
+        if (reason === 'Too many levels of symbolic links') {
+          error = `cd: ${dir}: ${reason}`;
+        } else if (!node) {
+          error = `cd: ${dir}: No such directory`;
+        } else if (node.type !== 'dir') {
+          error = `cd: ${dir}: Not a directory`;
         } else {
-          const target = resolvePath(args[0], cwd);
-          const node = getNode(vfs, target);
-          if (!node) {
-            error = `cd: ${args[0]}: No such directory`;
-          } else if (node.type !== 'dir') {
-            error = `cd: ${args[0]}: Not a directory`;
-          } else {
-            newCwd = target;
-          }
+          newCwd = target;
         }
       }
       break;
 
     case 'cat':
       {
-        if (!args[0]) {
+        if (!args[0] && stdin !== null) {
+          output = stdin;
+        } else if (!args[0]) {
           error = 'cat: missing operand';
         } else {
-          const abs = resolvePath(args[0], cwd);
-          const node = getNode(vfs, abs);
-          if (!node) {
-            error = `cat: ${args[0]}: No such file`;
-          } else if (node.type === 'file') {
-            output = node.content || '';
-          } else {
-            error = `cat: ${args[0]}: Is a directory`;
+          const parts = [];
+          const errors = [];
+          for (const arg of args) {
+            const { node, error: reason } = lookupPath(vfs, resolvePath(arg, cwd));
+            if (reason === 'Too many levels of symbolic links') {
+              errors.push(`cat: ${arg}: ${reason}`);
+            } else if (!node) {
+              errors.push(`cat: ${arg}: No such file`);
+            } else if (node.type === 'file') {
+              parts.push(readContent(node));
+            } else {
+              errors.push(`cat: ${arg}: Is a directory`);
+            }
           }
+          output = parts.join(parts.every(p => p.endsWith('\n')) ? '' : '\n');
+          if (errors.length > 0) error = errors.join('\n');
         }
       }
       break;
 
     case 'grep':
       {
-        if (args.length < 2) {
-          error = 'grep: missing pattern or file';
-        } else {
-          const pattern = args[0];
-          const file = args[1];
-          const abs = resolvePath(file, cwd);
-          const node = getNode(vfs, abs);
-          if (!node || node.type !== 'file') {
-            error = `grep: ${file}: No such file`;
+        // Supported: -i -v -n -c -l -q -w -h -H -E -F -a -r/-R -e PATTERN
+        const opts = { a: false, i: false, v: false, n: false, c: false, l: false, q: false, w: false, h: false, H: false, E: false, F: false, r: false };
+        const operands = [];
+        let pattern = null;
+        let endOfOpts = false;
+
+        for (let i = 0; i < args.length && !error; i++) {
+          const arg = args[i];
+          if (!endOfOpts && arg === '--') {
+            endOfOpts = true;
+          } else if (!endOfOpts && arg === '-e') {
+            if (i + 1 >= args.length) error = "grep: option requires an argument -- 'e'";
+            else pattern = args[++i];
+          } else if (!endOfOpts && arg.startsWith('-') && arg.length > 1) {
+            for (const flag of arg.slice(1)) {
+              const key = flag === 'R' ? 'r' : flag;
+              if (!(key in opts)) {
+                error = `grep: invalid option -- '${flag}'\nUsage: grep [OPTION]... PATTERNS [FILE]...`;
+                break;
+              }
+              opts[key] = true;
+            }
           } else {
-            const lines = (node.content || '').split('\n');
-            const matches = lines.filter(line => line.includes(pattern));
-            output = matches.length > 0 ? matches.join('\n') : '';
+            operands.push(arg);
           }
         }
-      }
-      break;
+        if (error) break;
 
-    case 'echo':
-      output = args.join(' ');
-      break;
+        if (pattern === null) pattern = operands.shift();
+        if (pattern === undefined) {
+          error = 'grep: missing pattern or file\nUsage: grep [OPTION]... PATTERNS [FILE]...';
+          break;
+        }
 
-    case 'clear':
-      // No-op on server (client handles it)
-      output = '';
-      break;
+        let source = opts.F ? escapeRegExp(pattern) : posixClassesToJs(opts.E ? pattern : basicToExtendedRegex(pattern));
+        if (opts.w) source = `(?<!\\w)(?:${source})(?!\\w)`;
+        let re;
+        try {
+          re = new RegExp(source, opts.i ? 'i' : '');
+        } catch (e) {
+          error = `grep: Invalid regular expression: ${pattern}`;
+          break;
+        }
 
-    case 'mkdir':
-      {
-        if (!args[0]) {
-          error = 'mkdir: missing operand';
-        } else {
-          const abs = resolvePath(args[0], cwd);
-          const pathParts = abs.split('/').filter(Boolean);
-          if (pathParts.length === 0) {
-            error = 'mkdir: cannot create root directory';
-          } else {
-            let current = vfs;
-            // Navigate to parent directory
-            for (let i = 0; i < pathParts.length - 1; i++) {
-              if (!current.children || !current.children[pathParts[i]]) {
-                error = `mkdir: ${args[0]}: No such file or directory`;
-                break;
-              }
-              current = current.children[pathParts[i]];
-              if (current.type !== 'dir') {
-                error = `mkdir: ${args[0]}: Not a directory`;
-                break;
-              }
+        // Collect inputs as { name, content }
+        const inputs = [];
+        const errors = [];
+        let sawDirectory = false;
+
+        if (operands.length === 0 && !opts.r) {
+          if (stdin === null) {
+            error = 'grep: missing pattern or file\nUsage: grep [OPTION]... PATTERNS [FILE]...';
+            break;
+          }
+          inputs.push({ name: '(standard input)', content: stdin });
+        }
+
+        // grep -r without operands searches the cwd, printing names relative to it
+        const targets = operands.length > 0 ? operands : (opts.r ? ['.'] : []);
+        for (const target of targets) {
+          const abs = resolvePath(target, cwd);
+          const node = getNode(vfs, abs);
+          if (!node) {
+            errors.push(`grep: ${target}: No such file or directory`);
+          } else if (node.type === 'dir') {
+            if (!opts.r) {
+              errors.push(`grep: ${target}: Is a directory`);
+              continue;
             }
-            if (!error) {
-              const dirName = pathParts[pathParts.length - 1];
-              if (!current.children) current.children = {};
-              if (current.children[dirName]) {
-                error = `mkdir: ${args[0]}: File exists`;
-              } else {
-                current.children[dirName] = { type: 'dir', children: {} };
-                vfsModified = true;
+            sawDirectory = true;
+            const base = operands.length === 0 ? '' : target.replace(/\/+$/, '') + '/';
+            const walk = (dir, prefix) => {
+              for (const [name, child] of Object.entries(dir.children || {})) {
+                // Like grep -r, links met while recursing are not followed
+                if (child.type === 'symlink') continue;
+                if (child.type === 'dir') walk(child, `${prefix}${name}/`);
+                else inputs.push({ name: prefix + name, content: readContent(child) });
               }
-            }
+            };
+            walk(node, base);
+          } else {
+            inputs.push({ name: target, content: readContent(node) });
+          }
+        }
+
+        // GNU grep prefixes file names when more than one file can match
+        const showNames = opts.H || (!opts.h && (inputs.length > 1 || sawDirectory));
+        const results = [];
+        let selected = false;
+
+        for (const { name, content } of inputs) {
+          const lines = content.split('\n');
+          if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+
+          let count = 0;
+          const matched = [];
+          lines.forEach((line, idx) => {
+            if (re.test(line) === opts.v) return;
+            count++;
+            if (opts.c || opts.l) return;
+            const prefix = (showNames ? `${name}:` : '') + (opts.n ? `${idx + 1}:` : '');
+            matched.push(prefix + line);
+          });
+          if (count > 0) selected = true;
+
+          // Like GNU grep, matching lines of binary files are summarised unless -a
+          if (matched.length > 0 && !opts.a && isBinaryString(content)) {
+            results.push(`Binary file ${name} matches`);
+          } else {
+            results.push(...matched);
+          }
+
+          if (opts.l) {
+            if (count > 0) results.push(name);
+          } else if (opts.c) {
+            results.push(showNames ? `${name}:${count}` : String(count));
           }
         }
+
+        // -q only reports through the exit status
+        output = opts.q ? '' : results.join('\n');
+        // Like grep, exit 1 when no line was selected
+        if (errors.length > 0) error = errors.join('\n');
+        else if (!selected) status = 1;
       }
       break;
 
-    case 'touch':
+    case 'head':
+    case 'tail':
       {
-        if (!args[0]) {
-          error = 'touch: missing operand';
-        } else {
-          const abs = resolvePath(args[0], cwd);
-          const pathParts = abs.split('/').filter(Boolean);
-          if (pathParts.length === 0) {
-            error = 'touch: cannot create root';
-          } else {
-            let current = vfs;
-            // Navigate to parent directory
-            for (let i = 0; i < pathParts.length - 1; i++) {
-              if (!current.children || !current.children[pathParts[i]]) {
-                error = `touch: ${args[0]}: No such file or directory`;
-                break;
-              }
-              current = current.children[pathParts[i]];
-              if (current.type !== 'dir') {
-                error = `touch: ${args[0]}: Not a directory`;
-                break;
-              }
-            }
-            if (!error) {
-              const fileName = pathParts[pathParts.length - 1];
-              if (!current.children) current.children = {};
-              if (!current.children[fileName]) {
-                current.children[fileName] = { type: 'file', content: '' };
-                vfsModified = true;
-              }
-              // touch updates timestamp even if file exists (we just do nothing)
+        // head/tail [-n N | -N] [file...]; tail also accepts -n +N (from line N),
+        // head -n -N (all but the last N lines)
+        let count = 10;
+        let fromStart = false;
+        let allButLast = false;
+        const operands = [];
+        for (let i = 0; i < args.length && !error; i++) {
+          const arg = args[i];
+          let value = null;
+          if (arg === '-n') {
+            value = args[++i];
+          } else if (arg.startsWith('-n')) {
+            value = arg.slice(2);
+          } else if (/^-\d+$/.test(arg)) {
+            value = arg.slice(1);
+          } else if (arg.startsWith('-') && arg.length > 1) {
+            error = `${cmd}: invalid option -- '${arg.slice(1)}'`;
+          } else {
+            operands.push(arg);
+          }
+          if (value !== null) {
+            if (value === undefined || !/^[+-]?\d+$/.test(value)) {
+              error = `${cmd}: invalid number of lines: '${value ?? ''}'`;
+            } else {
+              fromStart = cmd === 'tail' && value.startsWith('+');
+              allButLast = cmd === 'head' && value.startsWith('-');
+              count = Math.abs(parseInt(value, 10));
             }
           }
         }
+        if (error) break;
+
+        const { inputs, errors } = readInputs(cmd, operands, vfs, cwd, stdin);
+        const blocks = inputs.map(({ name, content }) => {
+          const lines = splitLines(content);
+          let selected;
+          if (allButLast) selected = lines.slice(0, Math.max(lines.length - count, 0));
+          else if (cmd === 'head') selected = lines.slice(0, count);
+          else if (fromStart) selected = lines.slice(Math.max(count - 1, 0));
+          else selected = count === 0 ? [] : lines.slice(-count);
+          const body = selected.join('\n');
+          return inputs.length > 1 ? `==> ${name} <==\n${body}` : body;
+        });
+
+        output = blocks.join('\n\n');
+        if (errors.length > 0) error = errors.join('\n');
       }
       break;
 
-    case 'rm':
+    case 'wc':
       {
-        if (!args[0]) {
-          error = 'rm: missing operand';
-        } else {
-          const abs = resolvePath(args[0], cwd);
-          const pathParts = abs.split('/').filter(Boolean);
-          if (pathParts.length === 0) {
-            error = 'rm: cannot remove root';
-          } else {
-            let current = vfs;
-            // Navigate to parent directory
-            for (let i = 0; i < pathParts.length - 1; i++) {
-              if (!current.children || !current.children[pathParts[i]]) {
-                error = `rm: ${args[0]}: No such file or directory`;
-                break;
-              }
-              current = current.children[pathParts[i]];
+        const flags = { l: false, w: false, c: false };
+        const operands = [];
+        for (const arg of args) {
+          if (arg.startsWith('-') && arg.length > 1) {
+            for (const flag of arg.slice(1)) {
+              if (flag === 'm') flags.c = true;
+              else if (flag in flags) flags[flag] = true;
+              else error = `wc: invalid option -- '${flag}'`;
             }
-            if (!error) {
-              const name = pathParts[pathParts.length - 1];
-              if (!current.children || !current.children[name]) {
-                error = `rm: ${args[0]}: No such file or directory`;
-              } else {
-                delete current.children[name];
-                vfsModified = true;
-              }
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+        if (!flags.l && !flags.w && !flags.c) flags.l = flags.w = flags.c = true;
+
+        const { inputs, errors } = readInputs(cmd, operands, vfs, cwd, stdin);
+        const rows = inputs.map(({ name, content }) => ({
+          name: name === '-' ? '' : name,
+          l: (content.match(/\n/g) || []).length,
+          w: content.split(/\s+/).filter(Boolean).length,
+          c: toBytes(content).length
+        }));
+        if (rows.length > 1) {
+          rows.push(rows.reduce((tot, r) => ({ name: 'total', l: tot.l + r.l, w: tot.w + r.w, c: tot.c + r.c }),
+            { name: 'total', l: 0, w: 0, c: 0 }));
+        }
+
+        // GNU wc pads columns to the width of the largest byte count
+        const columns = ['l', 'w', 'c'].filter(k => flags[k]);
+        const fromStdin = operands.length === 0;
+        let width = Math.max(...rows.map(r => String(r.c).length), 1);
+        if (columns.length === 1 && rows.length === 1) width = 1;
+        else if (fromStdin) width = 7;
+
+        output = rows.map(r => {
+          const cols = columns.map(k => String(r[k]).padStart(width)).join(' ');
+          return r.name ? `${cols} ${r.name}` : cols;
+        }).join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'sort':
+      {
+        // sort [-n] [-r] [-u] [-f] [-t SEP] [-k N[,M]] [file...]
+        const opts = { n: false, r: false, u: false, f: false };
+        let sep = null;
+        let key = null;
+        const operands = [];
+        for (let i = 0; i < args.length && !error; i++) {
+          const arg = args[i];
+          if (arg === '-t' || arg === '-k') {
+            const value = args[++i];
+            if (value === undefined) {
+              error = `sort: option requires an argument -- '${arg[1]}'`;
+            } else if (arg === '-t') {
+              sep = value;
+            } else {
+              key = value;
+            }
+          } else if (arg.startsWith('-t') && arg.length > 2) {
+            sep = arg.slice(2);
+          } else if (arg.startsWith('-k') && arg.length > 2) {
+            key = arg.slice(2);
+          } else if (arg.startsWith('-') && arg.length > 1) {
+            for (const flag of arg.slice(1)) {
+              if (flag in opts) opts[flag] = true;
+              else error = `sort: invalid option -- '${flag}'`;
             }
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+
+        // -k START[,END] with optional per-key n/r modifiers (e.g. -k2n, -k3,3nr)
+        let keyStart = null;
+        let keyEnd = null;
+        if (key !== null) {
+          const match = key.match(/^(\d+)(?:\.\d+)?([a-z]*)(?:,(\d+)(?:\.\d+)?([a-z]*))?$/);
+          if (!match || parseInt(match[1], 10) < 1) {
+            error = `sort: invalid number at field start: invalid count at start of '${key}'`;
+            break;
           }
+          keyStart = parseInt(match[1], 10);
+          keyEnd = match[3] ? parseInt(match[3], 10) : null;
+          const modifiers = (match[2] || '') + (match[4] || '');
+          if (modifiers.includes('n')) opts.n = true;
+          if (modifiers.includes('r')) opts.r = true;
         }
+
+        const keyOf = (line) => {
+          if (keyStart === null) return line;
+          const fields = sep !== null ? line.split(sep) : line.trim().split(/\s+/);
+          const end = keyEnd === null ? fields.length : keyEnd;
+          return fields.slice(keyStart - 1, end).join(sep !== null ? sep : ' ');
+        };
+        const compareText = (a, b) => {
+          if (opts.f) {
+            a = a.toLowerCase();
+            b = b.toLowerCase();
+          }
+          return a < b ? -1 : a > b ? 1 : 0;
+        };
+        const compare = (a, b) => {
+          const ka = keyOf(a);
+          const kb = keyOf(b);
+          let res = opts.n
+            ? (parseFloat(ka) || 0) - (parseFloat(kb) || 0)
+            : compareText(ka, kb);
+          // Last-resort comparison on the whole line, as GNU sort does
+          if (res === 0 && !opts.u) res = compareText(a, b);
+          return opts.r ? -res : res;
+        };
+
+        const { inputs, errors } = readInputs(cmd, operands, vfs, cwd, stdin);
+        let lines = inputs.flatMap(({ content }) => splitLines(content));
+        lines.sort(compare);
+        if (opts.u) lines = lines.filter((line, i) => i === 0 || compare(lines[i - 1], line) !== 0);
+
+        output = lines.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
       }
       break;
 
-    case 'cp':
+    case 'uniq':
       {
-        // Parse flags and arguments
-        const recursive = args.includes('-r') || args.includes('-R');
-        const filteredArgs = args.filter(a => a !== '-r' && a !== '-R');
-        
-        if (filteredArgs.length < 2) {
-          error = 'cp: missing file operand';
-        } else {
-          const srcPath = resolvePath(filteredArgs[0], cwd);
-          const destPath = resolvePath(filteredArgs[1], cwd);
-          const srcNode = getNode(vfs, srcPath);
-          
-          if (!srcNode) {
-            error = `cp: ${filteredArgs[0]}: No such file or directory`;
-          } else if (srcNode.type === 'dir' && !recursive) {
-            error = `cp: -r not specified; omitting directory '${filteredArgs[0]}'`;
+        // uniq [-c] [-d] [-u] [-i] [input]
+        const opts = { c: false, d: false, u: false, i: false };
+        const operands = [];
+        for (const arg of args) {
+          if (arg.startsWith('-') && arg.length > 1) {
+            for (const flag of arg.slice(1)) {
+              if (flag in opts) opts[flag] = true;
+              else error = `uniq: invalid option -- '${flag}'`;
+            }
           } else {
-            // Deep clone function for copying nodes
-            const deepClone = (node) => {
-              if (node.type === 'file') {
-                return { type: 'file', content: node.content || '' };
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+        if (operands.length > 1) {
+          error = `uniq: extra operand '${operands[1]}'`;
+          break;
+        }
+
+        const { inputs, errors } = readInputs(cmd, operands, vfs, cwd, stdin);
+        const lines = inputs.length > 0 ? splitLines(inputs[0].content) : [];
+        const same = (a, b) => opts.i ? a.toLowerCase() === b.toLowerCase() : a === b;
+
+        // Collapse adjacent duplicates into [line, count] groups
+        const groups = [];
+        for (const line of lines) {
+          const last = groups[groups.length - 1];
+          if (last && same(last[0], line)) last[1]++;
+          else groups.push([line, 1]);
+        }
+
+        output = groups
+          .filter(([, n]) => (!opts.d || n > 1) && (!opts.u || n === 1))
+          .map(([line, n]) => opts.c ? `${String(n).padStart(7)} ${line}` : line)
+          .join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'cut':
+      {
+        // cut -d DELIM -f LIST [-s] [file...] | cut -c LIST [file...]
+        let delim = '\t';
+        let fieldList = null;
+        let charList = null;
+        let onlyDelimited = false;
+        const operands = [];
+        for (let i = 0; i < args.length && !error; i++) {
+          const arg = args[i];
+          const opt = arg.startsWith('-') && arg.length > 1 ? arg[1] : null;
+          if (opt === 'd' || opt === 'f' || opt === 'c') {
+            const value = arg.length > 2 ? arg.slice(2) : args[++i];
+            if (value === undefined) {
+              error = `cut: option requires an argument -- '${opt}'`;
+            } else if (opt === 'd') {
+              if (value.length !== 1) error = 'cut: the delimiter must be a single character';
+              else delim = value;
+            } else if (opt === 'f') {
+              fieldList = value;
+            } else {
+              charList = value;
+            }
+          } else if (arg === '-s') {
+            onlyDelimited = true;
+          } else if (opt) {
+            error = `cut: invalid option -- '${opt}'`;
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+
+        const list = fieldList ?? charList;
+        if (list === null) {
+          error = 'cut: you must specify a list of bytes, characters, or fields';
+          break;
+        }
+        const ranges = parseRangeList(list);
+        if (!ranges) {
+          error = `cut: invalid field value '${list}'`;
+          break;
+        }
+        const selected = (n) => ranges.some(([from, to]) => n >= from && n <= to);
+
+        const { inputs, errors } = readInputs(cmd, operands, vfs, cwd, stdin);
+        const lines = inputs.flatMap(({ content }) => splitLines(content));
+        output = lines.flatMap(line => {
+          if (charList !== null) {
+            return [[...line].filter((ch, i) => selected(i + 1)).join('')];
+          }
+          if (!line.includes(delim)) return onlyDelimited ? [] : [line];
+          return [line.split(delim).filter((f, i) => selected(i + 1)).join(delim)];
+        }).join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'tr':
+      {
+        // tr [-d] [-s] SET1 [SET2] (reads stdin only, like the real tr)
+        let del = false;
+        let squeeze = false;
+        const sets = [];
+        for (const arg of args) {
+          if (/^-[ds]+$/.test(arg)) {
+            if (arg.includes('d')) del = true;
+            if (arg.includes('s')) squeeze = true;
+          } else {
+            sets.push(arg);
+          }
+        }
+
+        if (sets.length === 0 || (!del && !squeeze && sets.length < 2)) {
+          error = sets.length === 0 ? 'tr: missing operand' : `tr: missing operand after '${sets[0]}'`;
+          break;
+        }
+        if (stdin === null) {
+          error = 'tr: no input (use a pipe, e.g. cat file | tr a-z A-Z)';
+          break;
+        }
+
+        const set1 = expandTrSet(sets[0]);
+        const set2 = sets[1] !== undefined ? expandTrSet(sets[1]) : [];
+        // -s squeezes SET2 when given (after translating/deleting), otherwise SET1
+        const squeezeSet = sets[1] !== undefined ? set2 : set1;
+        let result = '';
+        let prev = null;
+
+        for (const ch of stdin) {
+          let outCh = ch;
+          const idx = set1.indexOf(ch);
+          if (del && idx >= 0) continue;
+          if (!del && idx >= 0 && set2.length > 0) {
+            // SET2 is padded with its last character when shorter than SET1
+            outCh = set2[Math.min(idx, set2.length - 1)];
+          }
+          if (squeeze && outCh === prev && squeezeSet.includes(outCh)) continue;
+          result += outCh;
+          prev = outCh;
+        }
+        output = result;
+      }
+      break;
+
+    case 'find':
+      {
+        // find [path...] [-maxdepth N] [-mindepth N] [expression]
+        // Tests: -name -iname -type -size -newer -empty; actions: -print -exec
+        // Tests are ANDed; '!'/-not negates the next test and -o starts an alternative
+        const startPaths = [];
+        let i = 0;
+        while (i < args.length && !args[i].startsWith('-') && args[i] !== '!' && args[i] !== '(') {
+          startPaths.push(args[i++]);
+        }
+        if (startPaths.length === 0) startPaths.push('.');
+
+        let maxDepth = Infinity;
+        let minDepth = 0;
+        let hasAction = false;
+        const groups = [[]];
+        const execBatches = [];
+
+        for (; i < args.length && !error; i++) {
+          const arg = args[i];
+          let negate = false;
+          let pred = arg;
+          if (pred === '!' || pred === '-not') {
+            negate = true;
+            pred = args[++i];
+          }
+          if (pred === '-o' || pred === '-or') {
+            groups.push([]);
+            continue;
+          }
+          if (pred === '-a' || pred === '-and') continue;
+
+          const needsValue = ['-name', '-iname', '-type', '-size', '-newer', '-maxdepth', '-mindepth'];
+          let value = null;
+          if (needsValue.includes(pred)) {
+            value = args[++i];
+            if (value === undefined) {
+              error = `find: missing argument to \`${pred}'`;
+              break;
+            }
+          }
+
+          let test = null;
+          switch (pred) {
+            case '-maxdepth':
+            case '-mindepth':
+              if (!/^\d+$/.test(value)) {
+                error = `find: Expected a positive decimal integer argument to ${pred}, but got \`${value}'`;
+              } else if (pred === '-maxdepth') {
+                maxDepth = parseInt(value, 10);
+              } else {
+                minDepth = parseInt(value, 10);
               }
-              const cloned = { type: 'dir', children: {} };
-              if (node.children) {
-                for (const [name, child] of Object.entries(node.children)) {
-                  cloned.children[name] = deepClone(child);
-                }
+              continue;
+            case '-name':
+            case '-iname': {
+              const re = globToRegExp(value, pred === '-iname' ? 'i' : '');
+              test = ({ name }) => re.test(name);
+              break;
+            }
+            case '-type': {
+              const types = { f: 'file', d: 'dir', l: 'symlink' };
+              if (!types[value]) {
+                error = `find: Unknown argument to -type: ${value}`;
+                break;
               }
-              return cloned;
-            };
-            
-            // Create destination path if it doesn't exist
-            const destParts = destPath.split('/').filter(Boolean);
-            let destParent = vfs;
-            
-            // Create all parent directories for destination
-            for (let i = 0; i < destParts.length - 1; i++) {
-              if (!destParent.children) destParent.children = {};
-              if (!destParent.children[destParts[i]]) {
-                destParent.children[destParts[i]] = { type: 'dir', children: {} };
+              test = ({ node }) => node.type === types[value];
+              break;
+            }
+            case '-size': {
+              // GNU semantics: N[ckMG] rounded up to whole units, default unit 512-byte blocks
+              const match = value.match(/^([+-]?)(\d+)([bckMG]?)$/);
+              if (!match) {
+                error = `find: invalid -size type \`${value}'`;
+                break;
               }
-              destParent = destParent.children[destParts[i]];
+              const units = { b: 512, '': 512, c: 1, k: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+              const [, sign, num, unit] = match;
+              const n = parseInt(num, 10);
+              test = ({ node }) => {
+                if (node.type !== 'file') return false;
+                const size = Math.ceil(getNodeMeta(node).size / units[unit]);
+                return sign === '+' ? size > n : sign === '-' ? size < n : size === n;
+              };
+              break;
             }
-            
-            const destName = destParts[destParts.length - 1];
-            const existingDest = getNode(vfs, destPath);
-            
-            // If destination exists and is a directory, copy into it
-            if (existingDest && existingDest.type === 'dir') {
-              const srcName = srcPath.split('/').filter(Boolean).pop();
-              if (!existingDest.children) existingDest.children = {};
-              existingDest.children[srcName] = deepClone(srcNode);
-            } else {
-              // Copy to destination path
-              if (!destParent.children) destParent.children = {};
-              destParent.children[destName] = deepClone(srcNode);
+            case '-newer': {
+              const ref = getNode(vfs, resolvePath(value, cwd));
+              if (!ref) {
+                error = `find: '${value}': No such file or directory`;
+                break;
+              }
+              const refTime = Date.parse(getNodeMeta(ref).mtime);
+              test = ({ node }) => Date.parse(getNodeMeta(node).mtime) > refTime;
+              break;
             }
-            
-            vfsModified = true;
-            
-            // Generate output showing what was copied
-            const outputLines = [];
-            const listCopied = (node, srcBase, destBase) => {
-              if (node.type === 'file') {
-                outputLines.push(`  '${srcBase}' -> '${destBase}'`);
-              } else if (node.children) {
-                for (const [name, child] of Object.entries(node.children)) {
-                  listCopied(child, `${srcBase}/${name}`, `${destBase}/${name}`);
+            case '-empty':
+              test = ({ node }) => node.type === 'file'
+                ? !node.content
+                : node.type === 'dir' && Object.keys(node.children || {}).length === 0;
+              break;
+            case '-print':
+              hasAction = true;
+              test = ({ path }, out) => {
+                out.push(path);
+                return true;
+              };
+              break;
+            case '-exec': {
+              // -exec cmd args... {} \;   or   -exec cmd args... {} +
+              const cmdArgs = [];
+              let terminator = null;
+              for (i++; i < args.length; i++) {
+                if (args[i] === ';' || (args[i] === '+' && cmdArgs[cmdArgs.length - 1] === '{}')) {
+                  terminator = args[i];
+                  break;
                 }
+                cmdArgs.push(args[i]);
               }
-            };
-            
-            if (srcNode.type === 'dir') {
-              output = `Creating forensic working copies...`;
-              listCopied(srcNode, srcPath, destPath);
-              output += '\n' + outputLines.join('\n');
-              output += `\n\n[✓] Working copies created in ${destPath}/\n[!] Original evidence preserved - analysis will use copies.`;
-            } else {
-              output = `'${srcPath}' -> '${destPath}'`;
+              if (!terminator || cmdArgs.length === 0) {
+                error = 'find: missing argument to `-exec\'';
+                break;
+              }
+              hasAction = true;
+              if (terminator === '+') {
+                // Batch mode: collect paths and run once after the walk
+                const batch = { cmdArgs, paths: [] };
+                execBatches.push(batch);
+                test = ({ path }) => {
+                  batch.paths.push(path);
+                  return true;
+                };
+              } else {
+                test = ({ path }, out, errs) => {
+                  const [execCmd, ...execArgs] = cmdArgs.map(a => a.replaceAll('{}', path));
+                  const res = executeCommand(execCmd, execArgs, vfs, cwd, scenarioCode, null, session);
+                  if (res.vfsModified) vfsModified = true;
+                  if (res.output) out.push(res.output.replace(/\n$/, ''));
+                  if (res.error) errs.push(res.error);
+                  return exitStatus(res) === 0;
+                };
+              }
+              break;
+            }
+            default:
+              error = pred === undefined
+                ? `find: expected an expression after '${arg}'`
+                : `find: unknown predicate \`${pred}'`;
+          }
+          if (error) break;
+          groups[groups.length - 1].push(negate ? (...a) => !test(...a) : test);
+        }
+        if (error) break;
+
+        const results = [];
+        const errors = [];
+        const matches = (entry) => groups.some(tests => tests.every(t => t(entry, results, errors)));
+
+        const walk = (node, path, name, depth) => {
+          if (depth >= minDepth && matches({ node, path, name }) && !hasAction) {
+            results.push(path);
+          }
+          if (node.type === 'dir' && depth < maxDepth) {
+            for (const [childName, child] of Object.entries(node.children || {})) {
+              walk(child, path.endsWith('/') ? path + childName : `${path}/${childName}`, childName, depth + 1);
+            }
+          }
+        };
+
+        for (const start of startPaths) {
+          const abs = resolvePath(start, cwd);
+          // Links are never followed, except a starting point named as a directory
+          const node = getNode(vfs, abs, { follow: namesDirectory(start) });
+          if (!node) {
+            errors.push(`find: '${start}': No such file or directory`);
+            continue;
+          }
+          walk(node, start, abs.split('/').pop() || '/', 0);
+        }
+
+        for (const { cmdArgs, paths } of execBatches) {
+          if (paths.length === 0) continue;
+          const [execCmd, ...execArgs] = cmdArgs.flatMap(a => a === '{}' ? paths : [a]);
+          const res = executeCommand(execCmd, execArgs, vfs, cwd, scenarioCode, null, session);
+          if (res.vfsModified) vfsModified = true;
+          if (res.output) results.push(res.output.replace(/\n$/, ''));
+          if (res.error) errors.push(res.error);
+        }
+
+        output = results.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'md5sum':
+    case 'sha1sum':
+    case 'sha256sum':
+      {
+        const algorithm = { md5sum: 'md5', sha1sum: 'sha1', sha256sum: 'sha256' }[cmd];
+        const digest = (data) => createHash(algorithm).update(data).digest('hex');
+        const opts = { check: false, quiet: false };
+        const operands = [];
+        let endOfOpts = false;
+
+        for (const arg of args) {
+          if (endOfOpts || !arg.startsWith('-') || arg === '-') {
+            operands.push(arg);
+          } else if (arg === '--') {
+            endOfOpts = true;
+          } else if (arg === '-c' || arg === '--check') {
+            opts.check = true;
+          } else if (arg === '--quiet') {
+            opts.quiet = true;
+          } else {
+            error = `${cmd}: invalid option -- '${arg.replace(/^-+/, '')}'`;
+            break;
+          }
+        }
+        if (error) break;
+
+        if (operands.length === 0 && stdin === null) {
+          error = `${cmd}: missing file operand`;
+          break;
+        }
+        const targets = operands.length > 0 ? operands : ['-'];
+        const read = (name) => (name === '-'
+          ? { data: stdin ?? '', bytes: toBytes(stdin ?? ''), error: null }
+          : readBlob(name, vfs, cwd, session.devices));
+
+        const lines = [];
+        const errors = [];
+
+        if (!opts.check) {
+          for (const name of targets) {
+            const { bytes, error: readErr } = read(name);
+            if (readErr) errors.push(`${cmd}: ${name}: ${readErr}`);
+            else lines.push(`${digest(bytes)}  ${name}`);
+          }
+        } else {
+          // Verify "<hash>  <file>" lines (or BSD "SHA256 (file) = <hash>") from checksum files
+          const hashLength = digest('').length;
+          const gnuLine = new RegExp(`^([0-9a-fA-F]{${hashLength}}) [ *](.+)$`);
+          const bsdLine = new RegExp(`^${algorithm.toUpperCase()} ?\\((.+)\\) ?= ([0-9a-fA-F]{${hashLength}})$`);
+          let mismatched = 0;
+          let unreadable = 0;
+
+          for (const checkFile of targets) {
+            const { data, error: readErr } = read(checkFile);
+            if (readErr) {
+              errors.push(`${cmd}: ${checkFile}: ${readErr}`);
+              continue;
+            }
+
+            let valid = 0;
+            let malformed = 0;
+            for (const line of splitLines(data)) {
+              if (!line.trim()) continue;
+              const gnu = line.match(gnuLine);
+              const bsd = gnu ? null : line.match(bsdLine);
+              if (!gnu && !bsd) {
+                malformed++;
+                continue;
+              }
+              valid++;
+              const [expected, name] = gnu ? [gnu[1], gnu[2]] : [bsd[2], bsd[1]];
+              const file = read(name);
+              if (file.error) {
+                unreadable++;
+                errors.push(`${cmd}: ${name}: ${file.error}`);
+                lines.push(`${name}: FAILED open or read`);
+              } else if (digest(file.bytes) !== expected.toLowerCase()) {
+                mismatched++;
+                lines.push(`${name}: FAILED`);
+              } else if (!opts.quiet) {
+                lines.push(`${name}: OK`);
+              }
+            }
+
+            if (valid === 0) {
+              errors.push(`${cmd}: ${checkFile}: no properly formatted ${algorithm.toUpperCase()} checksum lines found`);
+            } else if (malformed > 0) {
+              errors.push(`${cmd}: WARNING: ${malformed} line${malformed > 1 ? 's are' : ' is'} improperly formatted`);
+            }
+          }
+
+          if (unreadable > 0) {
+            errors.push(`${cmd}: WARNING: ${unreadable} listed file${unreadable > 1 ? 's' : ''} could not be read`);
+          }
+          if (mismatched > 0) {
+            errors.push(`${cmd}: WARNING: ${mismatched} computed checksum${mismatched > 1 ? 's' : ''} did NOT match`);
+          }
+        }
+
+        output = lines.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'dd':
+      {
+        const operands = {};
+        for (const arg of args) {
+          const eq = arg.indexOf('=');
+          const key = eq > 0 ? arg.slice(0, eq) : arg;
+          if (eq <= 0 || !['if', 'of', 'bs', 'count', 'skip', 'status'].includes(key)) {
+            error = `dd: unrecognized operand '${arg}'`;
+            break;
+          }
+          operands[key] = arg.slice(eq + 1);
+        }
+        if (error) break;
+
+        const bs = parseSize(operands.bs ?? '512');
+        if (!bs) {
+          error = `dd: invalid number: '${operands.bs}'`;
+          break;
+        }
+        const count = operands.count !== undefined ? Number(operands.count) : null;
+        const skip = Number(operands.skip ?? 0);
+        for (const [key, value] of [['count', count], ['skip', skip]]) {
+          if (value !== null && !Number.isInteger(value)) error = `dd: invalid number: '${operands[key]}'`;
+        }
+        if (error) break;
+
+        let data;
+        if (operands.if === undefined) {
+          data = toBytes(stdin ?? '');
+        } else {
+          const src = readBlob(operands.if, vfs, cwd, session.devices);
+          if (src.error) {
+            error = `dd: failed to open '${operands.if}': ${src.error}`;
+            break;
+          }
+          data = src.bytes;
+        }
+
+        // skip= and count= are counted in bs-sized blocks, like dd
+        let bytes = data.subarray(skip * bs);
+        if (count !== null) bytes = bytes.subarray(0, count * bs);
+        const records = `${Math.floor(bytes.length / bs)}+${bytes.length % bs > 0 ? 1 : 0}`;
+
+        if (operands.of !== undefined) {
+          const ofAbs = resolvePath(operands.of, cwd);
+          const writeErr = checkWritable(ofAbs, cmd, session, { vfs }) || writeFile(vfs, ofAbs, fromBytes(bytes));
+          if (writeErr) {
+            error = `dd: failed to open '${operands.of}': ${writeErr}`;
+            break;
+          }
+          vfsModified = true;
+        } else {
+          output = fromBytes(bytes);
+          raw = true;
+        }
+
+        // The summary goes to stderr, so the copied data can be piped on intact
+        if (operands.status !== 'none') {
+          error = `${records} records in\n${records} records out\n${bytes.length} bytes copied`;
+          status = 0;
+        }
+      }
+      break;
+
+    case 'fls':
+      {
+        const opts = { deleted: false, allocated: false, long: false, mountPoint: null };
+        const operands = [];
+        for (let i = 0; i < args.length; i++) {
+          const arg = args[i];
+          if (/^-[rdul]+$/.test(arg)) {
+            // -r is accepted for compatibility: images hold a single directory
+            if (arg.includes('d')) opts.deleted = true;
+            if (arg.includes('u')) opts.allocated = true;
+            if (arg.includes('l')) opts.long = true;
+          } else if (arg === '-m') {
+            if (args[i + 1] === undefined) {
+              error = "fls: option requires an argument -- 'm'";
+              break;
             }
+            opts.mountPoint = args[++i];
+          } else if (arg.startsWith('-')) {
+            error = `fls: invalid option -- '${arg.slice(1)}'`;
+            break;
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+        if (operands.length !== 1) {
+          error = 'usage: fls [-dlru] [-m mnt] image';
+          break;
+        }
+
+        const src = readBlob(operands[0], vfs, cwd, session.devices);
+        if (src.error) {
+          error = `fls: ${operands[0]}: ${src.error}`;
+          break;
+        }
+        const entries = openImage(src.data);
+        if (!entries) {
+          error = 'fls: Cannot determine file system type';
+          break;
+        }
+
+        const listed = entries
+          .filter(e => (opts.deleted && !opts.allocated ? e.deleted : opts.allocated && !opts.deleted ? !e.deleted : true));
+
+        // -m prints a body file for mactime, names prefixed with the mount point
+        if (opts.mountPoint !== null) {
+          const prefix = opts.mountPoint.replace(/\/+$/, '');
+          output = listed.map(e => toBodyLine({
+            ...e,
+            name: `${prefix}/${e.name}${e.deleted ? ' (deleted)' : ''}`,
+            mode: `${fileTypePair(e)}${modeString({ type: 'file' }, parseMode(e.mode) ?? (e.symlink ? 0o777 : 0o644)).slice(1)}`,
+            uid: e.uid ?? 0,
+            gid: e.gid ?? 0
+          })).join('\n');
+          break;
+        }
+
+        output = listed
+          .map(e => {
+            const line = `${fileTypePair(e)} ${e.deleted ? '* ' : ''}${e.inode}:\t${e.name}`;
+            if (!opts.long) return line;
+            const times = [e.mtime, e.atime, e.ctime, e.crtime].map(formatTskTime);
+            return [line, ...times, e.size, e.uid ?? 0, e.gid ?? 0].join('\t');
+          })
+          .join('\n');
+      }
+      break;
+
+    case 'icat':
+      {
+        const operands = args.filter(a => a !== '-r');
+        const invalid = operands.find(a => a.startsWith('-'));
+        if (invalid) {
+          error = `icat: invalid option -- '${invalid.slice(1)}'`;
+          break;
+        }
+        if (operands.length !== 2) {
+          error = 'usage: icat [-r] image inode';
+          break;
+        }
+
+        const [imagePath, inodeArg] = operands;
+        const src = readBlob(imagePath, vfs, cwd, session.devices);
+        if (src.error) {
+          error = `icat: ${imagePath}: ${src.error}`;
+          break;
+        }
+        const entries = openImage(src.data);
+        if (!entries) {
+          error = 'icat: Cannot determine file system type';
+          break;
+        }
+        // Deleted inodes still return whatever residual content survived
+        const entry = /^\d+$/.test(inodeArg) ? entries.find(e => e.inode === Number(inodeArg)) : null;
+        if (!entry) {
+          error = `icat: ${inodeArg}: Invalid inode number`;
+          break;
+        }
+        output = entry.content;
+      }
+      break;
+
+    case 'foremost':
+      {
+        const opts = { types: 'all', input: null, outDir: 'output', verbose: false, quiet: false };
+        for (let i = 0; i < args.length; i++) {
+          const arg = args[i];
+          if (arg === '-t' || arg === '-i' || arg === '-o') {
+            if (args[i + 1] === undefined) {
+              error = `foremost: option requires an argument -- '${arg.slice(1)}'`;
+              break;
+            }
+            opts[{ '-t': 'types', '-i': 'input', '-o': 'outDir' }[arg]] = args[++i];
+          } else if (arg === '-v') {
+            opts.verbose = true;
+          } else if (arg === '-q') {
+            opts.quiet = true;
+          } else {
+            error = `foremost: invalid option -- '${arg.replace(/^-/, '')}'`;
+            break;
+          }
+        }
+        if (error) break;
+        if (!opts.input) {
+          error = 'foremost: no input file specified (use -i <image>)';
+          break;
+        }
+
+        const types = [];
+        for (const type of opts.types.split(',')) {
+          if (type === 'all') {
+            types.push(...CARVE_TYPES);
+          } else if (CARVE_TYPES.includes(type)) {
+            types.push(type);
+          } else {
+            error = `foremost: ${type}: unsupported file type (supported: all, ${CARVE_TYPES.join(', ')})`;
+            break;
+          }
+        }
+        if (error) break;
+
+        const src = readBlob(opts.input, vfs, cwd, session.devices);
+        if (src.error) {
+          error = `foremost: ${opts.input}: ${src.error}`;
+          break;
+        }
+
+        // Foremost refuses to mix results with an earlier run
+        const outAbs = resolvePath(opts.outDir, cwd);
+        const existing = getNode(vfs, outAbs);
+        if (existing && (existing.type !== 'dir' || Object.keys(existing.children || {}).length > 0)) {
+          error = `foremost: ${opts.outDir} is not empty\n\tPlease specify another directory`;
+          break;
+        }
+        const dirErr = checkWritable(outAbs, cmd, session, { vfs }) || makeDir(vfs, outAbs);
+        if (dirErr) {
+          error = `foremost: ${opts.outDir}: ${dirErr}`;
+          break;
+        }
+
+        // Data without a file system is carved as one raw stream
+        const entries = openImage(src.data) || [{ content: src.data, sector: 0 }];
+        const carved = carveFiles(entries, types);
+        for (const file of carved) {
+          makeDir(vfs, `${outAbs}/${file.type}`);
+          writeFile(vfs, `${outAbs}/${file.type}/${file.name}`, file.content);
+        }
+
+        const startedAt = new Date().toUTCString();
+        const counts = {};
+        carved.forEach(file => { counts[file.type] = (counts[file.type] || 0) + 1; });
+        const audit = [
+          'Foremost version 1.5.7 by Jesse Kornblum, Kris Kendall, and Nick Mikus',
+          'Audit File',
+          '',
+          `Foremost started at ${startedAt}`,
+          `Invocation: foremost ${args.join(' ')}`,
+          `Output directory: ${outAbs}`,
+          '------------------------------------------------------------------',
+          `File: ${opts.input}`,
+          `Length: ${formatCarveSize(src.bytes.length)}`,
+          '',
+          'Num\t Name (bs=512)\t       Size\t File Offset',
+          '',
+          ...carved.map((file, idx) => `${idx}:\t${file.name}\t${formatCarveSize(file.size).padStart(11)}\t${String(file.offset).padStart(12)}`),
+          '',
+          `${carved.length} FILES EXTRACTED`,
+          '',
+          ...Object.entries(counts).map(([type, count]) => `${type}:= ${count}`),
+          '------------------------------------------------------------------',
+          ''
+        ].join('\n');
+        writeFile(vfs, `${outAbs}/audit.txt`, audit);
+        vfsModified = true;
+
+        if (opts.verbose) {
+          output = audit;
+        } else if (!opts.quiet) {
+          output = `Processing: ${opts.input}\n|*|`;
+        }
+      }
+      break;
+
+    case 'mac-robber':
+      {
+        if (args.length === 0) {
+          error = 'usage: mac-robber <dir>...';
+          break;
+        }
+
+        // Walk mounted directories and print a body file line per node
+        const lines = [];
+        const errors = [];
+        const walk = (node, path) => {
+          const meta = getNodeMeta(node);
+          const kind = node.type === 'dir' ? 'd' : node.type === 'symlink' ? 'l' : 'r';
+          lines.push(toBodyLine({
+            ...meta,
+            name: path,
+            inode: inodeOf(node, path),
+            mode: `${kind}/${kind}${modeString(node, meta.mode).slice(1)}`
+          }));
+          for (const [name, child] of Object.entries(node.children || {})) {
+            walk(child, path === '/' ? `/${name}` : `${path}/${name}`);
+          }
+        };
+
+        for (const target of args) {
+          const abs = resolvePath(target, cwd);
+          const node = getNode(vfs, abs);
+          if (!node) errors.push(`mac-robber: ${target}: No such file or directory`);
+          else walk(node, abs);
+        }
+
+        output = lines.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'mactime':
+      {
+        const opts = { body: null, csv: false, iso: false };
+        let range = null;
+        for (let i = 0; i < args.length; i++) {
+          const arg = args[i];
+          if (arg === '-b') {
+            opts.body = args[++i];
+            if (opts.body === undefined) error = "mactime: option requires an argument -- 'b'";
+          } else if (arg === '-z') {
+            // Timestamps are stored in UTC; other zones are not simulated
+            const zone = args[++i];
+            if (!['UTC', 'GMT'].includes(zone)) error = `mactime: ${zone ?? ''}: only UTC is supported`;
+          } else if (/^-[dy]+$/.test(arg)) {
+            if (arg.includes('d')) opts.csv = true;
+            if (arg.includes('y')) opts.iso = true;
+          } else if (arg.startsWith('-')) {
+            error = `mactime: invalid option -- '${arg.slice(1)}'`;
+          } else if (range === null) {
+            range = parseDateRange(arg);
+            if (!range) error = `mactime: invalid date range '${arg}' (use YYYY-MM-DD[THH:MM:SS][..YYYY-MM-DD[THH:MM:SS]])`;
+          } else {
+            error = `mactime: unexpected argument '${arg}'`;
+          }
+          if (error) break;
+        }
+        if (error) break;
+
+        // Without -b the body file comes from stdin, like mactime
+        let text;
+        if (opts.body !== null) {
+          const node = getNode(vfs, resolvePath(opts.body, cwd));
+          if (!node || node.type !== 'file') {
+            error = `mactime: ${opts.body}: ${node ? 'Is a directory' : 'No such file or directory'}`;
+            break;
+          }
+          text = readContent(node);
+        } else if (stdin !== null) {
+          text = stdin;
+        } else {
+          error = 'mactime: no body file (use -b <file> or pipe one in)';
+          break;
+        }
+
+        const { records, invalid } = parseBodyFile(text);
+        if (records.length === 0 && invalid > 0) {
+          error = 'mactime: input is not a body file (MD5|name|inode|mode|UID|GID|size|atime|mtime|ctime|crtime)';
+          break;
+        }
+
+        const events = buildTimeline(records, range || {});
+        const formatDate = (seconds) => {
+          const iso = new Date(seconds * 1000).toISOString();
+          if (opts.iso) return `${iso.slice(0, 19)}Z`;
+          const date = new Date(seconds * 1000);
+          const day = date.toLocaleString('en-US', { weekday: 'short', month: 'short', day: '2-digit', year: 'numeric', timeZone: 'UTC' });
+          // "Thu, Oct 15, 2026" -> "Thu Oct 15 2026"
+          return `${day.replace(/,/g, '')} ${iso.slice(11, 19)}`;
+        };
+
+        if (opts.csv) {
+          output = [
+            'Date,Size,Type,Mode,UID,GID,Meta,File Name',
+            ...events.map(({ time, type, record: r }) => [formatDate(time), r.size, type, r.mode, r.uid, r.gid, r.inode, r.name].join(','))
+          ].join('\n');
+        } else {
+          // The date is only printed when it differs from the previous row
+          let lastDate = null;
+          output = events.map(({ time, type, record: r }) => {
+            const date = formatDate(time);
+            const shown = date === lastDate ? ''.padEnd(date.length) : date;
+            lastDate = date;
+            return `${shown} ${String(r.size).padStart(8)} ${type} ${r.mode} ${String(r.uid).padEnd(8)} ${String(r.gid).padEnd(8)} ${String(r.inode).padEnd(8)} ${r.name}`;
+          }).join('\n');
+        }
+      }
+      break;
+
+    case 'echo':
+      output = args.join(' ');
+      break;
+
+    case 'clear':
+      // No-op on server (client handles it)
+      output = '';
+      break;
+
+    case 'mkdir':
+      {
+        // mkdir [-p] [-v] dir...
+        const opts = { p: false, v: false };
+        const operands = [];
+        for (const arg of args) {
+          if (/^-[a-zA-Z]+$/.test(arg)) {
+            const bad = [...arg.slice(1)].find(f => !(f in opts));
+            if (bad) {
+              error = `mkdir: invalid option -- '${bad}'`;
+              break;
+            }
+            for (const flag of arg.slice(1)) opts[flag] = true;
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+        if (operands.length === 0) {
+          error = 'mkdir: missing operand';
+          break;
+        }
+
+        const lines = [];
+        const errors = [];
+        for (const target of operands) {
+          const abs = resolvePath(target, cwd);
+          const roErr = checkWritable(abs, cmd, session, { vfs });
+          if (abs === '/') {
+            if (!opts.p) errors.push('mkdir: cannot create root directory');
+          } else if (roErr) {
+            errors.push(`mkdir: cannot create directory '${target}': ${roErr}`);
+          } else if (opts.p) {
+            // Note the missing components first, for -v
+            const parts = target.split('/');
+            const missing = parts
+              .map((_, i) => parts.slice(0, i + 1).join('/'))
+              .filter(prefix => prefix && !/(^|\/)\.\.?$/.test(prefix) && !getNode(vfs, resolvePath(prefix, cwd)));
+            const dirErr = makeDir(vfs, abs);
+            if (dirErr) {
+              errors.push(`mkdir: ${target}: ${dirErr}`);
+              continue;
+            }
+            if (missing.length > 0) vfsModified = true;
+            lines.push(...missing.map(prefix => `mkdir: created directory '${prefix}'`));
+          } else {
+            const parent = lookupPath(vfs, resolvePath('..', abs));
+            if (!parent.node) {
+              errors.push(`mkdir: ${target}: ${parent.error}`);
+            } else if (parent.node.type !== 'dir') {
+              errors.push(`mkdir: ${target}: Not a directory`);
+            } else if (getNode(vfs, abs, { follow: false })) {
+              errors.push(`mkdir: ${target}: File exists`);
+            } else {
+              if (!parent.node.children) parent.node.children = {};
+              parent.node.children[abs.split('/').pop()] = createNode('dir');
+              vfsModified = true;
+              lines.push(`mkdir: created directory '${target}'`);
+            }
+          }
+        }
+        if (opts.v) output = lines.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'touch':
+      {
+        const opts = { atime: false, mtime: false, noCreate: false };
+        let time = null;
+        const operands = [];
+
+        for (let i = 0; i < args.length; i++) {
+          const arg = args[i];
+          if (arg === '-d' || arg === '--date' || arg.startsWith('--date=')) {
+            const value = arg.startsWith('--date=') ? arg.slice('--date='.length) : args[++i];
+            time = parseDateString(value ?? '');
+            if (!time) error = `touch: invalid date format '${value ?? ''}'`;
+          } else if (arg === '-t') {
+            time = parseTouchStamp(args[++i] ?? '');
+            if (!time) error = `touch: invalid date format '${args[i] ?? ''}'`;
+          } else if (arg === '-r' || arg === '--reference') {
+            const ref = getNode(vfs, resolvePath(args[++i] ?? '', cwd));
+            if (!ref) {
+              error = `touch: failed to get attributes of '${args[i] ?? ''}': No such file or directory`;
+            } else {
+              const meta = getNodeMeta(ref);
+              time = { atime: meta.atime, mtime: meta.mtime };
+            }
+          } else if (/^-[amc]+$/.test(arg)) {
+            if (arg.includes('a')) opts.atime = true;
+            if (arg.includes('m')) opts.mtime = true;
+            if (arg.includes('c')) opts.noCreate = true;
+          } else if (arg.startsWith('-')) {
+            error = `touch: invalid option -- '${arg.replace(/^-+/, '')}'`;
+          } else {
+            operands.push(arg);
+          }
+          if (error) break;
+        }
+        if (error) break;
+        if (operands.length === 0) {
+          error = 'touch: missing file operand';
+          break;
+        }
+
+        // Without -a or -m both times change; ctime always records the change itself
+        const now = new Date().toISOString();
+        const setAtime = opts.atime || !opts.mtime;
+        const setMtime = opts.mtime || !opts.atime;
+        const errors = [];
+
+        for (const target of operands) {
+          const abs = resolvePath(target, cwd);
+          let node = getNode(vfs, abs);
+          if (!node && opts.noCreate) continue;
+          const roErr = checkWritable(abs, cmd, session, { vfs });
+          if (roErr) {
+            errors.push(`touch: cannot touch '${target}': ${roErr}`);
+            continue;
+          }
+          if (!node) {
+            const writeErr = writeFile(vfs, abs, '');
+            if (writeErr) {
+              errors.push(`touch: cannot touch '${target}': ${writeErr}`);
+              continue;
+            }
+            node = getNode(vfs, abs);
+          }
+          if (setAtime) node.atime = time ? time.atime : now;
+          if (setMtime) node.mtime = time ? time.mtime : now;
+          node.ctime = now;
+          vfsModified = true;
+        }
+
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'stat':
+      {
+        let format = null;
+        let dereference = false;
+        const operands = [];
+        for (let i = 0; i < args.length; i++) {
+          if (args[i] === '-L' || args[i] === '--dereference') {
+            dereference = true;
+          } else if (args[i] === '-c' || args[i] === '--format') {
+            format = args[++i] ?? '';
+          } else if (args[i].startsWith('--format=')) {
+            format = args[i].slice('--format='.length);
+          } else if (args[i].startsWith('-') && args[i] !== '-') {
+            error = `stat: invalid option -- '${args[i].replace(/^-+/, '')}'`;
+            break;
+          } else {
+            operands.push(args[i]);
+          }
+        }
+        if (error) break;
+        if (operands.length === 0) {
+          error = 'stat: missing operand';
+          break;
+        }
+
+        const blocks = [];
+        const errors = [];
+        for (const target of operands) {
+          // Like stat, a link is described itself unless -L
+          const found = lookupPath(vfs, resolvePath(target, cwd), { follow: dereference || namesDirectory(target) });
+          const node = found.node;
+          if (!node) {
+            errors.push(`stat: cannot statx '${target}': ${found.error}`);
+            continue;
+          }
+
+          const meta = getNodeMeta(node);
+          const isDir = node.type === 'dir';
+          const kind = isDir ? 'directory'
+            : node.type === 'symlink' ? 'symbolic link'
+              : meta.size === 0 ? 'regular empty file' : 'regular file';
+          const octal = meta.mode.toString(8).padStart(4, '0');
+          const inode = inodeOf(node, found.path);
+          const quoted = node.type === 'symlink' ? `'${target}' -> '${node.target}'` : `'${target}'`;
+
+          if (format !== null) {
+            const fields = {
+              n: target, N: quoted, s: meta.size, b: Math.ceil(meta.size / 4096) * 8, F: kind, i: inode,
+              a: meta.mode.toString(8), A: modeString(node, meta.mode),
+              u: meta.uid, U: meta.owner, g: meta.gid, G: meta.group,
+              x: formatStatTime(meta.atime), y: formatStatTime(meta.mtime),
+              z: formatStatTime(meta.ctime), w: meta.crtime ? formatStatTime(meta.crtime) : '-',
+              X: epochSeconds(meta.atime), Y: epochSeconds(meta.mtime),
+              Z: epochSeconds(meta.ctime), W: meta.crtime ? epochSeconds(meta.crtime) : 0
+            };
+            blocks.push(format.replace(/%([a-zA-Z%])/g, (match, f) => (f === '%' ? '%' : String(fields[f] ?? '?'))));
+            continue;
+          }
+
+          blocks.push([
+            `  File: ${node.type === 'symlink' ? `${target} -> ${node.target}` : target}`,
+            `  Size: ${String(meta.size).padEnd(10)}\tBlocks: ${String(Math.ceil(meta.size / 4096) * 8).padEnd(10)} IO Block: 4096   ${kind}`,
+            `Device: 803h/2051d\tInode: ${String(inode).padEnd(11)} Links: ${isDir ? 2 : 1}`,
+            `Access: (${octal}/${modeString(node, meta.mode)})  Uid: (${String(meta.uid).padStart(5)}/${meta.owner.padStart(8)})   Gid: (${String(meta.gid).padStart(5)}/${meta.group.padStart(8)})`,
+            `Access: ${formatStatTime(meta.atime)}`,
+            `Modify: ${formatStatTime(meta.mtime)}`,
+            `Change: ${formatStatTime(meta.ctime)}`,
+            ` Birth: ${meta.crtime ? formatStatTime(meta.crtime) : '-'}`
+          ].join('\n'));
+        }
+
+        output = blocks.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'rm':
+      {
+        const flags = args.filter(a => /^-[a-zA-Z]+$/.test(a)).join('');
+        const recursive = /[rR]/.test(flags);
+        const force = flags.includes('f');
+        const operands = args.filter(a => !/^-[a-zA-Z]+$/.test(a));
+        if (operands.length === 0) {
+          if (!force) error = 'rm: missing operand';
+          break;
+        }
+
+        const errors = [];
+        for (const target of operands) {
+          const abs = resolvePath(target, cwd);
+          // A link is removed itself, never its target
+          const node = getNode(vfs, abs, { follow: false });
+          if (abs === '/') {
+            errors.push('rm: cannot remove root');
+          } else if (!node) {
+            if (!force) errors.push(`rm: ${target}: No such file or directory`);
+          } else if (node.type === 'dir' && !recursive) {
+            errors.push(`rm: cannot remove '${target}': Is a directory`);
+          } else {
+            const roErr = checkWritable(abs, cmd, session, { tree: true, vfs });
+            if (roErr) {
+              errors.push(`rm: cannot remove '${target}': ${roErr}`);
+              continue;
+            }
+            const parent = getNode(vfs, resolvePath('..', abs));
+            delete parent.children[abs.split('/').pop()];
+            vfsModified = true;
+          }
+        }
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'cp':
+      {
+        // Parse flags and arguments
+        const recursive = args.includes('-r') || args.includes('-R');
+        const filteredArgs = args.filter(a => a !== '-r' && a !== '-R');
+        
+        if (filteredArgs.length < 2) {
+          error = 'cp: missing file operand';
+        } else {
+          const srcPath = resolvePath(filteredArgs[0], cwd);
+          const destPath = resolvePath(filteredArgs[1], cwd);
+          const srcNode = getNode(vfs, srcPath);
+          
+          if (!srcNode) {
+            error = `cp: ${filteredArgs[0]}: No such file or directory`;
+          } else if (srcNode.type === 'dir' && !recursive) {
+            error = `cp: -r not specified; omitting directory '${filteredArgs[0]}'`;
+          } else if (checkWritable(destPath, cmd, session, { vfs })) {
+            error = `cp: cannot create ${srcNode.type === 'dir' ? 'directory' : 'regular file'} '${filteredArgs[1]}': Read-only file system`;
+          } else {
+            // Deep clone function for copying nodes
+            const deepClone = (node) => {
+              if (node.type === 'file') {
+                return createNode('file', { content: readContent(node) });
+              }
+              // Links inside a copied tree are copied as links
+              if (node.type === 'symlink') {
+                return createNode('symlink', { target: node.target });
+              }
+              const cloned = createNode('dir');
+              if (node.children) {
+                for (const [name, child] of Object.entries(node.children)) {
+                  cloned.children[name] = deepClone(child);
+                }
+              }
+              return cloned;
+            };
+            
+            // Create all parent directories for destination
+            const destParts = destPath.split('/').filter(Boolean);
+            const destDir = '/' + destParts.slice(0, -1).join('/');
+            const dirErr = makeDir(vfs, destDir);
+            if (dirErr) {
+              error = `cp: cannot create regular file '${filteredArgs[1]}': ${dirErr}`;
+              break;
+            }
+            const destParent = getNode(vfs, destDir);
+            
+            const destName = destParts[destParts.length - 1];
+            const existingDest = getNode(vfs, destPath);
+            
+            // If destination exists and is a directory, copy into it
+            if (existingDest && existingDest.type === 'dir') {
+              const srcName = srcPath.split('/').filter(Boolean).pop();
+              if (!existingDest.children) existingDest.children = {};
+              existingDest.children[srcName] = deepClone(srcNode);
+            } else {
+              // Copy to destination path
+              if (!destParent.children) destParent.children = {};
+              destParent.children[destName] = deepClone(srcNode);
+            }
+            
+            vfsModified = true;
+            
+            // Generate output showing what was copied
+            const outputLines = [];
+            const listCopied = (node, srcBase, destBase) => {
+              if (node.type !== 'dir') {
+                outputLines.push(`  '${srcBase}' -> '${destBase}'`);
+              } else if (node.children) {
+                for (const [name, child] of Object.entries(node.children)) {
+                  listCopied(child, `${srcBase}/${name}`, `${destBase}/${name}`);
+                }
+              }
+            };
+            
+            if (srcNode.type === 'dir') {
+              output = `Creating forensic working copies...`;
+              listCopied(srcNode, srcPath, destPath);
+              output += '\n' + outputLines.join('\n');
+              output += `\n\n[✓] Working copies created in ${destPath}/\n[!] Original evidence preserved - analysis will use copies.`;
+            } else {
+              output = `'${srcPath}' -> '${destPath}'`;
+            }
+          }
+        }
+      }
+      break;
+
+    case 'mv':
+      {
+        // mv [-f|-n] [-v] source... dest; a link is moved itself, never its target
+        const opts = { f: false, n: false, v: false };
+        const operands = [];
+        for (const arg of args) {
+          if (/^-[a-zA-Z]+$/.test(arg)) {
+            const bad = [...arg.slice(1)].find(f => !(f in opts));
+            if (bad) {
+              error = `mv: invalid option -- '${bad}'`;
+              break;
+            }
+            for (const flag of arg.slice(1)) opts[flag] = true;
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+        if (operands.length === 0) {
+          error = 'mv: missing file operand';
+          break;
+        }
+        if (operands.length === 1) {
+          error = `mv: missing destination file operand after '${operands[0]}'`;
+          break;
+        }
+
+        const dest = operands.pop();
+        const destAbs = resolvePath(dest, cwd);
+        const destDir = lookupPath(vfs, destAbs);
+        const into = destDir.node?.type === 'dir';
+        if (operands.length > 1 && !into) {
+          error = `mv: target '${dest}' is not a directory`;
+          break;
+        }
+
+        const lines = [];
+        const errors = [];
+        for (const source of operands) {
+          const src = lookupPath(vfs, resolvePath(source, cwd), { follow: namesDirectory(source) });
+          if (!src.node) {
+            errors.push(`mv: cannot stat '${source}': ${src.error}`);
+            continue;
+          }
+          const name = src.path.split('/').pop();
+          const shown = into ? `${dest.replace(/\/+$/, '')}/${name}` : dest;
+
+          // Where the node goes: into the destination directory, or renamed to it
+          const parent = into ? destDir : lookupPath(vfs, resolvePath('..', destAbs));
+          if (!parent.node || parent.node.type !== 'dir') {
+            errors.push(`mv: cannot move '${source}' to '${shown}': ${parent.error || 'Not a directory'}`);
+            continue;
+          }
+          const newName = into ? name : destAbs.split('/').pop();
+          const target = `${parent.path === '/' ? '' : parent.path}/${newName}`;
+          const existing = parent.node.children?.[newName];
+
+          if (src.path === '/' || target === src.path) {
+            errors.push(`mv: '${source}' and '${shown}' are the same file`);
+            continue;
+          }
+          if (src.node.type === 'dir' && target.startsWith(`${src.path}/`)) {
+            errors.push(`mv: cannot move '${source}' to a subdirectory of itself, '${shown}'`);
+            continue;
+          }
+          if (existing && opts.n) continue;
+          if (existing?.type === 'dir' && src.node.type !== 'dir') {
+            errors.push(`mv: cannot overwrite directory '${shown}' with non-directory`);
+            continue;
+          }
+          if (existing && existing.type !== 'dir' && src.node.type === 'dir') {
+            errors.push(`mv: cannot overwrite non-directory '${shown}' with directory '${source}'`);
+            continue;
+          }
+          if (existing?.type === 'dir' && Object.keys(existing.children || {}).length > 0) {
+            errors.push(`mv: cannot move '${source}' to '${shown}': Directory not empty`);
+            continue;
+          }
+          const roErr = checkWritable(src.path, cmd, session, { tree: true, vfs })
+            || checkWritable(target, cmd, session, { tree: true, vfs });
+          if (roErr) {
+            errors.push(`mv: cannot move '${source}' to '${shown}': ${roErr}`);
+            continue;
+          }
+
+          // A rename keeps the inode and only changes the ctime
+          if (!Number.isInteger(src.node.inode)) src.node.inode = inodeOf(src.node, src.path);
+          src.node.ctime = new Date().toISOString();
+          delete getNode(vfs, resolvePath('..', src.path)).children[name];
+          if (!parent.node.children) parent.node.children = {};
+          parent.node.children[newName] = src.node;
+          vfsModified = true;
+          lines.push(`renamed '${source}' -> '${shown}'`);
+        }
+        if (opts.v) output = lines.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'ln':
+      {
+        // ln -s [-f] [-n] [-v] target [link_name | dir]; ln -s target... dir
+        const opts = { s: false, f: false, n: false, v: false };
+        const operands = [];
+        for (const arg of args) {
+          if (/^-[a-zA-Z]+$/.test(arg)) {
+            const bad = [...arg.slice(1)].find(f => !(f in opts));
+            if (bad) {
+              error = `ln: invalid option -- '${bad}'`;
+              break;
+            }
+            for (const flag of arg.slice(1)) opts[flag] = true;
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+        if (operands.length === 0) {
+          error = 'ln: missing file operand';
+          break;
+        }
+
+        // With one operand the link goes in the cwd; with a directory last, inside it
+        const last = operands.length > 1 ? operands[operands.length - 1] : null;
+        // -n treats a link to a directory as a plain name, so it can be replaced
+        const lastNode = last !== null ? getNode(vfs, resolvePath(last, cwd), { follow: !opts.n }) : null;
+        const intoDir = last === null || lastNode?.type === 'dir';
+        const targets = operands.length > 1 ? operands.slice(0, -1) : operands;
+        if (targets.length > 1 && !intoDir) {
+          error = `ln: target '${last}' is not a directory`;
+          break;
+        }
+
+        const lines = [];
+        const errors = [];
+        for (const target of targets) {
+          const base = target.replace(/\/+$/, '').split('/').pop() || '/';
+          const linkName = last === null ? base : intoDir ? `${last.replace(/\/+$/, '')}/${base}` : last;
+          if (!opts.s) {
+            // The VFS has one node per file, so there is nothing a second name could share
+            errors.push(`ln: failed to create hard link '${linkName}' => '${target}': Operation not supported`);
+            continue;
+          }
+
+          const linkAbs = resolvePath(linkName, cwd);
+          const parent = lookupPath(vfs, resolvePath('..', linkAbs));
+          const name = linkAbs.split('/').pop();
+          const existing = parent.node?.children?.[name];
+          if (!parent.node || parent.node.type !== 'dir') {
+            errors.push(`ln: failed to create symbolic link '${linkName}': ${parent.error || 'Not a directory'}`);
+            continue;
+          }
+          if (existing && !opts.f) {
+            errors.push(`ln: failed to create symbolic link '${linkName}': File exists`);
+            continue;
+          }
+          if (existing?.type === 'dir') {
+            errors.push(`ln: '${linkName}': cannot overwrite directory`);
+            continue;
+          }
+          const roErr = checkWritable(linkAbs, cmd, session, { tree: true, vfs });
+          if (roErr) {
+            errors.push(`ln: failed to create symbolic link '${linkName}': ${roErr}`);
+            continue;
+          }
+          // The target is stored as given; it is resolved on use, from the link's directory
+          parent.node.children[name] = createNode('symlink', { target });
+          vfsModified = true;
+          lines.push(`'${linkName}' -> '${target}'`);
+        }
+        if (opts.v) output = lines.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'chmod':
+      {
+        // chmod [-R] [-c|-v] MODE file...; MODE is octal (640) or symbolic (u+x,go-w)
+        const opts = { R: false, c: false, v: false };
+        const operands = [];
+        for (const arg of args) {
+          // -x and friends are modes, not options
+          if (/^-[Rcv]+$/.test(arg)) {
+            for (const flag of arg.slice(1)) opts[flag] = true;
+          } else {
+            operands.push(arg);
+          }
+        }
+        const spec = operands.shift();
+        if (spec === undefined) {
+          error = 'chmod: missing operand';
+          break;
+        }
+        if (operands.length === 0) {
+          error = `chmod: missing operand after '${spec}'`;
+          break;
+        }
+        if (applyModeSpec(spec, 0, false) === null) {
+          error = `chmod: invalid mode: '${spec}'`;
+          break;
+        }
+
+        const lines = [];
+        const errors = [];
+        const change = (node, path, shown) => {
+          const before = getNodeMeta(node).mode;
+          const after = applyModeSpec(spec, before, node.type === 'dir');
+          const roErr = checkWritable(path, cmd, session, { vfs });
+          if (roErr) {
+            errors.push(`chmod: changing permissions of '${shown}': ${roErr}`);
+            return;
+          }
+          const describe = (mode) => `${mode.toString(8).padStart(4, '0')} (${modeString(node, mode).slice(1)})`;
+          if (after !== before) {
+            node.mode = after;
+            node.ctime = new Date().toISOString();
+            vfsModified = true;
+            if (opts.c || opts.v) lines.push(`mode of '${shown}' changed from ${describe(before)} to ${describe(after)}`);
+          } else if (opts.v) {
+            lines.push(`mode of '${shown}' retained as ${describe(before)}`);
+          }
+          // Links met while recursing are skipped, their mode means nothing
+          if (opts.R && node.type === 'dir') {
+            for (const [name, child] of Object.entries(node.children || {})) {
+              if (child.type !== 'symlink') change(child, `${path === '/' ? '' : path}/${name}`, `${shown.replace(/\/+$/, '')}/${name}`);
+            }
+          }
+        };
+
+        for (const target of operands) {
+          const found = lookupPath(vfs, resolvePath(target, cwd));
+          if (!found.node) {
+            errors.push(`chmod: cannot access '${target}': ${found.error}`);
+            continue;
+          }
+          change(found.node, found.path, target);
+        }
+        output = lines.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'chown':
+      {
+        // chown [-R] [-c|-v] [-h] OWNER[:GROUP] file...; also :GROUP and OWNER: (the owner's group)
+        const opts = { R: false, c: false, v: false, h: false };
+        const operands = [];
+        for (const arg of args) {
+          if (/^-[a-zA-Z]+$/.test(arg)) {
+            const bad = [...arg.slice(1)].find(f => !(f in opts));
+            if (bad) {
+              error = `chown: invalid option -- '${bad}'`;
+              break;
+            }
+            for (const flag of arg.slice(1)) opts[flag] = true;
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+        const spec = operands.shift();
+        if (spec === undefined) {
+          error = 'chown: missing operand';
+          break;
+        }
+        if (operands.length === 0) {
+          error = `chown: missing operand after '${spec}'`;
+          break;
+        }
+
+        // Names map through the known accounts; numeric ids are always accepted
+        const accountId = (name) => (/^\d+$/.test(name)
+          ? Number(name)
+          : Number(Object.keys(ACCOUNT_NAMES).find(id => ACCOUNT_NAMES[id] === name) ?? NaN));
+        const [userPart, groupPart] = spec.includes(':') ? spec.split(/:(.*)/s) : [spec, undefined];
+        const uid = userPart ? accountId(userPart) : null;
+        if (Number.isNaN(uid)) {
+          error = `chown: invalid user: '${spec}'`;
+          break;
+        }
+        const gid = groupPart ? accountId(groupPart) : groupPart === '' && uid !== null ? uid : null;
+        if (Number.isNaN(gid)) {
+          error = `chown: invalid group: '${spec}'`;
+          break;
+        }
+
+        const lines = [];
+        const errors = [];
+        const change = (node, path, shown) => {
+          const before = getNodeMeta(node);
+          const roErr = checkWritable(path, cmd, session, { vfs });
+          if (roErr) {
+            errors.push(`chown: changing ownership of '${shown}': ${roErr}`);
+            return;
+          }
+          const owners = (meta) => `${meta.owner}${gid !== null ? `:${meta.group}` : ''}`;
+          if (uid !== null) {
+            node.uid = uid;
+            node.owner = ACCOUNT_NAMES[uid] ?? String(uid);
+          }
+          if (gid !== null) {
+            node.gid = gid;
+            node.group = ACCOUNT_NAMES[gid] ?? String(gid);
+          }
+          const after = getNodeMeta(node);
+          if (after.uid !== before.uid || after.gid !== before.gid) {
+            node.ctime = new Date().toISOString();
+            vfsModified = true;
+            if (opts.c || opts.v) lines.push(`changed ownership of '${shown}' from ${owners(before)} to ${owners(after)}`);
+          } else if (opts.v) {
+            lines.push(`ownership of '${shown}' retained as ${owners(after)}`);
+          }
+          // Recursion changes links found inside the tree themselves
+          if (opts.R && node.type === 'dir') {
+            for (const [name, child] of Object.entries(node.children || {})) {
+              change(child, `${path === '/' ? '' : path}/${name}`, `${shown.replace(/\/+$/, '')}/${name}`);
+            }
+          }
+        };
+
+        for (const target of operands) {
+          // -h changes a link itself instead of its target
+          const found = lookupPath(vfs, resolvePath(target, cwd), { follow: !opts.h || namesDirectory(target) });
+          if (!found.node) {
+            errors.push(`chown: cannot access '${target}': ${found.error}`);
+            continue;
+          }
+          change(found.node, found.path, target);
+        }
+        output = lines.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'tree':
+      {
+        // tree [-a] [-d] [-L level] [dir...]; links are shown with their target, not descended
+        const opts = { a: false, d: false };
+        let maxLevel = Infinity;
+        const operands = [];
+        for (let i = 0; i < args.length; i++) {
+          const arg = args[i];
+          if (arg === '-L') {
+            const value = args[++i];
+            if (!/^[1-9]\d*$/.test(value ?? '')) {
+              error = value === undefined ? 'tree: Missing argument to -L option.' : 'tree: Invalid level, must be greater than 0.';
+              break;
+            }
+            maxLevel = Number(value);
+          } else if (/^-[a-zA-Z]+$/.test(arg)) {
+            const bad = [...arg.slice(1)].find(f => !(f in opts));
+            if (bad) {
+              error = `tree: Invalid argument -\`${bad}'.\nusage: tree [-ad] [-L level] [<directory list>]`;
+              break;
+            }
+            for (const flag of arg.slice(1)) opts[flag] = true;
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+
+        const lines = [];
+        const counts = { dirs: 0, files: 0 };
+        const walk = (node, prefix, level) => {
+          const entries = Object.entries(node.children || {})
+            .filter(([name]) => opts.a || !name.startsWith('.'))
+            .map(([name, child]) => ({ name, child, isDir: child.type === 'dir' }))
+            .filter(e => !opts.d || e.isDir)
+            .sort((x, y) => x.name.localeCompare(y.name));
+          entries.forEach(({ name, child, isDir }, idx) => {
+            const lastEntry = idx === entries.length - 1;
+            const label = child.type === 'symlink' ? `${name} -> ${child.target}` : name;
+            lines.push(`${prefix}${lastEntry ? '└── ' : '├── '}${label}`);
+            if (isDir) {
+              counts.dirs++;
+              if (level < maxLevel) walk(child, `${prefix}${lastEntry ? '    ' : '│   '}`, level + 1);
+            } else {
+              counts.files++;
+            }
+          });
+        };
+
+        for (const target of operands.length > 0 ? operands : ['.']) {
+          const node = getNode(vfs, resolvePath(target, cwd));
+          if (!node || node.type !== 'dir') {
+            lines.push(`${target}  [error opening dir]`);
+            continue;
+          }
+          lines.push(target);
+          walk(node, '', 1);
+        }
+        const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+        lines.push('', opts.d
+          ? plural(counts.dirs, 'directory', 'directories')
+          : `${plural(counts.dirs, 'directory', 'directories')}, ${plural(counts.files, 'file', 'files')}`);
+        output = lines.join('\n');
+      }
+      break;
+
+    case 'vol':
+    case 'volatility':
+      {
+        const usage = `Usage: ${cmd} -f <image> <plugin> [--pid PID[,PID...]]\nPlugins: ${VOL_PLUGINS.join(', ')}`;
+        const opts = { file: null, plugin: null, pids: null };
+        for (let i = 0; i < args.length; i++) {
+          const arg = args[i];
+          const [flag, inline] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+          if (flag === '-h' || flag === '--help') {
+            output = usage;
+            break;
+          } else if (flag === '-f' || flag === '--filename' || flag === '-p' || flag === '--pid') {
+            const value = inline ?? args[++i];
+            if (value === undefined) {
+              error = `${cmd}: option ${flag} requires an argument`;
+            } else if (flag === '-f' || flag === '--filename') {
+              opts.file = value;
+            } else if (!/^\d+(,\d+)*$/.test(value)) {
+              error = `${cmd}: invalid PID list '${value}'`;
+            } else {
+              opts.pids = value.split(',').map(Number);
+            }
+          } else if (flag.startsWith('--profile')) {
+            // The profile is read from the image; accepted for Volatility 2 habits
+            if (inline === undefined) i++;
+          } else if (arg.startsWith('-')) {
+            error = `${cmd}: unrecognized option '${arg}'`;
+          } else if (opts.plugin === null) {
+            // Volatility 3 names (windows.pslist, windows.pslist.PsList) map to the same plugins
+            opts.plugin = arg.replace(/^windows\./, '').split('.')[0].toLowerCase();
+          } else {
+            error = `${cmd}: unexpected argument '${arg}'`;
+          }
+          if (error) break;
+        }
+        if (error || output) break;
+        if (!opts.file || !opts.plugin) {
+          error = usage;
+          break;
+        }
+        if (!VOL_PLUGINS.includes(opts.plugin)) {
+          error = `${cmd}: unknown plugin '${opts.plugin}' (choose from ${VOL_PLUGINS.join(', ')})`;
+          break;
+        }
+
+        const src = readBlob(opts.file, vfs, cwd, session.devices);
+        if (src.error) {
+          error = `${cmd}: ${opts.file}: ${src.error}`;
+          break;
+        }
+        const model = scenariosData?.[scenarioCode]?.memoryImage;
+        if (!model || !isMemoryImage(src.data, model.file, session.devices)) {
+          error = `ERROR   : volatility.debug    : ${opts.file}: No suitable address space mapping found`;
+          break;
+        }
+
+        output = runPlugin(model, opts.plugin, { pids: opts.pids });
+      }
+      break;
+
+    case 'tcpdump':
+      {
+        const opts = { file: null, count: null, numericPorts: false, timestamps: 'time', ascii: false };
+        const filterWords = [];
+        let nCount = 0;
+        let tCount = 0;
+        for (let i = 0; i < args.length && !error; i++) {
+          const arg = args[i];
+          if (!arg.startsWith('-') || arg.length === 1) {
+            filterWords.push(arg);
+            continue;
+          }
+          // Flags may be bundled (-nnA, -nr file); -r and -c take the rest of
+          // the word as their argument, or the next word
+          for (let j = 1; j < arg.length; j++) {
+            const flag = arg[j];
+            if (flag === 'n') {
+              nCount++;
+            } else if (flag === 't') {
+              tCount++;
+            } else if (flag === 'A') {
+              opts.ascii = true;
+            } else if (flag === 'r' || flag === 'c') {
+              const value = j + 1 < arg.length ? arg.slice(j + 1) : args[++i];
+              if (value === undefined) {
+                error = `tcpdump: option requires an argument -- '${flag}'`;
+              } else if (flag === 'r') {
+                opts.file = value;
+              } else if (!/^\d+$/.test(value) || Number(value) === 0) {
+                error = `tcpdump: invalid packet count ${value}`;
+              } else {
+                opts.count = Number(value);
+              }
+              break;
+            } else {
+              error = `tcpdump: invalid option -- '${flag}'`;
+              break;
+            }
+          }
+        }
+        if (error) break;
+        // -n resolves no addresses (there are no names here), -nn also keeps ports numeric
+        opts.numericPorts = nCount >= 2;
+        if (tCount === 1) opts.timestamps = 'none';
+        else if (tCount >= 4) opts.timestamps = 'date';
+        if (!opts.file) {
+          error = 'tcpdump: live capture is not available here; read a saved capture with -r <file>';
+          break;
+        }
+
+        let predicate;
+        try {
+          predicate = compileBpf(filterWords.join(' '));
+        } catch (e) {
+          error = `tcpdump: ${e.message}`;
+          break;
+        }
+
+        const src = readBlob(opts.file, vfs, cwd, session.devices);
+        if (src.error) {
+          error = `tcpdump: ${opts.file}: ${src.error}`;
+          break;
+        }
+        const capture = parseCapture(src.data);
+        if (!capture) {
+          error = `tcpdump: ${opts.file}: bad dump file format`;
+          break;
+        }
+
+        let packets = capture.packets.filter(predicate);
+        if (opts.count !== null) packets = packets.slice(0, opts.count);
+        output = packets.map(p => {
+          const line = formatTcpdump(p, opts);
+          return opts.ascii && p.payload ? `${line}\n${p.payload.replace(/\n$/, '')}` : line;
+        }).join('\n');
+      }
+      break;
+
+    case 'tshark':
+      {
+        const opts = { file: null, filter: '', count: null, timeFormat: 'r', quiet: false, stats: [], fields: [], format: 'text' };
+        for (let i = 0; i < args.length; i++) {
+          const arg = args[i];
+          if (['-r', '-Y', '-R', '-c', '-t', '-z', '-T', '-e'].includes(arg)) {
+            const value = args[++i];
+            if (value === undefined) {
+              error = `tshark: option requires an argument -- '${arg.slice(1)}'`;
+            } else if (arg === '-r') {
+              opts.file = value;
+            } else if (arg === '-Y' || arg === '-R') {
+              opts.filter = value;
+            } else if (arg === '-c') {
+              if (!/^\d+$/.test(value) || Number(value) === 0) error = `tshark: The specified packet count "${value}" isn't a valid number.`;
+              else opts.count = Number(value);
+            } else if (arg === '-t') {
+              if (!['r', 'a', 'ad', 'ud'].includes(value)) error = `tshark: Invalid time stamp type "${value}"; it must be one of: r, a, ad, ud`;
+              else opts.timeFormat = value;
+            } else if (arg === '-z') {
+              if (!['io,phs', 'conv,ip'].includes(value)) error = `tshark: Invalid -z argument "${value}"; supported: io,phs conv,ip`;
+              else opts.stats.push(value);
+            } else if (arg === '-T') {
+              if (!['text', 'fields'].includes(value)) error = `tshark: Invalid -T parameter "${value}"; it must be one of: text, fields`;
+              else opts.format = value;
+            } else if (displayField({}, value) === undefined) {
+              error = `tshark: Some fields aren't valid:\n\t${value}`;
+            } else {
+              opts.fields.push(value);
+            }
+          } else if (arg === '-n' || arg === '-2') {
+            // No name resolution happens anyway; -2 (two-pass) changes nothing here
+          } else if (arg === '-q') {
+            opts.quiet = true;
+          } else {
+            error = `tshark: invalid option -- '${arg.replace(/^-+/, '')}'`;
+          }
+          if (error) break;
+        }
+        if (error) break;
+        if (!opts.file) {
+          error = 'tshark: live capture is not available here; read a saved capture with -r <file>';
+          break;
+        }
+        if (opts.format === 'fields' && opts.fields.length === 0) {
+          error = 'tshark: "-T fields" was specified, but no fields were specified with "-e".';
+          break;
+        }
+
+        let predicate;
+        try {
+          predicate = compileDisplayFilter(opts.filter);
+        } catch (e) {
+          error = `tshark: ${e.message}`;
+          break;
+        }
+
+        const src = readBlob(opts.file, vfs, cwd, session.devices);
+        if (src.error) {
+          error = src.error === 'Is a directory'
+            ? `tshark: The file "${opts.file}" is a directory (folder); TShark can't read it.`
+            : `tshark: The file "${opts.file}" doesn't exist.`;
+          break;
+        }
+        const capture = parseCapture(src.data);
+        if (!capture) {
+          error = `tshark: The file "${opts.file}" isn't a capture file in a format TShark understands.`;
+          break;
+        }
+
+        let packets = capture.packets.filter(predicate);
+        if (opts.count !== null) packets = packets.slice(0, opts.count);
+        const firstTime = capture.packets[0]?.time;
+        const lines = opts.quiet ? [] : packets.map(p => (opts.format === 'fields'
+          ? formatFields(p, opts.fields)
+          : formatTshark(p, { firstTime, timeFormat: opts.timeFormat })));
+        for (const stat of opts.stats) {
+          lines.push(stat === 'io,phs' ? protocolHierarchy(packets) : ipConversations(packets));
+        }
+        output = lines.join('\n');
+      }
+      break;
+
+    case 'xxd':
+    case 'hexdump':
+      {
+        // xxd: -l len -s off -c cols -g group -p -u -r; hexdump: -C -n len -s off -v
+        const opts = { canonical: false, verbose: false, plain: false, upper: false, revert: false, length: null, skip: 0, cols: 16, group: 2 };
+        const valueFlags = cmd === 'xxd' ? { '-l': 'length', '-s': 'skip', '-c': 'cols', '-g': 'group' } : { '-n': 'length', '-s': 'skip' };
+        const operands = [];
+        for (let i = 0; i < args.length; i++) {
+          const arg = args[i];
+          if (valueFlags[arg]) {
+            const value = args[++i];
+            const number = value !== undefined && /^(0x[0-9a-f]+|\d+)$/i.test(value) ? Number(value) : NaN;
+            if (Number.isNaN(number) || (arg === '-c' && number === 0)) {
+              error = value === undefined ? `${cmd}: option requires an argument -- '${arg.slice(1)}'` : `${cmd}: invalid number '${value}'`;
+              break;
+            }
+            opts[valueFlags[arg]] = number;
+          } else if (cmd === 'xxd' && (arg === '-p' || arg === '-ps')) {
+            opts.plain = true;
+          } else if (cmd === 'xxd' && ['-r', '-rp', '-pr'].includes(arg)) {
+            opts.revert = true;
+            if (arg !== '-r') opts.plain = true;
+          } else if (cmd === 'xxd' && arg === '-u') {
+            opts.upper = true;
+          } else if (cmd === 'hexdump' && /^-[Cv]+$/.test(arg)) {
+            if (arg.includes('C')) opts.canonical = true;
+            if (arg.includes('v')) opts.verbose = true;
+          } else if (arg.startsWith('-') && arg !== '-') {
+            error = `${cmd}: invalid option -- '${arg.replace(/^-+/, '')}'`;
+            break;
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+        if (cmd === 'xxd' && operands.length > 2) {
+          error = 'Usage: xxd [-c cols] [-g bytes] [-l len] [-s seek] [-p] [-u] [-r] [infile [outfile]]';
+          break;
+        }
+
+        // hexdump concatenates its inputs; xxd reads one file (or stdin)
+        const names = cmd === 'xxd' ? operands.slice(0, 1) : operands;
+        const chunks = [];
+        for (const name of names.length > 0 ? names : ['-']) {
+          const src = name === '-' ? { bytes: toBytes(stdin ?? ''), error: null } : readBlob(name, vfs, cwd, session.devices);
+          if (src.error) {
+            error = `${cmd}: ${name}: ${src.error}`;
+            break;
+          }
+          chunks.push(src.bytes);
+        }
+        if (error) break;
+
+        if (opts.revert) {
+          // xxd -r turns a dump back into the bytes it shows (-p: plain hex)
+          const data = fromBytes(reverseXxd(Buffer.concat(chunks).toString('latin1'), { plain: opts.plain }));
+          if (operands[1] === undefined) {
+            output = data;
+            break;
+          }
+          const outAbs = resolvePath(operands[1], cwd);
+          const writeErr = checkWritable(outAbs, cmd, session, { vfs }) || writeFile(vfs, outAbs, data);
+          if (writeErr) {
+            error = `xxd: ${operands[1]}: ${writeErr}`;
+            break;
+          }
+          vfsModified = true;
+          break;
+        }
+
+        let bytes = Buffer.concat(chunks).subarray(opts.skip);
+        if (opts.length !== null) bytes = bytes.subarray(0, opts.length);
+        output = cmd === 'xxd'
+          ? formatXxd(bytes, { offset: opts.skip, cols: opts.cols, group: opts.group, plain: opts.plain, upper: opts.upper })
+          : formatHexdump(bytes, { canonical: opts.canonical, offset: opts.skip, verbose: opts.verbose });
+
+        // xxd infile outfile writes the dump instead of printing it
+        if (cmd === 'xxd' && operands[1] !== undefined) {
+          const outAbs = resolvePath(operands[1], cwd);
+          const writeErr = checkWritable(outAbs, cmd, session, { vfs }) || writeFile(vfs, outAbs, `${output}\n`);
+          if (writeErr) {
+            error = `xxd: ${operands[1]}: ${writeErr}`;
+            output = '';
+            break;
+          }
+          vfsModified = true;
+          output = '';
+        }
+      }
+      break;
+
+    case 'strings':
+      {
+        const opts = { min: 4, radix: null, names: false };
+        const operands = [];
+        for (let i = 0; i < args.length; i++) {
+          const arg = args[i];
+          const min = arg === '-n' ? args[++i] : arg.match(/^(?:-n|--bytes=|-)(\d+)$/)?.[1];
+          if (min !== undefined) {
+            if (!/^\d+$/.test(min) || Number(min) === 0) {
+              error = `strings: invalid minimum string length ${min ?? ''}`.trimEnd();
+              break;
+            }
+            opts.min = Number(min);
+          } else if (arg === '-t' || /^--radix=/.test(arg)) {
+            const radix = arg === '-t' ? args[++i] : arg.slice(8);
+            if (!['d', 'x', 'o'].includes(radix)) {
+              error = `strings: invalid radix: ${radix ?? ''}`.trimEnd();
+              break;
+            }
+            opts.radix = radix;
+          } else if (arg === '-f' || arg === '--print-file-name') {
+            opts.names = true;
+          } else if (arg === '-a' || arg === '--all') {
+            // The whole file is always scanned
+          } else if (arg.startsWith('-') && arg !== '-') {
+            error = `strings: invalid option -- '${arg.replace(/^-+/, '')}'`;
+            break;
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+
+        const lines = [];
+        const errors = [];
+        for (const name of operands.length > 0 ? operands : ['-']) {
+          const src = name === '-' ? { bytes: toBytes(stdin ?? ''), error: null } : readBlob(name, vfs, cwd, session.devices);
+          if (src.error) {
+            errors.push(`strings: '${name}': ${src.error}`);
+            continue;
+          }
+          const prefix = opts.names ? `${name}: ` : '';
+          extractStrings(src.bytes, opts).forEach(str => lines.push(prefix + str));
+        }
+        output = lines.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'file':
+      {
+        const brief = args.includes('-b') || args.includes('--brief');
+        const special = args.includes('-s') || args.includes('--special-files');
+        const dereference = args.includes('-L') || args.includes('--dereference');
+        const bad = args.find(a => a.startsWith('-') && !['-b', '--brief', '-s', '--special-files', '-L', '--dereference'].includes(a));
+        const operands = args.filter(a => !a.startsWith('-'));
+        if (bad) {
+          error = `file: invalid option -- '${bad.replace(/^-+/, '')}'`;
+          break;
+        }
+        if (operands.length === 0) {
+          error = 'Usage: file [-bsL] file ...';
+          break;
+        }
+
+        const lines = operands.map(name => {
+          const abs = resolvePath(name, cwd);
+          const node = getNode(vfs, abs, { follow: dereference || namesDirectory(name) });
+          const device = abs.match(/^\/dev\/([^/]+)$/);
+          let description;
+          if (device && session.devices?.[device[1]] !== undefined && !special) {
+            description = 'block special (8/16)';
+          } else if (node?.type === 'symlink') {
+            description = `symbolic link to ${node.target}`;
+          } else if (node?.type === 'dir') {
+            description = 'directory';
+          } else {
+            const src = readBlob(name, vfs, cwd, session.devices);
+            description = src.error
+              ? `cannot open \`${name}' (${src.error})`
+              : describeModel(src.data, scenarioCode, session.devices) || identifyFile(src.bytes);
+          }
+          return brief ? description : `${name}: ${description}`;
+        });
+        output = lines.join('\n');
+      }
+      break;
+
+    case 'base64':
+    case 'base32':
+      {
+        // base64/base32 [-d] [-i] [-w COLS] [file]
+        const opts = { decode: false, ignoreGarbage: false, wrap: 76 };
+        const operands = [];
+        for (let i = 0; i < args.length && !error; i++) {
+          const arg = args[i];
+          if (arg === '-d' || arg === '--decode') {
+            opts.decode = true;
+          } else if (arg === '-i' || arg === '--ignore-garbage') {
+            opts.ignoreGarbage = true;
+          } else if (arg === '-w' || arg.startsWith('--wrap=') || /^-w\d+$/.test(arg)) {
+            const value = arg === '-w' ? args[++i] : arg.replace(/^(--wrap=|-w)/, '');
+            if (!/^\d+$/.test(value ?? '')) error = `${cmd}: invalid wrap size: '${value ?? ''}'`;
+            else opts.wrap = Number(value);
+          } else if (/^-[di]+$/.test(arg)) {
+            if (arg.includes('d')) opts.decode = true;
+            if (arg.includes('i')) opts.ignoreGarbage = true;
+          } else if (arg.startsWith('-') && arg !== '-') {
+            error = `${cmd}: invalid option -- '${arg.replace(/^-+/, '')}'\nTry '${cmd} --help' for more information.`;
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+        if (operands.length > 1) {
+          error = `${cmd}: extra operand '${operands[1]}'\nTry '${cmd} --help' for more information.`;
+          break;
+        }
+
+        const name = operands[0] ?? '-';
+        const src = name === '-' ? { data: stdin ?? '', bytes: toBytes(stdin ?? ''), error: null } : readBlob(name, vfs, cwd, session.devices);
+        if (src.error) {
+          error = `${cmd}: ${name}: ${src.error}`;
+          break;
+        }
+
+        if (!opts.decode) {
+          output = cmd === 'base64' ? encodeBase64(src.bytes, opts.wrap) : encodeBase32(src.bytes, opts.wrap);
+          break;
+        }
+        try {
+          const decoder = cmd === 'base64' ? decodeBase64 : decodeBase32;
+          output = fromBytes(decoder(src.data, { ignoreGarbage: opts.ignoreGarbage }));
+        } catch (e) {
+          error = `${cmd}: ${e.message}`;
+        }
+      }
+      break;
+
+    case 'openssl':
+      {
+        // openssl enc [-e|-d] -<cipher> [-in f] [-out f] [-k pass | -pass pass:X | -K hex -iv hex]
+        //             [-md digest] [-pbkdf2] [-iter N] [-nosalt] [-a [-A]] [-p|-P]
+        // openssl <cipher> ... and openssl base64 [-d] are shorthands for enc
+        const [sub, ...rest] = args;
+        if (!sub) {
+          error = 'usage: openssl enc -d -aes-256-cbc -in <file> -k <password>';
+          break;
+        }
+        const shorthand = sub !== 'enc' && (sub === 'base64' || cipherInfo(sub));
+        if (sub !== 'enc' && !shorthand) {
+          error = `Invalid command '${sub}'; type "help" for a list.`;
+          break;
+        }
+
+        const opts = { decrypt: false, cipher: sub === 'enc' || sub === 'base64' ? null : cipherInfo(sub), input: null, out: null, password: null, key: null, iv: null, md: 'sha256', iter: null, salt: true, base64: sub === 'base64', oneLine: false, print: false, printOnly: false };
+        const VALUE_FLAGS = ['-in', '-out', '-k', '-pass', '-K', '-iv', '-md', '-iter'];
+        for (let i = 0; i < rest.length && !error; i++) {
+          const arg = rest[i];
+          if (VALUE_FLAGS.includes(arg)) {
+            const value = rest[++i];
+            if (value === undefined) {
+              error = `enc: Option ${arg} needs a value\nenc: Use -help for summary.`;
+              break;
+            }
+            if (arg === '-in') opts.input = value;
+            else if (arg === '-out') opts.out = value;
+            else if (arg === '-k') opts.password = value;
+            else if (arg === '-pass') {
+              if (!value.startsWith('pass:')) error = `Invalid password argument "${value}"\nError getting password`;
+              else opts.password = value.slice(5);
+            } else if (arg === '-K' || arg === '-iv') {
+              if (!/^[0-9a-f]+$/i.test(value)) error = `invalid hex ${arg === '-K' ? 'key' : 'iv'} value`;
+              else opts[arg === '-K' ? 'key' : 'iv'] = value;
+            } else if (arg === '-md') {
+              if (!['md5', 'sha1', 'sha256', 'sha512'].includes(value.toLowerCase())) error = `enc: Unknown option or message digest: ${value}`;
+              else opts.md = value.toLowerCase();
+            } else {
+              if (!/^\d+$/.test(value) || Number(value) === 0) error = `enc: Invalid iteration count: ${value}`;
+              else opts.iter = Number(value);
+            }
+          } else if (arg === '-d' || arg === '-e') {
+            opts.decrypt = arg === '-d';
+          } else if (arg === '-pbkdf2') {
+            if (opts.iter === null) opts.iter = 10000;
+          } else if (arg === '-nosalt' || arg === '-salt') {
+            opts.salt = arg === '-salt';
+          } else if (arg === '-a' || arg === '-base64') {
+            opts.base64 = true;
+          } else if (arg === '-A') {
+            opts.oneLine = true;
+          } else if (arg === '-p' || arg === '-P') {
+            opts.print = true;
+            opts.printOnly = arg === '-P';
+          } else if (arg.startsWith('-') && cipherInfo(arg.slice(1))) {
+            opts.cipher = cipherInfo(arg.slice(1));
+          } else {
+            error = `enc: Unknown option or cipher: ${arg.replace(/^-/, '')}\nenc: Use -help for summary.`;
+          }
+        }
+        if (error) break;
+
+        let input;
+        if (opts.input === null) {
+          input = toBytes(stdin ?? '');
+        } else {
+          const src = readBlob(opts.input, vfs, cwd, session.devices);
+          if (src.error) {
+            error = `Can't open "${opts.input}" for reading, ${src.error}`;
+            break;
+          }
+          input = src.bytes;
+        }
+
+        let result = input;
+        const printed = [];
+        try {
+          // -a: the ciphertext is base64 (decoded before, encoded after the cipher)
+          if (opts.base64 && opts.decrypt) result = decodeBase64(result.toString('latin1'), { ignoreGarbage: true });
+          if (opts.cipher) {
+            if (opts.password === null && opts.key === null) {
+              error = `enter ${opts.cipher.name.toUpperCase()} ${opts.decrypt ? 'decryption' : 'encryption'} password:\nbad password read`;
+              break;
+            }
+            if (opts.key !== null && opts.iv === null && opts.cipher.ivLength > 0) {
+              error = 'iv undefined';
+              break;
+            }
+            const fitHex = (hex, length) => Buffer.from(hex.padEnd(length * 2, '0').slice(0, length * 2), 'hex');
+            const ciphered = opensslCipher(result, {
+              decrypt: opts.decrypt,
+              cipher: opts.cipher,
+              password: opts.key !== null ? null : opts.password,
+              key: opts.key !== null ? fitHex(opts.key, opts.cipher.keyLength) : null,
+              iv: opts.iv !== null ? fitHex(opts.iv, opts.cipher.ivLength) : null,
+              salt: opts.salt,
+              md: opts.md,
+              iter: opts.iter
+            });
+            if (opts.print) {
+              const upperHex = (buf) => buf.toString('hex').toUpperCase();
+              if (ciphered.salt) printed.push(`salt=${upperHex(ciphered.salt)}`);
+              printed.push(`key=${upperHex(ciphered.key)}`);
+              if (opts.cipher.ivLength > 0) printed.push(`iv =${upperHex(ciphered.iv)}`);
+            }
+            result = ciphered.data;
+          }
+        } catch (e) {
+          error = e.message === 'bad decrypt'
+            ? 'bad decrypt\n40F7C9B1D07F0000:error:1C800064:Provider routines:ossl_cipher_unpadblock:bad decrypt:../providers/implementations/ciphers/ciphercommon_block.c:124:'
+            : e.message;
+          break;
+        }
+        if (opts.printOnly) {
+          output = printed.join('\n');
+          break;
+        }
+
+        const data = opts.base64 && !opts.decrypt ? `${encodeBase64(result, opts.oneLine ? 0 : 64)}\n` : fromBytes(result);
+        if (opts.out !== null) {
+          const outAbs = resolvePath(opts.out, cwd);
+          const writeErr = checkWritable(outAbs, cmd, session, { vfs }) || writeFile(vfs, outAbs, data);
+          if (writeErr) {
+            error = `Can't open "${opts.out}" for writing, ${writeErr}`;
+            break;
+          }
+          vfsModified = true;
+          output = printed.join('\n');
+        } else {
+          output = [...printed, data].filter(Boolean).join('\n');
+        }
+      }
+      break;
+
+    case 'decode':
+      {
+        // decode [-f file] [-o out] op[:arg] ...  - run a chain of decoding
+        // operations over a file or piped input (decode -l lists them)
+        const usage = 'Usage: decode [-f file] [-o outfile] operation[:arg] ...  (e.g. decode -f payload.txt base64 xor:0x5a)\n       decode -l  - list operations';
+        let file = null;
+        let outFile = null;
+        const steps = [];
+        for (let i = 0; i < args.length && !error; i++) {
+          const arg = args[i];
+          if (arg === '-l' || arg === '--list') {
+            const width = Math.max(...Object.values(DECODE_OPERATIONS).map(op => op.usage.length));
+            output = ['Operations (applied left to right):', ...Object.values(DECODE_OPERATIONS).map(op => `  ${op.usage.padEnd(width)}  ${op.description}`)].join('\n');
+            break;
+          } else if (arg === '-f' || arg === '-o') {
+            const value = args[++i];
+            if (value === undefined) error = `decode: option requires an argument -- '${arg.slice(1)}'\n${usage}`;
+            else if (arg === '-f') file = value;
+            else outFile = value;
+          } else if (arg.startsWith('-')) {
+            error = `decode: invalid option -- '${arg.replace(/^-+/, '')}'\n${usage}`;
+          } else {
+            // Steps may also be given comma-separated: "base64,rot13"
+            steps.push(...arg.split(',').filter(Boolean));
+          }
+        }
+        if (error || output) break;
+        if (steps.length === 0) {
+          error = usage;
+          break;
+        }
+
+        let input;
+        if (file !== null) {
+          const src = readBlob(file, vfs, cwd, session.devices);
+          if (src.error) {
+            error = `decode: ${file}: ${src.error}`;
+            break;
+          }
+          input = src.bytes;
+        } else if (stdin !== null) {
+          // Piped text ends with a newline that isn't part of the payload
+          input = toBytes(stdin.replace(/\n$/, ''));
+        } else {
+          error = `decode: no input (pipe data in or use -f file)\n${usage}`;
+          break;
+        }
+
+        let decoded;
+        try {
+          decoded = fromBytes(runDecodeChain(input, steps));
+        } catch (e) {
+          error = `decode: ${e.message}`;
+          break;
+        }
+        if (outFile !== null) {
+          const outAbs = resolvePath(outFile, cwd);
+          const writeErr = checkWritable(outAbs, cmd, session, { vfs }) || writeFile(vfs, outAbs, decoded);
+          if (writeErr) {
+            error = `decode: ${outFile}: ${writeErr}`;
+            break;
+          }
+          vfsModified = true;
+        } else {
+          output = decoded;
+        }
+      }
+      break;
+
+    case 'tar':
+      {
+        // tar -t|-x [-zvO] -f ARCHIVE [-C DIR] [MEMBER...]; the first word may be
+        // an old-style bundle without a dash ("xzvf"). gzip is also detected by content.
+        const opts = { mode: null, z: false, v: false, O: false, file: null, dir: null };
+        const members = [];
+        const words = args.length > 0 && /^[a-zA-Z]+$/.test(args[0]) ? [`-${args[0]}`, ...args.slice(1)] : args;
+        const LONG = { '--list': 't', '--extract': 'x', '--get': 'x', '--gzip': 'z', '--gunzip': 'z', '--verbose': 'v', '--to-stdout': 'O' };
+        const setFlag = (flag) => {
+          if ('tx'.includes(flag)) {
+            if (opts.mode && opts.mode !== flag) {
+              error = "tar: You may not specify more than one '-Acdtrux', '--delete' or  '--test-label' option\nTry 'tar --help' or 'tar --usage' for more information.";
+            }
+            opts.mode = flag;
+          } else if ('cruA'.includes(flag)) {
+            error = 'tar: creating or updating archives is not supported';
+          } else if ('zvO'.includes(flag)) {
+            opts[flag] = true;
+          } else {
+            error = `tar: invalid option -- '${flag}'\nTry 'tar --help' or 'tar --usage' for more information.`;
+          }
+        };
+
+        for (let i = 0; i < words.length && !error; i++) {
+          const arg = words[i];
+          if (LONG[arg]) {
+            setFlag(LONG[arg]);
+          } else if (arg.startsWith('--file=')) {
+            opts.file = arg.slice(7);
+          } else if (arg.startsWith('--directory=')) {
+            opts.dir = arg.slice(12);
+          } else if (/^-[a-zA-Z]+$/.test(arg)) {
+            for (let j = 1; j < arg.length && !error; j++) {
+              const flag = arg[j];
+              if (flag === 'f' || flag === 'C') {
+                // The value is the rest of the cluster or the next word
+                const value = arg.slice(j + 1) || words[++i];
+                if (value === undefined) error = `tar: option requires an argument -- '${flag}'\nTry 'tar --help' or 'tar --usage' for more information.`;
+                else opts[flag === 'f' ? 'file' : 'dir'] = value;
+                break;
+              }
+              setFlag(flag);
+            }
+          } else {
+            members.push(arg);
+          }
+        }
+        if (error) break;
+        if (!opts.mode) {
+          error = "tar: You must specify one of the '-Acdtrux', '--delete' or '--test-label' options\nTry 'tar --help' or 'tar --usage' for more information.";
+          break;
+        }
+
+        const fatal = 'tar: Error is not recoverable: exiting now';
+        let bytes;
+        if (opts.file === null || opts.file === '-') {
+          if (stdin === null) {
+            error = `tar: Refusing to read archive contents from terminal (missing -f option?)\n${fatal}`;
+            break;
+          }
+          bytes = toBytes(stdin);
+        } else {
+          const src = readBlob(opts.file, vfs, cwd, session.devices);
+          if (src.error) {
+            error = `tar: ${opts.file}: Cannot open: ${src.error}\n${fatal}`;
+            break;
+          }
+          bytes = src.bytes;
+        }
+
+        let entries;
+        try {
+          if (opts.z || isGzip(bytes)) bytes = gunzip(bytes).data;
+          entries = readTar(bytes);
+        } catch (e) {
+          error = e.message === 'not in gzip format' || e.message === 'unexpected end of file'
+            ? `gzip: stdin: ${e.message}\ntar: Child returned status 1\n${fatal}`
+            : `tar: ${e.message}\ntar: Exiting with failure status due to previous errors`;
+          break;
+        }
+
+        // Members select entries by name, a directory selects everything below it
+        const wanted = members.map(m => m.replace(/\/+$/, ''));
+        const found = new Set();
+        const selected = entries.filter(entry => {
+          if (wanted.length === 0) return true;
+          const name = entry.name.replace(/\/+$/, '');
+          const match = wanted.find(m => name === m || name.startsWith(`${m}/`));
+          if (match !== undefined) found.add(match);
+          return match !== undefined;
+        });
+
+        const errors = [];
+        if (selected.some(entry => entry.name.startsWith('/'))) errors.push("tar: Removing leading `/' from member names");
+        const lines = [];
+        const streamed = [];
+
+        if (opts.mode === 't') {
+          for (const entry of selected) lines.push(opts.v ? formatTarEntry(entry) : entry.name);
+        } else {
+          const base = resolvePath(opts.dir || '.', cwd);
+          const baseNode = getNode(vfs, base);
+          if (!opts.O && (!baseNode || baseNode.type !== 'dir')) {
+            error = `tar: ${opts.dir}: Cannot chdir: ${baseNode ? 'Not a directory' : 'No such file or directory'}\n${fatal}`;
+            break;
+          }
+          for (const entry of selected) {
+            const rel = memberPath(entry.name);
+            if (!rel) continue;
+            if (opts.O) {
+              if (entry.type === 'file') streamed.push(entry.data);
+              continue;
+            }
+            if (opts.v) lines.push(entry.name);
+            const target = `${base === '/' ? '' : base}/${rel}`;
+            const props = { mode: entry.mode, mtime: entry.mtime, atime: entry.mtime };
+            const node = entry.type === 'symlink'
+              ? createNode('symlink', { target: entry.linkname, mtime: entry.mtime, atime: entry.mtime })
+              : createNode('file', { content: fromBytes(entry.data), ...props });
+            const writeErr = checkWritable(target, cmd, session, { vfs })
+              || (entry.type === 'dir' ? makeDir(vfs, target) : placeFile(vfs, target, node));
+            if (writeErr) {
+              errors.push(`tar: ${rel}: Cannot open: ${writeErr}`);
+              continue;
+            }
+            if (entry.type === 'dir') Object.assign(getNode(vfs, target), props);
+            vfsModified = true;
+          }
+        }
+
+        const missing = wanted.filter(m => !found.has(m));
+        for (const m of missing) errors.push(`tar: ${m}: Not found in archive`);
+        if (missing.length > 0 || errors.some(e => e.includes('Cannot open'))) {
+          errors.push('tar: Exiting with failure status due to previous errors');
+        }
+
+        output = opts.O ? fromBytes(Buffer.concat(streamed)) : lines.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'gunzip':
+    case 'zcat':
+      {
+        // gunzip [-cfkl] [file...]; zcat is gunzip -c. Without files stdin is
+        // decompressed to stdout.
+        const opts = { c: cmd === 'zcat', f: false, k: false, l: false };
+        const LONG = { '--stdout': 'c', '--to-stdout': 'c', '--force': 'f', '--keep': 'k', '--list': 'l', '--decompress': 'd', '--uncompress': 'd' };
+        const operands = [];
+        for (const arg of args) {
+          if (LONG[arg]) {
+            opts[LONG[arg]] = true;
+          } else if (/^-[a-zA-Z]+$/.test(arg)) {
+            const bad = [...arg.slice(1)].find(flag => !'cfkld'.includes(flag));
+            if (bad) {
+              error = `gzip: invalid option -- '${bad}'\nTry \`gzip --help' for more information.`;
+              break;
+            }
+            for (const flag of arg.slice(1)) opts[flag] = true;
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+
+        const errors = [];
+        const streamed = [];
+        const listing = [];
+        for (const name of operands.length > 0 ? operands : ['-']) {
+          let bytes;
+          let node = null;
+          if (name === '-') {
+            if (stdin === null) {
+              errors.push('gzip: compressed data not read from a terminal. Use -f to force decompression.\nFor help, type: gzip -h');
+              continue;
+            }
+            bytes = toBytes(stdin);
+          } else {
+            node = getNode(vfs, resolvePath(name, cwd));
+            if (!node) {
+              errors.push(`gzip: ${name}: No such file or directory`);
+              continue;
+            }
+            if (node.type === 'dir') {
+              errors.push(`gzip: ${name} is a directory -- ignored`);
+              continue;
+            }
+            bytes = nodeBytes(node);
+          }
+
+          // The output is named after the input without its suffix (.tgz becomes .tar)
+          const suffix = name.match(/\.(gz|tgz|z)$/i);
+          const outName = !suffix ? null : suffix[1].toLowerCase() === 'tgz' ? name.replace(/tgz$/i, 'tar') : name.slice(0, -suffix[0].length);
+          if (name !== '-' && !opts.c && !outName) {
+            errors.push(`gzip: ${name}: unknown suffix -- ignored`);
+            continue;
+          }
+
+          let data;
+          try {
+            data = gunzip(bytes).data;
+          } catch (e) {
+            errors.push(`gzip: ${name === '-' ? 'stdin' : name}: ${e.message}`);
+            continue;
+          }
+
+          if (opts.l) {
+            const ratio = data.length > 0 ? ((data.length - bytes.length) / data.length) * 100 : 0;
+            listing.push(`${String(bytes.length).padStart(19)} ${String(data.length).padStart(19)} ${ratio.toFixed(1).padStart(5)}% ${outName || 'stdout'}`);
+          } else if (opts.c || name === '-') {
+            streamed.push(data);
+          } else {
+            const abs = resolvePath(name, cwd);
+            const outAbs = resolvePath(outName, cwd);
+            if (getNode(vfs, outAbs) && !opts.f) {
+              errors.push(`gzip: ${outName} already exists; not overwritten`);
+              continue;
+            }
+            // The input is replaced by its decompressed version (-k keeps it)
+            const roErr = checkWritable(outAbs, cmd, session, { vfs }) || (!opts.k && checkWritable(abs, cmd, session, { vfs }));
+            if (roErr) {
+              errors.push(`gzip: ${name}: ${roErr}`);
+              continue;
+            }
+            const meta = getNodeMeta(node);
+            const writeErr = placeFile(vfs, outAbs, createNode('file', { content: fromBytes(data), mode: meta.mode, mtime: meta.mtime, atime: meta.atime }));
+            if (writeErr) {
+              errors.push(`gzip: ${outName}: ${writeErr}`);
+              continue;
+            }
+            if (!opts.k) delete getNode(vfs, resolvePath('..', abs)).children[abs.split('/').pop()];
+            vfsModified = true;
+          }
+        }
+
+        if (opts.l) {
+          output = listing.length > 0 ? ['         compressed        uncompressed  ratio uncompressed_name', ...listing].join('\n') : '';
+        } else {
+          output = fromBytes(Buffer.concat(streamed));
+        }
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'unzip':
+      {
+        // unzip [-l] [-o|-n] [-q] [-p] [-P password] [-d exdir] archive[.zip] [member...]
+        const usage = 'Usage: unzip [-opts[modifiers]] file[.zip] [list] [-d exdir]\n  -p  extract files to pipe, no messages     -l  list files (short format)\n  -o  overwrite files WITHOUT prompting      -n  never overwrite existing files\n  -q  quiet mode                             -P  password to decrypt encrypted entries\n  -d  extract files into exdir';
+        const opts = { l: false, o: false, n: false, q: false, p: false, password: null, dir: null };
+        const operands = [];
+        for (let i = 0; i < args.length && !error; i++) {
+          const arg = args[i];
+          if (/^-[a-zA-Z]+$/.test(arg)) {
+            for (let j = 1; j < arg.length && !error; j++) {
+              const flag = arg[j];
+              if (flag === 'P' || flag === 'd') {
+                const value = arg.slice(j + 1) || args[++i];
+                if (value === undefined) error = `error:  must give ${flag === 'P' ? 'decryption password' : 'extraction directory'} with -${flag} option\n${usage}`;
+                else opts[flag === 'P' ? 'password' : 'dir'] = value;
+                break;
+              }
+              if (!'lonqp'.includes(flag)) error = `unzip:  invalid option -- ${flag}\n${usage}`;
+              else opts[flag] = true;
+            }
+          } else {
+            operands.push(arg);
+          }
+        }
+        if (error) break;
+        const [archive, ...patterns] = operands;
+        if (!archive) {
+          error = usage;
+          break;
+        }
+
+        // Like Info-ZIP, the archive name may omit its .zip suffix
+        const archiveName = [archive, `${archive}.zip`, `${archive}.ZIP`].find(name => getNode(vfs, resolvePath(name, cwd))?.type === 'file');
+        const src = archiveName ? readBlob(archiveName, vfs, cwd, session.devices) : null;
+        if (!src || src.error) {
+          error = `unzip:  cannot find or open ${archive}, ${archive}.zip or ${archive}.ZIP.`;
+          break;
+        }
+
+        let entries;
+        try {
+          entries = readZip(src.bytes);
+        } catch {
+          error = [
+            `Archive:  ${archiveName}`,
+            '  End-of-central-directory signature not found.  Either this file is not',
+            '  a zipfile, or it constitutes one disk of a multi-part archive.  In the',
+            '  latter case the central directory and zipfile comment will be found on',
+            '  the last disk(s) of this archive.',
+            `unzip:  cannot find zipfile directory in one of ${archive} or`,
+            `        ${archive}.zip, and cannot find ${archive}.ZIP, period.`
+          ].join('\n');
+          break;
+        }
+
+        const matchers = patterns.map(pattern => globToRegExp(pattern));
+        const matched = new Set();
+        const selected = entries.filter(entry => {
+          if (matchers.length === 0) return true;
+          const hit = matchers.findIndex(re => re.test(entry.name) || re.test(entry.name.replace(/\/$/, '')));
+          if (hit >= 0) matched.add(hit);
+          return hit >= 0;
+        });
+        const missing = patterns.filter((_, idx) => !matched.has(idx)).map(pattern => `caution: filename not matched:  ${pattern}`);
+
+        const lines = opts.q || opts.p ? [] : [`Archive:  ${archiveName}`];
+        if (opts.l) {
+          // Info-ZIP prints dates as mm-dd-yyyy
+          const total = selected.reduce((sum, entry) => sum + entry.size, 0);
+          lines.push('  Length      Date    Time    Name', '---------  ---------- -----   ----');
+          for (const entry of selected) {
+            const [, y, mo, d, hm] = entry.mtime.match(/^(\d{4})-(\d\d)-(\d\d)T(\d\d:\d\d)/);
+            lines.push(`${String(entry.size).padStart(9)}  ${mo}-${d}-${y} ${hm}   ${entry.name}`);
+          }
+          lines.push('---------                     -------', `${String(total).padStart(9)}                     ${selected.length} file${selected.length === 1 ? '' : 's'}`);
+          output = lines.join('\n');
+          if (missing.length > 0) error = missing.join('\n');
+          break;
+        }
+
+        const base = resolvePath(opts.dir || '.', cwd);
+        const display = (name) => (opts.dir ? `${opts.dir.replace(/\/+$/, '')}/${name}` : name);
+        const streamed = [];
+        let declined = false;
+        for (const entry of selected) {
+          const rel = memberPath(entry.name);
+          if (!rel) continue;
+          const target = `${base === '/' ? '' : base}/${rel}`;
+
+          if (entry.dir) {
+            if (opts.p) continue;
+            const dirErr = checkWritable(target, cmd, session, { vfs }) || makeDir(vfs, target);
+            if (dirErr) {
+              lines.push(`checkdir error:  cannot create ${display(rel)}\n                 ${dirErr}`);
+              continue;
+            }
+            if (!opts.q) lines.push(`   creating: ${display(rel)}/`);
+            vfsModified = true;
+            continue;
+          }
+
+          // Without -o an existing file would need an answer at the replace
+          // prompt; with no terminal to read it from, unzip falls back to [N]one
+          if (!opts.p && getNode(vfs, target) && !opts.o) {
+            if (!opts.n && !declined) {
+              lines.push(`replace ${display(rel)}? [y]es, [n]o, [A]ll, [N]one, [r]ename:  NULL\n(EOF or read error, treating as "[N]one" ...)`);
+              declined = true;
+            }
+            continue;
+          }
+
+          const result = extractZipEntry(src.bytes, entry, opts.password);
+          if (result.error) {
+            lines.push(result.error.startsWith('bad CRC')
+              ? `  inflating: ${display(rel)}  ${result.error}`
+              : `   skipping: ${display(rel).padEnd(22)}  ${result.error}`);
+            continue;
+          }
+          if (opts.p) {
+            streamed.push(result.data);
+            continue;
+          }
+
+          const writeErr = checkWritable(target, cmd, session, { vfs })
+            || placeFile(vfs, target, createNode('file', { content: fromBytes(result.data), mtime: entry.mtime, atime: entry.mtime }));
+          if (writeErr) {
+            lines.push(`error:  cannot create ${display(rel)}\n        ${writeErr}`);
+            continue;
+          }
+          if (!opts.q) lines.push(`${entry.method === 0 ? ' extracting' : '  inflating'}: ${display(rel)}`);
+          vfsModified = true;
+        }
+
+        output = opts.p ? fromBytes(Buffer.concat(streamed)) : lines.join('\n');
+        if (opts.p && lines.length > 0) error = lines.join('\n');
+        if (missing.length > 0) error = [error, ...missing].filter(Boolean).join('\n');
+      }
+      break;
+
+    case 'ssh':
+      {
+        const usage = 'usage: ssh [-p port] [-l login_name] [user@]hostname [command]';
+        let login = null;
+        let target = null;
+        let i = 0;
+        for (; i < args.length && target === null; i++) {
+          const arg = args[i];
+          if (['-l', '-p', '-i', '-o', '-F', '-J'].includes(arg)) {
+            // Keys, ports and options are accepted; only the login name matters here
+            const value = args[++i];
+            if (value === undefined) {
+              error = `ssh: option requires an argument -- ${arg.slice(1)}\n${usage}`;
+              break;
+            }
+            if (arg === '-l') login = value;
+          } else if (/^-[46ACNTtqvxX]+$/.test(arg)) {
+            // Flags that don't change what a simulated session shows
+          } else if (arg.startsWith('-')) {
+            error = `ssh: illegal option -- ${arg.slice(1)}\n${usage}`;
+            break;
+          } else {
+            target = arg;
+          }
+        }
+        if (error) break;
+        if (!target) {
+          error = usage;
+          break;
+        }
+
+        const at = target.lastIndexOf('@');
+        const user = at >= 0 ? target.slice(0, at) : login || session.env?.USER || DEFAULT_ENV.USER;
+        const hostName = at >= 0 ? target.slice(at + 1) : target;
+        const remote = connectHost(hostName, user, scenarioCode, session);
+        if (remote.error) {
+          error = remote.error;
+          break;
+        }
+        const { def, state } = remote;
+        const remoteCommand = args.slice(i).join(' ');
+
+        if (remoteCommand) {
+          // Runs non-interactively in the login's home; nothing sticks but file changes
+          const remoteSession = {
+            env: { ...state.env, USER: user, HOME: homeOf(user) },
+            devices: {},
+            readOnlyMounts: [],
+            tamperAttempts: session.tamperAttempts,
+            host: def.name,
+            hosts: session.hosts,
+            chain: session.chain,
+            modifiedHosts: session.modifiedHosts,
+            nonInteractive: true
+          };
+          const res = executeLine(remoteCommand, state.vfs, homeOf(user), scenarioCode, remoteSession);
+          if (res.vfsModified) session.modifiedHosts.add(def.name);
+          output = res.output;
+          error = res.error;
+          status = res.status;
+          break;
+        }
+        if (session.nonInteractive) {
+          error = 'Pseudo-terminal will not be allocated because stdin is not a terminal.';
+          break;
+        }
+
+        // First connection to a host records its key, like OpenSSH's known_hosts
+        const lines = [];
+        const knownHosts = resolvePath('.ssh/known_hosts', session.env?.HOME || '/home/user');
+        const known = getNode(vfs, knownHosts)?.content || '';
+        if (!known.split('\n').some(line => line.split(' ')[0].split(',').includes(hostName))) {
+          makeDir(vfs, resolvePath('.ssh', session.env?.HOME || '/home/user'));
+          writeFile(vfs, knownHosts, `${def.name},${def.address} ecdsa-sha2-nistp256 ${hostKey(def.name)}\n`, true);
+          vfsModified = true;
+          lines.push(`Warning: Permanently added '${hostName}' (ECDSA) to the list of known hosts.`);
+        }
+        if (def.motd) lines.push(def.motd);
+
+        // Logging in starts in the home directory
+        makeDir(state.vfs, homeOf(user));
+        state.cwd = homeOf(user);
+        state.env = { ...state.env, USER: user, HOME: homeOf(user) };
+        session.modifiedHosts.add(def.name);
+        session.chain.push({ host: def.name, user });
+        output = lines.join('\n');
+      }
+      break;
+
+    case 'exit':
+    case 'logout':
+      if (session.nonInteractive) break;
+      if (!session.chain?.length) {
+        error = `${cmd}: not connected to a remote host`;
+        break;
+      }
+      {
+        const { host } = session.chain.pop();
+        output = `logout\nConnection to ${host} closed.`;
+      }
+      break;
+
+    case 'scp':
+      {
+        const flags = args.filter(a => /^-[rpqC]+$/.test(a)).join('');
+        const operands = args.filter(a => !/^-[rpqC]+$/.test(a));
+        if (operands.length < 2) {
+          error = 'usage: scp [-pqr] [[user@]host1:]file1 ... [[user@]host2:]file2';
+          break;
+        }
+
+        // An operand is a local path or [user@]host:path (relative to the login's home)
+        const endpoint = (operand) => {
+          const match = operand.match(/^(?:([^@/:]+)@)?([^/:]+):(.*)$/);
+          if (!match) {
+            return { host: session.host || LOCAL_HOST, vfs, path: resolvePath(operand, cwd), label: operand };
+          }
+          const user = match[1] || session.env?.USER || DEFAULT_ENV.USER;
+          const remote = connectHost(match[2], user, scenarioCode, session);
+          if (remote.error) return { error: remote.error };
+          return { host: remote.def.name, vfs: remote.state.vfs, path: resolvePath(match[3] || '.', homeOf(user)), label: operand };
+        };
+
+        const dest = endpoint(operands[operands.length - 1]);
+        if (dest.error) {
+          error = dest.error;
+          break;
+        }
+        const destNode = getNode(dest.vfs, dest.path);
+        if (operands[operands.length - 1].endsWith('/') && destNode?.type !== 'dir') {
+          error = `scp: ${dest.path}/: ${destNode ? 'Not a directory' : 'No such file or directory'}`;
+          break;
+        }
+        const lines = [];
+        const errors = [];
+        for (const operand of operands.slice(0, -1)) {
+          const src = endpoint(operand);
+          if (src.error) {
+            errors.push(src.error);
+            continue;
+          }
+          const node = getNode(src.vfs, src.path);
+          const name = src.path.split('/').filter(Boolean).pop() || '/';
+          if (!node) {
+            errors.push(`scp: ${src.path}: No such file or directory`);
+            continue;
+          }
+          if (node.type === 'dir' && !flags.includes('r')) {
+            errors.push(`scp: ${src.path}: not a regular file`);
+            continue;
+          }
+
+          const target = destNode?.type === 'dir' ? `${dest.path.replace(/\/$/, '')}/${name}` : dest.path;
+          const parent = getNode(dest.vfs, target.split('/').slice(0, -1).join('/') || '/');
+          if (!parent || parent.type !== 'dir') {
+            errors.push(`scp: ${dest.path}: No such file or directory`);
+            continue;
+          }
+          const blocked = dest.vfs === vfs && checkWritable(target, cmd, session, { vfs });
+          if (blocked) {
+            errors.push(`scp: ${target}: ${blocked}`);
+            continue;
+          }
+
+          parent.children[target.split('/').pop()] = cloneTree(node, { preserve: flags.includes('p') });
+          if (dest.vfs === vfs) vfsModified = true;
+          else session.modifiedHosts.add(dest.host);
+          if (!flags.includes('q')) {
+            listFiles(node, name).forEach(([file, size]) => {
+              lines.push(`${file.padEnd(40)} 100% ${String(size).padStart(7)}   ${(size / 1048576 * 1000).toFixed(1)}MB/s   00:00`);
+            });
+          }
+        }
+        output = lines.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'hostname':
+      {
+        const def = findHost(scenarioCode, session.host);
+        if (args[0] === '-I') output = def?.address || '127.0.0.1';
+        else output = session.host || LOCAL_HOST;
+      }
+      break;
+
+    case 'history':
+      {
+        // history [N] | history -c, numbered like bash
+        const history = session.history || [];
+        if (args[0] === '-c') {
+          session.historyCleared = true;
+        } else if (args[0] !== undefined && !/^\d+$/.test(args[0])) {
+          error = `history: ${args[0]}: numeric argument required`;
+        } else {
+          const first = args[0] !== undefined ? Math.max(0, history.length - Number(args[0])) : 0;
+          output = history.slice(first).map((line, i) => `${String(first + i + 1).padStart(5)}  ${line}`).join('\n');
+        }
+      }
+      break;
+
+    case 'export':
+      {
+        // export [-p] [NAME[=value]...]: every shell variable is exported
+        const env = session.env || {};
+        const operands = args[0] === '-p' ? args.slice(1) : args;
+        const option = operands.find(arg => arg.startsWith('-'));
+        if (option) {
+          error = `export: ${option}: invalid option\nexport: usage: export [-p] [name[=value] ...]`;
+          break;
+        }
+        if (operands.length === 0) {
+          output = Object.keys(env).sort()
+            .map(name => `declare -x ${name}="${env[name].replace(/["\\$`]/g, '\\$&')}"`)
+            .join('\n');
+          break;
+        }
+        const errors = [];
+        for (const operand of operands) {
+          const eq = operand.indexOf('=');
+          const name = eq < 0 ? operand : operand.slice(0, eq);
+          if (!VARIABLE_NAME.test(name)) {
+            errors.push(`export: \`${operand}': not a valid identifier`);
+          } else if (eq >= 0) {
+            env[name] = operand.slice(eq + 1);
+            session.envModified = true;
+          }
+        }
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'unset':
+      {
+        // unset [-v] NAME... (there are no shell functions for -f to remove)
+        const env = session.env || {};
+        const errors = [];
+        let functions = false;
+        for (const arg of args) {
+          if (arg === '-v' || arg === '-f') {
+            functions = arg === '-f';
+          } else if (!VARIABLE_NAME.test(arg)) {
+            errors.push(`unset: \`${arg}': not a valid identifier`);
+          } else if (!functions && Object.hasOwn(env, arg)) {
+            delete env[arg];
+            session.envModified = true;
+          }
+        }
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'env':
+    case 'printenv':
+      {
+        // env: every variable; printenv [NAME...]: the values of those set
+        const env = session.env || {};
+        if (cmd === 'env' && args.length > 0) {
+          error = `env: '${args[0]}': running a command with a modified environment is not supported`;
+        } else if (args.length > 0) {
+          output = args.filter(name => Object.hasOwn(env, name)).map(name => env[name]).join('\n');
+        } else {
+          output = Object.entries(env).map(([name, value]) => `${name}=${value}`).join('\n');
+        }
+      }
+      break;
+
+    case 'alias':
+      {
+        // alias [-p] [name[=value]...]; without a value, print the alias
+        const aliases = session.aliases || (session.aliases = {});
+        const format = name => `alias ${name}='${aliases[name].replace(/'/g, "'\\''")}'`;
+        const operands = args[0] === '-p' ? args.slice(1) : args;
+        if (operands.length === 0) {
+          output = Object.keys(aliases).sort().map(format).join('\n');
+          break;
+        }
+        const lines = [];
+        const errors = [];
+        for (const operand of operands) {
+          const eq = operand.indexOf('=');
+          const name = eq < 0 ? operand : operand.slice(0, eq);
+          if (eq > 0 && !ALIAS_NAME.test(name)) {
+            errors.push(`alias: \`${name}': invalid alias name`);
+          } else if (eq > 0) {
+            aliases[name] = operand.slice(eq + 1);
+            session.aliasesModified = true;
+          } else if (eq < 0 && Object.hasOwn(aliases, name)) {
+            lines.push(format(name));
+          } else {
+            errors.push(`alias: ${operand}: not found`);
           }
         }
+        output = lines.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
+      }
+      break;
+
+    case 'unalias':
+      {
+        // unalias [-a] name...
+        const aliases = session.aliases || (session.aliases = {});
+        if (args.length === 0) {
+          error = 'unalias: usage: unalias [-a] name [name ...]';
+          break;
+        }
+        const names = args[0] === '-a' ? Object.keys(aliases) : args;
+        const missing = names.filter(name => !Object.hasOwn(aliases, name));
+        for (const name of names) delete aliases[name];
+        if (missing.length < names.length) session.aliasesModified = true;
+        if (missing.length > 0) error = missing.map(name => `unalias: ${name}: not found`).join('\n');
+      }
+      break;
+
+    case 'source':
+    case '.':
+      {
+        // source FILE: run its lines in this shell, so variables, aliases
+        // and cd stick (the way ~/.bashrc is run when a terminal starts)
+        if (!args[0]) {
+          error = `${cmd}: filename argument required\n${cmd}: usage: ${cmd} filename [arguments]`;
+          break;
+        }
+        const node = getNode(vfs, resolvePath(args[0], cwd));
+        if (!node) {
+          error = `${cmd}: ${args[0]}: No such file or directory`;
+          break;
+        }
+        if (node.type === 'dir') {
+          error = `${cmd}: ${args[0]}: is a directory`;
+          break;
+        }
+        const depth = session.sourceDepth || 0;
+        if (depth >= MAX_SOURCE_DEPTH) {
+          error = `${cmd}: ${args[0]}: maximum nesting depth exceeded`;
+          break;
+        }
+
+        session.sourceDepth = depth + 1;
+        const outputs = [];
+        const errors = [];
+        for (const line of splitLines(readContent(node))) {
+          if (!line.trim() || line.trim().startsWith('#')) continue;
+          const res = executeLine(line, vfs, newCwd, scenarioCode, session);
+          newCwd = res.newCwd;
+          if (res.vfsModified) vfsModified = true;
+          if (res.envModified) session.envModified = true;
+          if (res.output) outputs.push(res.output);
+          if (res.error) errors.push(res.error);
+          // Like bash, source returns the status of the last command it ran
+          status = res.status;
+        }
+        session.sourceDepth = depth;
+        output = outputs.join('\n');
+        if (errors.length > 0) error = errors.join('\n');
       }
       break;
 
     case 'help':
-      output = [
-        'Available commands:',
-        '  ls [path]        - list directory',
-        '  cd <path>        - change directory',
-        '  pwd              - show current directory',
-        '  cat <file>       - read file',
-        '  grep <pattern> <file> - search pattern in file',
-        '  echo <text>      - print text',
-        '  mkdir <dir>      - create directory',
-        '  touch <file>     - create empty file',
-        '  cp [-r] <src> <dest> - copy file or directory',
-        '  rm <file/dir>    - remove file or directory',
-        '  clear            - clear screen',
-        '  help             - show this help'
-      ].join('\n');
+    case 'man':
+      {
+        const customCommands = scenariosData?.[scenarioCode]?.customCommands;
+        const entry = args[0] ? findCommand(args[0], customCommands) : null;
+        if (cmd === 'help' && !args[0]) {
+          output = formatHelp(customCommands);
+        } else if (!args[0]) {
+          error = "What manual page do you want?\nFor example, try 'man man'.";
+        } else if (!entry) {
+          error = cmd === 'man' ? `No manual entry for ${args[0]}` : `help: no help topics match '${args[0]}'`;
+        } else {
+          output = cmd === 'man' ? formatManPage(entry) : formatUsage(entry);
+        }
+      }
       break;
 
     default:
@@ -460,7 +3998,698 @@ function executeCommand(cmd, args, vfs, cwd, scenarioCode) {
       error = `Unknown command: ${cmd}`;
   }
 
-  return { output, error, newCwd, vfsModified };
+  return { output, error, newCwd, vfsModified, status, raw };
+}
+
+/**
+ * Check that a path may be modified.
+ * Evidence is write-protected: anything on or under a read-only mount, and
+ * attached devices themselves (/dev/<name>, as behind a write blocker).
+ * With `tree`, the path is removed as a whole, so a read-only mount inside
+ * it also blocks the operation. Blocked attempts are recorded in
+ * session.tamperAttempts so the route can log them.
+ * Given the `vfs`, the path where the write really lands is checked too, so a
+ * symbolic link can't lead into a read-only mount.
+ * @returns {string|null} Error message, or null if the path is writable
+ */
+function checkWritable(path, cmd, session = {}, { tree = false, vfs = null } = {}) {
+  const abs = normalizePath(path);
+  const isWithin = (child, parent) => child === parent || child.startsWith(parent === '/' ? '/' : `${parent}/`);
+  const device = abs.match(/^\/dev\/([a-z]+)\d*$/);
+  const real = vfs ? physicalPath(vfs, abs, { follow: !tree }) : abs;
+
+  let message = null;
+  if ((session.readOnlyMounts || []).some(mount => isWithin(abs, mount) || isWithin(real, mount))
+    || (device && session.devices?.[device[1]] !== undefined)) {
+    message = 'Read-only file system';
+  } else if (tree && (session.readOnlyMounts || []).some(mount => isWithin(mount, abs))) {
+    message = 'Device or resource busy';
+  }
+
+  if (message && session.tamperAttempts) {
+    session.tamperAttempts.push({ command: cmd, path: abs });
+  }
+  return message;
+}
+
+/**
+ * Whether an operand names a directory by its form: a trailing slash, '.' or
+ * '..'. A link named this way is followed even by commands that otherwise
+ * act on the link itself (the cwd may be reached through a link).
+ */
+function namesDirectory(operand) {
+  return /(^|\/)\.\.?$|\/$/.test(operand);
+}
+
+/**
+ * Physical path (no links in it) a path leads to; a link in the last component
+ * is followed with `follow`, even when dangling, as a write through it would
+ */
+function physicalPath(vfs, abs, { follow = true } = {}) {
+  const dir = lookupPath(vfs, resolvePath('..', abs)).path;
+  if (!dir || abs === '/') return abs;
+  const full = `${dir === '/' ? '' : dir}/${abs.split('/').pop()}`;
+  const link = getNode(vfs, full, { follow: false });
+  if (!follow || link?.type !== 'symlink') return full;
+  return lookupPath(vfs, full).path || resolvePath(link.target, dir);
+}
+
+/**
+ * Exit status of a command result: its own `status`, else 1 if it failed
+ * with an error message
+ */
+function exitStatus(res) {
+  return res.status ?? (res.error ? 1 : 0);
+}
+
+/**
+ * Describe data holding one of the scenario models (disk image, packet
+ * capture, memory dump) the way file(1) describes the real formats
+ * @returns {string|null} Description, or null if the data holds no model
+ */
+function describeModel(data, scenarioCode, devices = {}) {
+  const capture = parseCapture(data);
+  if (capture) return `pcap capture file, microsecond ts (little-endian) - version 2.4 (Ethernet, capture length ${capture.snaplen})`;
+  // An image of the device holding the dump is still a file system
+  const entries = openImage(data);
+  const memory = scenariosData?.[scenarioCode]?.memoryImage;
+  if (!entries && memory && isMemoryImage(data, memory.file, devices)) return 'MS Windows 64bit crash dump, full dump';
+  if (entries) return 'Linux rev 1.0 ext4 filesystem data';
+  return null;
+}
+
+/**
+ * Open a connection to a scenario host for ssh/scp.
+ * Only the accounts a host lists in `users` accept the analyst's key.
+ * @returns {{ def: Object, state: { vfs, cwd, env } }|{ error: string }}
+ */
+function connectHost(hostName, user, scenarioCode, session = {}) {
+  const def = findHost(scenarioCode, hostName);
+  if (!def || !session.hosts?.[def.name]) {
+    return {
+      error: /^\d{1,3}(\.\d{1,3}){3}$/.test(hostName)
+        ? `ssh: connect to host ${hostName} port 22: Connection timed out`
+        : `ssh: Could not resolve hostname ${hostName}: Name or service not known`
+    };
+  }
+  if (!(def.users || []).includes(user)) {
+    return { error: `${user}@${hostName}: Permission denied (publickey).` };
+  }
+  return { def, state: session.hosts[def.name] };
+}
+
+/**
+ * Stable fake public key of a host, for known_hosts
+ */
+function hostKey(name) {
+  return `AAAAE2VjZHNhLXNoYTItbmlzdHAyNTYAAAAIbmlzdHAyNTYAAABB${createHash('sha256').update(name).digest('base64')}`;
+}
+
+/**
+ * Copy a node tree into fresh nodes; `preserve` keeps the modification
+ * times and mode (scp -p)
+ */
+function cloneTree(node, { preserve = false } = {}) {
+  const meta = getNodeMeta(node);
+  const kept = preserve ? { mtime: meta.mtime, atime: meta.atime, mode: meta.mode } : {};
+  if (node.type === 'file') return createNode('file', { content: readContent(node), ...kept });
+  if (node.type === 'symlink') return createNode('symlink', { target: node.target });
+  const cloned = createNode('dir', kept);
+  for (const [name, child] of Object.entries(node.children || {})) {
+    cloned.children[name] = cloneTree(child, { preserve });
+  }
+  return cloned;
+}
+
+/**
+ * Files in a tree with their sizes, as [name, size] pairs (for transfer listings)
+ */
+function listFiles(node, name) {
+  if (node.type === 'file') return [[name, getNodeMeta(node).size]];
+  return Object.entries(node.children || {}).flatMap(([child, sub]) => listFiles(sub, child));
+}
+
+/**
+ * Relative path an archive member is extracted to. Leading '/' and '..'
+ * components are dropped so a member can't land outside the target directory.
+ */
+function memberPath(name) {
+  return name.split('/').filter(part => part && part !== '.' && part !== '..').join('/');
+}
+
+/**
+ * Place an extracted file or link node, creating missing parent directories.
+ * Like tar and unzip, an existing file or link is replaced, not written through.
+ * @returns {string|null} Error reason, or null on success
+ */
+function placeFile(vfs, path, node) {
+  const parentPath = resolvePath('..', path);
+  const dirErr = makeDir(vfs, parentPath);
+  if (dirErr) return dirErr;
+  const parent = getNode(vfs, parentPath);
+  const name = path.split('/').pop();
+  if (parent.children[name]?.type === 'dir') return 'Is a directory';
+  parent.children[name] = node;
+  return null;
+}
+
+/**
+ * TSK type pair of an image entry, as fls prints it (r/r file, l/l link)
+ */
+function fileTypePair(entry) {
+  return typeof entry.symlink === 'string' ? 'l/l' : 'r/r';
+}
+
+/**
+ * Format a tar entry as `tar -tv` does; owner/group and size share a
+ * 19-column field
+ */
+function formatTarEntry(entry) {
+  const type = { dir: 'd', symlink: 'l' }[entry.type] || '-';
+  const perms = modeString({ type: 'file' }, entry.mode).slice(1);
+  const owner = `${entry.owner || entry.uid}/${entry.group || entry.gid}`;
+  const size = String(entry.type === 'file' ? entry.size : 0).padStart(Math.max(1, 19 - owner.length));
+  const link = entry.type === 'symlink' ? ` -> ${entry.linkname}` : '';
+  return `${type}${perms} ${owner} ${size} ${entry.mtime.slice(0, 16).replace('T', ' ')} ${entry.name}${link}`;
+}
+
+/**
+ * Read raw data from a file or from an attached device (/dev/<name>).
+ * A device's data is its stored device_data, so an image copied from it
+ * with dd hashes to the same value as the device itself.
+ * `data` is a string (binary files as binary strings), `bytes` the exact bytes.
+ * @returns {{ data: string|null, bytes: Buffer|null, error: string|null }}
+ */
+function readBlob(path, vfs, cwd, devices = {}) {
+  const abs = resolvePath(path, cwd);
+  const device = abs.match(/^\/dev\/([^/]+)$/);
+  if (device && devices[device[1]] !== undefined) {
+    return { data: devices[device[1]], bytes: Buffer.from(devices[device[1]], 'utf8'), error: null };
+  }
+
+  const { node, error } = lookupPath(vfs, abs);
+  if (!node) return { data: null, error };
+  if (node.type === 'dir') return { data: null, error: 'Is a directory' };
+  return { data: readContent(node), bytes: nodeBytes(node), error: null };
+}
+
+/**
+ * Check whether data is the scenario's memory dump: a disk image or device
+ * holding the dump file (`memoryImage.file`), or the dump file itself
+ * (mounted from such a device, or copied from it).
+ */
+function isMemoryImage(data, dumpName, devices = {}) {
+  if (!dumpName) return false;
+  const holdsDump = (entries) => entries?.find(entry => entry.name === dumpName && !entry.deleted);
+  if (holdsDump(openImage(data))) return true;
+  return Object.values(devices).some(deviceData => holdsDump(openImage(deviceData))?.content === data);
+}
+
+/**
+ * Parse a dd-style byte count (512, 4K, 1M, 1kB ...)
+ * @returns {number|null} Bytes, or null when invalid
+ */
+function parseSize(value) {
+  const match = String(value).match(/^(\d+)(c|w|b|kB|K|MB|M|GB|G)?$/);
+  if (!match) return null;
+  const units = { c: 1, w: 2, b: 512, kB: 1000, K: 1024, MB: 1000 ** 2, M: 1024 ** 2, GB: 1000 ** 3, G: 1024 ** 3 };
+  const bytes = parseInt(match[1], 10) * (units[match[2]] || 1);
+  return bytes > 0 ? bytes : null;
+}
+
+/**
+ * Format a timestamp the way Sleuth Kit tools print it
+ */
+function formatTskTime(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || isNaN(date)) return '0000-00-00 00:00:00 (UTC)';
+  const iso = date.toISOString();
+  return `${iso.slice(0, 10)} ${iso.slice(11, 19)} (UTC)`;
+}
+
+/**
+ * Format a byte count like foremost's audit file (B / KB / MB)
+ */
+function formatCarveSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 ** 2) return `${Math.round(bytes / 1024)} KB`;
+  return `${Math.round(bytes / 1024 ** 2)} MB`;
+}
+
+/**
+ * Inode number of a node; nodes not loaded from a device image get a
+ * stable number derived from their path
+ */
+function inodeOf(node, path) {
+  if (Number.isInteger(node.inode)) return node.inode;
+  let hash = 0;
+  for (const ch of path) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return 100000 + (hash % 900000);
+}
+
+/**
+ * Render permission bits as ls does (e.g. -rw-r-----)
+ */
+function modeString(node, mode) {
+  const type = node.type === 'dir' ? 'd' : node.type === 'symlink' ? 'l' : '-';
+  let perms = '';
+  // setuid, setgid and sticky replace the x of their class (capitalised when x is unset)
+  const special = [[0o4000, 's'], [0o2000, 's'], [0o1000, 't']];
+  [6, 3, 0].forEach((shift, i) => {
+    const bits = (mode >> shift) & 7;
+    const [flag, letter] = special[i];
+    const exec = mode & flag ? (bits & 1 ? letter : letter.toUpperCase()) : bits & 1 ? 'x' : '-';
+    perms += (bits & 4 ? 'r' : '-') + (bits & 2 ? 'w' : '-') + exec;
+  });
+  return type + perms;
+}
+
+/**
+ * Apply a chmod mode to permission bits: octal ("640", "4755") or symbolic
+ * clauses separated by commas ("u+x,go-w", "a=rX", "+t"). Without a class
+ * letter the umask (022) bits are left alone, as chmod does.
+ * @param {string} spec
+ * @param {number} mode - Current permission bits
+ * @param {boolean} isDir - X sets execute on directories
+ * @returns {number|null} New bits, or null if the mode is invalid
+ */
+function applyModeSpec(spec, mode, isDir) {
+  if (/^[0-7]{1,4}$/.test(spec)) return parseInt(spec, 8);
+  const shifts = { u: 6, g: 3, o: 0 };
+  const special = { u: 0o4000, g: 0o2000, o: 0o1000 };
+  let result = mode;
+  for (const clause of spec.split(',')) {
+    const match = clause.match(/^([ugoa]*)((?:[-+=][rwxXst]*)+)$/);
+    if (!match) return null;
+    const classes = !match[1] || match[1].includes('a') ? ['u', 'g', 'o'] : [...new Set(match[1])];
+    const masked = !match[1] ? 0o022 : 0;
+    for (const [, op, perms] of match[2].matchAll(/([-+=])([rwxXst]*)/g)) {
+      let bits = 0;
+      for (const cls of classes) {
+        for (const perm of perms) {
+          if (perm === 'r') bits |= 4 << shifts[cls];
+          if (perm === 'w') bits |= 2 << shifts[cls];
+          if (perm === 'x' || (perm === 'X' && (isDir || result & 0o111))) bits |= 1 << shifts[cls];
+          if (perm === 's' && cls !== 'o') bits |= special[cls];
+          if (perm === 't' && cls === 'o') bits |= special.o;
+        }
+      }
+      bits &= ~masked;
+      if (op === '+') result |= bits;
+      else if (op === '-') result &= ~bits;
+      else {
+        const cleared = classes.reduce((all, cls) => all | (7 << shifts[cls]) | special[cls], 0) & ~masked;
+        result = (result & ~cleared) | bits;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Format entries as `ls -l` lines, aligning columns like coreutils
+ * @param {Array<{name: string, node: Object, path: string}>} entries
+ * @param {Object} opts - ls flags (h: human sizes, i: inode numbers)
+ */
+function formatLongListing(entries, opts) {
+  const rows = entries.map(({ name, node, path }) => {
+    const meta = getNodeMeta(node);
+    return {
+      inode: String(inodeOf(node, path)),
+      mode: modeString(node, meta.mode),
+      links: String(node.type === 'dir' ? 2 + Object.values(node.children || {}).filter(c => c.type === 'dir').length : 1),
+      owner: meta.owner,
+      group: meta.group,
+      size: opts.h ? humanSize(meta.size) : String(meta.size),
+      date: formatLsDate(meta.mtime),
+      name: node.type === 'symlink' ? `${name} -> ${node.target}` : name
+    };
+  });
+  const width = (key) => Math.max(0, ...rows.map(r => r[key].length));
+  const w = { inode: width('inode'), links: width('links'), owner: width('owner'), group: width('group'), size: width('size') };
+
+  return rows.map(r => [
+    ...(opts.i ? [r.inode.padStart(w.inode)] : []),
+    r.mode,
+    r.links.padStart(w.links),
+    r.owner.padEnd(w.owner),
+    r.group.padEnd(w.group),
+    r.size.padStart(w.size),
+    r.date,
+    r.name
+  ].join(' '));
+}
+
+/**
+ * Format a size like `ls -h` (1.5K, 12M ...)
+ */
+function humanSize(bytes) {
+  const units = ['K', 'M', 'G', 'T'];
+  let value = bytes;
+  let unit = '';
+  for (const next of units) {
+    if (value < 1024) break;
+    value /= 1024;
+    unit = next;
+  }
+  if (!unit) return String(bytes);
+  return `${value < 10 ? Math.ceil(value * 10) / 10 : Math.ceil(value)}${unit}`;
+}
+
+/**
+ * Format a timestamp like ls: time of day for the last six months, year otherwise
+ */
+function formatLsDate(iso) {
+  const date = new Date(iso);
+  const month = date.toLocaleString('en-US', { month: 'short', timeZone: 'UTC' });
+  const day = String(date.getUTCDate()).padStart(2);
+  const recent = Math.abs(Date.now() - date.getTime()) < 182 * 24 * 3600 * 1000;
+  return recent
+    ? `${month} ${day} ${iso.slice(11, 16)}`
+    : `${month} ${day}  ${date.getUTCFullYear()}`;
+}
+
+/**
+ * Format a timestamp like stat (2026-10-15 03:45:34.000000000 +0000)
+ */
+function formatStatTime(iso) {
+  const date = new Date(iso);
+  if (isNaN(date)) return '-';
+  const full = date.toISOString();
+  return `${full.slice(0, 10)} ${full.slice(11, 19)}.${full.slice(20, 23)}000000 +0000`;
+}
+
+/**
+ * Seconds since the epoch for a stored ISO timestamp
+ */
+function epochSeconds(iso) {
+  return Math.floor(Date.parse(iso) / 1000);
+}
+
+/**
+ * Parse a `touch -d` date: ISO-like dates (UTC unless a zone is given),
+ * "@<epoch seconds>", "now", "yesterday" and "N days ago"
+ * @returns {{ atime: string, mtime: string }|null}
+ */
+function parseDateString(value) {
+  const text = value.trim();
+  let ms;
+  const ago = text.match(/^(\d+) (second|minute|hour|day|week)s? ago$/);
+  if (text === 'now') {
+    ms = Date.now();
+  } else if (text === 'yesterday') {
+    ms = Date.now() - 24 * 3600 * 1000;
+  } else if (ago) {
+    const unit = { second: 1, minute: 60, hour: 3600, day: 86400, week: 604800 }[ago[2]];
+    ms = Date.now() - Number(ago[1]) * unit * 1000;
+  } else if (/^@\d+$/.test(text)) {
+    ms = Number(text.slice(1)) * 1000;
+  } else if (/^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(text)) {
+    const iso = text.replace(' ', 'T');
+    ms = Date.parse(/(Z|[+-]\d{2}:?\d{2})$/.test(iso) || !iso.includes('T') ? iso : `${iso}Z`);
+  }
+  if (ms === undefined || isNaN(ms)) return null;
+  const time = new Date(ms).toISOString();
+  return { atime: time, mtime: time };
+}
+
+/**
+ * Parse a `touch -t` stamp: [[CC]YY]MMDDhhmm[.ss], interpreted as UTC
+ * @returns {{ atime: string, mtime: string }|null}
+ */
+function parseTouchStamp(value) {
+  const match = value.match(/^(\d{2}|\d{4})?(\d{2})(\d{2})(\d{2})(\d{2})(?:\.(\d{2}))?$/);
+  if (!match) return null;
+  const [, yearPart, month, day, hour, minute, second = '00'] = match;
+  let year = yearPart ? Number(yearPart) : new Date().getUTCFullYear();
+  if (yearPart && yearPart.length === 2) year += year < 69 ? 2000 : 1900;
+  const ms = Date.UTC(year, Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  const date = new Date(ms);
+  if (isNaN(ms) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+  return { atime: date.toISOString(), mtime: date.toISOString() };
+}
+
+/**
+ * Read the contents of file operands, or stdin when no operand is given.
+ * '-' as an operand also means stdin.
+ * @returns {{ inputs: Array<{name: string, content: string}>, errors: string[] }}
+ */
+function readInputs(cmd, operands, vfs, cwd, stdin) {
+  const inputs = [];
+  const errors = [];
+  const targets = operands.length > 0 ? operands : ['-'];
+
+  for (const target of targets) {
+    if (target === '-') {
+      inputs.push({ name: '-', content: stdin ?? '' });
+      continue;
+    }
+    const node = getNode(vfs, resolvePath(target, cwd));
+    if (!node) {
+      errors.push(`${cmd}: ${target}: No such file or directory`);
+    } else if (node.type === 'dir') {
+      errors.push(`${cmd}: ${target}: Is a directory`);
+    } else {
+      inputs.push({ name: target, content: readContent(node) });
+    }
+  }
+
+  return { inputs, errors };
+}
+
+/**
+ * Split text into lines, ignoring the terminating newline
+ */
+function splitLines(content) {
+  if (!content) return [];
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Parse a cut-style list ("1,3", "2-4", "-3", "5-") into [from, to] ranges.
+ * @returns {Array<[number, number]>|null} null when the list is invalid
+ */
+function parseRangeList(list) {
+  const ranges = [];
+  for (const part of list.split(',')) {
+    const match = part.match(/^(\d*)(-?)(\d*)$/);
+    if (!match || (!match[1] && !match[3])) return null;
+    const from = match[1] ? parseInt(match[1], 10) : 1;
+    const to = match[2] ? (match[3] ? parseInt(match[3], 10) : Infinity) : from;
+    if (from < 1 || to < from) return null;
+    ranges.push([from, to]);
+  }
+  return ranges;
+}
+
+/**
+ * Expand a tr set (ranges, escapes and [:class:] names) into its characters
+ */
+function expandTrSet(set) {
+  const classes = {
+    '[:lower:]': 'abcdefghijklmnopqrstuvwxyz',
+    '[:upper:]': 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    '[:digit:]': '0123456789',
+    '[:space:]': ' \t\n\r\f\v',
+    '[:blank:]': ' \t'
+  };
+  classes['[:alpha:]'] = classes['[:lower:]'] + classes['[:upper:]'];
+  classes['[:alnum:]'] = classes['[:alpha:]'] + classes['[:digit:]'];
+
+  const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\' };
+  const chars = [];
+  for (let i = 0; i < set.length; i++) {
+    const cls = Object.keys(classes).find(name => set.startsWith(name, i));
+    if (cls) {
+      chars.push(...classes[cls]);
+      i += cls.length - 1;
+      continue;
+    }
+    let ch = set[i];
+    if (ch === '\\' && i + 1 < set.length) ch = escapes[set[++i]] ?? set[i];
+    if (set[i + 1] === '-' && i + 2 < set.length) {
+      const end = set[i + 2];
+      for (let code = ch.charCodeAt(0); code <= end.charCodeAt(0); code++) {
+        chars.push(String.fromCharCode(code));
+      }
+      i += 2;
+    } else {
+      chars.push(ch);
+    }
+  }
+  return chars;
+}
+
+/**
+ * Convert a POSIX basic regular expression (grep default) to ERE/JS syntax:
+ * in BRE `+ ? | ( ) { }` are literals and their backslashed forms are operators.
+ */
+function basicToExtendedRegex(pattern) {
+  let out = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\' && i + 1 < pattern.length) {
+      const next = pattern[++i];
+      out += '+?|(){}'.includes(next) ? next : '\\' + next;
+    } else if ('+?|(){}'.includes(ch)) {
+      out += '\\' + ch;
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+/**
+ * Replace POSIX character classes ([:digit:] etc.) with JS equivalents
+ */
+function posixClassesToJs(pattern) {
+  const classes = {
+    alpha: 'a-zA-Z',
+    digit: '0-9',
+    alnum: 'a-zA-Z0-9',
+    upper: 'A-Z',
+    lower: 'a-z',
+    space: '\\s',
+    xdigit: '0-9A-Fa-f',
+    punct: '!-\\/:-@\\[-`{-~'
+  };
+  return pattern.replace(/\[:(\w+):\]/g, (match, name) => classes[name] ?? match);
+}
+
+/**
+ * Parse the terminal a request targets: null (or absent) for the main
+ * terminal, a positive integer for an extra one; undefined if malformed
+ */
+function parseShellId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : undefined;
+}
+
+/**
+ * Run a command line in one of the user's terminals and save what it changed:
+ * the filesystems, variables and aliases of the hosts, the working directory
+ * and the chain of ssh sessions.
+ * With `profile`, the line only runs if ~/.bashrc exists on the current host
+ * (a missing profile is not an error)
+ * @param {number} userId
+ * @param {string} scenarioCode
+ * @param {Object} shell - { id, chain, cwds } as from getShell
+ * @param {string} line
+ * @param {Object} [options]
+ * @param {boolean} [options.profile]
+ * @returns {Promise<Object>} { result, session, prompt: { promptPath, promptHost } }
+ */
+async function runInShell(userId, scenarioCode, shell, line, { profile = false } = {}) {
+  // The command runs on the host of the innermost ssh session (or the workstation)
+  const { chain } = shell;
+  const host = chain.length > 0 ? chain[chain.length - 1].host : LOCAL_HOST;
+
+  // Get or initialize VFS of every host, ssh and scp reach the others
+  const hosts = { [host]: await getVFS(userId, scenarioCode, host) };
+  for (const name of [LOCAL_HOST, ...scenarioHosts(scenarioCode).map(h => h.name)]) {
+    if (!hosts[name]) hosts[name] = await getVFS(userId, scenarioCode, name);
+  }
+  // An extra terminal has its own working directory on each host
+  if (shell.cwds) {
+    for (const [name, state] of Object.entries(hosts)) {
+      state.cwd = shell.cwds[name] || state.env.HOME || '/';
+    }
+  }
+  const { vfs, cwd, env, aliases } = hosts[host];
+
+  // Attached devices are readable as /dev/<name> (e.g. for hashing or dd);
+  // they are plugged into the workstation, not into remote hosts
+  const db = getDb();
+  const deviceRows = host !== LOCAL_HOST ? [] : await db.all(`
+    SELECT device_name, device_data, mounted, mount_point, read_only FROM user_devices
+    WHERE user_id = ? AND scenario_code = ?
+  `, userId, scenarioCode);
+  const devices = Object.fromEntries(deviceRows.map(d => [d.device_name, d.device_data]));
+  const readOnlyMounts = deviceRows
+    .filter(d => d.mounted === 1 && d.read_only === 1 && d.mount_point)
+    .map(d => normalizePath(d.mount_point));
+
+  const history = await getHistory(userId, scenarioCode, shell.id);
+
+  // Parse and execute the full command line (pipelines, redirection, ; and &&)
+  const session = { env, aliases, devices, readOnlyMounts, tamperAttempts: [], host, hosts, chain: [...chain], modifiedHosts: new Set(), history };
+  const hasProfile = !profile || getNode(vfs, resolvePath('.bashrc', env.HOME || '/'));
+  const result = executeLine(hasProfile ? line : '', vfs, cwd, scenarioCode, session);
+
+  if (session.historyCleared) {
+    await clearHistory(userId, scenarioCode, shell.id);
+  }
+
+  // Update VFS if cwd changed (an extra terminal's is saved with the shell below)
+  if (result.newCwd && result.newCwd !== cwd && !shell.cwds) {
+    await updateVFS(userId, scenarioCode, { cwd: result.newCwd }, host);
+  }
+
+  // Update VFS structure if modified
+  if (result.vfsModified) {
+    await updateVFS(userId, scenarioCode, { vfs }, host);
+  }
+
+  // Persist shell variables and aliases set during this command line
+  if (result.envModified || session.envModified) {
+    await updateVFS(userId, scenarioCode, { env }, host);
+  }
+  if (session.aliasesModified) {
+    await updateVFS(userId, scenarioCode, { aliases: session.aliases }, host);
+  }
+
+  // Other hosts changed by ssh (login, remote commands) or scp
+  for (const name of session.modifiedHosts) {
+    if (name === host) continue;
+    const state = hosts[name];
+    const updates = { vfs: state.vfs, env: state.env };
+    if (shell.cwds) {
+      shell.cwds[name] = state.cwd;
+    } else {
+      updates.cwd = state.cwd;
+    }
+    await updateVFS(userId, scenarioCode, updates, name);
+  }
+
+  // ssh and exit open and close sessions, the prompt follows them
+  const hostChanged = JSON.stringify(session.chain) !== JSON.stringify(chain);
+  if (shell.cwds) {
+    shell.cwds[host] = result.newCwd || cwd;
+    shell.chain = session.chain;
+    await saveShell(shell);
+  } else if (hostChanged) {
+    await setHostChain(userId, scenarioCode, session.chain);
+  }
+  const current = session.chain[session.chain.length - 1] || null;
+
+  return {
+    result,
+    session,
+    prompt: {
+      promptPath: hostChanged ? hosts[current?.host || LOCAL_HOST].cwd : result.newCwd || cwd,
+      promptHost: current ? { host: current.host, user: current.user } : null
+    }
+  };
+}
+
+/**
+ * Log the attempts to modify evidence made by a command line; they are
+ * graded as forensic hygiene violations
+ */
+async function logTamperAttempts(req, userId, scenarioCode, session) {
+  for (const attempt of session.tamperAttempts) {
+    await logEvent({
+      participantId: req.participantId,
+      userId,
+      eventType: EventTypes.EVIDENCE_TAMPER,
+      scenarioCode,
+      eventData: attempt
+    });
+  }
 }
 
 export { router as consoleRoutes };
\ No newline at end of file
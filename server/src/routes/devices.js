@@ -73,6 +73,7 @@ router.post('/attach', authenticate, async (req, res) => {
         partitionName: device.partition_name,
         mounted: device.mounted === 1,
         mountPoint: device.mount_point,
+        readOnly: device.read_only === 1,
         content: JSON.parse(device.device_data)
       }
     });
@@ -110,6 +111,7 @@ router.get('/', authenticate, async (req, res) => {
         partitionName: device.partition_name,
         mounted: device.mounted === 1,
         mountPoint: device.mount_point,
+        readOnly: device.read_only === 1,
         content: JSON.parse(device.device_data)
       }))
     });
@@ -122,15 +124,18 @@ router.get('/', authenticate, async (req, res) => {
 /**
  * Mount a device
  * POST /api/devices/mount
- * Body: { scenarioCode, device, mountPoint }
+ * Body: { scenarioCode, device, mountPoint, readOnly }
  * 
+ * readOnly (mount -o ro) write-protects the mount point: console commands
+ * that would modify anything under it fail with "Read-only file system".
+ *
  * Supports:
  * - Regular device paths: /dev/sdb1, /dev/sdc1
  * - Forensic image paths: /forensic/evidence.img, /forensic/memdump.img
  */
 router.post('/mount', authenticate, async (req, res) => {
   try {
-    const { scenarioCode, device, mountPoint } = req.body;
+    const { scenarioCode, device, mountPoint, readOnly = false } = req.body;
     const userId = req.user.id || req.user.userId;
 
     if (!scenarioCode || !device || !mountPoint) {
@@ -188,19 +193,20 @@ router.post('/mount', authenticate, async (req, res) => {
     // Update device mount status
     await db.run(`
       UPDATE user_devices 
-      SET mounted = 1, mount_point = ?
+      SET mounted = 1, mount_point = ?, read_only = ?
       WHERE user_id = ? AND scenario_code = ? AND device_name = ?
-    `, mountPoint, userId, scenarioCode, deviceName);
+    `, mountPoint, readOnly ? 1 : 0, userId, scenarioCode, deviceName);
 
     res.json({
-      message: `Mounted ${device} on ${mountPoint}`,
+      message: `Mounted ${device} on ${mountPoint}${readOnly ? ' (read-only)' : ''}`,
       device: {
         name: deviceRecord.device_name,
         type: deviceRecord.device_type,
         size: deviceRecord.size,
         partitionName: deviceRecord.partition_name,
         mounted: true,
-        mountPoint: mountPoint
+        mountPoint: mountPoint,
+        readOnly: !!readOnly
       }
     });
   } catch (error) {
@@ -238,7 +244,7 @@ router.post('/unmount', authenticate, async (req, res) => {
     // Update device mount status
     await db.run(`
       UPDATE user_devices 
-      SET mounted = 0, mount_point = NULL
+      SET mounted = 0, mount_point = NULL, read_only = 0
       WHERE user_id = ? AND scenario_code = ? AND mount_point = ?
     `, userId, scenarioCode, mountPoint);
 
@@ -70,6 +70,8 @@ function processScenarios(scenariosData) {
             hasHint: !!(task.hint && task.hint.trim() !== ''),
             checkCommand: task.checkCommand || null,
             checkArgs: task.checkArgs || null,
+            // The matcher itself stays on the server, like hints and solutions
+            hasMatcher: !!task.checkMatch,
           };
           return publicTask;
         })
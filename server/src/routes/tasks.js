@@ -53,15 +53,20 @@ loadScenariosData();
 /**
  * Submit task answer
  * POST /api/tasks/:taskId/submit
- * Body: { answer, timeMs? }
+ * Body: { answer, timeMs? } or { commands, timeMs? }
+ * For a task with a command matcher (checkMatch) the console submits the
+ * runs of the task's command a line made, as `commands` ([{ argv, cwd }]:
+ * the expanded arguments and the directory each ran in); the task passes if
+ * any of them matches, and runs that don't are not a wrong answer
  */
 router.post('/:taskId/submit', authenticate, async (req, res) => {
   try {
     const { taskId } = req.params;
     const { answer, timeMs } = req.body;
+    const commands = parseCommandRuns(req.body.commands);
     const userId = req.user.id || req.user.userId;
 
-    if (!answer) {
+    if (!answer && !commands) {
       return res.status(400).json({ error: 'Answer is required' });
     }
 
@@ -148,7 +153,12 @@ router.post('/:taskId/submit', authenticate, async (req, res) => {
     }
 
     // Validate answer server-side
-    const validation = validateAnswer(task, answer);
+    const validation = commands && task.checkCommand
+      ? { correct: commands.some(({ argv, cwd }) => validateAnswer(task, null, { argv, cwd }).correct) }
+      : validateAnswer(task, answer || '');
+    if (!validation.correct && task.checkMatch) {
+      return res.json({ success: true, correct: false });
+    }
 
     // Count previous wrong attempts for this task (used by calculateScore)
     const attemptsRow = await db.get(
@@ -277,6 +287,21 @@ router.post('/:taskId/submit', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * Check the commands submitted for a task
+ * @param {*} commands - Request body field, expected as [{ argv, cwd }]
+ * @returns {Array<{argv: string[], cwd: string}>|null} The commands, or null
+ *   if none were submitted or they are malformed
+ */
+function parseCommandRuns(commands) {
+  if (!Array.isArray(commands) || commands.length === 0) return null;
+  const valid = commands.every(run =>
+    Array.isArray(run?.argv) && run.argv.length > 0 && run.argv.every(arg => typeof arg === 'string') &&
+    typeof run.cwd === 'string' && run.cwd.startsWith('/')
+  );
+  return valid ? commands.map(({ argv, cwd }) => ({ argv, cwd })) : null;
+}
+
 /**
  * Award scenario badge and points
  * @param {import('sqlite').Database} db - Database instance
@@ -24,13 +24,17 @@ console.log(' Deleting all users and related data...');
 
   // Delete in order to respect foreign keys
   // Must delete child records before parent records
-  // Order: badge_points_awarded -> user_badges -> task_completions -> user_unlocked_hints -> user_devices -> user_vfs_state -> user_stats -> users
+  // Order: badge_points_awarded -> user_badges -> task_completions -> user_unlocked_hints -> user_devices -> user_vfs_state -> shell_history -> shell_sessions -> console_session_chunks -> console_sessions -> user_stats -> users
   const badgePointsResult = await db.run('DELETE FROM badge_points_awarded');
   const badgesResult = await db.run('DELETE FROM user_badges');
   const completionsResult = await db.run('DELETE FROM task_completions');
   const hintsResult = await db.run('DELETE FROM user_unlocked_hints');
   const devicesResult = await db.run('DELETE FROM user_devices');
   const vfsResult = await db.run('DELETE FROM user_vfs_state');
+  const historyResult = await db.run('DELETE FROM shell_history');
+  const shellsResult = await db.run('DELETE FROM shell_sessions');
+  const recordingsResult = await db.run('DELETE FROM console_session_chunks');
+  const sessionsResult = await db.run('DELETE FROM console_sessions');
   const statsResult = await db.run('DELETE FROM user_stats');
   const usersResult = await db.run('DELETE FROM users');
 
@@ -40,6 +44,9 @@ console.log(' Deleting all users and related data...');
   console.log(`Deleted ${hintsResult.changes} unlocked hint(s)`);
   console.log(`Deleted ${devicesResult.changes} device(s)`);
   console.log(`Deleted ${vfsResult.changes} VFS state(s)`);
+  console.log(`Deleted ${historyResult.changes} shell history entries`);
+  console.log(`Deleted ${shellsResult.changes} extra terminal(s)`);
+  console.log(`Deleted ${sessionsResult.changes} console recording(s) (${recordingsResult.changes} chunk(s))`);
   console.log(`Deleted ${statsResult.changes} user stat(s)`);
   console.log(`Deleted ${usersResult.changes} user(s)`);
   console.log('All users and related data deleted');
@@ -58,6 +65,10 @@ async function resetUserProgress() {
   const hintsResult = await db.run('DELETE FROM user_unlocked_hints');
   const devicesResult = await db.run('DELETE FROM user_devices');
   const vfsResult = await db.run('DELETE FROM user_vfs_state');
+  const historyResult = await db.run('DELETE FROM shell_history');
+  const shellsResult = await db.run('DELETE FROM shell_sessions');
+  const recordingsResult = await db.run('DELETE FROM console_session_chunks');
+  const sessionsResult = await db.run('DELETE FROM console_sessions');
   const statsResult = await db.run('DELETE FROM user_stats');
 
   // Reset tutorial completion status
@@ -69,6 +80,9 @@ async function resetUserProgress() {
   console.log(`Deleted ${hintsResult.changes} unlocked hint(s)`);
   console.log(`Deleted ${devicesResult.changes} device(s)`);
   console.log(`Deleted ${vfsResult.changes} VFS state(s)`);
+  console.log(`Deleted ${historyResult.changes} shell history entries`);
+  console.log(`Deleted ${shellsResult.changes} extra terminal(s)`);
+  console.log(`Deleted ${sessionsResult.changes} console recording(s) (${recordingsResult.changes} chunk(s))`);
   console.log(`Deleted ${statsResult.changes} user stat(s)`);
   console.log(`Reset tutorial status for ${tutorialResult.changes} user(s)`);
   console.log('All user progress reset');
@@ -107,10 +121,14 @@ async function deleteUserByEmail(email) {
   const hintsResult = await db.run('DELETE FROM user_unlocked_hints WHERE user_id = ?', userId);
   const devicesResult = await db.run('DELETE FROM user_devices WHERE user_id = ?', userId);
   const vfsResult = await db.run('DELETE FROM user_vfs_state WHERE user_id = ?', userId);
+  const historyResult = await db.run('DELETE FROM shell_history WHERE user_id = ?', userId);
+  await db.run('DELETE FROM shell_sessions WHERE user_id = ?', userId);
+  await db.run('DELETE FROM console_session_chunks WHERE session_id IN (SELECT id FROM console_sessions WHERE user_id = ?)', userId);
+  const sessionsResult = await db.run('DELETE FROM console_sessions WHERE user_id = ?', userId);
   const statsResult = await db.run('DELETE FROM user_stats WHERE user_id = ?', userId);
   const userResult = await db.run('DELETE FROM users WHERE id = ?', userId);
 
-  console.log(`Deleted ${devicesResult.changes} device(s), ${vfsResult.changes} VFS state(s), ${badgePointsResult.changes} badge point award(s), ${badgesResult.changes} badge(s), ${completionsResult.changes} completion(s), ${hintsResult.changes} hint(s), ${statsResult.changes} stat(s)`);
+  console.log(`Deleted ${devicesResult.changes} device(s), ${vfsResult.changes} VFS state(s), ${historyResult.changes} history entries, ${sessionsResult.changes} console recording(s), ${badgePointsResult.changes} badge point award(s), ${badgesResult.changes} badge(s), ${completionsResult.changes} completion(s), ${hintsResult.changes} hint(s), ${statsResult.changes} stat(s)`);
   console.log(`User deleted: ${email} (ID: ${userId})`);
 
   // Verify deletion
@@ -174,15 +192,15 @@ async function inspectUser(email) {
   });
 
   // Check VFS states
-  const vfsStates = await db.all('SELECT scenario_code, cwd, updated_at FROM user_vfs_state WHERE user_id = ?', userId);
+  const vfsStates = await db.all('SELECT scenario_code, host, cwd, updated_at FROM user_vfs_state WHERE user_id = ?', userId);
   console.log(`\nVFS States (${vfsStates.length}):`);
   for (const state of vfsStates) {
-    console.log(`- Scenario: ${state.scenario_code}`);
+    console.log(`- Scenario: ${state.scenario_code} (host: ${state.host})`);
     console.log(`CWD: ${state.cwd}`);
     console.log(`Updated: ${state.updated_at}`);
 
     // Get VFS data size
-    const vfsData = await db.get('SELECT vfs_data FROM user_vfs_state WHERE user_id = ? AND scenario_code = ?', userId, state.scenario_code);
+    const vfsData = await db.get('SELECT vfs_data FROM user_vfs_state WHERE user_id = ? AND scenario_code = ? AND host = ?', userId, state.scenario_code, state.host);
     if (vfsData) {
       try {
         const vfs = JSON.parse(vfsData.vfs_data);
@@ -0,0 +1,75 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseCommandLine, expandWord, expandGlob, globToRegExp } from '../shellParser.js';
+
+const file = (content = '') => ({ type: 'file', content });
+const vfs = {
+  type: 'dir',
+  children: {
+    logs: {
+      type: 'dir',
+      children: { 'auth.log': file(), 'access.log': file(), 'boot.log': file(), '.hidden': file() }
+    }
+  }
+};
+
+// Words of the first command of a line, as executeLine expands them
+function words(line) {
+  return parseCommandLine(line).list[0].stages[0].words;
+}
+
+function argv(line, env = {}) {
+  return words(line).flatMap(word => expandWord(word, { env, vfs, cwd: '/logs' }));
+}
+
+describe('globToRegExp', () => {
+  test('translates *, ? and bracket classes', () => {
+    expect(globToRegExp('a*.log').test('auth.log')).toBe(true);
+    expect(globToRegExp('?oot.log').test('boot.log')).toBe(true);
+    expect(globToRegExp('[ab]*').test('boot.log')).toBe(true);
+    expect(globToRegExp('[!ab]*').test('boot.log')).toBe(false);
+    expect(globToRegExp('[a-c]*').test('boot.log')).toBe(true);
+  });
+
+  test('a reversed range is empty instead of an invalid expression', () => {
+    expect(() => globToRegExp('[z-a]*')).not.toThrow();
+    expect(globToRegExp('[z-a]*').test('auth.log')).toBe(false);
+    expect(globToRegExp('[!z-a]*').test('auth.log')).toBe(true);
+    expect(globToRegExp('[z-ab]*').test('boot.log')).toBe(true);
+  });
+});
+
+describe('expandGlob', () => {
+  test('matches sorted names relative to cwd, skipping hidden ones', () => {
+    expect(expandGlob('*.log', vfs, '/logs')).toEqual(['access.log', 'auth.log', 'boot.log']);
+    expect(expandGlob('/logs/a*', vfs, '/')).toEqual(['/logs/access.log', '/logs/auth.log']);
+  });
+
+  test('a reversed range matches nothing', () => {
+    expect(expandGlob('[z-a]*', vfs, '/logs')).toEqual([]);
+    expect(expandGlob('[b-a]', vfs, '/logs')).toEqual([]);
+  });
+});
+
+describe('expandWord', () => {
+  test('an unmatched glob is passed on literally', () => {
+    expect(argv('ls [z-a]*')).toEqual(['ls', '[z-a]*']);
+    expect(argv('cat [b-a]')).toEqual(['cat', '[b-a]']);
+  });
+
+  test('an unquoted expansion that comes out empty produces no word', () => {
+    expect(argv('echo a $X b', { X: '' })).toEqual(['echo', 'a', 'b']);
+    expect(argv('echo a $UNSET b')).toEqual(['echo', 'a', 'b']);
+    expect(argv('echo a ${X}${UNSET} b', { X: '' })).toEqual(['echo', 'a', 'b']);
+  });
+
+  test('a quoted empty expansion keeps an empty argument', () => {
+    expect(argv('echo a "$X" b', { X: '' })).toEqual(['echo', 'a', '', 'b']);
+    expect(argv("echo a '' b")).toEqual(['echo', 'a', '', 'b']);
+    expect(argv('echo a $X"" b', { X: '' })).toEqual(['echo', 'a', '', 'b']);
+  });
+
+  test('variables and globs expand together', () => {
+    expect(argv('ls $DIR/b*', { DIR: '/logs' })).toEqual(['ls', '/logs/boot.log']);
+    expect(argv('ls "$DIR/b*"', { DIR: '/logs' })).toEqual(['ls', '/logs/b*']);
+  });
+});
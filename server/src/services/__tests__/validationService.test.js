@@ -0,0 +1,183 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { matchArgument, splitArguments, matchCommand, validateAnswer } from '../validationService.js';
+
+describe('matchArgument', () => {
+    test('a string matches exactly, ignoring a trailing slash', () => {
+        expect(matchArgument('/var/log', '/var/log')).toBe(true);
+        expect(matchArgument('/var/log/', '/var/log')).toBe(true);
+        expect(matchArgument('/var/log', '/var/log/')).toBe(true);
+        expect(matchArgument('/var/logs', '/var/log')).toBe(false);
+    });
+
+    test('a regex finds a match anywhere unless anchored', () => {
+        expect(matchArgument('Failed password', { regex: 'failed', ignoreCase: true })).toBe(true);
+        expect(matchArgument('Failed password', { regex: 'failed' })).toBe(false);
+        expect(matchArgument('failed', { regex: '^failed$' })).toBe(true);
+        expect(matchArgument('failed password', { regex: '^failed$' })).toBe(false);
+        expect(matchArgument('not failed', { regex: '^failed' })).toBe(false);
+        expect(matchArgument(' dns ', { regex: '^\\s*dns\\s*$' })).toBe(true);
+    });
+
+    test('an invalid regex matches nothing', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(matchArgument('(', { regex: '(' })).toBe(false);
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+
+    test('a path matches once resolved against the working directory', () => {
+        const matcher = { path: '/var/log/auth.log' };
+        expect(matchArgument('/var/log/auth.log', matcher, '/home/user')).toBe(true);
+        expect(matchArgument('auth.log', matcher, '/var/log')).toBe(true);
+        expect(matchArgument('./auth.log', matcher, '/var/log')).toBe(true);
+        expect(matchArgument('../log/auth.log/', matcher, '/var/log')).toBe(true);
+        expect(matchArgument('log/auth.log', matcher, '/var')).toBe(true);
+        expect(matchArgument('auth.log', matcher, '/home/user')).toBe(false);
+        expect(matchArgument('auth.log', matcher)).toBe(false);
+    });
+
+    test('an unknown matcher matches nothing', () => {
+        expect(matchArgument('x', {})).toBe(false);
+        expect(matchArgument('x', null)).toBe(false);
+    });
+});
+
+describe('splitArguments', () => {
+    const none = new Set();
+
+    test('bundled and separate short flags give the same flags', () => {
+        const bundled = splitArguments(['-in', 'failed', 'auth.log'], none);
+        const separate = splitArguments(['-i', '-n', 'failed', 'auth.log'], none);
+        expect([...bundled.flags]).toEqual(['-i', '-n']);
+        expect([...separate.flags]).toEqual(['-i', '-n']);
+        expect(bundled.operands).toEqual(['failed', 'auth.log']);
+        expect(separate.operands).toEqual(['failed', 'auth.log']);
+    });
+
+    test('an option takes the rest of the word or the next argument', () => {
+        const options = new Set(['-f', '--file']);
+        expect(splitArguments(['-f', 'dump.raw'], options).options.get('-f')).toBe('dump.raw');
+        expect(splitArguments(['-fdump.raw'], options).options.get('-f')).toBe('dump.raw');
+        expect(splitArguments(['--file=dump.raw'], options).options.get('--file')).toBe('dump.raw');
+        expect(splitArguments(['--file', 'dump.raw'], options).options.get('--file')).toBe('dump.raw');
+        expect(splitArguments(['-f', 'dump.raw'], options).operands).toEqual([]);
+    });
+
+    test('an option ends a bundle of flags', () => {
+        const { flags, options, operands } = splitArguments(['-nr', 'capture.pcap', 'port', '22'], new Set(['-r']));
+        expect([...flags]).toEqual(['-n', '-r']);
+        expect(options.get('-r')).toBe('capture.pcap');
+        expect(operands).toEqual(['port', '22']);
+    });
+
+    test('a long flag is recorded without its value', () => {
+        const { flags, options } = splitArguments(['--color=never'], none);
+        expect([...flags]).toEqual(['--color']);
+        expect(options.size).toBe(0);
+    });
+
+    test('-- ends the flags', () => {
+        const { flags, operands } = splitArguments(['-i', '--', '-n', 'file'], none);
+        expect([...flags]).toEqual(['-i']);
+        expect(operands).toEqual(['-n', 'file']);
+    });
+
+    test('a lone dash is an operand', () => {
+        expect(splitArguments(['-'], none).operands).toEqual(['-']);
+    });
+});
+
+describe('matchCommand', () => {
+    const grep = {
+        flags: ['-i'],
+        optionalFlags: ['-n'],
+        args: [{ regex: '^failed$', ignoreCase: true }, { path: '/var/log/auth.log' }]
+    };
+
+    test('required flags match bundled or separate, in any order', () => {
+        expect(matchCommand(['-i', 'failed', '/var/log/auth.log'], grep)).toBe(true);
+        expect(matchCommand(['-in', 'failed', '/var/log/auth.log'], grep)).toBe(true);
+        expect(matchCommand(['-ni', 'failed', '/var/log/auth.log'], grep)).toBe(true);
+        expect(matchCommand(['-n', '-i', 'failed', '/var/log/auth.log'], grep)).toBe(true);
+    });
+
+    test('a missing required flag or an unexpected flag fails', () => {
+        expect(matchCommand(['-n', 'failed', '/var/log/auth.log'], grep)).toBe(false);
+        expect(matchCommand(['-ic', 'failed', '/var/log/auth.log'], grep)).toBe(false);
+        expect(matchCommand(['-i', '-v', 'failed', '/var/log/auth.log'], grep)).toBe(false);
+    });
+
+    test('optionalFlags: true allows any flag', () => {
+        expect(matchCommand(['-sV', '10.0.0.5'], { optionalFlags: true, args: ['10.0.0.5'] })).toBe(true);
+        expect(matchCommand(['10.0.0.5'], { optionalFlags: true, args: ['10.0.0.5'] })).toBe(true);
+    });
+
+    test('option values match as -f value, -fvalue and --flag=value', () => {
+        const vol = {
+            options: { '-f': { path: '/forensic/memdump.raw' }, '--profile': { regex: '^Win10' } },
+            args: ['pslist']
+        };
+        expect(matchCommand(['-f', '/forensic/memdump.raw', '--profile=Win10x64', 'pslist'], vol)).toBe(true);
+        expect(matchCommand(['-f/forensic/memdump.raw', '--profile', 'Win10x64', 'pslist'], vol)).toBe(true);
+        expect(matchCommand(['--profile=Win10x64', '-f', 'memdump.raw', 'pslist'], vol, '/forensic')).toBe(true);
+        expect(matchCommand(['--profile=WinXP', '-f', '/forensic/memdump.raw', 'pslist'], vol)).toBe(false);
+        expect(matchCommand(['-f', '/forensic/memdump.raw', 'pslist'], vol)).toBe(false);
+    });
+
+    test('operand paths resolve against the working directory', () => {
+        const cp = { flags: ['-r'], args: [{ path: '/var/log/network' }, { path: '/forensic/logs' }] };
+        expect(matchCommand(['-r', '/var/log/network', '/forensic/logs'], cp, '/home/user')).toBe(true);
+        expect(matchCommand(['-r', 'network', '/forensic/logs/'], cp, '/var/log')).toBe(true);
+        expect(matchCommand(['-r', '../../var/log/network', '../../forensic/logs'], cp, '/home/user')).toBe(true);
+        expect(matchCommand(['-r', 'network', '/forensic/logs'], cp, '/home/user')).toBe(false);
+    });
+
+    test('operands must match in number and order', () => {
+        const cp = { flags: ['-r'], args: [{ path: '/var/log/network' }, { path: '/forensic/logs' }] };
+        expect(matchCommand(['-r', '/forensic/logs', '/var/log/network'], cp)).toBe(false);
+        expect(matchCommand(['-r', '/var/log/network'], cp)).toBe(false);
+        expect(matchCommand(['-r', '/var/log/network', '/forensic/logs', '/tmp'], cp)).toBe(false);
+    });
+
+    test('keyword operands match in any order', () => {
+        const dd = {
+            keywords: { if: { path: '/dev/sdb' }, of: { path: '/forensic/evidence.img' } },
+            optionalKeywords: ['bs', 'status']
+        };
+        expect(matchCommand(['if=/dev/sdb', 'of=/forensic/evidence.img'], dd)).toBe(true);
+        expect(matchCommand(['of=evidence.img', 'bs=4M', 'if=/dev/sdb'], dd, '/forensic')).toBe(true);
+        expect(matchCommand(['if=/dev/sdb', 'of=/forensic/evidence.img', 'count=1'], dd)).toBe(false);
+        expect(matchCommand(['if=/dev/sdb'], dd)).toBe(false);
+        expect(matchCommand(['if=/dev/sdc', 'of=/forensic/evidence.img'], dd)).toBe(false);
+    });
+
+    test('an empty matcher accepts only the bare command', () => {
+        expect(matchCommand([], {})).toBe(true);
+        expect(matchCommand(['-v'], {})).toBe(false);
+        expect(matchCommand(['x'], {})).toBe(false);
+    });
+});
+
+describe('validateAnswer with checkMatch', () => {
+    const task = {
+        checkCommand: 'tshark',
+        checkMatch: {
+            optionalFlags: ['-n'],
+            options: { '-r': { path: '/forensic/logs/capture.pcap' }, '-Y': { regex: '^\\s*dns\\s*$' } }
+        }
+    };
+
+    test('parses the submitted command line and uses its working directory', () => {
+        expect(validateAnswer(task, "tshark -nr capture.pcap -Y 'dns'", { cwd: '/forensic/logs' })).toEqual({ correct: true });
+        expect(validateAnswer(task, 'tshark -r capture.pcap -Y dns', { cwd: '/forensic' })).toEqual({ correct: false });
+        expect(validateAnswer(task, 'tcpdump -r /forensic/logs/capture.pcap', {})).toEqual({ correct: false });
+    });
+
+    test('matches a submitted argv as it ran, quotes and all', () => {
+        const grep = { checkCommand: 'grep', checkMatch: { flags: ['-i'], args: [{ regex: 'failed' }, { path: '/var/log/auth.log' }] } };
+        const argv = ['grep', '-i', `it's "failed"`, 'auth.log'];
+        expect(validateAnswer(grep, null, { argv, cwd: '/var/log' })).toEqual({ correct: true });
+        expect(validateAnswer(grep, null, { argv, cwd: '/home/user' })).toEqual({ correct: false });
+        expect(validateAnswer(grep, null, { argv: ['cat', 'auth.log'], cwd: '/var/log' })).toEqual({ correct: false });
+    });
+});
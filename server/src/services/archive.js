@@ -0,0 +1,262 @@
+/**
+ * Archive Service
+ *
+ * Reads the archive formats found in evidence, from their real bytes:
+ *  - gzip streams (gunzip, tar -z)
+ *  - POSIX/GNU tar archives
+ *  - ZIP archives, stored or deflated, including traditional PKWARE
+ *    (ZipCrypto) encryption, so password-protected archives can be opened
+ *    once the password is found
+ * Nothing here touches the VFS; the console route decides where entries go.
+ */
+
+import { gunzipSync, inflateRawSync } from 'zlib';
+
+/**
+ * Check for the gzip magic bytes
+ * @param {Buffer} bytes
+ * @returns {boolean}
+ */
+export function isGzip(bytes) {
+  return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+/**
+ * Decompress a gzip stream
+ * @param {Buffer} bytes
+ * @returns {{ data: Buffer, name: string|null, mtime: string|null }}
+ *   `name` and `mtime` come from the header when the compressor recorded them
+ * @throws {Error} 'not in gzip format' or 'unexpected end of file'
+ */
+export function gunzip(bytes) {
+  if (!isGzip(bytes)) throw new Error('not in gzip format');
+  let data;
+  try {
+    data = gunzipSync(bytes);
+  } catch {
+    throw new Error('unexpected end of file');
+  }
+
+  const flags = bytes[3];
+  const stamp = bytes.readUInt32LE(4);
+  let name = null;
+  if (flags & 0x08) {
+    // FNAME follows the 10-byte header and the optional FEXTRA field
+    const pos = 10 + (flags & 0x04 ? 2 + bytes.readUInt16LE(10) : 0);
+    const end = bytes.indexOf(0, pos);
+    if (end > pos) name = bytes.subarray(pos, end).toString('latin1');
+  }
+  return { data, name, mtime: stamp ? new Date(stamp * 1000).toISOString() : null };
+}
+
+/**
+ * Read the entries of a tar archive
+ * @param {Buffer} bytes
+ * @returns {Array<Object>} Entries { name, type ('file'|'dir'|'symlink'), mode,
+ *   uid, gid, owner, group, size, mtime (ISO), linkname, data (Buffer) }
+ * @throws {Error} If the data is not a tar archive
+ */
+export function readTar(bytes) {
+  const entries = [];
+  let longName = null;
+  let pos = 0;
+
+  while (pos + 512 <= bytes.length) {
+    const header = bytes.subarray(pos, pos + 512);
+    if (header.every(b => b === 0)) break;
+
+    const stored = octal(header, 148, 8);
+    let sum = 0;
+    for (let i = 0; i < 512; i++) sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    if (stored !== sum) {
+      if (entries.length === 0) throw new Error('This does not look like a tar archive');
+      break;
+    }
+
+    const size = octal(header, 124, 12);
+    const typeflag = String.fromCharCode(header[156] || 0x30);
+    const data = bytes.subarray(pos + 512, pos + 512 + size);
+    pos += 512 + Math.ceil(size / 512) * 512;
+
+    // GNU long name: the next header's name is in this entry's data
+    if (typeflag === 'L') {
+      longName = data.toString('utf8').replace(/\0+$/, '');
+      continue;
+    }
+    // pax headers and other metadata-only entries carry no file
+    if (!['0', '\0', '5', '2', '7'].includes(typeflag)) continue;
+
+    const prefix = header.toString('latin1', 257, 262) === 'ustar' ? cString(header, 345, 155) : '';
+    const name = longName || (prefix ? `${prefix}/` : '') + cString(header, 0, 100);
+    longName = null;
+
+    entries.push({
+      name,
+      type: typeflag === '5' || name.endsWith('/') ? 'dir' : typeflag === '2' ? 'symlink' : 'file',
+      mode: octal(header, 100, 8) & 0o7777,
+      uid: octal(header, 108, 8),
+      gid: octal(header, 116, 8),
+      owner: cString(header, 265, 32) || null,
+      group: cString(header, 297, 32) || null,
+      size,
+      mtime: new Date(octal(header, 136, 12) * 1000).toISOString(),
+      linkname: cString(header, 157, 100),
+      data
+    });
+  }
+
+  if (bytes.length < 512) throw new Error('This does not look like a tar archive');
+  return entries;
+}
+
+/**
+ * Read the central directory of a ZIP archive
+ * @param {Buffer} bytes
+ * @returns {Array<Object>} Entries { name, dir, method, crc, compressedSize, size,
+ *   mtime (ISO, DOS time taken as UTC), encrypted, offset, flags }
+ * @throws {Error} If no end-of-central-directory record is found
+ */
+export function readZip(bytes) {
+  const eocd = bytes.lastIndexOf(Buffer.from('PK\x05\x06', 'latin1'));
+  if (eocd < 0 || eocd + 22 > bytes.length) throw new Error('End-of-central-directory signature not found');
+
+  const count = bytes.readUInt16LE(eocd + 10);
+  let pos = bytes.readUInt32LE(eocd + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > bytes.length || bytes.readUInt32LE(pos) !== 0x02014b50) {
+      throw new Error('bad zipfile offset (central directory)');
+    }
+    const flags = bytes.readUInt16LE(pos + 8);
+    const nameLength = bytes.readUInt16LE(pos + 28);
+    const extraLength = bytes.readUInt16LE(pos + 30);
+    const commentLength = bytes.readUInt16LE(pos + 32);
+    const name = bytes.toString(flags & 0x800 ? 'utf8' : 'latin1', pos + 46, pos + 46 + nameLength);
+
+    entries.push({
+      name,
+      dir: name.endsWith('/'),
+      method: bytes.readUInt16LE(pos + 10),
+      mtime: dosTime(bytes.readUInt16LE(pos + 14), bytes.readUInt16LE(pos + 12)),
+      crc: bytes.readUInt32LE(pos + 16),
+      compressedSize: bytes.readUInt32LE(pos + 20),
+      size: bytes.readUInt32LE(pos + 24),
+      encrypted: (flags & 0x01) !== 0,
+      flags,
+      offset: bytes.readUInt32LE(pos + 42)
+    });
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Extract one entry of a ZIP archive
+ * @param {Buffer} bytes - The whole archive
+ * @param {Object} entry - Entry from readZip
+ * @param {string|null} [password] - Password for encrypted entries
+ * @returns {{ data: Buffer|null, error: string|null }} error is one of
+ *   'unable to get password', 'incorrect password',
+ *   'unsupported compression method N', 'invalid compressed data to inflate',
+ *   or a bad CRC report
+ */
+export function extractZipEntry(bytes, entry, password = null) {
+  const pos = entry.offset;
+  if (pos + 30 > bytes.length || bytes.readUInt32LE(pos) !== 0x04034b50) {
+    return { data: null, error: 'bad zipfile offset (local header sig)' };
+  }
+  const start = pos + 30 + bytes.readUInt16LE(pos + 26) + bytes.readUInt16LE(pos + 28);
+  let raw = bytes.subarray(start, start + entry.compressedSize);
+
+  if (entry.encrypted) {
+    if (password === null || password === undefined) return { data: null, error: 'unable to get password' };
+    const keys = initKeys(password);
+    const plain = Buffer.alloc(raw.length);
+    for (let i = 0; i < raw.length; i++) {
+      plain[i] = raw[i] ^ decryptByte(keys);
+      updateKeys(keys, plain[i]);
+    }
+    // The last byte of the 12-byte encryption header checks the password
+    const check = entry.flags & 0x08 ? (bytes.readUInt16LE(pos + 10) >> 8) : (entry.crc >>> 24);
+    if (plain.length < 12 || plain[11] !== check) return { data: null, error: 'incorrect password' };
+    raw = plain.subarray(12);
+  }
+
+  let data;
+  if (entry.method === 0) {
+    data = raw;
+  } else if (entry.method === 8) {
+    try {
+      data = inflateRawSync(raw);
+    } catch {
+      return { data: null, error: entry.encrypted ? 'incorrect password' : 'invalid compressed data to inflate' };
+    }
+  } else {
+    return { data: null, error: `unsupported compression method ${entry.method}` };
+  }
+
+  const crc = crc32(data);
+  if (crc !== entry.crc) {
+    // A wrong password can slip past the one-byte check and garble the data
+    if (entry.encrypted) return { data: null, error: 'incorrect password' };
+    return { data: null, error: `bad CRC ${hex32(crc)}  (should be ${hex32(entry.crc)})` };
+  }
+  return { data, error: null };
+}
+
+/**
+ * CRC-32 as used by zip and gzip
+ * @param {Buffer} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const b of bytes) crc = CRC_TABLE[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+// Traditional PKWARE encryption: three 32-bit keys driven by the plaintext
+
+function initKeys(password) {
+  const keys = [0x12345678, 0x23456789, 0x34567890];
+  for (const b of Buffer.from(password, 'utf8')) updateKeys(keys, b);
+  return keys;
+}
+
+function updateKeys(keys, byte) {
+  keys[0] = (CRC_TABLE[(keys[0] ^ byte) & 0xff] ^ (keys[0] >>> 8)) >>> 0;
+  keys[1] = (Math.imul((keys[1] + (keys[0] & 0xff)) >>> 0, 134775813) + 1) >>> 0;
+  keys[2] = (CRC_TABLE[(keys[2] ^ (keys[1] >>> 24)) & 0xff] ^ (keys[2] >>> 8)) >>> 0;
+}
+
+function decryptByte(keys) {
+  const temp = (keys[2] | 2) & 0xffff;
+  return (Math.imul(temp, temp ^ 1) >>> 8) & 0xff;
+}
+
+function dosTime(date, time) {
+  const year = 1980 + (date >> 9);
+  const month = ((date >> 5) & 0x0f) - 1;
+  const day = date & 0x1f;
+  return new Date(Date.UTC(year, month, day, time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2)).toISOString();
+}
+
+function octal(buf, offset, length) {
+  const text = buf.toString('latin1', offset, offset + length).replace(/\0.*$/, '').trim();
+  return text ? parseInt(text, 8) || 0 : 0;
+}
+
+function cString(buf, offset, length) {
+  const end = buf.indexOf(0, offset);
+  return buf.toString('utf8', offset, end >= 0 && end < offset + length ? end : offset + length);
+}
+
+function hex32(value) {
+  return value.toString(16).padStart(8, '0');
+}
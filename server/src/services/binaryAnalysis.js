@@ -0,0 +1,236 @@
+/**
+ * Binary Analysis Service
+ *
+ * Byte-level views of file content for the console:
+ *  - hex dumps in the formats of xxd and hexdump (-C and the default), and
+ *    their reversal (xxd -r)
+ *  - printable string extraction, like strings(1)
+ *  - type identification from magic bytes, like file(1)
+ * Everything works on Buffers (see readBlob/nodeBytes in the console route).
+ */
+
+/**
+ * xxd-style dump: offset, `cols` bytes in groups of `group`, ASCII column
+ * @param {Buffer} bytes
+ * @param {Object} [options]
+ * @param {number} [options.offset] - Offset of the first byte (-s)
+ * @param {number} [options.cols] - Bytes per line (-c)
+ * @param {number} [options.group] - Bytes per group (-g)
+ * @param {boolean} [options.plain] - Plain hex without offsets or ASCII (-p)
+ * @param {boolean} [options.upper] - Upper-case hex digits (-u)
+ * @returns {string}
+ */
+export function formatXxd(bytes, { offset = 0, cols = 16, group = 2, plain = false, upper = false } = {}) {
+  const hex = (b) => (upper ? b.toString(16).toUpperCase() : b.toString(16)).padStart(2, '0');
+  if (plain) {
+    const lines = [];
+    const perLine = cols === 16 ? 30 : cols;
+    for (let off = 0; off < bytes.length; off += perLine) {
+      lines.push([...bytes.subarray(off, off + perLine)].map(hex).join(''));
+    }
+    return lines.join('\n');
+  }
+
+  const groups = Math.ceil(cols / group);
+  const hexWidth = cols * 2 + groups - 1;
+  const lines = [];
+  for (let off = 0; off < bytes.length; off += cols) {
+    const chunk = [...bytes.subarray(off, off + cols)];
+    const grouped = [];
+    for (let g = 0; g < chunk.length; g += group) {
+      grouped.push(chunk.slice(g, g + group).map(hex).join(''));
+    }
+    lines.push(`${(offset + off).toString(16).padStart(8, '0')}: ${grouped.join(' ').padEnd(hexWidth)}  ${ascii(chunk)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Turn a hex dump back into bytes, like xxd -r. Plain dumps (-p) are read as a
+ * stream of hex digits; xxd dumps place each line's bytes at its offset and
+ * stop at the ASCII column.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.plain] - Input is a plain hex dump (-p)
+ * @returns {Buffer}
+ */
+export function reverseXxd(text, { plain = false } = {}) {
+  if (plain) {
+    const digits = text.replace(/[^0-9a-fA-F]/g, '');
+    return Buffer.from(digits.slice(0, digits.length - (digits.length % 2)), 'hex');
+  }
+
+  const chunks = [];
+  let length = 0;
+  for (const line of text.split('\n')) {
+    const match = line.match(/^\s*([0-9a-fA-F]+):\s?(.*)$/);
+    if (!match) continue;
+    const offset = parseInt(match[1], 16);
+    // Groups are separated by single spaces, the ASCII column by two
+    const hex = match[2].split(/ {2,}/)[0].replace(/\s/g, '');
+    const bytes = Buffer.from(hex.slice(0, hex.length - (hex.length % 2)), 'hex');
+    chunks.push({ offset, bytes });
+    length = Math.max(length, offset + bytes.length);
+  }
+  const out = Buffer.alloc(length);
+  for (const { offset, bytes } of chunks) bytes.copy(out, offset);
+  return out;
+}
+
+/**
+ * hexdump-style dump. Repeated lines collapse into `*` unless `verbose` (-v).
+ * @param {Buffer} bytes
+ * @param {Object} [options]
+ * @param {boolean} [options.canonical] - -C: hex bytes plus |ASCII|; otherwise 16-bit words
+ * @param {number} [options.offset] - Offset of the first byte (-s)
+ * @param {boolean} [options.verbose] - -v: don't collapse repeated lines
+ * @returns {string}
+ */
+export function formatHexdump(bytes, { canonical = false, offset = 0, verbose = false } = {}) {
+  const lines = [];
+  let previous = null;
+  let collapsed = false;
+  for (let off = 0; off < bytes.length; off += 16) {
+    const chunk = [...bytes.subarray(off, off + 16)];
+    const key = chunk.join(',');
+    if (!verbose && key === previous && chunk.length === 16) {
+      if (!collapsed) lines.push('*');
+      collapsed = true;
+      continue;
+    }
+    previous = key;
+    collapsed = false;
+
+    const address = offset + off;
+    if (canonical) {
+      const hex = chunk.map(b => b.toString(16).padStart(2, '0'));
+      const left = hex.slice(0, 8).join(' ');
+      const right = hex.slice(8).join(' ');
+      lines.push(`${address.toString(16).padStart(8, '0')}  ${left.padEnd(23)}  ${right.padEnd(23)}  |${ascii(chunk)}|`);
+    } else {
+      // Little-endian 16-bit words, a trailing odd byte is padded with zero
+      const words = [];
+      for (let w = 0; w < chunk.length; w += 2) {
+        words.push(((chunk[w + 1] ?? 0) << 8 | chunk[w]).toString(16).padStart(4, '0'));
+      }
+      lines.push(`${address.toString(16).padStart(7, '0')} ${words.join(' ')}`);
+    }
+  }
+  if (bytes.length > 0) lines.push((offset + bytes.length).toString(16).padStart(canonical ? 8 : 7, '0'));
+  return lines.join('\n');
+}
+
+/**
+ * Printable character runs, like strings(1)
+ * @param {Buffer} bytes
+ * @param {Object} [options]
+ * @param {number} [options.min] - Minimum run length (-n)
+ * @param {string|null} [options.radix] - Prefix each string with its offset: 'd', 'x' or 'o' (-t)
+ * @returns {string[]}
+ */
+export function extractStrings(bytes, { min = 4, radix = null } = {}) {
+  const found = [];
+  let start = -1;
+  const flush = (end) => {
+    if (start >= 0 && end - start >= min) {
+      const text = bytes.subarray(start, end).toString('latin1');
+      const prefix = radix ? `${start.toString({ d: 10, x: 16, o: 8 }[radix]).padStart(7)} ` : '';
+      found.push(prefix + text);
+    }
+    start = -1;
+  };
+  for (let i = 0; i < bytes.length; i++) {
+    const b = bytes[i];
+    const printable = (b >= 0x20 && b < 0x7f) || b === 0x09;
+    if (printable && start < 0) start = i;
+    if (!printable) flush(i);
+  }
+  flush(bytes.length);
+  return found;
+}
+
+/**
+ * Identify content from its magic bytes, like file(1)
+ * @param {Buffer} bytes
+ * @returns {string} Description (e.g. "PE32 executable (GUI) Intel 80386, for MS Windows")
+ */
+export function identifyFile(bytes) {
+  if (bytes.length === 0) return 'empty';
+  const starts = (magic) => bytes.subarray(0, magic.length).equals(Buffer.from(magic, 'latin1'));
+
+  if (starts('MZ')) return describePe(bytes);
+  if (starts('\x7fELF')) return describeElf(bytes);
+  if (starts('\xff\xd8\xff')) {
+    const jfif = bytes.indexOf('JFIF\0', 0, 'latin1');
+    return jfif >= 0 && jfif < 16
+      ? `JPEG image data, JFIF standard ${bytes[jfif + 5] ?? 1}.${String(bytes[jfif + 6] ?? 1).padStart(2, '0')}`
+      : 'JPEG image data';
+  }
+  if (starts('\x89PNG\r\n\x1a\n')) {
+    return bytes.length >= 24
+      ? `PNG image data, ${bytes.readUInt32BE(16)} x ${bytes.readUInt32BE(20)}`
+      : 'PNG image data';
+  }
+  if (starts('GIF87a') || starts('GIF89a')) return `GIF image data, version ${bytes.subarray(3, 6).toString('latin1')}`;
+  if (starts('%PDF-')) {
+    const version = bytes.subarray(5, 12).toString('latin1').match(/^\d\.\d/);
+    return `PDF document${version ? `, version ${version[0]}` : ''}`;
+  }
+  if (starts('PK\x03\x04')) {
+    const needed = bytes.length >= 6 ? bytes.readUInt16LE(4) : 20;
+    return `Zip archive data, at least v${Math.floor(needed / 10)}.${needed % 10} to extract`;
+  }
+  if (starts('PK\x05\x06')) return 'Zip archive data (empty)';
+  if (starts('\x1f\x8b')) return 'gzip compressed data';
+  if (bytes.length > 262 && bytes.subarray(257, 262).toString('latin1') === 'ustar') return 'POSIX tar archive';
+  if (starts('\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1')) return 'Composite Document File V2 Document';
+  if (starts('Salted__')) return 'openssl enc\'d data with salted password';
+  if (starts('#!')) {
+    const interpreter = bytes.subarray(2, bytes.indexOf(0x0a) > 0 ? bytes.indexOf(0x0a) : 64).toString('latin1').trim();
+    return `${interpreter.split(/\s+/).pop().split('/').pop()} script, ASCII text executable`;
+  }
+  return describeText(bytes);
+}
+
+function describePe(bytes) {
+  const peOffset = bytes.length >= 0x40 ? bytes.readUInt32LE(0x3c) : 0;
+  if (!peOffset || peOffset + 24 > bytes.length || !bytes.subarray(peOffset, peOffset + 4).equals(Buffer.from('PE\0\0', 'latin1'))) {
+    return 'MS-DOS executable';
+  }
+  const machine = bytes.readUInt16LE(peOffset + 4);
+  const characteristics = bytes.readUInt16LE(peOffset + 22);
+  const optional = peOffset + 24;
+  const pe32plus = optional + 2 <= bytes.length && bytes.readUInt16LE(optional) === 0x20b;
+  const subsystem = optional + 70 <= bytes.length ? bytes.readUInt16LE(optional + 68) : 0;
+
+  const kind = characteristics & 0x2000 ? 'executable (DLL)' : 'executable';
+  const ui = { 2: '(GUI)', 3: '(console)' }[subsystem] || '';
+  const arch = { 0x14c: 'Intel 80386', 0x8664: 'x86-64', 0xaa64: 'Aarch64' }[machine] || `machine 0x${machine.toString(16)}`;
+  return [`${pe32plus ? 'PE32+' : 'PE32'} ${kind}`, ui, arch].filter(Boolean).join(' ') + ', for MS Windows';
+}
+
+function describeElf(bytes) {
+  if (bytes.length < 20) return 'ELF, corrupted';
+  const bits = bytes[4] === 2 ? '64-bit' : '32-bit';
+  const little = bytes[5] !== 2;
+  const read16 = (off) => (off + 2 <= bytes.length ? (little ? bytes.readUInt16LE(off) : bytes.readUInt16BE(off)) : 0);
+  const type = { 1: 'relocatable', 2: 'executable', 3: 'pie executable', 4: 'core file' }[read16(16)] || 'unknown type';
+  const machine = { 3: 'Intel 80386', 0x3e: 'x86-64', 0x28: 'ARM', 0xb7: 'ARM aarch64' }[read16(18)] || 'unknown arch';
+  return `ELF ${bits} ${little ? 'LSB' : 'MSB'} ${type}, ${machine}, version 1 (SYSV)`;
+}
+
+function describeText(bytes) {
+  const text = bytes.toString('utf8');
+  if (text.includes('\ufffd') || /[\x00-\x08\x0e-\x1a\x1c-\x1f\x7f]/.test(text)) return 'data';
+  const charset = /[^\x00-\x7f]/.test(text) ? 'UTF-8 Unicode text' : 'ASCII text';
+  const lines = text.split('\n');
+  const notes = [];
+  if (lines.some(line => line.length > 300)) notes.push('with very long lines');
+  if (text.includes('\r\n')) notes.push('with CRLF line terminators');
+  if (!text.includes('\n')) notes.push('with no line terminators');
+  return [charset, ...notes].join(', ');
+}
+
+function ascii(chunk) {
+  return chunk.map(b => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : '.')).join('');
+}
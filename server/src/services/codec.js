@@ -0,0 +1,261 @@
+/**
+ * Codec Service
+ *
+ * Encodings and ciphers used to hide payloads in scenarios, implemented for
+ * real so every decoding step is reproducible:
+ *  - base64 and base32 (RFC 4648), as done by coreutils
+ *  - `openssl enc` symmetric encryption, with the same key derivation
+ *    (EVP_BytesToKey or PBKDF2) and "Salted__" file format as OpenSSL
+ *  - the operations of the `decode` command, a small CyberChef-like chain
+ * All functions work on Buffers.
+ */
+
+import { createCipheriv, createDecipheriv, createHash, getCipherInfo, pbkdf2Sync, randomBytes } from 'crypto';
+import { gunzipSync, inflateRawSync, inflateSync } from 'zlib';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base64, wrapped at `wrap` columns (0 disables wrapping)
+ * @param {Buffer} bytes
+ * @param {number} [wrap]
+ * @returns {string}
+ */
+export function encodeBase64(bytes, wrap = 76) {
+  return wrapLines(bytes.toString('base64'), wrap);
+}
+
+/**
+ * Decode base64 text. Line breaks are always skipped; other characters
+ * outside the alphabet are an error unless `ignoreGarbage` (base64 -i).
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreGarbage]
+ * @returns {Buffer}
+ * @throws {Error} 'invalid input'
+ */
+export function decodeBase64(text, { ignoreGarbage = false } = {}) {
+  let clean = text.replace(/\s+/g, '');
+  if (ignoreGarbage) clean = clean.replace(/[^A-Za-z0-9+/=]/g, '');
+  // URL-safe base64 (-_) is common in web payloads and decodes the same way
+  clean = clean.replace(/-/g, '+').replace(/_/g, '/');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(clean) || clean.replace(/=+$/, '').length % 4 === 1) {
+    throw new Error('invalid input');
+  }
+  return Buffer.from(clean, 'base64');
+}
+
+/**
+ * Encode bytes as base32 (RFC 4648, padded), wrapped at `wrap` columns
+ * @param {Buffer} bytes
+ * @param {number} [wrap]
+ * @returns {string}
+ */
+export function encodeBase32(bytes, wrap = 76) {
+  let bits = '';
+  for (const b of bytes) bits += b.toString(2).padStart(8, '0');
+  let text = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    text += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return wrapLines(text.padEnd(Math.ceil(text.length / 8) * 8, '='), wrap);
+}
+
+/**
+ * Decode base32 text (case-insensitive, padding optional)
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreGarbage]
+ * @returns {Buffer}
+ * @throws {Error} 'invalid input'
+ */
+export function decodeBase32(text, { ignoreGarbage = false } = {}) {
+  let clean = text.replace(/\s+/g, '').toUpperCase();
+  if (ignoreGarbage) clean = clean.replace(/[^A-Z2-7=]/g, '');
+  if (!/^[A-Z2-7]*=*$/.test(clean)) throw new Error('invalid input');
+  let bits = '';
+  for (const ch of clean.replace(/=+$/, '')) bits += BASE32_ALPHABET.indexOf(ch).toString(2).padStart(5, '0');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+/**
+ * Cipher parameters for an OpenSSL cipher name (aes-256-cbc, des-ede3-cbc ...)
+ * @param {string} name
+ * @returns {{ name: string, keyLength: number, ivLength: number }|null}
+ */
+export function cipherInfo(name) {
+  const info = getCipherInfo(name.toLowerCase());
+  if (!info || info.mode === 'gcm' || info.mode === 'ccm' || info.mode === 'ocb') return null;
+  return { name: info.name, keyLength: info.keyLength, ivLength: info.ivLength || 0 };
+}
+
+/**
+ * Derive key and IV from a password the way `openssl enc` does: PBKDF2 with
+ * -pbkdf2/-iter, otherwise EVP_BytesToKey (one iteration of `md`)
+ * @param {string} password
+ * @param {Buffer|null} salt
+ * @param {Object} cipher - From cipherInfo
+ * @param {Object} [options]
+ * @param {string} [options.md] - Digest (-md), sha256 since OpenSSL 1.1.0
+ * @param {number|null} [options.iter] - PBKDF2 iterations, null for EVP_BytesToKey
+ * @returns {{ key: Buffer, iv: Buffer }}
+ */
+export function deriveKey(password, salt, cipher, { md = 'sha256', iter = null } = {}) {
+  const total = cipher.keyLength + cipher.ivLength;
+  let material;
+  if (iter !== null) {
+    material = pbkdf2Sync(password, salt || Buffer.alloc(0), iter, total, md);
+  } else {
+    const blocks = [];
+    let previous = Buffer.alloc(0);
+    while (Buffer.concat(blocks).length < total) {
+      previous = createHash(md).update(previous).update(password, 'utf8').update(salt || Buffer.alloc(0)).digest();
+      blocks.push(previous);
+    }
+    material = Buffer.concat(blocks);
+  }
+  return { key: material.subarray(0, cipher.keyLength), iv: material.subarray(cipher.keyLength, total) };
+}
+
+/**
+ * Encrypt or decrypt like `openssl enc`
+ * @param {Buffer} input
+ * @param {Object} options
+ * @param {boolean} options.decrypt
+ * @param {Object} options.cipher - From cipherInfo
+ * @param {string|null} [options.password] - -k / -pass
+ * @param {Buffer|null} [options.key] - -K (raw key, with -iv)
+ * @param {Buffer|null} [options.iv] - -iv
+ * @param {boolean} [options.salt] - Use a salt (-nosalt turns it off)
+ * @param {string} [options.md]
+ * @param {number|null} [options.iter]
+ * @returns {{ data: Buffer, salt: Buffer|null, key: Buffer, iv: Buffer }}
+ * @throws {Error} 'bad magic number' or 'bad decrypt'
+ */
+export function opensslCipher(input, { decrypt, cipher, password = null, key = null, iv = null, salt = true, md = 'sha256', iter = null }) {
+  let body = input;
+  let saltBytes = null;
+  if (password !== null && salt) {
+    if (decrypt) {
+      if (input.length < 16 || input.subarray(0, 8).toString('latin1') !== 'Salted__') throw new Error('bad magic number');
+      saltBytes = input.subarray(8, 16);
+      body = input.subarray(16);
+    } else {
+      saltBytes = randomBytes(8);
+    }
+  }
+
+  let params = { key, iv: iv || Buffer.alloc(cipher.ivLength) };
+  if (password !== null) params = deriveKey(password, saltBytes, cipher, { md, iter });
+  const make = decrypt ? createDecipheriv : createCipheriv;
+  const engine = make(cipher.name, params.key, cipher.ivLength ? params.iv : null);
+
+  let data;
+  try {
+    data = Buffer.concat([engine.update(body), engine.final()]);
+  } catch {
+    throw new Error('bad decrypt');
+  }
+  if (!decrypt && saltBytes) data = Buffer.concat([Buffer.from('Salted__', 'latin1'), saltBytes, data]);
+  return { data, salt: saltBytes, key: params.key, iv: params.iv };
+}
+
+/**
+ * Operations of the `decode` command. Each takes the bytes and the text after
+ * the operation's colon (`xor:0x5a`, `rot:5`) and returns the new bytes.
+ */
+export const DECODE_OPERATIONS = {
+  base64: { usage: 'base64', description: 'from base64 (standard or URL-safe)', run: (b) => decodeBase64(b.toString('latin1')) },
+  base32: { usage: 'base32', description: 'from base32', run: (b) => decodeBase32(b.toString('latin1')) },
+  hex: { usage: 'hex', description: 'from hex digits (spaces, 0x and \\x ignored)', run: (b) => fromHex(b.toString('latin1')) },
+  url: { usage: 'url', description: 'URL/percent decoding', run: (b) => fromUrl(b) },
+  rot13: { usage: 'rot13', description: 'rotate letters by 13', run: (b) => rotate(b, 13) },
+  rot: { usage: 'rot:N', description: 'rotate letters by N', run: (b, arg) => rotate(b, parseCount(arg)) },
+  xor: { usage: 'xor:KEY', description: 'XOR with a repeating key (0x-prefixed hex, or text)', run: (b, arg) => xor(b, parseKey(arg)) },
+  reverse: { usage: 'reverse', description: 'reverse the byte order', run: (b) => Buffer.from(b).reverse() },
+  utf16le: { usage: 'utf16le', description: 'UTF-16LE to text (PowerShell -EncodedCommand)', run: (b) => Buffer.from(b.toString('utf16le'), 'utf8') },
+  gunzip: { usage: 'gunzip', description: 'gzip decompression', run: (b) => gunzipSync(b) },
+  zlib: { usage: 'zlib', description: 'zlib inflate', run: (b) => inflateSync(b) },
+  inflate: { usage: 'inflate', description: 'raw deflate (.NET DeflateStream)', run: (b) => inflateRawSync(b) }
+};
+
+/**
+ * Run a chain of decode operations
+ * @param {Buffer} bytes - Input
+ * @param {string[]} steps - Operations, each `name` or `name:argument`
+ * @returns {Buffer}
+ * @throws {Error} Naming the failing step ("base64: invalid input")
+ */
+export function runDecodeChain(bytes, steps) {
+  let data = bytes;
+  for (const step of steps) {
+    const colon = step.indexOf(':');
+    const name = (colon >= 0 ? step.slice(0, colon) : step).toLowerCase();
+    const arg = colon >= 0 ? step.slice(colon + 1) : '';
+    const op = DECODE_OPERATIONS[name];
+    if (!op) throw new Error(`unknown operation '${name}' (decode -l lists them)`);
+    try {
+      data = op.run(data, arg);
+    } catch (e) {
+      throw new Error(`${name}: ${e.code?.startsWith('Z_') ? 'invalid compressed data' : e.message}`);
+    }
+  }
+  return data;
+}
+
+function wrapLines(text, wrap) {
+  if (!wrap) return text;
+  const lines = [];
+  for (let i = 0; i < text.length; i += wrap) lines.push(text.slice(i, i + wrap));
+  return lines.join('\n');
+}
+
+function fromHex(text) {
+  const digits = text.replace(/0x|\\x|[\s,:]/gi, '');
+  if (!/^[0-9a-f]*$/i.test(digits) || digits.length % 2 !== 0) throw new Error('invalid hex input');
+  return Buffer.from(digits, 'hex');
+}
+
+function fromUrl(bytes) {
+  const text = bytes.toString('latin1').replace(/\+/g, ' ');
+  const out = [];
+  for (let i = 0; i < text.length; i++) {
+    const escape = text.slice(i + 1, i + 3);
+    if (text[i] === '%' && /^[0-9a-f]{2}$/i.test(escape)) {
+      out.push(parseInt(escape, 16));
+      i += 2;
+    } else {
+      out.push(text.charCodeAt(i));
+    }
+  }
+  return Buffer.from(out);
+}
+
+function rotate(bytes, shift) {
+  const n = ((shift % 26) + 26) % 26;
+  return Buffer.from(bytes.map(b => {
+    if (b >= 0x41 && b <= 0x5a) return 0x41 + ((b - 0x41 + n) % 26);
+    if (b >= 0x61 && b <= 0x7a) return 0x61 + ((b - 0x61 + n) % 26);
+    return b;
+  }));
+}
+
+function xor(bytes, key) {
+  return Buffer.from(bytes.map((b, i) => b ^ key[i % key.length]));
+}
+
+function parseCount(arg) {
+  if (!/^-?\d+$/.test(arg)) throw new Error('needs a number (rot:N)');
+  return Number(arg);
+}
+
+function parseKey(arg) {
+  if (!arg) throw new Error('needs a key (xor:0x5a or xor:secret)');
+  if (/^0x[0-9a-f]+$/i.test(arg)) {
+    const digits = arg.slice(2);
+    return Buffer.from(digits.length % 2 ? `0${digits}` : digits, 'hex');
+  }
+  return Buffer.from(arg, 'utf8');
+}
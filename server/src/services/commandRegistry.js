@@ -0,0 +1,522 @@
+/**
+ * Command Registry
+ *
+ * The one description of every console command: usage, options and examples.
+ * It is the source of
+ *  - `help` (overview) and `help <command>` / `man <command>`
+ *  - command names for tab completion (completion service)
+ *  - the command list served to the client console and the scenario editor
+ * Scenario `customCommands` are described from their own definition (name,
+ * description, validArgs). Entries with `client: true` are run by the client
+ * console (device handling, scenario navigation, the pager).
+ */
+
+/**
+ * Built-in commands, in the order `help` lists them
+ * @type {Array<{ name: string, aliases?: string[], usage: string, summary: string,
+ *   flags?: Array<[string, string]>, examples?: string[], client?: boolean }>}
+ */
+export const BUILTIN_COMMANDS = [
+  {
+    name: 'ls',
+    usage: 'ls [-lahtrid1] [path...]',
+    summary: 'list directory contents',
+    flags: [
+      ['-l', 'long listing: permissions, links, owner, size, mtime'],
+      ['-a', 'include hidden entries'],
+      ['-h', 'human-readable sizes (with -l)'],
+      ['-t', 'sort by modification time, newest first'],
+      ['-r', 'reverse the sort order'],
+      ['-i', 'print inode numbers'],
+      ['-d', 'list directories themselves, not their contents'],
+      ['-1', 'one entry per line']
+    ],
+    examples: ['ls -la /home/user', 'ls -lt /var/log']
+  },
+  { name: 'cd', usage: 'cd [path]', summary: 'change directory', examples: ['cd /var/log', 'cd ~', 'cd ..'] },
+  { name: 'pwd', usage: 'pwd', summary: 'show current directory' },
+  { name: 'cat', usage: 'cat [file...]', summary: 'print files (or standard input)', examples: ['cat notes.txt', 'cat a.log b.log | grep error'] },
+  {
+    name: 'less',
+    aliases: ['more'],
+    usage: 'less [-Ni] <file...>',
+    summary: 'page through a file or the output of a pipeline',
+    flags: [
+      ['-N', 'number lines'],
+      ['-i', 'case-insensitive search'],
+      ['Space/b', 'next/previous page (also PageDown/PageUp)'],
+      ['j/k', 'next/previous line (also arrows)'],
+      ['g/G', 'first/last page'],
+      ['/re ?re', 'search forward/backward, n/N repeat'],
+      ['q', 'quit']
+    ],
+    examples: ['less /var/log/auth.log', 'tshark -r capture.pcap | less'],
+    client: true
+  },
+  {
+    name: 'grep',
+    usage: 'grep [-ivnclqwhHEFar] [-e pattern] <pattern> [file...]',
+    summary: 'search lines matching a pattern',
+    flags: [
+      ['-i', 'ignore case'],
+      ['-v', 'select non-matching lines'],
+      ['-n', 'prefix line numbers'],
+      ['-c', 'count matching lines'],
+      ['-l', 'list matching files only'],
+      ['-q', 'quiet: only the exit status tells whether a line matched'],
+      ['-w', 'match whole words'],
+      ['-h/-H', 'hide/show file names'],
+      ['-E', 'extended regular expressions'],
+      ['-F', 'fixed strings'],
+      ['-a', 'treat binary files as text'],
+      ['-r', 'search directories recursively'],
+      ['-e', 'pattern (may be repeated)']
+    ],
+    examples: ['grep -i failed /var/log/auth.log', 'grep -rn password /home']
+  },
+  {
+    name: 'head',
+    usage: 'head [-n N] [file...]',
+    summary: 'first lines of input',
+    flags: [['-n N', 'number of lines (default 10), also -N'], ['-n -N', 'all but the last N lines']],
+    examples: ['head -n 20 access.log']
+  },
+  {
+    name: 'tail',
+    usage: 'tail [-n N|+N] [file...]',
+    summary: 'last lines of input',
+    flags: [['-n N', 'number of lines (default 10), +N starts at line N']],
+    examples: ['tail -n 5 /var/log/syslog']
+  },
+  {
+    name: 'wc',
+    usage: 'wc [-lwc] [file...]',
+    summary: 'count lines, words and bytes',
+    flags: [['-l', 'lines'], ['-w', 'words'], ['-c', 'bytes (also -m)']],
+    examples: ['grep -c sshd auth.log', 'cat access.log | wc -l']
+  },
+  {
+    name: 'sort',
+    usage: 'sort [-nruf] [-k N[,M]] [-t sep] [file...]',
+    summary: 'sort lines',
+    flags: [
+      ['-n', 'numeric sort'],
+      ['-r', 'reverse'],
+      ['-u', 'unique lines only'],
+      ['-f', 'ignore case'],
+      ['-k N[,M]', 'sort on fields N to M (modifiers: -k2n, -k3,3nr)'],
+      ['-t sep', 'field separator']
+    ],
+    examples: ["cut -d' ' -f1 access.log | sort | uniq -c | sort -rn"]
+  },
+  {
+    name: 'uniq',
+    usage: 'uniq [-cdui] [file]',
+    summary: 'collapse repeated adjacent lines',
+    flags: [['-c', 'prefix counts'], ['-d', 'only repeated lines'], ['-u', 'only unique lines'], ['-i', 'ignore case']]
+  },
+  {
+    name: 'cut',
+    usage: 'cut -d <c> -f <list> [-s] [file...] | cut -c <list> [file...]',
+    summary: 'select fields or characters of each line',
+    flags: [['-d c', 'field delimiter (default TAB)'], ['-f list', 'fields, e.g. 1,3 or 2-4'], ['-c list', 'characters'], ['-s', 'skip lines without the delimiter']],
+    examples: ["cut -d: -f1 /etc/passwd"]
+  },
+  {
+    name: 'tr',
+    usage: 'tr [-ds] <set1> [set2]',
+    summary: 'translate, delete or squeeze characters of standard input',
+    flags: [['-d', 'delete characters of set1'], ['-s', 'squeeze repeated characters']],
+    examples: ['cat note.txt | tr a-z A-Z']
+  },
+  {
+    name: 'find',
+    usage: 'find [path...] [-maxdepth N] [-name|-iname|-type f/d/l|-size|-newer|-empty] [-exec cmd {} \\;]',
+    summary: 'search for files',
+    flags: [
+      ['-name glob', 'match the name (-iname: ignoring case)'],
+      ['-type t', 'f file, d directory, l symbolic link'],
+      ['-size [+-]N', 'size in 512-byte blocks (suffixes c, k, M)'],
+      ['-newer file', 'modified after file'],
+      ['-empty', 'empty files and directories'],
+      ['-maxdepth N', 'descend at most N levels (also -mindepth)'],
+      ['! / -o', 'negate a test / start an alternative'],
+      ['-exec cmd {} ;', 'run a command on each match ({} + batches them)']
+    ],
+    examples: ['find / -name "*.log"', 'find /home -type f -newer /tmp/marker', 'find . -name "*.txt" -exec sha256sum {} \\;']
+  },
+  {
+    name: 'sha256sum',
+    aliases: ['md5sum', 'sha1sum'],
+    usage: 'sha256sum [-c] [--quiet] <file...>',
+    summary: 'hash files or attached devices (also md5sum, sha1sum)',
+    flags: [['-c', 'check hashes listed in a file'], ['--quiet', 'with -c, only report failures']],
+    examples: ['sha256sum /dev/sdb', 'sha256sum evidence.img > evidence.sha256', 'sha256sum -c evidence.sha256']
+  },
+  {
+    name: 'dd',
+    usage: 'dd if=<src> of=<dest> [bs=N] [count=N] [skip=N] [status=none]',
+    summary: 'copy a device or file byte for byte',
+    examples: ['dd if=/dev/sdb of=/cases/evidence.img bs=4M']
+  },
+  {
+    name: 'fls',
+    usage: 'fls [-rdul] [-m mnt] <image>',
+    summary: 'list files in a disk image, * marks deleted entries',
+    flags: [['-d', 'deleted entries only'], ['-u', 'allocated entries only'], ['-l', 'long listing with MAC times'], ['-m mnt', 'write a body file for mactime'], ['-r', 'recurse (accepted for compatibility)']],
+    examples: ['fls -rd evidence.img', 'fls -r -m / evidence.img > body.txt']
+  },
+  {
+    name: 'icat',
+    usage: 'icat [-r] <image> <inode>',
+    summary: 'print a file (or deleted residue) by inode',
+    examples: ['icat evidence.img 14 > recovered.txt']
+  },
+  {
+    name: 'foremost',
+    usage: 'foremost [-t types] [-vq] -i <image> -o <dir>',
+    summary: 'carve files from an image by their signatures',
+    flags: [['-t types', 'file types to carve, e.g. jpg,pdf (default all)'], ['-i image', 'input image'], ['-o dir', 'output directory'], ['-v/-q', 'verbose/quiet']],
+    examples: ['foremost -t jpg,pdf -i evidence.img -o carved']
+  },
+  { name: 'mac-robber', usage: 'mac-robber <dir...>', summary: 'write a body file for the files under mounted directories', examples: ['mac-robber /mnt/evidence > body.txt'] },
+  {
+    name: 'mactime',
+    usage: 'mactime [-b body] [-d] [-y] [-z UTC] [start..end]',
+    summary: 'sorted MACB timeline from a body file',
+    flags: [['-b body', 'body file (default: standard input)'], ['-d', 'comma-separated output'], ['-y', 'ISO 8601 dates'], ['start..end', 'date range, e.g. 2024-03-01..2024-03-02']],
+    examples: ['mactime -b body.txt -d 2024-03-14..2024-03-15']
+  },
+  { name: 'echo', usage: 'echo <text>', summary: 'print text', examples: ['echo $HOME', 'echo note > findings.txt'] },
+  {
+    name: 'mkdir',
+    usage: 'mkdir [-pv] <dir...>',
+    summary: 'create directories',
+    flags: [['-p', 'create missing parents, no error if existing'], ['-v', 'print each created directory']],
+    examples: ['mkdir -p /cases/2024-001/exports']
+  },
+  {
+    name: 'touch',
+    usage: 'touch [-acm] [-d date|-t stamp|-r ref] <file...>',
+    summary: 'create files or set their times',
+    flags: [['-a/-m', 'change only the access/modification time'], ['-c', 'do not create missing files'], ['-d date', 'use a date string'], ['-t stamp', 'use [[CC]YY]MMDDhhmm[.ss]'], ['-r ref', 'use the times of another file']],
+    examples: ['touch -d "2024-03-14 09:00" /tmp/marker']
+  },
+  {
+    name: 'stat',
+    usage: 'stat [-L] [-c format] <file...>',
+    summary: 'show size, owner, mode and MAC times',
+    flags: [['-L', 'follow symbolic links'], ['-c format', 'custom format (%n %s %a %A %U %y %N ...)']],
+    examples: ['stat suspicious.bin', "stat -c '%n %s %y' *.log"]
+  },
+  {
+    name: 'rm',
+    usage: 'rm [-rf] <file/dir...>',
+    summary: 'remove files or directories',
+    flags: [['-r', 'remove directories and their contents'], ['-f', 'ignore missing files']]
+  },
+  { name: 'cp', usage: 'cp [-r] <src> <dest>', summary: 'copy a file or directory', flags: [['-r', 'copy directories recursively']] },
+  {
+    name: 'mv',
+    usage: 'mv [-fnv] <src...> <dest>',
+    summary: 'move or rename files and directories',
+    flags: [['-f', 'overwrite without asking'], ['-n', 'never overwrite'], ['-v', 'explain what is being done']]
+  },
+  {
+    name: 'ln',
+    usage: 'ln -s [-fnv] <target> [link]',
+    summary: 'create a symbolic link',
+    flags: [['-s', 'symbolic link (hard links are not supported)'], ['-f', 'replace an existing link'], ['-n', 'treat a link to a directory as a plain name'], ['-v', 'print each created link']],
+    examples: ['ln -s /var/log logs']
+  },
+  {
+    name: 'chmod',
+    usage: 'chmod [-Rcv] <mode> <file...>',
+    summary: 'change permissions',
+    flags: [['-R', 'recursive'], ['-c', 'report changes only'], ['-v', 'report every file']],
+    examples: ['chmod 640 report.txt', 'chmod u+x,go-w run.sh']
+  },
+  {
+    name: 'chown',
+    usage: 'chown [-Rcvh] <owner[:group]> <file...>',
+    summary: 'change owner and group',
+    flags: [['-R', 'recursive'], ['-c', 'report changes only'], ['-v', 'report every file'], ['-h', 'change a link itself, not its target']],
+    examples: ['chown root:root /cases/evidence.img']
+  },
+  {
+    name: 'tree',
+    usage: 'tree [-ad] [-L N] [dir...]',
+    summary: 'show a directory tree',
+    flags: [['-a', 'include hidden entries'], ['-d', 'directories only'], ['-L N', 'descend at most N levels']]
+  },
+  {
+    name: 'vol',
+    aliases: ['volatility'],
+    usage: 'vol -f <image> <plugin> [--pid N]',
+    summary: 'Volatility memory analysis',
+    flags: [
+      ['-f image', 'memory image'],
+      ['plugin', 'pslist, pstree, psscan, netscan, malfind, dlllist, cmdline, handles, imageinfo'],
+      ['--pid N', 'only these process ids (comma separated)']
+    ],
+    examples: ['vol -f memory.raw pslist', 'vol -f memory.raw malfind --pid 1337']
+  },
+  {
+    name: 'xxd',
+    usage: 'xxd [-l N] [-s off] [-c N] [-g N] [-p] [-u] [-r] <file>',
+    summary: 'hex dump (or its reversal with -r)',
+    flags: [['-l N', 'stop after N bytes'], ['-s off', 'start at offset'], ['-c N', 'bytes per line'], ['-g N', 'bytes per group'], ['-p', 'plain hex'], ['-u', 'upper-case hex'], ['-r', 'revert a dump to bytes (with -p: plain hex)']],
+    examples: ['xxd -l 64 suspicious.bin', 'echo 666c6167 | xxd -r -p']
+  },
+  {
+    name: 'hexdump',
+    usage: 'hexdump [-C] [-v] [-n N] [-s off] <file>',
+    summary: 'hex dump in hexdump format',
+    flags: [['-C', 'canonical hex+ASCII display'], ['-v', 'do not collapse repeated lines'], ['-n N', 'stop after N bytes'], ['-s off', 'start at offset']],
+    examples: ['hexdump -C -n 256 evidence.img']
+  },
+  {
+    name: 'strings',
+    usage: 'strings [-n N] [-t d|x|o] [-f] <file...>',
+    summary: 'printable strings in a binary file',
+    flags: [['-n N', 'minimum length (default 4)'], ['-t radix', 'print offsets'], ['-f', 'prefix file names']],
+    examples: ['strings -n 8 malware.exe | grep -i http']
+  },
+  {
+    name: 'file',
+    usage: 'file [-bsL] <file...>',
+    summary: 'identify file types from their magic bytes',
+    flags: [['-b', 'brief: no file names'], ['-s', 'read devices too'], ['-L', 'follow symbolic links']],
+    examples: ['file carved/*']
+  },
+  {
+    name: 'base64',
+    aliases: ['base32'],
+    usage: 'base64 [-d] [-i] [-w N] [file]',
+    summary: 'encode or decode base64 (also base32)',
+    flags: [['-d', 'decode'], ['-i', 'ignore characters outside the alphabet'], ['-w N', 'wrap encoded lines at N columns (0: no wrapping)']],
+    examples: ['base64 -d payload.b64 > payload.bin']
+  },
+  {
+    name: 'openssl',
+    usage: 'openssl enc -d -<cipher> -in <file> [-out file] -k <password> [-pbkdf2] [-iter N] [-md d] [-a]',
+    summary: 'decrypt (or encrypt) a file like openssl enc',
+    flags: [['-d/-e', 'decrypt/encrypt'], ['-k pass', 'password (also -pass pass:...)'], ['-K/-iv hex', 'raw key and IV'], ['-pbkdf2', 'PBKDF2 key derivation (-iter N)'], ['-md digest', 'digest for key derivation'], ['-a', 'base64 input/output'], ['-nosalt', 'no salt']],
+    examples: ['openssl enc -d -aes-256-cbc -in secret.enc -out secret.txt -k hunter2']
+  },
+  {
+    name: 'decode',
+    usage: 'decode [-f file] [-o file] [-l] <op[:arg]...>',
+    summary: 'decoding chain: base64, base32, hex, url, rot13, rot:N, xor:KEY, reverse, utf16le, gunzip, zlib, inflate',
+    flags: [['-f file', 'read input from a file (default: standard input)'], ['-o file', 'write the result to a file'], ['-l', 'list the operations']],
+    examples: ['decode -f blob.txt base64 gunzip', 'echo SGVsbG8= | decode base64']
+  },
+  {
+    name: 'tar',
+    usage: 'tar -t|-x [-zvO] -f <archive> [-C dir] [member...]',
+    summary: 'list or extract a tar archive',
+    flags: [['-t', 'list'], ['-x', 'extract'], ['-z', 'gzip-compressed'], ['-v', 'verbose'], ['-O', 'extract to standard output'], ['-f archive', 'archive file'], ['-C dir', 'extract into dir']],
+    examples: ['tar -tzvf backup.tar.gz', 'tar -xzf backup.tar.gz -C /tmp/backup']
+  },
+  {
+    name: 'gunzip',
+    aliases: ['zcat'],
+    usage: 'gunzip [-cfkl] <file.gz...>',
+    summary: 'decompress gzip files (zcat: to standard output)',
+    flags: [['-c', 'write to standard output'], ['-f', 'overwrite existing files'], ['-k', 'keep the compressed file'], ['-l', 'list sizes']]
+  },
+  {
+    name: 'unzip',
+    usage: 'unzip [-l] [-o|-n] [-q] [-p] [-P password] [-d dir] <archive.zip> [member...]',
+    summary: 'list or extract a zip archive',
+    flags: [['-l', 'list'], ['-o/-n', 'always/never overwrite'], ['-q', 'quiet'], ['-p', 'extract to standard output'], ['-P pass', 'password of an encrypted archive'], ['-d dir', 'extract into dir']],
+    examples: ['unzip -l exfil.zip', 'unzip -P infected -d /tmp/x exfil.zip']
+  },
+  {
+    name: 'tcpdump',
+    usage: "tcpdump [-nn] [-A] [-c N] [-t|-tttt] -r <pcap> ['filter']",
+    summary: 'read a packet capture with a BPF filter',
+    flags: [['-r pcap', 'capture file'], ['-nn', 'numeric ports'], ['-A', 'print payloads as ASCII'], ['-c N', 'stop after N packets'], ['filter', 'host, net, port, src/dst, tcp/udp/icmp, proto[off:size], and/or/not']],
+    examples: ["tcpdump -nn -r capture.pcap 'host 10.0.0.5 and port 22'", "tcpdump -nnr capture.pcap 'tcp[13] & 2 != 0'"]
+  },
+  {
+    name: 'tshark',
+    usage: "tshark -r <pcap> [-Y 'filter'] [-c N] [-T fields -e field...] [-z io,phs|conv,ip] [-q]",
+    summary: 'decode a packet capture with display filters',
+    flags: [['-r pcap', 'capture file'], ['-Y filter', 'display filter: ip.addr==x, tcp.port==22, dns, http.request, contains ...'], ['-T fields', 'print the fields given with -e'], ['-z stat', 'statistics: io,phs or conv,ip'], ['-q', 'only statistics']],
+    examples: ["tshark -r capture.pcap -Y 'http.request' -T fields -e http.host -e http.request.uri"]
+  },
+  {
+    name: 'ssh',
+    usage: 'ssh [-l user] [user@]host [command]',
+    summary: 'log in to a scenario host (exit to return) or run one command there',
+    examples: ['ssh admin@10.0.0.5', 'ssh web01 cat /etc/hostname']
+  },
+  {
+    name: 'exit',
+    aliases: ['logout'],
+    usage: 'exit',
+    summary: 'close the ssh session and return to the previous host'
+  },
+  {
+    name: 'scp',
+    usage: 'scp [-rpq] [[user@]host:]src... [[user@]host:]dest',
+    summary: 'copy files between hosts',
+    flags: [['-r', 'copy directories recursively'], ['-p', 'preserve times and modes'], ['-q', 'quiet']],
+    examples: ['scp web01:/var/log/auth.log /cases/']
+  },
+  { name: 'hostname', usage: 'hostname [-I]', summary: 'show the current host name (-I: its address)' },
+  {
+    name: 'history',
+    usage: 'history [N] | history -c',
+    summary: 'numbered command history of this scenario',
+    flags: [
+      ['N', 'only the last N lines'],
+      ['-c', 'clear the history'],
+      ['!n / !-n', 'run line n again / the n-th last line'],
+      ['!!', 'run the previous line again'],
+      ['!prefix', 'run the last line starting with prefix'],
+      ['Ctrl+R', 'search the history backwards while typing']
+    ],
+    examples: ['history 20', 'history | grep ssh', '!42']
+  },
+  { name: 'lsblk', usage: 'lsblk', summary: 'list attached devices and their mount points', client: true },
+  {
+    name: 'mount',
+    usage: 'mount [-o ro] <device> <mountpoint>',
+    summary: 'mount a device or image',
+    flags: [['-o ro', 'read-only (evidence stays write-protected)']],
+    examples: ['mount -o ro /dev/sdb1 /mnt/evidence'],
+    client: true
+  },
+  { name: 'umount', usage: 'umount <mountpoint>', summary: 'unmount a device', client: true },
+  { name: 'env', aliases: ['printenv'], usage: 'env | printenv [NAME...]', summary: 'show environment variables', examples: ['env | grep CASE', 'printenv HOME'] },
+  {
+    name: 'export',
+    usage: 'export [-p] [NAME[=value]...]',
+    summary: 'set shell variables (without arguments, list them)',
+    examples: ['export CASE_ID=IR-2024-001', 'export PATH=$PATH:/opt/tools']
+  },
+  { name: 'unset', usage: 'unset NAME...', summary: 'remove shell variables', examples: ['unset CASE_ID'] },
+  {
+    name: 'alias',
+    usage: 'alias [name[=value]...]',
+    summary: 'define aliases (without arguments, list them)',
+    examples: ["alias ll='ls -la'", 'alias ll']
+  },
+  { name: 'unalias', usage: 'unalias [-a] name...', summary: 'remove aliases (-a: all of them)', examples: ['unalias ll'] },
+  {
+    name: 'source',
+    aliases: ['.'],
+    usage: 'source <file>',
+    summary: 'run a file of commands in the current shell (~/.bashrc runs when a terminal starts)',
+    examples: ['source ~/.bashrc']
+  },
+  { name: 'clear', usage: 'clear', summary: 'clear screen' },
+  { name: 'scenario', usage: 'scenario [id]', summary: 'list scenarios or switch to one', client: true },
+  { name: 'progress', usage: 'progress', summary: 'show the progress in the current scenario', client: true },
+  { name: 'tutorial', usage: 'tutorial', summary: 'restart the tutorial', client: true },
+  { name: 'help', usage: 'help [command]', summary: 'list commands, or describe one', examples: ['help grep'] },
+  { name: 'man', usage: 'man <command>', summary: 'show the manual page of a command', examples: ['man tshark'] }
+];
+
+/**
+ * All commands available in a scenario: the built-ins, then the scenario's
+ * customCommands described from their definition
+ * @param {Array} [customCommands] - Scenario customCommands
+ * @returns {Array} Registry entries (custom ones have `custom: true`)
+ */
+export function listCommands(customCommands = []) {
+  const custom = (customCommands || []).filter(c => c?.name).map(c => ({
+    name: c.name,
+    usage: c.requiresArgs ? `${c.name} <args>` : c.name,
+    summary: c.description || c.name,
+    examples: Object.keys(c.validArgs || {}).map(args => `${c.name} ${args}`),
+    custom: true
+  }));
+  return [...BUILTIN_COMMANDS, ...custom];
+}
+
+/**
+ * Every command name, aliases included
+ * @param {Array} [customCommands]
+ * @returns {string[]}
+ */
+export function commandNames(customCommands = []) {
+  return [...new Set(listCommands(customCommands).flatMap(c => [c.name, ...(c.aliases || [])]))];
+}
+
+/**
+ * Find a command by name or alias
+ * @param {string} name
+ * @param {Array} [customCommands]
+ * @returns {Object|null}
+ */
+export function findCommand(name, customCommands = []) {
+  return listCommands(customCommands).find(c => c.name === name || c.aliases?.includes(name)) || null;
+}
+
+/**
+ * The `help` overview: one line per command
+ * @param {Array} [customCommands]
+ * @returns {string}
+ */
+export function formatHelp(customCommands = []) {
+  const commands = listCommands(customCommands);
+  const line = (c) => `  ${c.usage.padEnd(16)} - ${c.summary}`;
+  const custom = commands.filter(c => c.custom);
+  return [
+    'Available commands:',
+    ...commands.filter(c => !c.custom).map(line),
+    ...(custom.length > 0 ? ['', 'Scenario commands:', ...custom.map(line)] : []),
+    '',
+    'Shell operators:',
+    '  cmd1 | cmd2      - pipe output of cmd1 into cmd2',
+    '  cmd > file       - write output to file (>> appends)',
+    '  cmd1 ; cmd2      - run commands in sequence (&& stops on error)',
+    '  *.log, file?.txt - glob patterns expand to matching paths',
+    '  NAME=value       - set a variable, use it as $NAME or ${NAME}',
+    "  'text' \"text\"    - quote text (variables expand inside double quotes)",
+    '',
+    "Type 'help <command>' or 'man <command>' for details."
+  ].join('\n');
+}
+
+/**
+ * `help <command>`: usage, summary and options
+ * @param {Object} entry - Registry entry
+ * @returns {string}
+ */
+export function formatUsage(entry) {
+  return [
+    `${entry.name}: ${entry.usage}`,
+    `    ${entry.summary}`,
+    ...(entry.flags?.length ? ['', ...formatFlags(entry.flags, '    ')] : [])
+  ].join('\n');
+}
+
+/**
+ * `man <command>`: a manual page in the usual sections
+ * @param {Object} entry - Registry entry
+ * @returns {string}
+ */
+export function formatManPage(entry) {
+  const indent = '       ';
+  const sections = [
+    ['NAME', [`${indent}${[entry.name, ...(entry.aliases || [])].join(', ')} - ${entry.summary}`]],
+    ['SYNOPSIS', [`${indent}${entry.usage}`]],
+    ['OPTIONS', formatFlags(entry.flags || [], indent)],
+    ['EXAMPLES', (entry.examples || []).map(example => `${indent}${example}`)]
+  ];
+  const title = `${entry.name.toUpperCase()}(1)`;
+  return [
+    `${title.padEnd(38)}${entry.custom ? 'Scenario Commands' : 'Forensic Shell Manual'}`,
+    '',
+    ...sections.filter(([, lines]) => lines.length > 0).flatMap(([heading, lines]) => [heading, ...lines, ''])
+  ].join('\n').trimEnd();
+}
+
+function formatFlags(flags, indent) {
+  const width = Math.max(...flags.map(([flag]) => flag.length));
+  return flags.map(([flag, description]) => `${indent}${flag.padEnd(width)}  ${description}`);
+}
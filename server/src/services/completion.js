@@ -0,0 +1,104 @@
+/**
+ * Completion Service
+ *
+ * Tab completion for the console, computed against the persisted VFS so it
+ * sees exactly the files the commands see:
+ *  - the first word of a command (also after |, ; and &&) completes to a
+ *    command name
+ *  - any other word, and a word containing a slash, completes to a path;
+ *    directories (and links to them) end with '/'
+ * Quotes and backslashes in the typed word are understood, and candidates
+ * come back escaped so they can replace it as they are.
+ */
+
+import { getNode, resolvePath } from '../vfs/vfs.js';
+
+/**
+ * Complete the last word of a command line
+ * @param {string} line - Text up to the cursor
+ * @param {Object} context
+ * @param {Object} context.vfs - VFS root node
+ * @param {string} context.cwd - Working directory
+ * @param {Object} [context.env] - Shell variables (HOME expands ~)
+ * @param {string[]} context.commands - Command names
+ * @returns {{ word: string, candidates: string[] }} The word as typed and
+ *   the sorted words it can be replaced with
+ */
+export function completeLine(line, { vfs, cwd, env = {}, commands }) {
+  const { word, text, commandPosition } = currentWord(line);
+  const candidates = commandPosition && !text.includes('/')
+    ? [...new Set(commands)].filter(name => name.startsWith(text)).sort()
+    : completePath(text, vfs, cwd, env);
+  return { word, candidates: candidates.map(escapeWord) };
+}
+
+/**
+ * Find the word under completion: its raw text, its text with quoting
+ * removed, and whether it is in command position. Variable assignments
+ * (NAME=value) keep the command position; a redirection target never has it.
+ */
+function currentWord(line) {
+  let start = 0;
+  let text = '';
+  let quote = null;
+  let inWord = false;
+  let commandPosition = true;
+  let redirect = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else text += ch;
+      continue;
+    }
+    if (ch === '\\' && i + 1 < line.length) {
+      text += line[++i];
+      inWord = true;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+      inWord = true;
+      continue;
+    }
+    if (/\s/.test(ch) || '|;&<>'.includes(ch)) {
+      if (inWord) {
+        if (redirect) redirect = false;
+        else if (!/^[A-Za-z_]\w*=/.test(text)) commandPosition = false;
+      }
+      if ('|;&'.includes(ch)) commandPosition = true;
+      if ('<>'.includes(ch)) redirect = true;
+      start = i + 1;
+      text = '';
+      inWord = false;
+      continue;
+    }
+    text += ch;
+    inWord = true;
+  }
+  return { word: line.slice(start), text, commandPosition: commandPosition && !redirect };
+}
+
+function completePath(text, vfs, cwd, env) {
+  const slash = text.lastIndexOf('/');
+  const dirPart = text.slice(0, slash + 1);
+  const prefix = text.slice(slash + 1);
+  const dirPath = dirPart === '~/' || dirPart.startsWith('~/')
+    ? (env.HOME || '/home/user') + dirPart.slice(1)
+    : dirPart || '.';
+
+  const dirAbs = resolvePath(dirPath, cwd);
+  const dir = getNode(vfs, dirAbs);
+  if (!dir || dir.type !== 'dir') return [];
+
+  // Hidden entries only complete when the prefix asks for them
+  return Object.keys(dir.children || {})
+    .filter(name => name.startsWith(prefix) && (prefix.startsWith('.') || !name.startsWith('.')))
+    .map(name => dirPart + name + (getNode(vfs, `${dirAbs}/${name}`)?.type === 'dir' ? '/' : ''))
+    .sort();
+}
+
+function escapeWord(word) {
+  return word.replace(/([\s'"\\$|;&<>()*?[\]])/g, '\\$1');
+}
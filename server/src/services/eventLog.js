@@ -60,6 +60,7 @@ export const EventTypes = {
   
   // Command events
   COMMAND_EXECUTE: 'command_execute',
+  EVIDENCE_TAMPER: 'evidence_tamper',
   
   // Mini-game events
   MINI_GAME_START: 'mini_game_start',
@@ -0,0 +1,391 @@
+/**
+ * Packet Capture Service
+ *
+ * Captures are stored in the VFS as a JSON packet model (the file content),
+ * which tcpdump and tshark read like a pcap:
+ *   { "linkType": "EN10MB", "packets": [packet, ...] }
+ * Each packet is { time (ISO), src, dst, proto: tcp|udp|icmp, sport, dport,
+ * length (payload bytes) } plus, depending on the protocol:
+ *  - tcp: flags (tcpdump notation: S, S., ., P., F., R.), seq, ack, win, payload
+ *  - icmp: icmp { type: echo-request|echo-reply, id, seq }
+ *  - dns: dns { id, query, qtype, response, answers }
+ *  - http: http { method, uri, version, host, userAgent } for requests,
+ *          http { status, reason, version, contentType } for responses
+ */
+
+// Header bytes added to the payload length to get the frame length
+const HEADER_BYTES = { tcp: 14 + 20 + 32, udp: 14 + 20 + 8, icmp: 14 + 20 + 8 };
+
+// Largest payload that fits an IP datagram behind the headers
+const MAX_PAYLOAD = 0xffff - 20 - 32;
+
+const SERVICE_NAMES = { 22: 'ssh', 53: 'domain', 80: 'http', 443: 'https', 3389: 'ms-wbt-server' };
+
+const TCP_FLAG_NAMES = [['F', 'FIN'], ['S', 'SYN'], ['R', 'RST'], ['P', 'PSH'], ['.', 'ACK'], ['U', 'URG']];
+
+/**
+ * Parse file content as a capture
+ * @param {string} content - File content
+ * @returns {{ linkType: string, snaplen: number, packets: Array<Object> }|null}
+ *   Packets get their frame `number`; null if the content is not a capture
+ */
+export function parseCapture(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    return null;
+  }
+  if (!data || !Array.isArray(data.packets)) return null;
+  return {
+    linkType: data.linkType || 'EN10MB',
+    snaplen: data.snaplen || 262144,
+    packets: data.packets.map((packet, idx) => ({ ...packet, number: idx + 1 }))
+  };
+}
+
+/**
+ * Application protocol of a packet as Wireshark dissects it
+ * @returns {string|null} 'http', 'dns', 'ssh', 'tls' or null
+ */
+function appProtocol(p) {
+  if (p.http) return 'http';
+  if (p.dns) return 'dns';
+  if (p.proto === 'tcp' && p.length > 0 && (p.sport === 22 || p.dport === 22)) return 'ssh';
+  if (p.proto === 'tcp' && p.length > 0 && (p.sport === 443 || p.dport === 443)) return 'tls';
+  return null;
+}
+
+function frameLength(p) {
+  return (HEADER_BYTES[p.proto] || 34) + (p.length || 0);
+}
+
+/**
+ * ISO timestamp and its microseconds (Date only keeps milliseconds)
+ */
+function splitTime(time) {
+  const iso = new Date(time).toISOString();
+  const micros = String(time).match(/\.(\d+)/)?.[1]?.padEnd(6, '0').slice(0, 6) ?? '000000';
+  return { iso, micros };
+}
+
+function epochMicros(time) {
+  return Math.floor(Date.parse(time) / 1000) * 1e6 + Number(splitTime(time).micros);
+}
+
+function tcpFlag(p, letter) {
+  return p.proto === 'tcp' ? ((p.flags || '').includes(letter) ? 1 : 0) : null;
+}
+
+// Display filter fields: name -> (packet) => value, array of values, or null when absent
+const FIELDS = {
+  frame: () => true,
+  'frame.number': p => p.number ?? null,
+  'frame.len': p => frameLength(p),
+  ip: () => true,
+  'ip.addr': p => [p.src, p.dst].filter(Boolean),
+  'ip.src': p => p.src ?? null,
+  'ip.dst': p => p.dst ?? null,
+  'ip.proto': p => ({ tcp: 6, udp: 17, icmp: 1 })[p.proto] ?? null,
+  tcp: p => p.proto === 'tcp' || null,
+  'tcp.port': p => (p.proto === 'tcp' ? [p.sport, p.dport] : null),
+  'tcp.srcport': p => (p.proto === 'tcp' ? p.sport : null),
+  'tcp.dstport': p => (p.proto === 'tcp' ? p.dport : null),
+  'tcp.len': p => (p.proto === 'tcp' ? p.length || 0 : null),
+  'tcp.seq': p => (p.proto === 'tcp' ? p.seq ?? null : null),
+  'tcp.ack': p => (p.proto === 'tcp' ? p.ack ?? null : null),
+  'tcp.flags.syn': p => tcpFlag(p, 'S'),
+  'tcp.flags.ack': p => tcpFlag(p, '.'),
+  'tcp.flags.fin': p => tcpFlag(p, 'F'),
+  'tcp.flags.reset': p => tcpFlag(p, 'R'),
+  'tcp.flags.push': p => tcpFlag(p, 'P'),
+  'tcp.payload': p => (p.proto === 'tcp' ? p.payload ?? null : null),
+  udp: p => p.proto === 'udp' || null,
+  'udp.port': p => (p.proto === 'udp' ? [p.sport, p.dport] : null),
+  'udp.srcport': p => (p.proto === 'udp' ? p.sport : null),
+  'udp.dstport': p => (p.proto === 'udp' ? p.dport : null),
+  'udp.length': p => (p.proto === 'udp' ? (p.length || 0) + 8 : null),
+  icmp: p => p.proto === 'icmp' || null,
+  'icmp.type': p => (p.icmp ? ({ 'echo-request': 8, 'echo-reply': 0 })[p.icmp.type] ?? null : null),
+  dns: p => !!p.dns || null,
+  'dns.id': p => p.dns?.id ?? null,
+  'dns.qry.name': p => p.dns?.query ?? null,
+  'dns.qry.type': p => p.dns?.qtype ?? null,
+  'dns.flags.response': p => (p.dns ? (p.dns.response ? 1 : 0) : null),
+  'dns.a': p => (p.dns?.response ? p.dns.answers || [] : null),
+  http: p => !!p.http || null,
+  'http.request': p => !!p.http?.method || null,
+  'http.response': p => (p.http?.status !== undefined) || null,
+  'http.request.method': p => p.http?.method ?? null,
+  'http.request.uri': p => p.http?.uri ?? null,
+  'http.host': p => p.http?.host ?? null,
+  'http.user_agent': p => p.http?.userAgent ?? null,
+  'http.response.code': p => p.http?.status ?? null,
+  'http.content_type': p => p.http?.contentType ?? null,
+  ssh: p => appProtocol(p) === 'ssh' || null,
+  tls: p => appProtocol(p) === 'tls' || null
+};
+
+/**
+ * Read a display filter field from a packet
+ * @param {Object} packet
+ * @param {string} name - Field or protocol name (e.g. 'ip.addr', 'dns')
+ * @returns {*} Value, array of values, null when the packet lacks the field,
+ *   or undefined when the field name is unknown
+ */
+export function displayField(packet, name) {
+  const getter = FIELDS[name];
+  if (!getter) return undefined;
+  return getter(packet) ?? null;
+}
+
+/**
+ * Bytes of a packet from the start of one of its headers, as BPF `proto[off]`
+ * expressions index them. Headers are rebuilt from the model fields (tcp with
+ * a 12-byte timestamp option, see HEADER_BYTES); the payload follows,
+ * with HTTP message heads rebuilt from `http`, zero-filled past the content
+ * the model keeps and cut to what an IP
+ * datagram holds, since model lengths may sum up a whole transfer.
+ * @param {Object} p - Packet
+ * @param {string} layer - 'ip', 'tcp', 'udp' or 'icmp'
+ * @returns {Buffer|null} null if the packet has no such header
+ */
+export function headerBytes(p, layer) {
+  if (layer !== 'ip' && layer !== p.proto) return null;
+  const payloadText = p.payload ?? httpHead(p.http) ?? '';
+  const payload = Buffer.alloc(Math.min(MAX_PAYLOAD, Math.max(p.length || 0, Buffer.byteLength(payloadText, 'latin1'))));
+  payload.write(payloadText, 'latin1');
+
+  let transport;
+  if (p.proto === 'tcp') {
+    transport = Buffer.alloc(HEADER_BYTES.tcp - 14 - 20);
+    transport.writeUInt16BE(p.sport || 0, 0);
+    transport.writeUInt16BE(p.dport || 0, 2);
+    transport.writeUInt32BE((p.seq || 0) >>> 0, 4);
+    transport.writeUInt32BE((p.ack || 0) >>> 0, 8);
+    transport[12] = (transport.length / 4) << 4;
+    transport[13] = TCP_FLAG_NAMES.reduce((bits, [letter], idx) => ((p.flags || '').includes(letter) ? bits | (1 << idx) : bits), 0);
+    transport.writeUInt16BE(p.win || 0, 14);
+    // NOP, NOP, timestamps
+    transport.set([1, 1, 8, 10], 20);
+  } else if (p.proto === 'udp') {
+    transport = Buffer.alloc(8);
+    transport.writeUInt16BE(p.sport || 0, 0);
+    transport.writeUInt16BE(p.dport || 0, 2);
+    transport.writeUInt16BE(8 + payload.length, 4);
+  } else if (p.proto === 'icmp') {
+    transport = Buffer.alloc(8);
+    transport[0] = ({ 'echo-request': 8, 'echo-reply': 0 })[p.icmp?.type] ?? 0;
+    transport.writeUInt16BE(p.icmp?.id || 0, 4);
+    transport.writeUInt16BE(p.icmp?.seq || 0, 6);
+  } else {
+    return null;
+  }
+  if (layer !== 'ip') return Buffer.concat([transport, payload]);
+
+  const ip = Buffer.alloc(20);
+  ip[0] = 0x45;
+  ip.writeUInt16BE(ip.length + transport.length + payload.length, 2);
+  ip[8] = p.ttl ?? 64;
+  ip[9] = displayField(p, 'ip.proto');
+  ip.set(String(p.src).split('.').map(Number), 12);
+  ip.set(String(p.dst).split('.').map(Number), 16);
+  return Buffer.concat([ip, transport, payload]);
+}
+
+/**
+ * Start of the HTTP message a packet's `http` field describes
+ */
+function httpHead(http) {
+  if (!http) return null;
+  const lines = http.method
+    ? [`${http.method} ${http.uri} ${http.version}`, http.host && `Host: ${http.host}`, http.userAgent && `User-Agent: ${http.userAgent}`]
+    : [`${http.version} ${http.status} ${http.reason}`, http.contentType && `Content-Type: ${http.contentType}`];
+  return `${lines.filter(Boolean).join('\r\n')}\r\n\r\n`;
+}
+
+/**
+ * Format a packet as a tcpdump line
+ * @param {Object} p - Packet
+ * @param {Object} [options]
+ * @param {boolean} [options.numericPorts] - -nn: don't convert ports to names
+ * @param {string} [options.timestamps] - 'time' (default), 'none' (-t) or 'date' (-tttt)
+ * @returns {string}
+ */
+export function formatTcpdump(p, { numericPorts = false, timestamps = 'time' } = {}) {
+  const { iso, micros } = splitTime(p.time);
+  const stamp = timestamps === 'none' ? '' : timestamps === 'date'
+    ? `${iso.slice(0, 10)} ${iso.slice(11, 19)}.${micros} `
+    : `${iso.slice(11, 19)}.${micros} `;
+  const endpoint = (addr, port) => (port === undefined ? addr : `${addr}.${numericPorts ? port : SERVICE_NAMES[port] || port}`);
+  const head = `${stamp}IP ${endpoint(p.src, p.sport)} > ${endpoint(p.dst, p.dport)}: `;
+
+  if (p.proto === 'icmp') {
+    const kind = p.icmp?.type === 'echo-reply' ? 'echo reply' : 'echo request';
+    return `${head}ICMP ${kind}, id ${p.icmp?.id ?? 0}, seq ${p.icmp?.seq ?? 0}, length ${(p.length || 0) + 8}`;
+  }
+
+  if (p.dns) {
+    const size = `(${p.length || 0})`;
+    if (!p.dns.response) return `${head}${p.dns.id}+ ${p.dns.qtype}? ${p.dns.query}. ${size}`;
+    const answers = (p.dns.answers || []).map(a => `${p.dns.qtype} ${p.dns.qtype === 'TXT' ? `"${a}"` : a}`);
+    return `${head}${p.dns.id} ${answers.length}/0/0 ${answers.join(', ')} ${size}`.replace(/ {2}/g, ' ');
+  }
+
+  if (p.proto === 'udp') return `${head}UDP, length ${p.length || 0}`;
+
+  const len = p.length || 0;
+  const parts = [`Flags [${p.flags || '.'}]`];
+  if (p.seq !== undefined) parts.push(len > 0 ? `seq ${p.seq}:${p.seq + len}` : `seq ${p.seq}`);
+  if (p.ack !== undefined) parts.push(`ack ${p.ack}`);
+  if (p.win !== undefined) parts.push(`win ${p.win}`);
+  parts.push(`length ${len}`);
+
+  let line = head + parts.join(', ');
+  if (p.http?.method) line += `: HTTP: ${p.http.method} ${p.http.uri} ${p.http.version || 'HTTP/1.1'}`;
+  else if (p.http?.status !== undefined) line += `: HTTP: ${p.http.version || 'HTTP/1.1'} ${p.http.status} ${p.http.reason || ''}`.trimEnd();
+  else if (appProtocol(p) === 'ssh' && p.payload?.startsWith('SSH-')) line += `: SSH: ${p.payload.trim()}`;
+  return line;
+}
+
+/**
+ * Format a packet as a tshark summary line
+ * @param {Object} p - Packet
+ * @param {Object} options
+ * @param {string} options.firstTime - Time of the first packet (for relative times)
+ * @param {string} [options.timeFormat] - 'r' (seconds since first packet), 'a' (absolute), 'ad'/'ud' (with date)
+ * @returns {string}
+ */
+export function formatTshark(p, { firstTime, timeFormat = 'r' }) {
+  const { iso, micros } = splitTime(p.time);
+  let time;
+  if (timeFormat === 'a') time = `${iso.slice(11, 19)}.${micros}`;
+  else if (timeFormat === 'ad' || timeFormat === 'ud') time = `${iso.slice(0, 10)} ${iso.slice(11, 19)}.${micros}`;
+  else time = ((epochMicros(p.time) - epochMicros(firstTime)) / 1e6).toFixed(6);
+
+  const { protocol, info } = describe(p);
+  return `${String(p.number).padStart(5)} ${time.padStart(11)} ${p.src.padStart(15)} → ${p.dst.padEnd(15)} ${protocol} ${frameLength(p)} ${info}`;
+}
+
+/**
+ * Protocol column and Info column of a packet, as in Wireshark's packet list
+ */
+function describe(p) {
+  const app = appProtocol(p);
+  if (p.proto === 'icmp') {
+    const kind = p.icmp?.type === 'echo-reply' ? 'reply' : 'request';
+    return { protocol: 'ICMP', info: `Echo (ping) ${kind}  id=0x${(p.icmp?.id ?? 0).toString(16).padStart(4, '0')}, seq=${p.icmp?.seq ?? 0}` };
+  }
+  if (app === 'dns') {
+    const id = `0x${p.dns.id.toString(16).padStart(4, '0')}`;
+    if (!p.dns.response) return { protocol: 'DNS', info: `Standard query ${id} ${p.dns.qtype} ${p.dns.query}` };
+    const answers = (p.dns.answers || []).map(a => `${p.dns.qtype} ${a}`).join(' ');
+    return { protocol: 'DNS', info: `Standard query response ${id} ${p.dns.qtype} ${p.dns.query} ${answers}`.trimEnd() };
+  }
+  if (app === 'http') {
+    if (p.http.method) return { protocol: 'HTTP', info: `${p.http.method} ${p.http.uri} ${p.http.version || 'HTTP/1.1'} ` };
+    return { protocol: 'HTTP', info: `${p.http.version || 'HTTP/1.1'} ${p.http.status} ${p.http.reason || ''}  (${p.http.contentType || 'text/html'})` };
+  }
+  if (app === 'ssh') {
+    const side = p.sport === 22 ? 'Server' : 'Client';
+    const info = p.payload?.startsWith('SSH-') ? `${side}: Protocol (${p.payload.trim()})` : `${side}: Encrypted packet (len=${p.length})`;
+    return { protocol: 'SSHv2', info };
+  }
+  if (app === 'tls') return { protocol: 'TLSv1.2', info: 'Application Data' };
+  if (p.proto === 'udp') return { protocol: 'UDP', info: `${p.sport} → ${p.dport} Len=${p.length || 0}` };
+
+  const flags = TCP_FLAG_NAMES.filter(([letter]) => (p.flags || '').includes(letter)).map(([, name]) => name);
+  const info = [`${p.sport} → ${p.dport} [${flags.join(', ')}]`];
+  if (p.seq !== undefined) info.push(`Seq=${p.seq}`);
+  if (p.ack !== undefined) info.push(`Ack=${p.ack}`);
+  if (p.win !== undefined) info.push(`Win=${p.win}`);
+  info.push(`Len=${p.length || 0}`);
+  return { protocol: 'TCP', info: info.join(' ') };
+}
+
+/**
+ * Values of display filter fields for `tshark -T fields -e ...`
+ * @returns {string} Tab-separated values (multiple occurrences comma-separated)
+ */
+export function formatFields(p, fields, separator = '\t') {
+  return fields.map(name => {
+    const value = displayField(p, name);
+    if (value === null || value === undefined) return '';
+    return Array.isArray(value) ? value.join(',') : String(value);
+  }).join(separator);
+}
+
+/**
+ * Protocol hierarchy statistics (tshark -z io,phs)
+ */
+export function protocolHierarchy(packets) {
+  const counts = new Map();
+  const add = (path, p) => {
+    const entry = counts.get(path) || { frames: 0, bytes: 0 };
+    entry.frames++;
+    entry.bytes += frameLength(p);
+    counts.set(path, entry);
+  };
+  for (const p of packets) {
+    add('eth', p);
+    add('eth:ip', p);
+    add(`eth:ip:${p.proto}`, p);
+    const app = appProtocol(p);
+    if (app) add(`eth:ip:${p.proto}:${app}`, p);
+  }
+
+  const rows = [...counts.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([path, { frames, bytes }]) => {
+      const depth = path.split(':').length - 1;
+      const name = `${'  '.repeat(depth)}${path.split(':').pop()}`;
+      return `${name.padEnd(41)}frames:${frames} bytes:${bytes}`;
+    });
+  return [
+    '='.repeat(67),
+    'Protocol Hierarchy Statistics',
+    'Filter: ',
+    '',
+    ...rows,
+    '='.repeat(67)
+  ].join('\n');
+}
+
+/**
+ * IPv4 conversation statistics (tshark -z conv,ip), busiest first
+ */
+export function ipConversations(packets) {
+  const convs = new Map();
+  const firstTime = packets.length > 0 ? Date.parse(packets[0].time) : 0;
+  for (const p of packets) {
+    const [a, b] = [p.src, p.dst].sort();
+    const key = `${a}|${b}`;
+    const conv = convs.get(key) || { a, b, toA: [0, 0], toB: [0, 0], start: Date.parse(p.time), end: Date.parse(p.time) };
+    const dir = p.dst === a ? conv.toA : conv.toB;
+    dir[0]++;
+    dir[1] += frameLength(p);
+    conv.end = Date.parse(p.time);
+    convs.set(key, conv);
+  }
+
+  const rows = [...convs.values()]
+    .sort((x, y) => (y.toA[0] + y.toB[0]) - (x.toA[0] + x.toB[0]))
+    .map(c => [
+      c.a.padEnd(20), '<->', c.b.padEnd(20),
+      String(c.toA[0]).padStart(6), String(c.toA[1]).padStart(8),
+      String(c.toB[0]).padStart(6), String(c.toB[1]).padStart(8),
+      String(c.toA[0] + c.toB[0]).padStart(6), String(c.toA[1] + c.toB[1]).padStart(8),
+      ((c.start - firstTime) / 1000).toFixed(6).padStart(14),
+      ((c.end - c.start) / 1000).toFixed(4).padStart(12)
+    ].join(' '));
+
+  return [
+    '='.repeat(80),
+    'IPv4 Conversations',
+    'Filter:<No Filter>',
+    `${''.padEnd(45)}|      <-       | |      ->       | |     Total     |  Relative Start |  Duration  |`,
+    `${''.padEnd(45)}| Frames  Bytes | | Frames  Bytes | | Frames  Bytes |                 |            |`,
+    ...rows,
+    '='.repeat(80)
+  ].join('\n');
+}
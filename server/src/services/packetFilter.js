@@ -0,0 +1,342 @@
+/**
+ * Packet Filter Service
+ *
+ * Compiles the two filter languages used on captures into predicates over
+ * packets from the capture model (see packetCapture.js):
+ *  - BPF capture filters, as taken by tcpdump:
+ *      [src|dst] host|net|port|portrange <id>, tcp, udp, icmp, ip,
+ *      greater/less <len>, and/or/not (&&, ||, !) with parentheses.
+ *    A bare id repeats the previous qualifiers ("port 53 or 443").
+ *    Relations compare arithmetic over header bytes, proto[off] or
+ *    proto[off:size] (ip, tcp, udp, icmp; size 1, 2 or 4), and len:
+ *      tcp[13] & 2 != 0, tcp[tcpflags] & (tcp-syn|tcp-ack) = tcp-syn, ip[8] < 64
+ *    with + - * / % & | ^ << >> and =, ==, !=, <, >, <=, >=. Offsets are
+ *    constants; '-' and '/' need spaces around them, as they also appear
+ *    in ids (portrange 1-1024, net 10.0.0.0/8).
+ *  - Wireshark display filters, as taken by tshark -Y:
+ *      protocols (tcp, udp, icmp, dns, http), fields (ip.addr, ip.src, tcp.port,
+ *      dns.qry.name, http.request.method ...), ==, !=, <, >, <=, >=, contains,
+ *      and/or/not (&&, ||, !) with parentheses.
+ */
+
+import { displayField, headerBytes } from './packetCapture.js';
+
+/**
+ * Split filter text into words, parentheses and operators
+ */
+function tokenize(text) {
+  const tokens = [];
+  const re = /\s*(&&|\|\||<<|>>|!=|==|<=|>=|[()!<>=&|^+*%]|"(?:[^"\\]|\\.)*"|[^\s()!<>=&|^+*%"]+)/gy;
+  let match;
+  let pos = 0;
+  while (pos < text.length && (match = re.exec(text))) {
+    tokens.push(match[1]);
+    pos = re.lastIndex;
+  }
+  if (text.slice(pos).trim()) throw new Error(`syntax error near '${text.slice(pos).trim()}'`);
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser for the and/or/not structure both languages share.
+ * `parsePrimary` handles everything else.
+ */
+function parseBoolean(tokens, parsePrimary) {
+  let pos = 0;
+  const peek = (ahead = 0) => tokens[pos + ahead];
+  const next = () => tokens[pos++];
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek() === 'or' || peek() === '||') {
+      next();
+      const right = parseAnd();
+      const l = left;
+      left = (p) => l(p) || right(p);
+    }
+    return left;
+  };
+  const parseAnd = () => {
+    let left = parseNot();
+    while (peek() === 'and' || peek() === '&&') {
+      next();
+      const right = parseNot();
+      const l = left;
+      left = (p) => l(p) && right(p);
+    }
+    return left;
+  };
+  const parseNot = () => {
+    if (peek() === 'not' || peek() === '!') {
+      next();
+      const inner = parseNot();
+      return (p) => !inner(p);
+    }
+    if (peek() === '(') {
+      next();
+      const inner = parseOr();
+      if (next() !== ')') throw new Error("syntax error: missing ')'");
+      return inner;
+    }
+    if (peek() === undefined) throw new Error('syntax error: unexpected end of expression');
+    return parsePrimary({ peek, next });
+  };
+
+  const predicate = parseOr();
+  if (pos < tokens.length) throw new Error(`syntax error near '${tokens[pos]}'`);
+  return predicate;
+}
+
+/**
+ * Compile a BPF capture filter
+ * @param {string} text - Filter expression (empty matches everything)
+ * @returns {Function} Predicate (packet) => boolean
+ * @throws {Error} On syntax errors
+ */
+export function compileBpf(text) {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return () => true;
+
+  const PROTOS = ['tcp', 'udp', 'icmp'];
+  const DIRS = ['src', 'dst'];
+  const TYPES = ['host', 'net', 'port', 'portrange'];
+  // Qualifiers of the last primitive, reused by bare ids ("host a or b")
+  let last = { dir: null, type: 'host', proto: null };
+
+  const primitive = ({ dir, type, proto }, id) => {
+    const addrs = (p) => (dir === 'src' ? [p.src] : dir === 'dst' ? [p.dst] : [p.src, p.dst]);
+    const ports = (p) => (dir === 'src' ? [p.sport] : dir === 'dst' ? [p.dport] : [p.sport, p.dport]);
+    const protoOk = (p) => !proto || p.proto === proto;
+
+    if (type === 'host') {
+      if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(id)) throw new Error(`unknown host '${id}'`);
+      return (p) => protoOk(p) && addrs(p).includes(id);
+    }
+    if (type === 'net') {
+      const [base, bits = '32'] = id.split('/');
+      const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+      const baseNum = ipToNumber(base);
+      if (baseNum === null || !(Number(bits) >= 0 && Number(bits) <= 32)) throw new Error(`invalid net '${id}'`);
+      return (p) => protoOk(p) && addrs(p).some(addr => ((ipToNumber(addr) & mask) >>> 0) === ((baseNum & mask) >>> 0));
+    }
+    if (type === 'port') {
+      const port = resolvePort(id);
+      if (port === null) throw new Error(`unknown port '${id}'`);
+      return (p) => protoOk(p) && p.sport !== undefined && ports(p).includes(port);
+    }
+    const [lo, hi] = id.split('-').map(resolvePort);
+    if (lo === null || hi === null || hi === undefined) throw new Error(`invalid port range '${id}'`);
+    return (p) => protoOk(p) && p.sport !== undefined && ports(p).some(port => port >= lo && port <= hi);
+  };
+
+  return parseBoolean(tokens, ({ peek, next }) => {
+    const first = peek();
+    if (/^(ip|tcp|udp|icmp)\[/.test(first) || first === 'len'
+      || (bpfNumber(first) !== null && (ARITH_OPS[peek(1)] || RELATIONS[peek(1)]))) {
+      return parseRelation({ peek, next });
+    }
+    if (first === 'greater' || first === 'less') {
+      next();
+      const len = Number(next());
+      if (!Number.isInteger(len)) throw new Error(`syntax error: ${first} needs a length`);
+      return first === 'greater' ? (p) => frameLength(p) >= len : (p) => frameLength(p) <= len;
+    }
+    if (first === 'ip') {
+      // Every packet in the model is IPv4; "ip host x" is just "host x"
+      next();
+      if (!DIRS.includes(peek()) && !TYPES.includes(peek())) return () => true;
+    }
+
+    const quals = { dir: null, type: null, proto: null };
+    if (PROTOS.includes(peek())) quals.proto = next();
+    if (DIRS.includes(peek())) quals.dir = next();
+    if (TYPES.includes(peek())) quals.type = next();
+
+    const id = peek();
+    const isId = id !== undefined && !['and', 'or', 'not', '&&', '||', '!', '(', ')'].includes(id);
+    if (quals.proto && !quals.dir && !quals.type && !isId) {
+      // A lone protocol: "tcp", "udp", "icmp"
+      const proto = quals.proto;
+      return (p) => p.proto === proto;
+    }
+    if (!isId) throw new Error(`syntax error near '${id ?? 'end of expression'}'`);
+    next();
+
+    const hasQualifier = quals.dir || quals.type || quals.proto;
+    const effective = hasQualifier ? { ...quals, type: quals.type || 'host' } : last;
+    last = effective;
+    return primitive(effective, id);
+  });
+}
+
+// Binary operators of BPF arithmetic by precedence level, loosest first
+const ARITH_LEVELS = [['|', '^'], ['&'], ['<<', '>>'], ['+', '-'], ['*', '/', '%']];
+const ARITH_OPS = {
+  '|': (a, b) => a | b,
+  '^': (a, b) => a ^ b,
+  '&': (a, b) => a & b,
+  '<<': (a, b) => a << b,
+  '>>': (a, b) => a >>> b,
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => Math.imul(a, b),
+  '/': (a, b) => (b === 0 ? null : Math.floor(a / b)),
+  '%': (a, b) => (b === 0 ? null : a % b)
+};
+const RELATIONS = {
+  '=': (a, b) => a === b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b
+};
+
+// Named offsets and values libpcap predefines for header expressions
+const BPF_CONSTANTS = {
+  tcpflags: 13, 'tcp-fin': 0x01, 'tcp-syn': 0x02, 'tcp-rst': 0x04, 'tcp-push': 0x08, 'tcp-ack': 0x10, 'tcp-urg': 0x20,
+  icmptype: 0, icmpcode: 1, 'icmp-echoreply': 0, 'icmp-unreach': 3, 'icmp-redirect': 5, 'icmp-echo': 8, 'icmp-timxceed': 11
+};
+
+function bpfNumber(word) {
+  if (/^(0x[0-9a-f]+|\d+)$/i.test(word ?? '')) return Number(word);
+  return BPF_CONSTANTS[word] ?? null;
+}
+
+/**
+ * Parse a BPF relation ("tcp[13] & 2 != 0") into a predicate.
+ * Values are unsigned 32-bit; a header the packet lacks, an offset past its
+ * end or a division by zero makes the relation false, as in the kernel filter.
+ */
+function parseRelation({ peek, next }) {
+  const operand = () => {
+    const word = next();
+    if (word === '(') {
+      const inner = level(0);
+      if (next() !== ')') throw new Error("syntax error: missing ')'");
+      return inner;
+    }
+    if (word === 'len') return (p) => frameLength(p);
+    const access = word?.match(/^(ip|tcp|udp|icmp)\[([^\]:]+)(?::(\d+))?\]$/);
+    if (access) {
+      const [, proto, offsetWord, sizeWord = '1'] = access;
+      const offset = bpfNumber(offsetWord);
+      const size = Number(sizeWord);
+      if (offset === null) throw new Error(`syntax error: unsupported offset '${offsetWord}' in ${word}`);
+      if (![1, 2, 4].includes(size)) throw new Error(`data size must be 1, 2, or 4 in ${word}`);
+      return (p) => {
+        const bytes = headerBytes(p, proto);
+        if (!bytes || offset + size > bytes.length) return null;
+        return bytes.readUIntBE(offset, size);
+      };
+    }
+    const value = bpfNumber(word);
+    if (value === null) throw new Error(`syntax error near '${word ?? 'end of expression'}'`);
+    return () => value;
+  };
+
+  const level = (depth) => {
+    if (depth === ARITH_LEVELS.length) return operand();
+    let left = level(depth + 1);
+    while (ARITH_LEVELS[depth].includes(peek())) {
+      const apply = ARITH_OPS[next()];
+      const right = level(depth + 1);
+      const l = left;
+      left = (p) => {
+        const a = l(p);
+        const b = right(p);
+        if (a === null || b === null) return null;
+        const result = apply(a, b);
+        return result === null ? null : result >>> 0;
+      };
+    }
+    return left;
+  };
+
+  const left = level(0);
+  const compare = RELATIONS[peek()];
+  if (!compare) throw new Error(`syntax error near '${peek() ?? 'end of expression'}': expected a relation`);
+  next();
+  const right = level(0);
+  return (p) => {
+    const a = left(p);
+    const b = right(p);
+    return a !== null && b !== null && compare(a, b);
+  };
+}
+
+/**
+ * Compile a Wireshark display filter
+ * @param {string} text - Filter expression (empty matches everything)
+ * @returns {Function} Predicate (packet) => boolean
+ * @throws {Error} On syntax errors or unknown fields
+ */
+export function compileDisplayFilter(text) {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return () => true;
+
+  const OPERATORS = { '==': 'eq', eq: 'eq', '!=': 'ne', ne: 'ne', '<': 'lt', lt: 'lt', '>': 'gt', gt: 'gt', '<=': 'le', le: 'le', '>=': 'ge', ge: 'ge', contains: 'contains', matches: 'matches' };
+
+  return parseBoolean(tokens, ({ peek, next }) => {
+    const field = next();
+    if (displayField({}, field) === undefined) throw new Error(`"${field}" is neither a field nor a protocol name.`);
+
+    const op = OPERATORS[peek()];
+    if (!op) {
+      // Existence test: "dns", "http.request", "tcp.port"
+      return (p) => {
+        const value = displayField(p, field);
+        return Array.isArray(value) ? value.length > 0 : value !== null && value !== false;
+      };
+    }
+    next();
+    const raw = next();
+    if (raw === undefined) throw new Error(`syntax error: ${field} needs a value`);
+    const literal = raw.startsWith('"') ? JSON.parse(raw) : raw;
+    const numeric = /^(0x[0-9a-f]+|\d+)$/i.test(literal) ? Number(literal) : null;
+    const pattern = op === 'matches' ? new RegExp(literal, 'i') : null;
+
+    const test = (value) => {
+      if (value === null || value === undefined || value === false) return false;
+      const comparable = typeof value === 'number' && numeric !== null ? numeric : literal;
+      switch (op) {
+        case 'eq': return value === true ? literal === '1' || literal === 'true' : value === comparable || String(value) === String(comparable);
+        case 'ne': return String(value) !== String(comparable);
+        case 'lt': return value < comparable;
+        case 'gt': return value > comparable;
+        case 'le': return value <= comparable;
+        case 'ge': return value >= comparable;
+        case 'contains': return String(value).includes(literal);
+        default: return pattern.test(String(value));
+      }
+    };
+
+    return (p) => {
+      const value = displayField(p, field);
+      const values = Array.isArray(value) ? value : [value];
+      // Like Wireshark, "!=" holds only when no occurrence of the field is equal
+      if (op === 'ne') return values.length > 0 && values.every(test);
+      return values.some(test);
+    };
+  });
+}
+
+// Well-known port names accepted in BPF ("port ssh")
+const PORT_NAMES = { ftp: 21, ssh: 22, telnet: 23, smtp: 25, domain: 53, http: 80, pop3: 110, imap: 143, https: 443, rdp: 3389 };
+
+function resolvePort(id) {
+  if (id === undefined) return undefined;
+  if (/^\d+$/.test(id)) return Number(id);
+  return PORT_NAMES[id] ?? null;
+}
+
+function ipToNumber(ip) {
+  const parts = String(ip).split('.').map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isInteger(n) || n < 0 || n > 255)) return null;
+  return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+}
+
+function frameLength(p) {
+  return displayField(p, 'frame.len');
+}
@@ -0,0 +1,167 @@
+/**
+ * Session Recording Service
+ *
+ * Records console sessions so admins can replay what a user typed and saw.
+ * The client reports events as [time, type, data] triples, the asciicast v2
+ * event format: time in seconds since the session started, type 'o' for
+ * terminal output, 'i' for keyboard input or 'r' for a resize ("COLSxROWS").
+ * Events arrive in batches and each batch is stored as one chunk, so a
+ * recording is the concatenation of its chunks in id order.
+ */
+
+import { getDb } from '../db/db.js';
+
+/** Event types of asciicast v2 that the console records */
+const EVENT_TYPES = new Set(['o', 'i', 'r']);
+
+/** Bounds for the terminal size a client may report */
+const MAX_COLUMNS = 1000;
+const MAX_ROWS = 500;
+
+/**
+ * Clamp a reported terminal dimension, falling back to a default
+ * @param {*} value
+ * @param {number} max
+ * @param {number} fallback
+ * @returns {number}
+ */
+function dimension(value, max, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, max) : fallback;
+}
+
+/**
+ * Whether a value is a well-formed [time, type, data] event
+ * @param {*} event
+ * @returns {boolean}
+ */
+function isValidEvent(event) {
+  return Array.isArray(event) &&
+    event.length === 3 &&
+    Number.isFinite(event[0]) && event[0] >= 0 &&
+    EVENT_TYPES.has(event[1]) &&
+    typeof event[2] === 'string';
+}
+
+/**
+ * Start a new recording
+ * @param {number} userId
+ * @param {string|null} scenarioCode
+ * @param {Object} size - { width, height } of the terminal
+ * @returns {Promise<number>} Session id
+ */
+export async function createSession(userId, scenarioCode, { width, height } = {}) {
+  const db = getDb();
+  const result = await db.run(`
+    INSERT INTO console_sessions (user_id, scenario_code, width, height)
+    VALUES (?, ?, ?, ?)
+  `, userId, scenarioCode || null, dimension(width, MAX_COLUMNS, 80), dimension(height, MAX_ROWS, 24));
+  return result.lastID;
+}
+
+/**
+ * Append a batch of events to a user's recording. Malformed events are dropped
+ * @param {number} userId
+ * @param {number} sessionId
+ * @param {Array} events
+ * @returns {Promise<number|null>} Number of events stored, or null if the
+ *   session doesn't exist or belongs to another user
+ */
+export async function appendEvents(userId, sessionId, events) {
+  const db = getDb();
+  const session = await db.get(`
+    SELECT id, duration FROM console_sessions WHERE id = ? AND user_id = ?
+  `, sessionId, userId);
+  if (!session) return null;
+
+  const valid = (Array.isArray(events) ? events : []).filter(isValidEvent);
+  if (valid.length === 0) return 0;
+
+  const duration = Math.max(session.duration, ...valid.map(([time]) => time));
+  await db.run(`
+    INSERT INTO console_session_chunks (session_id, events) VALUES (?, ?)
+  `, sessionId, JSON.stringify(valid));
+  await db.run(`
+    UPDATE console_sessions SET duration = ? WHERE id = ?
+  `, duration, sessionId);
+  return valid.length;
+}
+
+/**
+ * A user's recordings, newest first (without their events)
+ * @param {number} userId
+ * @returns {Promise<Array>}
+ */
+export async function listSessions(userId) {
+  const db = getDb();
+  const rows = await db.all(`
+    SELECT s.id, s.scenario_code, s.width, s.height, s.duration, s.started_at,
+           sc.title as scenario_title
+    FROM console_sessions s
+    LEFT JOIN scenarios sc ON sc.code = s.scenario_code
+    WHERE s.user_id = ?
+    ORDER BY s.id DESC
+  `, userId);
+  return rows.map(row => ({
+    id: row.id,
+    scenarioCode: row.scenario_code,
+    scenarioTitle: row.scenario_title,
+    width: row.width,
+    height: row.height,
+    duration: row.duration,
+    startedAt: row.started_at
+  }));
+}
+
+/**
+ * A recording with all of its events
+ * @param {number} userId
+ * @param {number} sessionId
+ * @returns {Promise<Object|null>} { session, events } or null if not found
+ */
+export async function getRecording(userId, sessionId) {
+  const db = getDb();
+  const session = await db.get(`
+    SELECT id, scenario_code, width, height, duration, started_at
+    FROM console_sessions WHERE id = ? AND user_id = ?
+  `, sessionId, userId);
+  if (!session) return null;
+
+  const chunks = await db.all(`
+    SELECT events FROM console_session_chunks WHERE session_id = ? ORDER BY id
+  `, sessionId);
+  // Batches are sent in order, but keep replay monotonic if one arrives late
+  const events = chunks
+    .flatMap(chunk => JSON.parse(chunk.events))
+    .sort((a, b) => a[0] - b[0]);
+  return { session, events };
+}
+
+/**
+ * Serialize a recording as an asciicast v2 file: a JSON header line followed
+ * by one JSON line per event
+ * @param {Object} session - Row from console_sessions
+ * @param {Array} events
+ * @param {Object} [options]
+ * @param {string} [options.title]
+ * @returns {string}
+ */
+export function formatAsciicast(session, events, { title } = {}) {
+  // SQLite's datetime('now') is UTC without a zone designator
+  const startedAt = Date.parse(`${session.started_at.replace(' ', 'T')}Z`);
+  const header = {
+    version: 2,
+    width: session.width,
+    height: session.height,
+    timestamp: Math.floor(startedAt / 1000),
+    duration: session.duration,
+    env: { TERM: 'xterm-256color', SHELL: '/bin/bash' }
+  };
+  if (title) header.title = title;
+
+  const lines = [JSON.stringify(header)];
+  for (const [time, type, data] of events) {
+    lines.push(JSON.stringify([Number(time.toFixed(6)), type, data]));
+  }
+  return lines.join('\n') + '\n';
+}
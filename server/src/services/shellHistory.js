@@ -0,0 +1,76 @@
+/**
+ * Shell History Service
+ *
+ * Command history of the console, kept per user, per scenario and per
+ * terminal so it follows the user across devices while scenarios and the
+ * console's terminals (see shellSessions.js) don't share it. Like bash
+ * with HISTCONTROL=ignoredups, a line repeating the previous one is not
+ * stored again; only the last HISTORY_LIMIT lines are kept, so history
+ * numbers (`history`, `!n`) are positions in this list.
+ */
+
+import { getDb } from '../db/db.js';
+
+/** Lines kept per user and scenario (the client trims to the same size) */
+export const HISTORY_LIMIT = 200;
+
+/**
+ * The history of a user's terminal in a scenario, oldest first
+ * @param {number} userId
+ * @param {string} scenarioCode
+ * @param {number|null} [shellId] - Extra terminal, null for the main one
+ * @returns {Promise<string[]>}
+ */
+export async function getHistory(userId, scenarioCode, shellId = null) {
+  const db = getDb();
+  const rows = await db.all(`
+    SELECT command FROM shell_history
+    WHERE user_id = ? AND scenario_code = ? AND shell_id IS ?
+    ORDER BY id DESC LIMIT ?
+  `, userId, scenarioCode, shellId, HISTORY_LIMIT);
+  return rows.map(row => row.command).reverse();
+}
+
+/**
+ * Record a command line, then drop what falls out of the limit
+ * @param {number} userId
+ * @param {string} scenarioCode
+ * @param {string} command
+ * @param {number|null} [shellId] - Extra terminal, null for the main one
+ */
+export async function appendHistory(userId, scenarioCode, command, shellId = null) {
+  const line = command.trim();
+  if (!line) return;
+
+  const db = getDb();
+  const last = await db.get(`
+    SELECT command FROM shell_history
+    WHERE user_id = ? AND scenario_code = ? AND shell_id IS ?
+    ORDER BY id DESC LIMIT 1
+  `, userId, scenarioCode, shellId);
+  if (last?.command === line) return;
+
+  await db.run(`
+    INSERT INTO shell_history (user_id, scenario_code, shell_id, command) VALUES (?, ?, ?, ?)
+  `, userId, scenarioCode, shellId, line);
+  await db.run(`
+    DELETE FROM shell_history
+    WHERE user_id = ? AND scenario_code = ? AND shell_id IS ? AND id NOT IN (
+      SELECT id FROM shell_history WHERE user_id = ? AND scenario_code = ? AND shell_id IS ?
+      ORDER BY id DESC LIMIT ?
+    )
+  `, userId, scenarioCode, shellId, userId, scenarioCode, shellId, HISTORY_LIMIT);
+}
+
+/**
+ * Forget the history of a user's terminal in a scenario (history -c)
+ * @param {number} userId
+ * @param {string} scenarioCode
+ * @param {number|null} [shellId] - Extra terminal, null for the main one
+ */
+export async function clearHistory(userId, scenarioCode, shellId = null) {
+  const db = getDb();
+  await db.run(`
+    DELETE FROM shell_history WHERE user_id = ? AND scenario_code = ? AND shell_id IS ?
+  `, userId, scenarioCode, shellId);
+}
@@ -0,0 +1,402 @@
+/**
+ * Shell Parser Service
+ *
+ * Pure functions that turn a raw command line into executable argument lists,
+ * following bash semantics closely enough for forensic exercises:
+ *  - quoting: "double" (variables expand), 'single' (fully literal), \escapes
+ *  - operators: |, >, >>, ;, && and redirections of a descriptor (2>, 2>>, 2>&1)
+ *  - expansion: ~, $VAR, ${VAR}, and globbing (*, ?, [...]) against the VFS
+ *
+ * Parsing and expansion are separate steps: expansion must happen when each
+ * command runs, because earlier commands on the line may change cwd or env.
+ */
+
+import { getNode, resolvePath } from '../vfs/vfs.js';
+
+/**
+ * Split a command line into words and shell operators.
+ * Operators are only recognised outside quotes and unescaped, and are
+ * returned as { op } objects so they can never be confused with words.
+ * Each word is an array of parts { text, quote } where quote is '' for
+ * unquoted text, '"' or "'" for quoted text and '\\' for an escaped character,
+ * so that expansion can later tell which characters were quoted.
+ * @param {string} line - Raw command line
+ * @returns {{ tokens: Array, error: string|null }}
+ */
+export function tokenizeLine(line) {
+  const tokens = [];
+  let word = [];
+  let quote = null;
+
+  const addText = (text, q) => {
+    const last = word[word.length - 1];
+    if (last && last.quote === q) last.text += text;
+    else word.push({ text, quote: q });
+  };
+  const flush = () => {
+    if (word.length > 0) tokens.push(word);
+    word = [];
+  };
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+
+    if (quote === "'") {
+      if (ch === "'") quote = null;
+      else addText(ch, "'");
+      continue;
+    }
+
+    if (quote === '"') {
+      if (ch === '"') {
+        quote = null;
+      } else if (ch === '\\' && '"\\$`'.includes(line[i + 1] ?? '')) {
+        addText(line[++i], '\\');
+      } else {
+        addText(ch, '"');
+      }
+      continue;
+    }
+
+    if (ch === "'" || ch === '"') {
+      quote = ch;
+      // "" and '' still produce an (empty) word
+      addText('', ch);
+    } else if (ch === '\\' && i + 1 < line.length) {
+      addText(line[++i], '\\');
+    } else if (ch === ' ' || ch === '\t') {
+      flush();
+    } else if (ch === '|' || ch === ';') {
+      flush();
+      tokens.push({ op: ch });
+    } else if (ch === '&' && line[i + 1] === '&') {
+      flush();
+      tokens.push({ op: '&&' });
+      i++;
+    } else if (ch === '>' || (/[0-9]/.test(ch) && word.length === 0 && line[i + 1] === '>')) {
+      // N> and N>> redirect descriptor N (stdout when omitted), N>&M duplicates M
+      flush();
+      const fd = ch === '>' ? 1 : Number(ch);
+      if (ch !== '>') i++;
+      if (line[i + 1] === '>') {
+        tokens.push({ op: '>>', fd });
+        i++;
+      } else if (line[i + 1] === '&' && /[0-9]/.test(line[i + 2] ?? '')) {
+        tokens.push({ op: '>&', fd, dup: Number(line[i + 2]) });
+        i += 2;
+      } else {
+        tokens.push({ op: '>', fd });
+      }
+    } else {
+      addText(ch, '');
+    }
+  }
+
+  if (quote) {
+    return { tokens: [], error: `unexpected EOF while looking for matching \`${quote}'` };
+  }
+  flush();
+
+  return { tokens, error: null };
+}
+
+/**
+ * Parse command line into a list of pipelines.
+ * Each entry is { connector, stages } where connector is the operator that
+ * preceded it (null, ';' or '&&') and each stage is { words, redirects }.
+ * A redirect is { fd, append, word } (output of descriptor fd to a file) or
+ * { fd, dup } (fd goes where descriptor dup goes), in the order written.
+ * Words are left unexpanded (see expandWord).
+ * @param {string} line - Raw command line
+ * @returns {{ list: Array, error: string|null }}
+ */
+export function parseCommandLine(line) {
+  const list = [];
+  if (!line) return { list, error: null };
+
+  const syntaxError = (token) => ({ list: [], error: `syntax error near unexpected token \`${token}'` });
+
+  const { tokens, error } = tokenizeLine(line);
+  if (error) return { list: [], error };
+
+  let connector = null;
+  let stages = [];
+  let stage = { words: [], redirects: [] };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    if (Array.isArray(tok)) {
+      stage.words.push(tok);
+      continue;
+    }
+
+    if (tok.op === '>&') {
+      stage.redirects.push({ fd: tok.fd, dup: tok.dup });
+      continue;
+    }
+
+    if (tok.op === '>' || tok.op === '>>') {
+      const target = tokens[i + 1];
+      if (!Array.isArray(target)) {
+        return syntaxError(target ? target.op : 'newline');
+      }
+      stage.redirects.push({ fd: tok.fd, append: tok.op === '>>', word: target });
+      i++;
+      continue;
+    }
+
+    // '|', ';' and '&&' all need a command on their left
+    if (stage.words.length === 0) return syntaxError(tok.op);
+    stages.push(stage);
+    stage = { words: [], redirects: [] };
+
+    if (tok.op !== '|') {
+      list.push({ connector, stages });
+      connector = tok.op;
+      stages = [];
+    }
+  }
+
+  if (stage.words.length > 0) {
+    stages.push(stage);
+    list.push({ connector, stages });
+  } else if (stages.length > 0 || connector === '&&') {
+    // Dangling '|' or '&&' (a trailing ';' is fine)
+    return syntaxError('newline');
+  }
+
+  return { list, error: null };
+}
+
+/**
+ * Expand aliases in a command line, as bash does before parsing it.
+ * The first word of every command (after any NAME=value words) is replaced
+ * by its alias when it is entirely unquoted. Alias text is itself scanned
+ * for aliases except the one being expanded, so `alias ls='ls -F'` doesn't
+ * loop; an alias ending in a space also subjects the next word to expansion.
+ * @param {string} line - Raw command line
+ * @param {Object} aliases - Alias name -> replacement text
+ * @returns {string}
+ */
+export function expandAliases(line, aliases = {}) {
+  if (!line || Object.keys(aliases).length === 0) return line;
+
+  let out = '';
+  let commandPosition = true;
+  let redirectTarget = false;
+  let i = 0;
+
+  while (i < line.length) {
+    const ch = line[i];
+    if (ch === ' ' || ch === '\t') {
+      out += ch;
+      i++;
+      continue;
+    }
+    if (ch === '|' || ch === ';' || (ch === '&' && line[i + 1] === '&')) {
+      const op = ch === '&' ? '&&' : ch;
+      out += op;
+      i += op.length;
+      commandPosition = true;
+      continue;
+    }
+    if (ch === '>') {
+      const op = line[i + 1] === '>' ? '>>' : '>';
+      out += op;
+      i += op.length;
+      redirectTarget = true;
+      continue;
+    }
+
+    // A word runs to the next unquoted blank or operator
+    const start = i;
+    let quoted = false;
+    while (i < line.length) {
+      const c = line[i];
+      if (c === "'" || c === '"') {
+        quoted = true;
+        i++;
+        while (i < line.length && line[i] !== c) i += c === '"' && line[i] === '\\' ? 2 : 1;
+        i++;
+      } else if (c === '\\') {
+        quoted = true;
+        i += 2;
+      } else if (' \t|;>'.includes(c) || (c === '&' && line[i + 1] === '&')) {
+        break;
+      } else {
+        i++;
+      }
+    }
+    const word = line.slice(start, i);
+
+    if (redirectTarget) {
+      redirectTarget = false;
+      out += word;
+    } else if (commandPosition && !quoted && /^[A-Za-z_][A-Za-z0-9_]*=/.test(word)) {
+      out += word;
+    } else if (commandPosition && !quoted && Object.hasOwn(aliases, word)) {
+      const { [word]: text, ...others } = aliases;
+      out += expandAliases(text, others);
+      commandPosition = /[ \t]$/.test(text);
+    } else {
+      out += word;
+      commandPosition = false;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Check whether a word is a variable assignment (NAME=value)
+ * @param {Array} word - Word parts from tokenizeLine
+ * @returns {boolean}
+ */
+export function isAssignment(word) {
+  return word.length > 0 && word[0].quote === '' && /^[A-Za-z_][A-Za-z0-9_]*=/.test(word[0].text);
+}
+
+/**
+ * Expand a word into its final argument(s).
+ * @param {Array} word - Word parts from tokenizeLine
+ * @param {Object} ctx - { env, vfs, cwd }
+ * @param {Object} [options]
+ * @param {boolean} [options.glob=true] - Perform pathname expansion
+ * @returns {string[]} The arguments: several when a glob matches, none when
+ *   an unquoted word expands to nothing ($UNSET), unlike a quoted one ("$UNSET")
+ */
+export function expandWord(word, { env = {}, vfs, cwd }, { glob = true } = {}) {
+  let text = '';
+  let pattern = '';
+  let hasGlob = false;
+
+  word.forEach((part, idx) => {
+    let value = part.text;
+
+    if (part.quote === '' && idx === 0 && (value === '~' || value.startsWith('~/'))) {
+      value = (env.HOME || '/home/user') + value.slice(1);
+    }
+    if (part.quote === '' || part.quote === '"') {
+      value = expandVariables(value, env, cwd);
+    }
+
+    text += value;
+    if (part.quote === '' && /[*?[]/.test(value)) {
+      hasGlob = true;
+      pattern += value;
+    } else {
+      pattern += value.replace(/[*?[\]\\]/g, '\\$&');
+    }
+  });
+
+  if (glob && hasGlob && vfs) {
+    const matches = expandGlob(pattern, vfs, cwd);
+    // Like bash (without nullglob), an unmatched pattern is passed on literally
+    if (matches.length > 0) return matches;
+  }
+  if (text === '' && word.every(part => part.quote === '')) return [];
+  return [text];
+}
+
+/**
+ * Replace $NAME and ${NAME} with values from env (PWD comes from cwd)
+ */
+function expandVariables(text, env, cwd) {
+  return text.replace(/\$(?:\{([A-Za-z_][A-Za-z0-9_]*)\}|([A-Za-z_][A-Za-z0-9_]*))/g, (match, braced, bare) => {
+    const name = braced || bare;
+    if (name === 'PWD') return cwd;
+    return env[name] ?? '';
+  });
+}
+
+/**
+ * Expand a glob pattern against the VFS.
+ * Relative patterns are matched from cwd and returned relative, like bash.
+ * Hidden entries only match when the pattern segment starts with a dot.
+ * @param {string} pattern - Glob pattern (quoted characters backslash-escaped)
+ * @param {Object} vfs - VFS root node
+ * @param {string} cwd - Current working directory
+ * @returns {string[]} Sorted list of matching paths
+ */
+export function expandGlob(pattern, vfs, cwd) {
+  const absolute = pattern.startsWith('/');
+  const segments = pattern.split('/').filter(Boolean);
+  // Each candidate is [displayPath, absolutePath]
+  let candidates = [[absolute ? '/' : '', absolute ? '/' : cwd]];
+
+  for (const segment of segments) {
+    const next = [];
+    const isGlob = /(^|[^\\])[*?[]/.test(segment);
+
+    for (const [display, abs] of candidates) {
+      const join = (base, name) => (base === '' ? name : base.endsWith('/') ? base + name : `${base}/${name}`);
+
+      if (!isGlob) {
+        const name = segment.replace(/\\(.)/g, '$1');
+        const childAbs = resolvePath(name, abs);
+        if (getNode(vfs, childAbs)) next.push([join(display, name), childAbs]);
+        continue;
+      }
+
+      const node = getNode(vfs, abs);
+      if (!node || node.type !== 'dir') continue;
+      const re = globToRegExp(segment);
+      const names = Object.keys(node.children || {})
+        .filter(name => (segment.startsWith('.') || !name.startsWith('.')) && re.test(name))
+        .sort();
+      for (const name of names) {
+        next.push([join(display, name), resolvePath(name, abs)]);
+      }
+    }
+    candidates = next;
+    if (candidates.length === 0) break;
+  }
+
+  return candidates.map(([display]) => display);
+}
+
+/**
+ * Convert a shell glob (*, ?, [...], [!...]) into an anchored RegExp
+ * @param {string} glob - Glob pattern
+ * @param {string} [flags] - RegExp flags (e.g. 'i')
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob, flags = '') {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      source += '.*';
+    } else if (ch === '?') {
+      source += '.';
+    } else if (ch === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+        continue;
+      }
+      let body = glob.slice(i + 1, close);
+      const negate = body.startsWith('!');
+      if (negate) body = body.slice(1);
+      // Like bash, a reversed range (z-a) is empty rather than an error:
+      // [z-a] matches nothing and [!z-a] any character
+      body = body.replace(/([^])-([^])/g, (range, from, to) => (from > to ? '' : range));
+      source += `[${negate ? '^' : ''}${body.replace(/\\/g, '\\\\')}]`;
+      i = close;
+    } else if (ch === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+  return new RegExp(`^${source}$`, flags);
+}
+
+/**
+ * Escape a string so it matches literally inside a RegExp
+ * @param {string} str
+ * @returns {string}
+ */
+export function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,171 @@
+/**
+ * Shell Sessions Service
+ *
+ * The console can host several terminals per scenario. They share the
+ * scenario's machines (filesystems, variables) but each is its own shell:
+ * a working directory on every host and its own chain of ssh sessions.
+ * The main terminal keeps that state with the VFS (user_vfs_state); the
+ * extra terminals are rows of shell_sessions. A shell is identified by its
+ * id, and `null` stands for the main terminal throughout.
+ */
+
+import { getDb } from '../db/db.js';
+import { getHostChain, getVFS, DEFAULT_ENV, LOCAL_HOST } from '../vfs/vfs.js';
+
+/** Longest terminal name accepted */
+const MAX_NAME_LENGTH = 32;
+
+/** Extra terminals a user may keep open per scenario */
+export const MAX_SHELLS = 8;
+
+/**
+ * Validate a terminal name
+ * @param {*} name
+ * @returns {string|null} The trimmed name, or null if unusable
+ */
+function cleanName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  return trimmed && trimmed.length <= MAX_NAME_LENGTH ? trimmed : null;
+}
+
+/**
+ * Describe a shell_sessions row for the client, with what its prompt shows
+ * @param {Object} row
+ * @returns {Object} { id, name, promptPath, promptHost }
+ */
+function describe(row) {
+  const chain = JSON.parse(row.host_chain);
+  const cwds = JSON.parse(row.cwd_data);
+  const current = chain[chain.length - 1] || null;
+  return {
+    id: row.id,
+    name: row.name,
+    promptPath: cwds[current?.host || LOCAL_HOST] || DEFAULT_ENV.HOME,
+    promptHost: current ? { host: current.host, user: current.user } : null
+  };
+}
+
+/**
+ * A user's extra terminals in a scenario, oldest first
+ * @param {number} userId
+ * @param {string} scenarioCode
+ * @returns {Promise<Array>}
+ */
+export async function listShells(userId, scenarioCode) {
+  const db = getDb();
+  const rows = await db.all(`
+    SELECT * FROM shell_sessions WHERE user_id = ? AND scenario_code = ? ORDER BY id
+  `, userId, scenarioCode);
+  return rows.map(describe);
+}
+
+/**
+ * Open an extra terminal. It starts on the workstation, in the home directory
+ * @param {number} userId
+ * @param {string} scenarioCode
+ * @param {string} [name] - Defaults to the first free "shell N"
+ * @returns {Promise<Object>} { shell } or { error }
+ */
+export async function createShell(userId, scenarioCode, name) {
+  const db = getDb();
+  const existing = await db.all(`
+    SELECT name FROM shell_sessions WHERE user_id = ? AND scenario_code = ?
+  `, userId, scenarioCode);
+  if (existing.length >= MAX_SHELLS) {
+    return { error: `At most ${MAX_SHELLS} extra terminals can be open` };
+  }
+
+  let shellName = name === undefined ? null : cleanName(name);
+  if (name !== undefined && !shellName) {
+    return { error: `Terminal names are 1 to ${MAX_NAME_LENGTH} characters` };
+  }
+  if (!shellName) {
+    const taken = new Set(existing.map(row => row.name));
+    let n = 2;  // the main terminal is the first
+    while (taken.has(`shell ${n}`)) n++;
+    shellName = `shell ${n}`;
+  }
+
+  // The scenario's machines must exist before a shell can stand on them
+  await getVFS(userId, scenarioCode);
+  const result = await db.run(`
+    INSERT INTO shell_sessions (user_id, scenario_code, name) VALUES (?, ?, ?)
+  `, userId, scenarioCode, shellName);
+  const row = await db.get('SELECT * FROM shell_sessions WHERE id = ?', result.lastID);
+  return { shell: describe(row) };
+}
+
+/**
+ * Rename one of the user's extra terminals
+ * @param {number} userId
+ * @param {number} shellId
+ * @param {string} name
+ * @returns {Promise<Object|null>} { shell } or { error }, null if not found
+ */
+export async function renameShell(userId, shellId, name) {
+  const shellName = cleanName(name);
+  if (!shellName) {
+    return { error: `Terminal names are 1 to ${MAX_NAME_LENGTH} characters` };
+  }
+
+  const db = getDb();
+  const result = await db.run(`
+    UPDATE shell_sessions SET name = ? WHERE id = ? AND user_id = ?
+  `, shellName, shellId, userId);
+  if (result.changes === 0) return null;
+
+  const row = await db.get('SELECT * FROM shell_sessions WHERE id = ?', shellId);
+  return { shell: describe(row) };
+}
+
+/**
+ * Close one of the user's extra terminals, with its history
+ * @param {number} userId
+ * @param {number} shellId
+ * @returns {Promise<boolean>} Whether the terminal existed
+ */
+export async function deleteShell(userId, shellId) {
+  const db = getDb();
+  const row = await db.get(`
+    SELECT id FROM shell_sessions WHERE id = ? AND user_id = ?
+  `, shellId, userId);
+  if (!row) return false;
+
+  await db.run('DELETE FROM shell_history WHERE shell_id = ?', shellId);
+  await db.run('DELETE FROM shell_sessions WHERE id = ?', shellId);
+  return true;
+}
+
+/**
+ * Where a terminal stands: its ssh chain and, for extra terminals, its
+ * working directory per host (`cwds` is null for the main terminal, whose
+ * working directories are those stored with each host's VFS)
+ * @param {number} userId
+ * @param {string} scenarioCode
+ * @param {number|null} shellId
+ * @returns {Promise<Object|null>} { id, chain, cwds }, null if not found
+ */
+export async function getShell(userId, scenarioCode, shellId) {
+  if (shellId === null) {
+    return { id: null, chain: await getHostChain(userId, scenarioCode), cwds: null };
+  }
+
+  const db = getDb();
+  const row = await db.get(`
+    SELECT id, cwd_data, host_chain FROM shell_sessions
+    WHERE id = ? AND user_id = ? AND scenario_code = ?
+  `, shellId, userId, scenarioCode);
+  if (!row) return null;
+  return { id: row.id, chain: JSON.parse(row.host_chain), cwds: JSON.parse(row.cwd_data) };
+}
+
+/**
+ * Save where an extra terminal stands after a command line
+ * @param {Object} shell - { id, chain, cwds } as from getShell
+ */
+export async function saveShell({ id, chain, cwds }) {
+  const db = getDb();
+  await db.run(`
+    UPDATE shell_sessions SET host_chain = ?, cwd_data = ? WHERE id = ?
+  `, JSON.stringify(chain), JSON.stringify(cwds), id);
+}
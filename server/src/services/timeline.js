@@ -0,0 +1,109 @@
+/**
+ * Timeline Service
+ *
+ * Body files and MACB timelines in the format of The Sleuth Kit:
+ *  - body file lines: MD5|name|inode|mode|UID|GID|size|atime|mtime|ctime|crtime
+ *    (times in epoch seconds, 0 when unknown), produced by `fls -m` and
+ *    `mac-robber`
+ *  - timelines: one row per timestamp and file, flagged m/a/c/b for the
+ *    times that fall on it, as printed by `mactime`
+ */
+
+const BODY_FIELDS = ['md5', 'name', 'inode', 'mode', 'uid', 'gid', 'size', 'atime', 'mtime', 'ctime', 'crtime'];
+
+/**
+ * Serialise a record as a body file line
+ * @param {Object} record - { name, inode, mode, uid, gid, size, atime, mtime, ctime, crtime }
+ *   where times are ISO strings or null
+ * @returns {string}
+ */
+export function toBodyLine(record) {
+  const seconds = (iso) => (iso ? Math.floor(Date.parse(iso) / 1000) || 0 : 0);
+  return [
+    '0',
+    record.name,
+    record.inode,
+    record.mode,
+    record.uid,
+    record.gid,
+    record.size,
+    seconds(record.atime),
+    seconds(record.mtime),
+    seconds(record.ctime),
+    seconds(record.crtime)
+  ].join('|');
+}
+
+/**
+ * Parse body file text into records (times stay in epoch seconds)
+ * @param {string} text - Body file content
+ * @returns {{ records: Array<Object>, invalid: number }} Parsed records and count of skipped lines
+ */
+export function parseBodyFile(text) {
+  const records = [];
+  let invalid = 0;
+
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const parts = line.split('|');
+    if (parts.length !== BODY_FIELDS.length) {
+      invalid++;
+      continue;
+    }
+    const record = Object.fromEntries(BODY_FIELDS.map((field, idx) => [field, parts[idx]]));
+    for (const field of ['atime', 'mtime', 'ctime', 'crtime']) {
+      record[field] = parseInt(record[field], 10) || 0;
+    }
+    records.push(record);
+  }
+
+  return { records, invalid };
+}
+
+/**
+ * Build a sorted MACB timeline from body file records.
+ * Each file contributes one event per distinct timestamp; the type string
+ * marks which of its times (m, a, c, b) share that timestamp.
+ * @param {Array<Object>} records - Records from parseBodyFile
+ * @param {Object} [range] - { start, end } epoch seconds, inclusive (either may be null)
+ * @returns {Array<{ time: number, type: string, record: Object }>}
+ */
+export function buildTimeline(records, { start = null, end = null } = {}) {
+  const events = [];
+
+  for (const record of records) {
+    const times = { m: record.mtime, a: record.atime, c: record.ctime, b: record.crtime };
+    const distinct = [...new Set(Object.values(times))].filter(t => t > 0);
+    for (const time of distinct) {
+      if ((start !== null && time < start) || (end !== null && time > end)) continue;
+      const type = ['m', 'a', 'c', 'b'].map(flag => (times[flag] === time ? flag : '.')).join('');
+      events.push({ time, type, record });
+    }
+  }
+
+  return events.sort((a, b) => a.time - b.time || a.record.name.localeCompare(b.record.name));
+}
+
+/**
+ * Parse a mactime date range: "YYYY-MM-DD[THH:MM:SS]" for everything from
+ * that time on, or "start..end" (a date-only end includes the whole day)
+ * @param {string} text - Range argument
+ * @returns {{ start: number|null, end: number|null }|null} Epoch seconds (UTC), or null if invalid
+ */
+export function parseDateRange(text) {
+  const [from, to, extra] = text.split('..');
+  if (extra !== undefined) return null;
+
+  const parse = (value, isEnd) => {
+    if (!value) return null;
+    const match = value.match(/^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2}:\d{2}))?$/);
+    if (!match) return undefined;
+    const ms = Date.parse(`${match[1]}T${match[2] || (isEnd ? '23:59:59' : '00:00:00')}Z`);
+    return isNaN(ms) ? undefined : Math.floor(ms / 1000);
+  };
+
+  const start = parse(from, false);
+  const end = to === undefined ? null : parse(to, true);
+  if (start === undefined || end === undefined || (start === null && end === null)) return null;
+  return { start, end };
+}
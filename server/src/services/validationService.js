@@ -9,6 +9,8 @@
   - validateAnswer() and register the type in scenarios.json.
  */
 
+import { resolvePath, normalizePath } from '../vfs/vfs.js';
+
 /**
  * Parse a command string into command + arguments, respecting quoted strings.
  * @param {string} input - Raw command string (e.g. 'dd if=/dev/sdb of=/forensic/evidence.img')
@@ -50,19 +52,157 @@ export function parseCommandArgs(input) {
     return args;
 }
 
+/**
+ * Check one argument against a matcher of a task's `checkMatch`:
+ *  - "text"                          : exactly this (a trailing slash is ignored)
+ *  - { regex, ignoreCase? }          : the regular expression finds a match
+ *  - { path }                        : the same path once resolved against cwd
+ *
+ * @param {string} value         - Argument as typed (after shell expansion)
+ * @param {string|Object} matcher
+ * @param {string} cwd           - Working directory the command ran in
+ * @returns {boolean}
+ */
+export function matchArgument(value, matcher, cwd = '/') {
+    if (typeof matcher === 'string') {
+        return value.replace(/\/$/, '') === matcher.replace(/\/$/, '');
+    }
+    if (matcher && typeof matcher.regex === 'string') {
+        try {
+            return new RegExp(matcher.regex, matcher.ignoreCase ? 'i' : '').test(value);
+        } catch (error) {
+            console.warn(`Invalid regex in task matcher: ${matcher.regex}`);
+            return false;
+        }
+    }
+    if (matcher && typeof matcher.path === 'string') {
+        return resolvePath(value, cwd) === normalizePath(matcher.path);
+    }
+    return false;
+}
+
+/**
+ * Split command arguments into flags, option values and operands.
+ * Short flags may be bundled (-in is -i -n) and `--` ends the flags.
+ * Options (flags that take a value) read it from the rest of the word
+ * (-fdump.raw, --file=dump.raw) or from the next argument.
+ *
+ * @param {string[]} args
+ * @param {Set<string>} optionNames - Flags that take a value, e.g. '-f', '--file'
+ * @returns {{ flags: Set<string>, options: Map<string, string>, operands: string[] }}
+ */
+export function splitArguments(args, optionNames) {
+    const flags = new Set();
+    const options = new Map();
+    const operands = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--') {
+            operands.push(...args.slice(i + 1));
+            break;
+        }
+        if (arg.startsWith('--')) {
+            const eq = arg.indexOf('=');
+            const name = eq < 0 ? arg : arg.slice(0, eq);
+            flags.add(name);
+            if (optionNames.has(name)) {
+                options.set(name, eq < 0 ? args[++i] ?? '' : arg.slice(eq + 1));
+            }
+        } else if (arg.startsWith('-') && arg.length > 1) {
+            for (let j = 1; j < arg.length; j++) {
+                const name = `-${arg[j]}`;
+                flags.add(name);
+                if (optionNames.has(name)) {
+                    options.set(name, j + 1 < arg.length ? arg.slice(j + 1) : args[++i] ?? '');
+                    break;
+                }
+            }
+        } else {
+            operands.push(arg);
+        }
+    }
+
+    return { flags, options, operands };
+}
+
+/**
+ * Check command arguments against a task's `checkMatch`, which accepts the
+ * equivalent ways of typing a command:
+ *  - flags         : flags that must all be given, in any order or bundled
+ *  - optionalFlags : flags that may be given as well (true: any flag)
+ *  - options       : flags taking a value -> matcher for the value
+ *  - keywords      : name=value operands (dd if=...) -> matcher for the value,
+ *                    in any order
+ *  - optionalKeywords : name=value operands that may be given as well (true: any)
+ *  - args          : matchers for the other operands, in order
+ *
+ * @param {string[]} args     - Arguments after the command name
+ * @param {Object} checkMatch - e.g. { flags: ['-i'], optionalFlags: ['-n'],
+ *   args: [{ regex: '^failed$', ignoreCase: true }, { path: '/var/log/auth.log' }] }
+ * @param {string} cwd        - Working directory the command ran in
+ * @returns {boolean}
+ */
+export function matchCommand(args, checkMatch, cwd = '/') {
+    const required = checkMatch.flags || [];
+    const valueMatchers = checkMatch.options || {};
+    const expectedOperands = checkMatch.args || [];
+    const { flags, options, operands } = splitArguments(args, new Set(Object.keys(valueMatchers)));
+
+    if (!required.every(flag => flags.has(flag))) return false;
+
+    if (checkMatch.optionalFlags !== true) {
+        const allowed = new Set([...required, ...(checkMatch.optionalFlags || []), ...Object.keys(valueMatchers)]);
+        if ([...flags].some(flag => !allowed.has(flag))) return false;
+    }
+
+    for (const [name, matcher] of Object.entries(valueMatchers)) {
+        if (!options.has(name) || !matchArgument(options.get(name), matcher, cwd)) return false;
+    }
+
+    let positional = operands;
+    if (checkMatch.keywords || checkMatch.optionalKeywords) {
+        const keywordMatchers = checkMatch.keywords || {};
+        const keywords = new Map();
+        positional = [];
+        for (const operand of operands) {
+            const keyword = operand.match(/^([A-Za-z]\w*)=(.*)$/s);
+            if (keyword) keywords.set(keyword[1], keyword[2]);
+            else positional.push(operand);
+        }
+
+        if (checkMatch.optionalKeywords !== true) {
+            const allowed = new Set([...Object.keys(keywordMatchers), ...(checkMatch.optionalKeywords || [])]);
+            if ([...keywords.keys()].some(name => !allowed.has(name))) return false;
+        }
+        for (const [name, matcher] of Object.entries(keywordMatchers)) {
+            if (!keywords.has(name) || !matchArgument(keywords.get(name), matcher, cwd)) return false;
+        }
+    }
+
+    return positional.length === expectedOperands.length &&
+        positional.every((operand, i) => matchArgument(operand, expectedOperands[i], cwd));
+}
+
 /**
  * Validate a user answer against a task definition.
  *
  * Supports three check types (determined by task fields):
  *  - interaction : task.checkType === 'interaction' && task.interactionTarget
  *  - flag        : task.checkType === 'flag'        && task.solutionValue
- *  - command     : task.checkCommand is set
+ *  - command     : task.checkCommand is set; the arguments must equal
+ *                  task.checkArgs, or satisfy task.checkMatch (see matchCommand)
  *
  * @param {Object} task   - Task object from scenarios.json
  * @param {string} answer - Raw answer string submitted by the user
+ * @param {Object} [context]
+ * @param {string} [context.cwd] - Working directory of a command answer, for
+ *   checkMatch paths
+ * @param {string[]} [context.argv] - A command answer as it ran (command
+ *   first), used instead of parsing `answer`
  * @returns {{ correct: boolean }} Result object
  */
-export function validateAnswer(task, answer) {
+export function validateAnswer(task, answer, { cwd = '/', argv } = {}) {
     // --- Interaction tasks ---
     if (task.checkType === 'interaction' && task.interactionTarget) {
         if (answer.startsWith('interaction:')) {
@@ -81,7 +221,7 @@ export function validateAnswer(task, answer) {
 
     // --- Console command tasks ---
     if (task.checkCommand) {
-        const parsedArgs = parseCommandArgs(answer);
+        const parsedArgs = argv || parseCommandArgs(answer);
         if (parsedArgs.length === 0) return { correct: false };
 
         const cmd = parsedArgs[0];
@@ -89,6 +229,10 @@ export function validateAnswer(task, answer) {
 
         if (cmd !== task.checkCommand) return { correct: false };
 
+        if (task.checkMatch) {
+            return { correct: matchCommand(args, task.checkMatch, cwd) };
+        }
+
         if (task.checkArgs && task.checkArgs.length > 0) {
             const normalizedArgs = args.map(arg => arg.replace(/\/$/, ''));
             const normalizedExpected = task.checkArgs.map(arg => arg.replace(/\/$/, ''));
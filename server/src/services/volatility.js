@@ -0,0 +1,238 @@
+/**
+ * Volatility Service
+ *
+ * Renders Volatility 2.6 plugin output from a memory model declared once per
+ * scenario (`memoryImage` in scenarios.json):
+ *  - profile information for imageinfo (`info`, printed in declaration order)
+ *  - processes: { pid, ppid, name, threads, start, exit, offset, unlinked,
+ *    cmdline, dlls: [{ base, size, path }], handles: [{ handle, access, type, details }],
+ *    injections: [{ address, protection, flags, data, notes }] }
+ *  - sockets: { proto, local, foreign, state, pid, created, offset }
+ * Unlinked processes (e.g. exited, or hidden by a rootkit) are only found by
+ * psscan. Times are ISO strings; offsets are generated when not declared.
+ */
+
+const BANNER = 'Volatility Foundation Volatility Framework 2.6.1';
+const SEPARATOR = '*'.repeat(72);
+
+// Kernel addresses handed out to objects that don't declare an offset
+const PROCESS_BASE = 0xffffae8134567000n;
+const SOCKET_BASE = 0xffffae8134590000n;
+
+export const VOL_PLUGINS = ['imageinfo', 'pslist', 'pstree', 'psscan', 'netscan', 'malfind', 'dlllist', 'cmdline', 'handles'];
+
+/**
+ * Run a plugin against a memory model
+ * @param {Object} model - Scenario memoryImage
+ * @param {string} plugin - Plugin name (see VOL_PLUGINS)
+ * @param {Object} [options]
+ * @param {number[]|null} [options.pids] - Only report these processes (--pid)
+ * @returns {string} Plugin output
+ */
+export function runPlugin(model, plugin, { pids = null } = {}) {
+  const processes = (model.processes || []).map((proc, idx) => ({
+    ...proc,
+    offset: proc.offset || hex(PROCESS_BASE + BigInt(idx) * 0x1000n, 16)
+  }));
+  const selected = (proc) => !pids || pids.includes(proc.pid);
+  const linked = processes.filter(proc => !proc.unlinked);
+
+  const renderers = {
+    imageinfo: () => renderImageInfo(model.info || {}),
+    pslist: () => renderPsList(linked.filter(selected)),
+    pstree: () => renderPsTree(linked, pids),
+    psscan: () => renderPsScan(processes.filter(selected)),
+    netscan: () => renderNetScan(model.sockets || [], processes, pids),
+    malfind: () => renderMalfind(linked.filter(selected)),
+    dlllist: () => renderDllList(linked.filter(selected)),
+    cmdline: () => renderCmdline(linked.filter(selected)),
+    handles: () => renderHandles(linked.filter(selected))
+  };
+
+  return renderers[plugin]();
+}
+
+function renderImageInfo(info) {
+  return [
+    BANNER,
+    'INFO    : volatility.debug    : Determining profile based on KDBG search...',
+    '',
+    ...Object.entries(info).map(([key, value]) => `${key.padStart(30)} : ${value}`)
+  ].join('\n');
+}
+
+function renderPsList(processes) {
+  return table(
+    ['Offset(V)', 'Name', 'PID', 'PPID', 'Thds', 'Start', 'Exit'],
+    [-18, -20, 6, 6, 6, -30, -30],
+    processes.map(p => [p.offset, p.name, p.pid, p.ppid, p.threads ?? 0, formatVolTime(p.start), formatVolTime(p.exit)])
+  );
+}
+
+/**
+ * Processes indented under their parents; with --pid only the branches
+ * containing the selected processes are kept
+ */
+function renderPsTree(processes, pids) {
+  const byPid = new Map(processes.map(p => [p.pid, p]));
+  const children = (pid) => processes.filter(p => p.ppid === pid && p.pid !== pid).sort((a, b) => a.pid - b.pid);
+
+  let keep = null;
+  if (pids) {
+    keep = new Set();
+    const addDescendants = (pid) => {
+      for (const child of children(pid)) {
+        keep.add(child.pid);
+        addDescendants(child.pid);
+      }
+    };
+    for (const pid of pids.filter(pid => byPid.has(pid))) {
+      for (let proc = byPid.get(pid); proc && !keep.has(proc.pid); proc = byPid.get(proc.ppid)) {
+        keep.add(proc.pid);
+      }
+      addDescendants(pid);
+    }
+  }
+
+  const rows = [];
+  const walk = (proc, depth) => {
+    if (keep && !keep.has(proc.pid)) return;
+    rows.push([`${'.'.repeat(depth)} ${proc.offset}:${proc.name}`, proc.pid, proc.ppid, proc.threads ?? 0, formatVolTime(proc.start)]);
+    children(proc.pid).forEach(child => walk(child, depth + 1));
+  };
+  processes
+    .filter(p => !byPid.has(p.ppid) || p.ppid === p.pid)
+    .sort((a, b) => a.pid - b.pid)
+    .forEach(root => walk(root, 0));
+
+  return table(['Name', 'Pid', 'PPid', 'Thds', 'Time'], [-50, 6, 6, 6, -30], rows);
+}
+
+function renderPsScan(processes) {
+  const rows = processes
+    .map(p => ({ ...p, physical: physicalOffset(p.offset) }))
+    .sort((a, b) => (BigInt(a.physical) < BigInt(b.physical) ? -1 : 1))
+    .map(p => [p.physical, p.name, p.pid, p.ppid, formatVolTime(p.start), formatVolTime(p.exit)]);
+  return table(['Offset(P)', 'Name', 'PID', 'PPID', 'Time created', 'Time exited'], [-18, -20, 6, 6, -30, -30], rows);
+}
+
+function renderNetScan(sockets, processes, pids) {
+  const owner = (pid) => processes.find(p => p.pid === pid)?.name || '';
+  const rows = sockets
+    .map((sock, idx) => ({ ...sock, offset: sock.offset || physicalOffset(hex(SOCKET_BASE + BigInt(idx) * 0x1000n, 16)) }))
+    .filter(sock => !pids || pids.includes(sock.pid))
+    .map(sock => [sock.offset, sock.proto, sock.local, sock.foreign, sock.state || '', sock.pid, owner(sock.pid), formatVolTime(sock.created)]);
+  return table(
+    ['Offset(P)', 'Proto', 'Local Address', 'Foreign Address', 'State', 'Pid', 'Owner', 'Created'],
+    [-18, -8, -30, -20, -16, -8, -14, -30],
+    rows
+  );
+}
+
+/**
+ * Suspicious VADs (injected code): header, hex dump of the region and any
+ * analyst notes the scenario attaches to it
+ */
+function renderMalfind(processes) {
+  const blocks = [];
+  for (const proc of processes) {
+    for (const region of proc.injections || []) {
+      blocks.push([
+        `Process: ${proc.name}  Pid: ${proc.pid}  Address: ${region.address}`,
+        `Flags: ${region.flags || 'COMMIT_CHARGE | MEM_COMMIT'}`,
+        `Protection: ${region.protection || 'PAGE_EXECUTE_READWRITE'}`,
+        '',
+        hexDump(Buffer.from(region.data || '', 'latin1'), parseInt(region.address, 16)),
+        ...(region.notes?.length ? ['', ...region.notes] : [])
+      ].join('\n'));
+    }
+  }
+  return [BANNER, '', ...blocks.flatMap((block, idx) => (idx > 0 ? ['', block] : [block]))].join('\n');
+}
+
+function renderDllList(processes) {
+  const lines = [BANNER];
+  for (const proc of processes) {
+    lines.push(SEPARATOR, `${proc.name} pid: ${String(proc.pid).padStart(6)}`);
+    if (!proc.dlls?.length) {
+      lines.push('Unable to read PEB for task.');
+      continue;
+    }
+    if (proc.cmdline) lines.push(`Command line : ${proc.cmdline}`);
+    lines.push(
+      '',
+      table(['Base', 'Size', 'Path'], [-18, 20, -40], proc.dlls.map(dll => [dll.base, dll.size, dll.path]), { banner: false }),
+      ''
+    );
+  }
+  return lines.join('\n').replace(/\n+$/, '');
+}
+
+function renderCmdline(processes) {
+  const lines = [BANNER];
+  for (const proc of processes) {
+    lines.push(SEPARATOR, `${proc.name} pid: ${String(proc.pid).padStart(6)}`);
+    if (proc.cmdline) lines.push(`Command line : ${proc.cmdline}`);
+  }
+  return lines.join('\n');
+}
+
+function renderHandles(processes) {
+  const rows = [];
+  for (const proc of processes) {
+    (proc.handles || []).forEach((h, idx) => {
+      const offset = h.offset || hex(BigInt(proc.offset) + 0x800n + BigInt(idx) * 0x60n, 16);
+      rows.push([offset, proc.pid, h.handle || `0x${((idx + 1) * 4).toString(16)}`, h.access || '0x1f0003', h.type, h.details || '']);
+    });
+  }
+  return table(['Offset(V)', 'Pid', 'Handle', 'Access', 'Type', 'Details'], [-18, 6, 18, 18, -16, -7], rows);
+}
+
+/**
+ * Render a fixed-width table with a dashed rule under the header, as
+ * Volatility's text renderer does. Negative widths are left-aligned.
+ */
+function table(headers, widths, rows, { banner = true } = {}) {
+  const cell = (value, width) => (width < 0 ? String(value).padEnd(-width) : String(value).padStart(width));
+  const line = (values) => values.map((value, idx) => cell(value, widths[idx])).join(' ').trimEnd();
+  return [
+    ...(banner ? [BANNER, ''] : []),
+    line(headers),
+    widths.map(width => '-'.repeat(Math.abs(width))).join(' '),
+    ...rows.map(line)
+  ].join('\n');
+}
+
+/**
+ * Hex dump lines like malfind: address, 16 bytes in hex, printable ASCII
+ */
+function hexDump(bytes, address) {
+  const lines = [];
+  for (let off = 0; off < bytes.length; off += 16) {
+    const chunk = [...bytes.subarray(off, off + 16)];
+    const hexBytes = chunk.map(b => b.toString(16).padStart(2, '0')).join(' ').padEnd(47);
+    const ascii = chunk.map(b => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : '.')).join('');
+    lines.push(`0x${(address + off).toString(16).padStart(8, '0')}  ${hexBytes}   ${ascii}`);
+  }
+  return lines.join('\n');
+}
+
+function hex(value, digits) {
+  return `0x${value.toString(16).padStart(digits, '0')}`;
+}
+
+/**
+ * Physical offset shown by the scan plugins for a kernel virtual address
+ */
+function physicalOffset(virtual) {
+  return hex(BigInt(virtual) & 0xffffffffffffn, 16);
+}
+
+/**
+ * Format an ISO timestamp the way Volatility 2 prints it
+ */
+function formatVolTime(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || isNaN(date)) return '';
+  return `${date.toISOString().slice(0, 19).replace('T', ' ')} UTC+0000`;
+}
@@ -0,0 +1,136 @@
+/**
+ * Disk Image Model
+ * * Interprets device content (the mountContent map a device is attached with,
+ * also the data of images copied from it with dd) as a small ext-style file
+ * system, so forensic tools can see allocated and deleted entries.
+ *
+ * A mountContent value is either the file content (string) or an entry object:
+ *   { content, encoding, deleted, inode, size, mtime, atime, ctime, crtime, uid, gid }
+ * or a symbolic link, `{ symlink: "<target>" }`, whose data is the target path.
+ * With `encoding: "base64"` the content is binary; entries hand it out as a
+ * binary string (one character per byte).
+ * Deleted entries are unallocated: they are not mounted into the VFS but their
+ * residual `content` can still be recovered with icat or carved with foremost.
+ * For a deleted entry `ctime` is the time it was deleted.
+ */
+
+// First inode number handed out to regular files (1-10 are reserved, 11 is lost+found)
+const FIRST_INODE = 12;
+
+// Sector where file data starts; carved files are named after their sector
+const DATA_START_SECTOR = 2048;
+export const SECTOR_SIZE = 512;
+
+// File signatures recognised when carving (checked against the first bytes)
+const SIGNATURES = [
+  { type: 'jpg', magic: '\xFF\xD8\xFF' },
+  { type: 'png', magic: '\x89PNG' },
+  { type: 'gif', magic: 'GIF8' },
+  { type: 'pdf', magic: '%PDF' },
+  { type: 'zip', magic: 'PK\x03\x04' },
+  { type: 'doc', magic: '\xD0\xCF\x11\xE0' },
+  { type: 'exe', magic: 'MZ' }
+];
+export const CARVE_TYPES = SIGNATURES.map(sig => sig.type);
+
+/**
+ * Normalise a mountContent map into a list of entries with inode numbers
+ * @param {Object} content - File name -> content string or entry object
+ * @returns {Array<Object>} Entries { name, inode, deleted, content, size, sector, ... }
+ */
+export function imageEntries(content) {
+  const items = Object.entries(content || {});
+  const declared = new Set(items.map(([, data]) => data?.inode).filter(Number.isInteger));
+  let nextInode = FIRST_INODE;
+  let sector = DATA_START_SECTOR;
+
+  return items.map(([name, data]) => {
+    const { encoding, ...meta } = data !== null && typeof data === 'object' ? data : {};
+    const binary = encoding === 'base64' && typeof meta.content === 'string';
+    const body = typeof data === 'string'
+      ? data
+      : typeof meta.symlink === 'string' ? meta.symlink
+        : binary ? Buffer.from(meta.content, 'base64').toString('latin1')
+          : typeof meta.content === 'string' ? meta.content : JSON.stringify(data);
+
+    let inode = meta.inode;
+    if (!Number.isInteger(inode)) {
+      while (declared.has(nextInode)) nextInode++;
+      inode = nextInode++;
+    }
+
+    const length = Buffer.byteLength(body, binary ? 'latin1' : 'utf8');
+    const entry = {
+      ...meta,
+      name,
+      inode,
+      deleted: meta.deleted === true,
+      content: body,
+      size: Number.isInteger(meta.size) ? meta.size : length,
+      sector
+    };
+    sector += Math.max(1, Math.ceil(length / SECTOR_SIZE));
+    return entry;
+  });
+}
+
+/**
+ * Open raw device/image data as a file system
+ * @param {string} data - Raw data (JSON-serialised mountContent)
+ * @returns {Array<Object>|null} Entries, or null if the data holds no file system
+ */
+export function openImage(data) {
+  let content;
+  try {
+    content = JSON.parse(data);
+  } catch {
+    return null;
+  }
+  if (!isImageModel(content)) return null;
+  return imageEntries(content);
+}
+
+/**
+ * Whether parsed data is a mountContent map: every value is a file (string)
+ * or an entry object. Other JSON models, such as a packet capture with its
+ * `packets` array, are not file systems.
+ */
+function isImageModel(content) {
+  if (!content || typeof content !== 'object' || Array.isArray(content)) return false;
+  return Object.values(content).every(data => typeof data === 'string'
+    || (data !== null && typeof data === 'object' && !Array.isArray(data)));
+}
+
+/**
+ * Identify a file type from its leading bytes
+ * @param {string} content - File content
+ * @returns {string|null} Carve type (e.g. 'pdf') or null if unknown
+ */
+export function detectFileType(content) {
+  const match = SIGNATURES.find(sig => content.startsWith(sig.magic));
+  return match ? match.type : null;
+}
+
+/**
+ * Carve files out of an image by signature, like foremost.
+ * Carving ignores the directory structure, so allocated files are found as
+ * well as the residual content of deleted ones.
+ * @param {Array<Object>} entries - Entries from openImage
+ * @param {string[]} types - Carve types to extract (see CARVE_TYPES)
+ * @returns {Array<{ type: string, name: string, content: string, size: number, offset: number }>}
+ */
+export function carveFiles(entries, types) {
+  const carved = [];
+  for (const entry of [...entries].sort((a, b) => a.sector - b.sector)) {
+    const type = detectFileType(entry.content);
+    if (!type || !types.includes(type)) continue;
+    carved.push({
+      type,
+      name: `${String(entry.sector).padStart(8, '0')}.${type}`,
+      content: entry.content,
+      size: Buffer.byteLength(entry.content, 'latin1'),
+      offset: entry.sector * SECTOR_SIZE
+    });
+  }
+  return carved;
+}
@@ -5,6 +5,7 @@
  */
 
 import { getDb } from '../db/db.js';
+import { imageEntries } from './diskImage.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -15,23 +16,263 @@ const __dirname = dirname(__filename);
 // Path to scenarios JSON
 const SCENARIOS_PATH = join(__dirname, '../../data/scenarios.json');
 
+// Shell variables every session starts with (the scenario's and user-set variables are merged on top)
+export const DEFAULT_ENV = {
+  USER: 'forensic',
+  HOME: '/home/user',
+  PATH: '/bin:/usr/bin',
+  SHELL: '/bin/bash'
+};
+
+// Name of the analyst's own workstation; scenario hosts are reached with ssh
+export const LOCAL_HOST = 'localhost';
+
+// Owner of every node unless a scenario entry declares one
+const DEFAULT_OWNER = { uid: 1000, gid: 1000 };
+
+// Names for well-known ids; scenario entries may declare `owner`/`group` names
+export const ACCOUNT_NAMES = { 0: 'root', 1000: 'forensic' };
+
+// Links followed while resolving one path before giving up (Linux's MAXSYMLINKS)
+const MAX_SYMLINK_HOPS = 40;
+
+// Metadata a scenario mountContent entry may declare (see diskImage.js)
+const META_FIELDS = ['mtime', 'atime', 'ctime', 'crtime', 'uid', 'gid', 'owner', 'group', 'mode', 'size'];
+
+// Control characters that don't occur in text (tab, newlines and ESC do)
+const BINARY_CHARS = /[\x00-\x08\x0e-\x1a\x1c-\x1f\x7f-\x9f]/;
+
+/**
+ * Check whether a string holds binary data. Binary data travels through
+ * commands as a "binary string", one character per byte (latin1).
+ */
+export function isBinaryString(data) {
+  return BINARY_CHARS.test(data) && !/[^\x00-\xff]/.test(data);
+}
+
+/**
+ * Bytes of a string: binary strings map one character to one byte, text is UTF-8
+ */
+export function toBytes(data) {
+  return Buffer.from(data, isBinaryString(data) ? 'latin1' : 'utf8');
+}
+
+/**
+ * String for bytes: UTF-8 text when they decode as text, otherwise a binary string
+ */
+export function fromBytes(bytes) {
+  const text = bytes.toString('utf8');
+  return text.includes('\ufffd') || isBinaryString(text) ? bytes.toString('latin1') : text;
+}
+
+/**
+ * Content of a file node as a string. Binary files are stored base64-encoded
+ * (`encoding: 'base64'`) and read back as binary strings.
+ */
+export function readContent(node) {
+  if (node.encoding === 'base64') return Buffer.from(node.content || '', 'base64').toString('latin1');
+  return node.content || '';
+}
+
+/**
+ * Content of a file node as bytes
+ */
+export function nodeBytes(node) {
+  if (node.encoding === 'base64') return Buffer.from(node.content || '', 'base64');
+  return Buffer.from(node.content || '', 'utf8');
+}
+
+/**
+ * Store content in a file node, base64-encoding binary data
+ */
+function setContent(node, content) {
+  if (isBinaryString(content)) {
+    node.content = Buffer.from(content, 'latin1').toString('base64');
+    node.encoding = 'base64';
+  } else {
+    node.content = content;
+    delete node.encoding;
+  }
+}
+
+/**
+ * Create a file, directory or symbolic link node with all timestamps set to now
+ * @param {string} type - 'file', 'dir' or 'symlink'
+ * @param {Object} [props] - Extra node properties (content, target, metadata
+ *   overrides); binary content is stored base64-encoded
+ * @returns {Object} VFS node
+ */
+export function createNode(type, props = {}) {
+  const now = new Date().toISOString();
+  const base = type === 'dir' ? { type, children: {} } : type === 'symlink' ? { type, target: '' } : { type, content: '' };
+  const node = { ...base, mtime: now, atime: now, ctime: now, crtime: now, ...props };
+  if (type === 'file' && !props.encoding) setContent(node, node.content || '');
+  return node;
+}
+
+/**
+ * Parse a permission mode given as octal string ("0640", "755") or number
+ * @returns {number|null} Permission bits, or null when invalid
+ */
+export function parseMode(value) {
+  if (Number.isInteger(value)) return value & 0o7777;
+  if (typeof value === 'string' && /^[0-7]{3,4}$/.test(value)) return parseInt(value, 8);
+  return null;
+}
+
+/**
+ * Resolve a node's metadata, filling in defaults for anything not recorded.
+ * Nodes from older saved states may lack timestamps: they fall back to each
+ * other and finally to the epoch.
+ * @param {Object} node - VFS node
+ * @returns {{ size: number, mode: number, uid: number, gid: number, owner: string, group: string,
+ *             mtime: string, atime: string, ctime: string, crtime: string|null }}
+ */
+export function getNodeMeta(node) {
+  const isDir = node.type === 'dir';
+  const isLink = node.type === 'symlink';
+  const uid = Number.isInteger(node.uid) ? node.uid : DEFAULT_OWNER.uid;
+  const gid = Number.isInteger(node.gid) ? node.gid : DEFAULT_OWNER.gid;
+  const mtime = node.mtime || node.ctime || node.crtime || new Date(0).toISOString();
+
+  return {
+    size: isDir ? 4096 : isLink ? node.target.length : Number.isInteger(node.size) ? node.size : nodeBytes(node).length,
+    mode: parseMode(node.mode) ?? (isDir ? 0o755 : isLink ? 0o777 : 0o644),
+    uid,
+    gid,
+    owner: node.owner || ACCOUNT_NAMES[uid] || String(uid),
+    group: node.group || ACCOUNT_NAMES[gid] || String(gid),
+    mtime,
+    atime: node.atime || mtime,
+    ctime: node.ctime || mtime,
+    crtime: node.crtime || null
+  };
+}
+
+/**
+ * Give every node in a tree timestamps, keeping any it already has
+ */
+function stampTree(node, time) {
+  for (const field of ['mtime', 'atime', 'ctime', 'crtime']) {
+    if (!node[field]) node[field] = time;
+  }
+  for (const child of Object.values(node.children || {})) {
+    stampTree(child, time);
+  }
+}
+
+let scenariosCache = null;
+
+/**
+ * A scenario's definition from scenarios.json
+ * @returns {Object|null}
+ */
+function scenarioDefinition(scenarioCode) {
+  if (!scenariosCache) {
+    try {
+      scenariosCache = JSON.parse(readFileSync(SCENARIOS_PATH, 'utf-8'));
+    } catch (error) {
+      console.error('Error loading scenarios:', error);
+      return null;
+    }
+  }
+  return scenariosCache[scenarioCode] || null;
+}
+
+/**
+ * Remote hosts a scenario declares (`hosts` in scenarios.json), each with
+ * its own filesystem: { name, address, users, motd, filesystem }
+ * @returns {Array<Object>}
+ */
+export function scenarioHosts(scenarioCode) {
+  return scenarioDefinition(scenarioCode)?.hosts || [];
+}
+
+/**
+ * The workstation shell a scenario sets up (`shell` in scenarios.json):
+ * { env: { NAME: value }, aliases: { name: value }, bashrc: string }
+ * @returns {Object}
+ */
+export function scenarioShell(scenarioCode) {
+  return scenarioDefinition(scenarioCode)?.shell || {};
+}
+
+/**
+ * Find a scenario host by name or IP address
+ * @returns {Object|null} Host definition
+ */
+export function findHost(scenarioCode, nameOrAddress) {
+  return scenarioHosts(scenarioCode).find(h => h.name === nameOrAddress || h.address === nameOrAddress) || null;
+}
+
 /**
- * Initialize VFS for a user/scenario
+ * Home directory of an account
+ */
+export function homeOf(user) {
+  return user === 'root' ? '/root' : `/home/${user}`;
+}
+
+/**
+ * Build the filesystem of a scenario host: a base Linux layout with a home
+ * for every account, plus the host's `filesystem` entries (directory path ->
+ * mountContent-style file entries)
+ */
+function buildHostVFS(host) {
+  const vfs = createNode('dir');
+  for (const dir of ['/dev', '/etc', '/root', '/tmp', '/var/log', '/var/tmp', ...(host.users || []).map(homeOf)]) {
+    makeDir(vfs, dir);
+  }
+  vfs.children.dev.children.null = createNode('file', { uid: 0, gid: 0, mode: 0o666 });
+  writeFile(vfs, '/etc/hostname', `${host.name}\n`);
+  for (const [dir, content] of Object.entries(host.filesystem || {})) {
+    mountContent(vfs, dir, content);
+  }
+  // System directories belong to root; the accounts own their homes
+  const chownDirs = (node, path) => {
+    if (node.type !== 'dir') return;
+    if (!(host.users || []).some(user => path === homeOf(user) || path.startsWith(`${homeOf(user)}/`))) {
+      node.uid = 0;
+      node.gid = 0;
+    }
+    for (const [name, child] of Object.entries(node.children || {})) {
+      chownDirs(child, `${path === '/' ? '' : path}/${name}`);
+    }
+  };
+  chownDirs(vfs, '/');
+  vfs.children.root.mode = 0o700;
+  vfs.children.tmp.mode = 0o1777;
+  vfs.children.var.children.tmp.mode = 0o1777;
+  return vfs;
+}
+
+/**
+ * Initialize VFS for a user/scenario/host
  * Creates default structure and loads scenario-specific content
  */
-async function initializeVFS(userId, scenarioCode) {
+async function initializeVFS(userId, scenarioCode, host = LOCAL_HOST) {
   const db = getDb();
   
   // Check if VFS state already exists
   const existing = await db.get(`
     SELECT vfs_data FROM user_vfs_state 
-    WHERE user_id = ? AND scenario_code = ?
-  `, userId, scenarioCode);
+    WHERE user_id = ? AND scenario_code = ? AND host = ?
+  `, userId, scenarioCode, host);
 
   if (existing) {
     return JSON.parse(existing.vfs_data);
   }
 
+  if (host !== LOCAL_HOST) {
+    const def = findHost(scenarioCode, host);
+    const vfs = buildHostVFS(def || { name: host });
+    const user = def?.users?.[0] || DEFAULT_ENV.USER;
+    await db.run(`
+      INSERT INTO user_vfs_state (user_id, scenario_code, host, cwd, vfs_data, env_data)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, userId, scenarioCode, host, homeOf(user), JSON.stringify(vfs), JSON.stringify({ USER: user, HOME: homeOf(user) }));
+    return vfs;
+  }
+
   // Create default VFS structure
   const vfs = {
     type: 'dir',
@@ -51,6 +292,7 @@ async function initializeVFS(userId, scenarioCode) {
         }
       },
       evidence: { type: 'dir', children: {} },
+      forensic: { type: 'dir', children: {} },
       captures: { type: 'dir', children: {} },
       memory: { type: 'dir', children: {} },
       mnt: { type: 'dir', children: {} },
@@ -64,6 +306,17 @@ async function initializeVFS(userId, scenarioCode) {
     }
   };
 
+  // The scenario's shell profile runs when a terminal starts (see /api/console/login)
+  const shell = scenarioShell(scenarioCode);
+  if (typeof shell.bashrc === 'string') {
+    vfs.children.home.children.user.children['.bashrc'] = {
+      type: 'file',
+      content: shell.bashrc.endsWith('\n') ? shell.bashrc : `${shell.bashrc}\n`
+    };
+  }
+
+  stampTree(vfs, new Date().toISOString());
+
   // Note: mountContent from tasks is NOT pre-mounted during VFS initialization
   // Content is only mounted when:
   // 1. User interacts with device (via onInteract action in taskManager)
@@ -72,9 +325,10 @@ async function initializeVFS(userId, scenarioCode) {
 
   // Save to database
   await db.run(`
-    INSERT INTO user_vfs_state (user_id, scenario_code, cwd, vfs_data)
-    VALUES (?, ?, ?, ?)
-  `, userId, scenarioCode, '/home/user', JSON.stringify(vfs));
+    INSERT INTO user_vfs_state (user_id, scenario_code, host, cwd, vfs_data, env_data, alias_data)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, userId, scenarioCode, LOCAL_HOST, '/home/user', JSON.stringify(vfs),
+  JSON.stringify(shell.env || {}), JSON.stringify(shell.aliases || {}));
 
   return vfs;
 }
@@ -90,71 +344,127 @@ function mountContent(vfs, mountPath, content) {
   for (const part of pathParts) {
     if (!current.children) current.children = {};
     if (!current.children[part]) {
-      current.children[part] = { type: 'dir', children: {} };
+      current.children[part] = createNode('dir');
     }
     current = current.children[part];
   }
 
-  // Add files
+  // Add files (deleted entries stay unallocated, only image tools can see them)
   if (content && current.children) {
-    for (const [name, data] of Object.entries(content)) {
-      current.children[name] = {
-        type: 'file',
-        content: typeof data === 'string' ? data : JSON.stringify(data)
-      };
+    for (const entry of imageEntries(content)) {
+      if (entry.deleted) continue;
+      // Only metadata the scenario declared overrides the defaults
+      const declared = content[entry.name] !== null && typeof content[entry.name] === 'object' ? content[entry.name] : {};
+      const meta = Object.fromEntries(META_FIELDS.filter(f => declared[f] !== undefined).map(f => [f, declared[f]]));
+      current.children[entry.name] = typeof declared.symlink === 'string'
+        ? createNode('symlink', { target: declared.symlink, inode: entry.inode, ...meta })
+        : createNode('file', { content: entry.content, inode: entry.inode, ...meta });
     }
   }
 }
 
 /**
- * Get VFS for user/scenario
+ * Get VFS for user/scenario (the workstation's, or a scenario host's)
  */
-export async function getVFS(userId, scenarioCode) {
+export async function getVFS(userId, scenarioCode, host = LOCAL_HOST) {
   const db = getDb();
   
   let state = await db.get(`
-    SELECT vfs_data, cwd FROM user_vfs_state 
-    WHERE user_id = ? AND scenario_code = ?
-  `, userId, scenarioCode);
+    SELECT vfs_data, cwd, env_data, alias_data FROM user_vfs_state 
+    WHERE user_id = ? AND scenario_code = ? AND host = ?
+  `, userId, scenarioCode, host);
 
   if (!state) {
     // Initialize if doesn't exist
-    const vfs = await initializeVFS(userId, scenarioCode);
+    await initializeVFS(userId, scenarioCode, host);
     state = await db.get(`
-      SELECT vfs_data, cwd FROM user_vfs_state 
-      WHERE user_id = ? AND scenario_code = ?
-    `, userId, scenarioCode);
+      SELECT vfs_data, cwd, env_data, alias_data FROM user_vfs_state 
+      WHERE user_id = ? AND scenario_code = ? AND host = ?
+    `, userId, scenarioCode, host);
+  }
+
+  // A default variable stored as null was unset
+  const env = { ...DEFAULT_ENV, ...JSON.parse(state.env_data || '{}') };
+  for (const [name, value] of Object.entries(env)) {
+    if (value === null) delete env[name];
   }
 
   return {
     vfs: JSON.parse(state.vfs_data),
-    cwd: state.cwd
+    cwd: state.cwd,
+    env,
+    aliases: JSON.parse(state.alias_data || '{}')
   };
 }
 
 /**
- * Update VFS state (cwd and/or vfs structure)
+ * Update VFS state (cwd, vfs structure, shell environment and/or aliases)
  */
-export async function updateVFS(userId, scenarioCode, updates) {
+export async function updateVFS(userId, scenarioCode, updates, host = LOCAL_HOST) {
   const db = getDb();
   
   if (updates.cwd !== undefined) {
     await db.run(`
       UPDATE user_vfs_state 
       SET cwd = ?, updated_at = datetime('now')
-      WHERE user_id = ? AND scenario_code = ?
-    `, updates.cwd, userId, scenarioCode);
+      WHERE user_id = ? AND scenario_code = ? AND host = ?
+    `, updates.cwd, userId, scenarioCode, host);
   }
 
   if (updates.vfs !== undefined) {
     await db.run(`
       UPDATE user_vfs_state 
       SET vfs_data = ?, updated_at = datetime('now')
-      WHERE user_id = ? AND scenario_code = ?
-    `, JSON.stringify(updates.vfs), userId, scenarioCode);
+      WHERE user_id = ? AND scenario_code = ? AND host = ?
+    `, JSON.stringify(updates.vfs), userId, scenarioCode, host);
+  }
+
+  if (updates.env !== undefined) {
+    // Defaults missing from the environment are stored as null to stay unset
+    const unset = Object.keys(DEFAULT_ENV).filter(name => !(name in updates.env));
+    const envData = { ...updates.env, ...Object.fromEntries(unset.map(name => [name, null])) };
+    await db.run(`
+      UPDATE user_vfs_state 
+      SET env_data = ?, updated_at = datetime('now')
+      WHERE user_id = ? AND scenario_code = ? AND host = ?
+    `, JSON.stringify(envData), userId, scenarioCode, host);
+  }
+
+  if (updates.aliases !== undefined) {
+    await db.run(`
+      UPDATE user_vfs_state 
+      SET alias_data = ?, updated_at = datetime('now')
+      WHERE user_id = ? AND scenario_code = ? AND host = ?
+    `, JSON.stringify(updates.aliases), userId, scenarioCode, host);
   }
 }
 
+/**
+ * Get the user's chain of ssh sessions (stored with the workstation state)
+ * @returns {Promise<Array<{ host: string, user: string }>>} Outermost first; empty when on the workstation
+ */
+export async function getHostChain(userId, scenarioCode) {
+  const db = getDb();
+  await getVFS(userId, scenarioCode);
+  const row = await db.get(`
+    SELECT host_chain FROM user_vfs_state
+    WHERE user_id = ? AND scenario_code = ? AND host = ?
+  `, userId, scenarioCode, LOCAL_HOST);
+  return JSON.parse(row?.host_chain || '[]');
+}
+
+/**
+ * Save the user's chain of ssh sessions
+ */
+export async function setHostChain(userId, scenarioCode, chain) {
+  const db = getDb();
+  await db.run(`
+    UPDATE user_vfs_state
+    SET host_chain = ?, updated_at = datetime('now')
+    WHERE user_id = ? AND scenario_code = ? AND host = ?
+  `, JSON.stringify(chain), userId, scenarioCode, LOCAL_HOST);
+}
+
 /**
  * Resolve path relative to cwd
  */
@@ -185,18 +495,135 @@ export function normalizePath(path) {
 }
 
 /**
- * Get node at path in VFS
+ * Look up a path, following symbolic links. Links in the middle of the path
+ * are always followed, a link in the last component only with `follow`.
+ * Link targets are resolved against the directory holding the link.
+ * @param {Object} vfs - VFS root node
+ * @param {string} path - Absolute path
+ * @param {Object} [options]
+ * @param {boolean} [options.follow] - Follow a link in the last component
+ * @returns {{ node: Object|null, path: string|null, error: string|null }}
+ *   `path` is the physical path of the node (no links in it); `error` is
+ *   'No such file or directory', 'Not a directory' or
+ *   'Too many levels of symbolic links'
  */
-export function getNode(vfs, path) {
-  const p = normalizePath(path);
-  if (p === '/') return vfs;
-  const parts = p.split('/').filter(Boolean);
+export function lookupPath(vfs, path, { follow = true } = {}) {
+  let pending = normalizePath(path).split('/').filter(Boolean);
+  let resolved = [];
   let node = vfs;
-  for (const part of parts) {
-    if (!node.children || !node.children[part]) return null;
-    node = node.children[part];
+  let hops = 0;
+
+  while (pending.length > 0) {
+    const part = pending.shift();
+    if (part === '.') continue;
+    if (part === '..') {
+      // Only link targets bring '..' here; the physical path has no links to undo
+      resolved.pop();
+      node = resolved.reduce((dir, name) => dir.children[name], vfs);
+      continue;
+    }
+    if (node.type !== 'dir') return { node: null, path: null, error: 'Not a directory' };
+    const child = node.children?.[part];
+    if (!child) return { node: null, path: null, error: 'No such file or directory' };
+
+    if (child.type === 'symlink' && (follow || pending.length > 0)) {
+      if (++hops > MAX_SYMLINK_HOPS) return { node: null, path: null, error: 'Too many levels of symbolic links' };
+      if (child.target.startsWith('/')) {
+        resolved = [];
+        node = vfs;
+      }
+      pending = [...child.target.split('/').filter(Boolean), ...pending];
+      continue;
+    }
+    resolved.push(part);
+    node = child;
   }
-  return node;
+  return { node, path: '/' + resolved.join('/'), error: null };
+}
+
+/**
+ * Get node at path in VFS, following symbolic links (see lookupPath)
+ * @param {Object} vfs - VFS root node
+ * @param {string} path - Absolute path
+ * @param {Object} [options]
+ * @param {boolean} [options.follow] - Follow a link in the last component
+ *   (false gives the link itself, as for rm or ls -l)
+ * @returns {Object|null} VFS node
+ */
+export function getNode(vfs, path, { follow = true } = {}) {
+  return lookupPath(vfs, path, { follow }).node;
+}
+
+/**
+ * Write content to a file node, creating the file if needed.
+ * The parent directory must already exist (like shell redirection).
+ * @param {Object} vfs - VFS root node
+ * @param {string} path - Absolute file path
+ * @param {string} content - Content to write
+ * @param {boolean} append - Append to existing content instead of truncating
+ * @returns {string|null} Error reason, or null on success
+ */
+export function writeFile(vfs, path, content, append = false) {
+  const parts = normalizePath(path).split('/').filter(Boolean);
+  if (parts.length === 0) return 'Is a directory';
+  // Whatever is written to /dev/null is discarded
+  if (parts.join('/') === 'dev/null') return null;
+
+  const parent = getNode(vfs, '/' + parts.slice(0, -1).join('/'));
+  if (!parent) return 'No such file or directory';
+  if (parent.type !== 'dir') return 'Not a directory';
+
+  const name = parts[parts.length - 1];
+  if (!parent.children) parent.children = {};
+  const existing = parent.children[name];
+
+  if (existing && existing.type === 'dir') return 'Is a directory';
+
+  // Writing through a link writes its target, creating it when dangling
+  if (existing && existing.type === 'symlink') {
+    const target = lookupPath(vfs, path);
+    if (target.error === 'No such file or directory') {
+      const dir = lookupPath(vfs, '/' + parts.slice(0, -1).join('/')).path;
+      return writeFile(vfs, resolvePath(existing.target, dir), content, append);
+    }
+    if (target.error) return target.error;
+    return writeFile(vfs, target.path, content, append);
+  }
+
+  if (existing) {
+    setContent(existing, append ? fromBytes(Buffer.concat([nodeBytes(existing), toBytes(content)])) : content);
+    // Writing changes the data, so a declared size no longer applies
+    delete existing.size;
+    existing.mtime = existing.ctime = new Date().toISOString();
+  } else {
+    parent.children[name] = createNode('file', { content });
+  }
+  return null;
+}
+
+/**
+ * Create a directory and any missing parents (like mkdir -p)
+ * @param {Object} vfs - VFS root node
+ * @param {string} path - Absolute directory path
+ * @returns {string|null} Error reason, or null on success
+ */
+export function makeDir(vfs, path) {
+  let current = vfs;
+  let walked = '';
+  for (const part of path.split('/').filter(Boolean)) {
+    walked += `/${part}`;
+    if (!current.children) current.children = {};
+    let child = current.children[part];
+    // A link to a directory is used as that directory
+    if (child?.type === 'symlink') child = getNode(vfs, walked);
+    if (!current.children[part]) {
+      child = current.children[part] = createNode('dir');
+    } else if (!child || child.type !== 'dir') {
+      return 'Not a directory';
+    }
+    current = child;
+  }
+  return null;
 }
 
 /**